@@ -0,0 +1 @@
+export { registerStandardActions, PERMISSION_PRESETS, parseDuration } from './standardActions.js';
@@ -0,0 +1,303 @@
+import { ValidationError } from '../core/errors.js';
+
+/**
+ * Telegram ChatPermissions presets for mute_user and unmute_user
+ *
+ *   muted    → no messages of any kind
+ *   textOnly → text messages only: no media, polls, stickers or link previews
+ *   full     → every permission; lifts a restriction
+ */
+export const PERMISSION_PRESETS = {
+  muted: {
+    can_send_messages: false,
+    can_send_audios: false,
+    can_send_documents: false,
+    can_send_photos: false,
+    can_send_videos: false,
+    can_send_video_notes: false,
+    can_send_voice_notes: false,
+    can_send_polls: false,
+    can_send_other_messages: false,
+    can_add_web_page_previews: false
+  },
+  textOnly: {
+    can_send_messages: true,
+    can_send_audios: false,
+    can_send_documents: false,
+    can_send_photos: false,
+    can_send_videos: false,
+    can_send_video_notes: false,
+    can_send_voice_notes: false,
+    can_send_polls: false,
+    can_send_other_messages: false,
+    can_add_web_page_previews: false
+  },
+  full: {
+    can_send_messages: true,
+    can_send_audios: true,
+    can_send_documents: true,
+    can_send_photos: true,
+    can_send_videos: true,
+    can_send_video_notes: true,
+    can_send_voice_notes: true,
+    can_send_polls: true,
+    can_send_other_messages: true,
+    can_add_web_page_previews: true,
+    can_change_info: true,
+    can_invite_users: true,
+    can_pin_messages: true,
+    can_manage_topics: true
+  }
+};
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+
+/**
+ * Telegram treats bans and restrictions shorter or longer than these as permanent
+ */
+const MIN_DURATION_MS = 30 * 1000;
+const MAX_DURATION_MS = 366 * DURATION_UNITS.d;
+
+/**
+ * Parse a duration: milliseconds, or a string like '30s', '10m', '24h', '7d', '2w'.
+ * Durations under 30 seconds or over 366 days are rejected rather than turned
+ * into a permanent ban.
+ * @returns {number} Milliseconds
+ */
+export function parseDuration(value) {
+  let ms = typeof value === 'number' && Number.isFinite(value) && value > 0 ? value : null;
+  const match = ms === null && typeof value === 'string' && /^(\d+(?:\.\d+)?)\s*([smhdw])$/.exec(value.trim());
+  if (match) {
+    ms = Number(match[1]) * DURATION_UNITS[match[2]];
+  }
+  if (ms === null) {
+    throw new Error(`Invalid duration "${value}", expected milliseconds or e.g. '10m', '24h', '7d'`);
+  }
+  if (ms < MIN_DURATION_MS) {
+    throw new Error(`Invalid duration "${value}": under 30 seconds, which Telegram treats as permanent`);
+  }
+  if (ms > MAX_DURATION_MS) {
+    throw new Error(`Invalid duration "${value}": over 366 days, which Telegram treats as permanent`);
+  }
+  return ms;
+}
+
+/**
+ * Field specs beyond the built-in schema types (see core/schema.js)
+ */
+const text = { type: 'string', check: value => typeof value === 'string' && value !== '' };
+const optionalText = { ...text, required: false };
+const duration = {
+  type: 'duration',
+  required: false,
+  check: (value) => {
+    try {
+      parseDuration(value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+};
+const time = { type: 'time', required: false, check: value => !Number.isNaN(new Date(value).getTime()) };
+const permissions = {
+  type: 'permissions',
+  required: false,
+  check: value => (typeof value === 'string' && isPreset(value)) ||
+    (value !== null && typeof value === 'object' && !Array.isArray(value))
+};
+
+/**
+ * Inverse payloads keep only the target; the inverse of a timed ban is a plain unban
+ */
+const target = ({ chatId, userId }) => ({ chatId, userId });
+
+/**
+ * Standard moderation actions: payload schema, the handler that runs them and
+ * the action that undoes them, if any
+ */
+const STANDARD_ACTIONS = {
+  ban_user: {
+    schema: { chatId: 'id', userId: 'id', duration, until: time, revokeMessages: 'boolean?' },
+    method: 'banMember',
+    inverse: { action: 'unban_user', data: target },
+    run: (bot, data) => bot.banMember(data.chatId, data.userId, {
+      ...untilDate(data),
+      ...(data.revokeMessages !== undefined && { revokeMessages: data.revokeMessages })
+    })
+  },
+
+  unban_user: {
+    schema: { chatId: 'id', userId: 'id' },
+    method: 'unbanMember',
+    inverse: { action: 'ban_user', data: target },
+    run: (bot, data) => bot.unbanMember(data.chatId, data.userId)
+  },
+
+  mute_user: {
+    schema: { chatId: 'id', userId: 'id', duration, until: time, permissions },
+    method: 'restrictMember',
+    inverse: { action: 'unmute_user', data: target },
+    run: (bot, data, options) => bot.restrictMember(
+      data.chatId,
+      data.userId,
+      resolvePermissions(data.permissions ?? options.mutePermissions ?? 'muted'),
+      untilDate(data)
+    )
+  },
+
+  unmute_user: {
+    schema: { chatId: 'id', userId: 'id', permissions },
+    method: 'restrictMember',
+    inverse: { action: 'mute_user', data: target },
+    run: (bot, data) => bot.restrictMember(data.chatId, data.userId, resolvePermissions(data.permissions ?? 'full'))
+  },
+
+  delete_message: {
+    schema: { chatId: 'id', messageId: 'id' },
+    method: 'deleteMessage',
+    run: (bot, data) => bot.deleteMessage(data.chatId, data.messageId)
+  },
+
+  warn_user: {
+    schema: { chatId: 'id', userId: 'id', messageId: 'id?', reason: optionalText, text: optionalText, userName: optionalText },
+    method: 'sendMessage',
+    run: (bot, data, options) => bot.sendMessage(
+      data.chatId,
+      data.text ?? options.warnText?.(data) ?? defaultWarnText(data),
+      data.messageId !== undefined ? { reply_to_message_id: data.messageId } : {}
+    )
+  },
+
+  notify_admin: {
+    schema: { text, chatId: 'id?' },
+    method: 'sendMessage',
+    run: (bot, data, options, context) => {
+      const chatId = data.chatId ?? options.adminChatId ?? context?.config?.adminChatId;
+      if (chatId === undefined || chatId === null) {
+        throw new ValidationError(
+          'notify_admin: no chatId in the payload, options.adminChatId or config.adminChatId',
+          { action: 'notify_admin', field: 'chatId' }
+        );
+      }
+      // The text often quotes names and messages; HTML in them must not be parsed
+      return bot.sendMessage(chatId, escapeHtml(data.text));
+    }
+  },
+
+  approve_join: {
+    schema: { chatId: 'id', userId: 'id' },
+    method: 'approveChatJoinRequest',
+    run: (bot, data) => bot.approveChatJoinRequest(data.chatId, data.userId)
+  },
+
+  decline_join: {
+    schema: { chatId: 'id', userId: 'id' },
+    method: 'declineChatJoinRequest',
+    run: (bot, data) => bot.declineChatJoinRequest(data.chatId, data.userId)
+  }
+};
+
+/**
+ * Register handlers for the standard moderation actions on an ActionHandler
+ *
+ *   ban_user       { chatId, userId, duration?, until?, revokeMessages? }
+ *   unban_user     { chatId, userId }
+ *   mute_user      { chatId, userId, duration?, until?, permissions?: preset name | ChatPermissions }
+ *   unmute_user    { chatId, userId, permissions?: 'full' }
+ *   delete_message { chatId, messageId }
+ *   warn_user      { chatId, userId, messageId?, reason?, text?, userName? }
+ *   notify_admin   { text (sent as plain text), chatId?: options.adminChatId | config.adminChatId }
+ *   approve_join   { chatId, userId }
+ *   decline_join   { chatId, userId }
+ *
+ * Each action is registered with its payload schema, so a bad payload fails
+ * with a ValidationError before the adapter is called. Bans and mutes are
+ * registered with their inverses (ban_user ↔ unban_user, mute_user ↔ unmute_user),
+ * so ActionHandler.undo() and AuditLog.undo() can reverse them. Calls go through context.sourceAdapter
+ * (the transport that received the update) when it supports the method,
+ * otherwise through context.bot. Permissions are Bot API ChatPermissions;
+ * MTProtoAdapter converts them to banned rights.
+ *
+ * Handlers already registered under these names are kept unless
+ * options.overwrite is set.
+ *
+ * @param {ActionHandler} actionHandler
+ * @param {Object} options - { only: [names], except: [names], overwrite: false, adminChatId,
+ *                             mutePermissions: 'muted' | ChatPermissions, warnText: (data) => string }
+ * @returns {string[]} Names of the actions registered
+ *
+ * @example
+ * registerStandardActions(actionHandler, { adminChatId: -100123, except: ['warn_user'] });
+ *
+ * // In a stage
+ * return { action: 'mute_user', data: { chatId: message.chatId, userId: message.from.id, duration: '1h' } };
+ */
+export function registerStandardActions(actionHandler, options = {}) {
+  if (typeof options.mutePermissions === 'string' && !isPreset(options.mutePermissions)) {
+    throw new Error(`Unknown permission preset "${options.mutePermissions}", expected one of: ${Object.keys(PERMISSION_PRESETS).join(', ')}`);
+  }
+
+  const names = options.only || Object.keys(STANDARD_ACTIONS);
+  const registered = [];
+
+  for (const name of names) {
+    const definition = Object.prototype.hasOwnProperty.call(STANDARD_ACTIONS, name) && STANDARD_ACTIONS[name];
+    if (!definition) {
+      throw new Error(`Unknown standard action "${name}", expected one of: ${Object.keys(STANDARD_ACTIONS).join(', ')}`);
+    }
+    if (options.except?.includes(name)) continue;
+    if (!options.overwrite && actionHandler.handlers[name]) continue;
+
+    actionHandler.register(name, async (data, context) => {
+      const bot = selectTransport(context, definition.method, name);
+      return definition.run(bot, data, options, context);
+    }, { schema: definition.schema, inverse: definition.inverse });
+    registered.push(name);
+  }
+
+  return registered;
+}
+
+/**
+ * The adapter that received the update, if it can run the method; the engine's adapter otherwise
+ */
+function selectTransport(context, method, action) {
+  for (const bot of [context?.sourceAdapter, context?.bot]) {
+    if (typeof bot?.[method] === 'function') {
+      return bot;
+    }
+  }
+  throw new Error(`${action}: no adapter with ${method}() in context.sourceAdapter or context.bot`);
+}
+
+/**
+ * { untilDate } in Unix seconds from data.until or data.duration; none means forever.
+ * Telegram treats restrictions shorter than 30 seconds or longer than 366 days as forever.
+ */
+function untilDate(data) {
+  let until = null;
+  if (data.until !== undefined && data.until !== null) {
+    until = new Date(data.until).getTime();
+  } else if (data.duration !== undefined && data.duration !== null) {
+    until = Date.now() + parseDuration(data.duration);
+  }
+  return until === null ? {} : { untilDate: Math.floor(until / 1000) };
+}
+
+function isPreset(name) {
+  return Object.prototype.hasOwnProperty.call(PERMISSION_PRESETS, name);
+}
+
+function resolvePermissions(permissions) {
+  return typeof permissions === 'string' ? { ...PERMISSION_PRESETS[permissions] } : permissions;
+}
+
+function defaultWarnText(data) {
+  const who = data.userName ? `${escapeHtml(data.userName)}, this` : 'This';
+  return `⚠️ ${who} is a warning${data.reason ? `: ${escapeHtml(data.reason)}` : '.'}`;
+}
+
+function escapeHtml(text) {
+  return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
@@ -1,10 +1,43 @@
+import { AuthError, mapMTProtoError } from './TelegramErrors.js';
+import { createRateLimiter } from './RateLimiter.js';
+import { currentSignal } from '../../core/stageSignal.js';
+import { Instrumentation } from '../../core/Instrumentation.js';
+
+/**
+ * Bot API ChatPermissions fields and the MTProto banned rights they lift.
+ * editBanned() takes banned rights: a flag set to true takes the right away.
+ */
+const BANNED_RIGHTS = {
+  can_send_messages: ['send_messages'],
+  can_send_audios: ['send_audios'],
+  can_send_documents: ['send_docs'],
+  can_send_photos: ['send_photos'],
+  can_send_videos: ['send_videos'],
+  can_send_video_notes: ['send_roundvideos'],
+  can_send_voice_notes: ['send_voices'],
+  can_send_polls: ['send_polls'],
+  can_send_other_messages: ['send_stickers', 'send_gifs', 'send_games', 'send_inline'],
+  can_add_web_page_previews: ['embed_links'],
+  can_change_info: ['change_info'],
+  can_invite_users: ['invite_users'],
+  can_pin_messages: ['pin_messages'],
+  can_manage_topics: ['manage_topics']
+};
+
 /**
  * MTProtoAdapter - Telegram MT Proto Protocol adapter
  * 
  * Direct MT Proto protocol implementation for Telegram.
  * Provides lower-level access to Telegram's binary protocol.
+ * Failed calls throw TelegramError subclasses (see TelegramErrors.js).
+ * Outgoing calls go through a RateLimiter (see RateLimiter.js) unless
+ * options.rateLimit is false.
  */
 export class MTProtoAdapter {
+  /**
+   * @param {Object} options - { apiId, apiHash, sessionString, phoneNumber,
+   *                             rateLimit: RateLimiter options | RateLimiter instance | false }
+   */
   constructor(options = {}) {
     this.name = 'MTProtoAdapter';
     this.apiId = options.apiId;
@@ -15,6 +48,8 @@ export class MTProtoAdapter {
     this.client = null;
     this.handlers = {};
     this.isConnected = false;
+    this.rateLimiter = createRateLimiter(options.rateLimit);
+    this.instrumentation = new Instrumentation();  // Wrappers around each client call, see instrument()
   }
 
   /**
@@ -63,7 +98,7 @@ export class MTProtoAdapter {
       
     } catch (error) {
       this.isConnected = false;
-      throw new Error(`MT Proto initialization failed: ${error.message}`);
+      throw mapMTProtoError(error, 'initialize', 'MT Proto initialization failed');
     }
   }
 
@@ -83,7 +118,7 @@ export class MTProtoAdapter {
 
       await this.client.signIn(this.phoneNumber, code, undefined, phoneCodeHash);
     } catch (error) {
-      throw new Error(`Authentication failed: ${error.message}`);
+      throw new AuthError(`Authentication failed: ${error.message}`, { cause: error, method: 'signIn' });
     }
   }
 
@@ -132,71 +167,58 @@ export class MTProtoAdapter {
     }
   }
 
+  /**
+   * Report whether the client is connected (used by HealthServer)
+   * @returns {Promise<Object>} { healthy, connected, reason? }
+   */
+  async healthCheck() {
+    const connected = !!this.client && this.isConnected && this.client.connected !== false;
+    return connected ? { healthy: true, connected } : { healthy: false, connected, reason: 'not connected' };
+  }
+
   /**
    * Send message to user or chat
    */
   async sendMessage(chatId, text, options = {}) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('sendMessage', 'Failed to send message', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       const result = await this.client.sendMessage(entity, {
         message: text,
         ...options
       });
       return result;
-    } catch (error) {
-      throw new Error(`Failed to send message: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Delete message
    */
   async deleteMessage(chatId, messageId) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('deleteMessage', 'Failed to delete message', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       await this.client.deleteMessages(entity, [messageId]);
-    } catch (error) {
-      throw new Error(`Failed to delete message: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Edit message
    */
   async editMessage(chatId, messageId, text, options = {}) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('editMessage', 'Failed to edit message', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       const result = await this.client.editMessage(entity, messageId, {
         text: text,
         ...options
       });
       return result;
-    } catch (error) {
-      throw new Error(`Failed to edit message: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Get chat info
    */
   async getChatInfo(chatId) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('getChatInfo', 'Failed to get chat info', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       const dialogs = await this.client.getDialogs();
       
@@ -209,20 +231,14 @@ export class MTProtoAdapter {
         username: entity.username,
         raw: entity
       };
-    } catch (error) {
-      throw new Error(`Failed to get chat info: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Get user info
    */
   async getUserInfo(userId) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('getUserInfo', 'Failed to get user info', null, async () => {
       const user = await this.client.getEntity(userId);
       return {
         id: user.id,
@@ -234,20 +250,14 @@ export class MTProtoAdapter {
         isFake: user.fake,
         raw: user
       };
-    } catch (error) {
-      throw new Error(`Failed to get user info: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Get chat members
    */
   async getChatMembers(chatId) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('getChatMembers', 'Failed to get chat members', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       const members = await this.client.getParticipants(entity);
       
@@ -259,59 +269,85 @@ export class MTProtoAdapter {
         isBot: member.bot,
         raw: member
       }));
-    } catch (error) {
-      throw new Error(`Failed to get chat members: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Ban user from chat
+   * @param {Object} options - { untilDate: Unix time in seconds (omit for forever) }
    */
-  async banMember(chatId, userId) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+  async banMember(chatId, userId, options = {}) {
+    return this._call('banMember', 'Failed to ban member', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       await this.client.editBanned(entity, userId, {
-        view_messages: false
+        view_messages: false,
+        ...(options.untilDate && { until_date: options.untilDate })
       });
-    } catch (error) {
-      throw new Error(`Failed to ban member: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Unban user from chat
    */
   async unbanMember(chatId, userId) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+    return this._call('unbanMember', 'Failed to unban member', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
       await this.client.editBanned(entity, userId, null);
-    } catch (error) {
-      throw new Error(`Failed to unban member: ${error.message}`);
-    }
+    });
   }
 
   /**
    * Restrict member (set permissions)
+   * @param {Object} permissions - Bot API ChatPermissions, e.g. { can_send_messages: false },
+   *   as TelegramAdapter takes them; sent as banned rights, a right not granted being banned
+   * @param {Object} options - { untilDate: Unix time in seconds (omit for forever) }
    */
-  async restrictMember(chatId, userId, permissions) {
-    if (!this.client || !this.isConnected) {
-      throw new Error('MT Proto client not connected');
-    }
-
-    try {
+  async restrictMember(chatId, userId, permissions, options = {}) {
+    return this._call('restrictMember', 'Failed to restrict member', chatId, async () => {
       const entity = await this.client.getEntity(chatId);
-      await this.client.editBanned(entity, userId, permissions);
-    } catch (error) {
-      throw new Error(`Failed to restrict member: ${error.message}`);
-    }
+      await this.client.editBanned(entity, userId, {
+        ...toBannedRights(permissions),
+        ...(options.untilDate && { until_date: options.untilDate })
+      });
+    });
+  }
+
+  /**
+   * Wrap every client call (see Instrumentation)
+   * @param {Function} wrapper - ({ adapter, method }, next) => result of next()
+   */
+  instrument(wrapper) {
+    this.instrumentation.add(wrapper);
+    return this;
+  }
+
+  /**
+   * Run a client call through the instrumentation and the rate limiter,
+   * mapping failures to TelegramError subclasses
+   * @param {string} method - Adapter method, for the error and the rate limiter
+   * @param {string} summary - Error message prefix
+   * @param {*} chatId - Chat the call acts on, or null
+   * @param {Function} fn - async () => result
+   * @private
+   */
+  async _call(method, summary, chatId, fn) {
+    return this.instrumentation.run({ adapter: this, method }, async () => {
+      if (!this.client || !this.isConnected) {
+        throw new Error('MT Proto client not connected');
+      }
+
+      const call = async () => {
+        try {
+          return await fn();
+        } catch (error) {
+          throw mapMTProtoError(error, method, summary);
+        }
+      };
+      // A call still queued when its stage times out is dropped
+      return this.rateLimiter
+        ? this.rateLimiter.schedule(call, { method, chatId, signal: currentSignal() })
+        : call();
+    });
   }
 
   /**
@@ -351,3 +387,17 @@ export class MTProtoAdapter {
     return this.client.session.save();
   }
 }
+
+/**
+ * Bot API ChatPermissions as MTProto banned rights; like the Bot API, a
+ * permission left out is not granted
+ */
+function toBannedRights(permissions = {}) {
+  const rights = {};
+  for (const [permission, flags] of Object.entries(BANNED_RIGHTS)) {
+    for (const flag of flags) {
+      rights[flag] = permissions[permission] !== true;
+    }
+  }
+  return rights;
+}
@@ -0,0 +1,359 @@
+import { RateLimitError } from './TelegramErrors.js';
+
+/**
+ * Telegram's documented Bot API limits
+ *
+ *   global      → 30 calls per second across all chats
+ *   privateChat → 1 message per second to the same user
+ *   groupChat   → 20 messages per minute to the same group
+ */
+export const TELEGRAM_RATE_LIMITS = {
+  global: { limit: 30, intervalMs: 1000 },
+  privateChat: { limit: 1, intervalMs: 1000 },
+  groupChat: { limit: 20, intervalMs: 60 * 1000 }
+};
+
+/**
+ * Methods the per-chat limits apply to: Telegram counts messages sent to a
+ * chat, not bans or deletions in it. Bot API and MTProtoAdapter names.
+ */
+const CHAT_METHODS = [
+  'sendMessage', 'sendPoll', 'sendPhoto', 'sendVideo', 'sendAnimation', 'sendAudio', 'sendVoice',
+  'sendDocument', 'sendSticker', 'sendMediaGroup', 'sendLocation', 'sendContact', 'forwardMessage', 'copyMessage'
+];
+
+/**
+ * Moderation calls start before anything else waiting for a token
+ */
+const MODERATION_PRIORITY = 10;
+const MODERATION_METHODS = [
+  'banChatMember', 'unbanChatMember', 'restrictChatMember', 'deleteMessage',
+  'approveChatJoinRequest', 'declineChatJoinRequest', 'banMember', 'unbanMember', 'restrictMember'
+];
+
+/**
+ * RateLimiter - Token-bucket scheduler in front of outgoing Telegram calls
+ *
+ * Every call takes a token from the global bucket; calls that send to a chat
+ * (CHAT_METHODS) also take one from that chat's bucket, sized by whether the
+ * chat is private (positive ID) or a group. Calls that find no token wait in
+ * a queue ordered by priority, then arrival, so a ban queued behind a burst
+ * of replies goes out first. A call for a chat still waiting on its own
+ * bucket does not hold up calls for other chats.
+ *
+ * When Telegram answers 429 anyway, the chat (or, for calls without one,
+ * every call) is paused for retry_after and the call is queued again, up to
+ * maxRetries times. A retry_after over maxRetryAfterMs is not waited out: the
+ * pause still applies, but the call fails at once, as ErrorHandler would stop
+ * the stage for it. The RateLimitError it gives up with carries the re-runs as
+ * limiterRetries, so ErrorHandler does not retry the stage on top.
+ *
+ * A call scheduled with an AbortSignal leaves the queue when the signal aborts.
+ *
+ * TelegramAdapter and MTProtoAdapter create one by default; pass the same
+ * instance to adapters sharing a bot token.
+ */
+export class RateLimiter {
+  /**
+   * @param {Object} options - { global, privateChat, groupChat: { limit, intervalMs, burst: limit } | false
+   *                             (defaults: TELEGRAM_RATE_LIMITS), chatMethods: [methods],
+   *                             priorities: { [method]: number }, maxRetries: 3, maxRetryAfterMs: 60000,
+   *                             maxIdleBuckets: 1000, logger }
+   */
+  constructor(options = {}) {
+    this.limits = {
+      global: options.global ?? TELEGRAM_RATE_LIMITS.global,
+      privateChat: options.privateChat ?? TELEGRAM_RATE_LIMITS.privateChat,
+      groupChat: options.groupChat ?? TELEGRAM_RATE_LIMITS.groupChat
+    };
+    for (const [name, limit] of Object.entries(this.limits)) {
+      if (limit !== false && !(limit?.limit > 0 && limit?.intervalMs > 0)) {
+        throw new Error(`Rate limit "${name}" must be { limit, intervalMs } with positive numbers, or false`);
+      }
+    }
+
+    this.chatMethods = new Set(options.chatMethods || CHAT_METHODS);
+    this.priorities = {
+      ...Object.fromEntries(MODERATION_METHODS.map(method => [method, MODERATION_PRIORITY])),
+      ...options.priorities
+    };
+    this.maxRetries = options.maxRetries ?? 3;
+    this.maxRetryAfterMs = options.maxRetryAfterMs ?? 60000;
+    this.maxIdleBuckets = options.maxIdleBuckets ?? 1000;
+    this.logger = options.logger;
+
+    this.global = this.limits.global ? new TokenBucket(this.limits.global) : null;
+    this.chats = new Map();  // chatId → TokenBucket
+    this.pausedUntil = 0;    // global pause after a 429 on a call without a chat bucket
+    this.queue = [];         // waiting calls, by priority desc then seq
+    this.seq = 0;
+    this.timer = null;
+    this.counters = { scheduled: 0, delayed: 0, rateLimited: 0, retried: 0, aborted: 0 };
+  }
+
+  /**
+   * Run a call once the buckets allow it
+   * @param {Function} task - async () => result
+   * @param {Object} options - { method, chatId, priority: by method, default 0,
+   *   signal: AbortSignal that takes the call out of the queue if it has not started }
+   * @returns {Promise<*>} The task's result; rejects with its error, with the
+   *   RateLimitError once maxRetries re-runs were rate limited too or its
+   *   retry_after exceeds maxRetryAfterMs, or with the signal's reason when
+   *   aborted while queued
+   */
+  schedule(task, options = {}) {
+    const { method, chatId, signal } = options;
+    if (signal?.aborted) {
+      this.counters.aborted++;
+      return Promise.reject(signal.reason);
+    }
+
+    const job = {
+      task,
+      method,
+      chatId: this.chatMethods.has(method) && chatId !== undefined && chatId !== null ? chatId : null,
+      priority: options.priority ?? this.priorities[method] ?? 0,
+      seq: this.seq++,
+      attempts: 0
+    };
+    this.counters.scheduled++;
+
+    return new Promise((resolve, reject) => {
+      const onAbort = () => this._abort(job, signal.reason);
+      job.resolve = (value) => {
+        signal?.removeEventListener('abort', onAbort);
+        resolve(value);
+      };
+      job.reject = (error) => {
+        signal?.removeEventListener('abort', onAbort);
+        reject(error);
+      };
+      signal?.addEventListener('abort', onAbort, { once: true });
+
+      this._enqueue(job);
+      this._pump();
+      if (this.queue.includes(job)) {
+        this.counters.delayed++;
+      }
+    });
+  }
+
+  /**
+   * Hold calls for a while, e.g. on a retry_after learned elsewhere
+   * @param {number} ms - How long
+   * @param {*} chatId - Pause only calls sending to this chat; omit (or a chat type
+   *   without a limit) to pause every call
+   */
+  pause(ms, chatId) {
+    const until = Date.now() + ms;
+    const bucket = chatId === undefined || chatId === null ? null : this._bucketFor(chatId);
+    if (bucket) {
+      bucket.pausedUntil = Math.max(bucket.pausedUntil, until);
+    } else {
+      this.pausedUntil = Math.max(this.pausedUntil, until);
+    }
+    this._pump();
+  }
+
+  /**
+   * @returns {Object} { queued, chats, paused, scheduled, delayed, rateLimited, retried, aborted }
+   */
+  getStats() {
+    return {
+      queued: this.queue.length,
+      chats: this.chats.size,
+      paused: this.pausedUntil > Date.now(),
+      ...this.counters
+    };
+  }
+
+  /**
+   * Drop a job whose signal aborted; a call already running is left to finish
+   * @private
+   */
+  _abort(job, reason) {
+    const index = this.queue.indexOf(job);
+    if (index === -1) return;
+    this.queue.splice(index, 1);
+    this.counters.aborted++;
+    job.reject(reason);
+    this._pump();
+  }
+
+  /**
+   * Insert a job after every job of the same or higher priority queued before it
+   * @private
+   */
+  _enqueue(job) {
+    let index = this.queue.length;
+    while (index > 0) {
+      const prev = this.queue[index - 1];
+      if (prev.priority > job.priority || (prev.priority === job.priority && prev.seq < job.seq)) break;
+      index--;
+    }
+    this.queue.splice(index, 0, job);
+  }
+
+  /**
+   * Start every queued call that has tokens, then wait for the next token
+   * @private
+   */
+  _pump() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+
+    const now = Date.now();
+    let waitMs = Infinity;
+
+    for (let i = 0; i < this.queue.length;) {
+      const globalWait = Math.max(this.pausedUntil - now, this.global ? this.global.waitMs(now) : 0);
+      if (globalWait > 0) {
+        // Lower-priority calls must not take the next global token from this one
+        waitMs = Math.min(waitMs, globalWait);
+        break;
+      }
+
+      const job = this.queue[i];
+      const bucket = job.chatId === null ? null : this._bucketFor(job.chatId);
+      const chatWait = bucket ? bucket.waitMs(now) : 0;
+      if (chatWait > 0) {
+        waitMs = Math.min(waitMs, chatWait);
+        i++;
+        continue;
+      }
+
+      this.global?.take();
+      bucket?.take();
+      this.queue.splice(i, 1);
+      this._run(job);
+    }
+
+    this._sweep(now);
+
+    if (this.queue.length && waitMs < Infinity) {
+      // Not unref'd: queued calls keep the process alive until they are sent
+      this.timer = setTimeout(() => this._pump(), Math.max(1, Math.ceil(waitMs)));
+    }
+  }
+
+  /**
+   * @private
+   */
+  async _run(job) {
+    job.attempts++;
+    try {
+      job.resolve(await job.task());
+    } catch (error) {
+      if (!(error instanceof RateLimitError)) {
+        job.reject(error);
+        return;
+      }
+
+      this.counters.rateLimited++;
+      const retryAfterMs = (error.retryAfter ?? 1) * 1000;
+      if (job.attempts > this.maxRetries || retryAfterMs > this.maxRetryAfterMs) {
+        if (retryAfterMs > this.maxRetryAfterMs) {
+          this.logger?.warn(
+            { method: job.method, chatId: job.chatId, retryAfterMs, maxRetryAfterMs: this.maxRetryAfterMs },
+            `Rate limited on ${job.method} for ${retryAfterMs}ms, over ${this.maxRetryAfterMs}ms: giving up`
+          );
+          this.pause(retryAfterMs, job.chatId);
+        }
+        error.limiterRetries = job.attempts - 1;
+        job.reject(error);
+        return;
+      }
+
+      this.counters.retried++;
+      this.logger?.warn(
+        { method: job.method, chatId: job.chatId, retryAfterMs, attempt: job.attempts },
+        `Rate limited on ${job.method}, pausing ${job.chatId === null ? 'all calls' : `chat ${job.chatId}`} for ${retryAfterMs}ms`
+      );
+      this._enqueue(job);
+      this.pause(retryAfterMs, job.chatId);
+    }
+  }
+
+  /**
+   * The bucket for a chat, created on first use; null when its chat type is unlimited
+   * @private
+   */
+  _bucketFor(chatId) {
+    let bucket = this.chats.get(chatId);
+    if (!bucket) {
+      const limit = isPrivateChat(chatId) ? this.limits.privateChat : this.limits.groupChat;
+      if (!limit) return null;
+      bucket = new TokenBucket(limit);
+      this.chats.set(chatId, bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * Forget full, unpaused buckets once there are many; a new bucket starts full anyway
+   * @private
+   */
+  _sweep(now) {
+    if (this.chats.size <= this.maxIdleBuckets) return;
+    const waiting = new Set(this.queue.map(job => job.chatId));
+    for (const [chatId, bucket] of this.chats) {
+      if (!waiting.has(chatId) && bucket.isIdle(now)) {
+        this.chats.delete(chatId);
+      }
+    }
+  }
+}
+
+/**
+ * Token bucket: `burst` tokens, refilled at `limit` per `intervalMs`
+ */
+class TokenBucket {
+  constructor({ limit, intervalMs, burst = limit }) {
+    this.capacity = burst;
+    this.refillPerMs = limit / intervalMs;
+    this.tokens = burst;
+    this.updatedAt = Date.now();
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Milliseconds until a token is available; 0 when one is
+   */
+  waitMs(now) {
+    if (now > this.updatedAt) {
+      this.tokens = Math.min(this.capacity, this.tokens + (now - this.updatedAt) * this.refillPerMs);
+      this.updatedAt = now;
+    }
+    if (this.pausedUntil > now) {
+      return this.pausedUntil - now;
+    }
+    return this.tokens >= 1 ? 0 : (1 - this.tokens) / this.refillPerMs;
+  }
+
+  take() {
+    this.tokens -= 1;
+  }
+
+  isIdle(now) {
+    return this.waitMs(now) === 0 && this.tokens >= this.capacity;
+  }
+}
+
+/**
+ * Private chats have positive IDs; groups and channels negative ones or @usernames
+ */
+function isPrivateChat(chatId) {
+  return Number(chatId) > 0;
+}
+
+/**
+ * The adapters' rateLimit option: false for none, a RateLimiter to share, or RateLimiter options
+ * @returns {RateLimiter|null}
+ */
+export function createRateLimiter(option, defaults = {}) {
+  if (option === false) return null;
+  if (option instanceof RateLimiter) return option;
+  return new RateLimiter({ ...defaults, ...option });
+}
@@ -1,52 +1,81 @@
+import http from 'node:http';
+import { timingSafeEqual } from 'node:crypto';
+import { mapBotApiError } from './TelegramErrors.js';
+import { createRateLimiter } from './RateLimiter.js';
+import { currentSignal } from '../../core/stageSignal.js';
+import { Instrumentation } from '../../core/Instrumentation.js';
+
+/**
+ * Update types the adapter has listeners for; the default allowed_updates
+ */
+const HANDLED_UPDATES = ['message', 'edited_message', 'callback_query', 'chat_join_request'];
+
+const SECRET_TOKEN_PATTERN = /^[A-Za-z0-9_-]{1,256}$/;
+
 /**
  * TelegramAdapter - Telegram Bot API adapter
  * 
  * Wraps node-telegram-bot-api for use with BotEngine.
+ * Failed Bot API calls throw TelegramError subclasses (see TelegramErrors.js).
+ * Outgoing calls go through a RateLimiter (see RateLimiter.js) unless
+ * options.rateLimit is false.
+ *
+ * Receives updates by long polling, or, with options.webhook, by webhook:
+ * start() registers the webhook URL with Telegram and serves it on a
+ * node:http server (or on your own server through webhookHandler), and
+ * shutdown() deletes it. Webhook requests must carry the
+ * X-Telegram-Bot-Api-Secret-Token header set with the webhook.
+ *
+ * Normalized updates carry the Telegram update_id as updateId.
  */
 export class TelegramAdapter {
     /**
      * Send poll
      */
     async sendPoll(chatId, question, options, extra = {}) {
-      if (!this.botInstance || typeof this.botInstance.sendPoll !== 'function') {
-        throw new Error('Telegram bot instance not initialized or sendPoll not available');
-      }
-      return this.botInstance.sendPoll(chatId, question, options, extra);
+      return this._call('sendPoll', chatId, question, options, extra);
     }
     /**
      * Approve a chat join request
      */
     async approveChatJoinRequest(chatId, userId) {
-      if (!this.botInstance || typeof this.botInstance.approveChatJoinRequest !== 'function') {
-        throw new Error('Telegram bot instance not initialized or approveChatJoinRequest not available');
-      }
-      return this.botInstance.approveChatJoinRequest(chatId, userId);
+      return this._call('approveChatJoinRequest', chatId, userId);
     }
 
     /**
      * Decline a chat join request
      */
     async declineChatJoinRequest(chatId, userId) {
-      if (!this.botInstance || typeof this.botInstance.declineChatJoinRequest !== 'function') {
-        throw new Error('Telegram bot instance not initialized or declineChatJoinRequest not available');
-      }
-      return this.botInstance.declineChatJoinRequest(chatId, userId);
+      return this._call('declineChatJoinRequest', chatId, userId);
     }
+  /**
+   * @param {string} botToken
+   * @param {Object} options - { rateLimit: RateLimiter options | RateLimiter instance | false,
+   *                             polling: { interval: 3000, timeout: 10 }, webhook: see normalizeWebhook(),
+   *                             allowedUpdates: [update types] }
+   */
   constructor(botToken, options = {}) {
     this.name = 'TelegramAdapter';
     this.botToken = botToken;
     this.botInstance = null;
     this.handlers = {};
+    this.updateId = null;  // update_id of the update being emitted, see initialize()
+    this.rateLimiter = createRateLimiter(options.rateLimit);
+    this.polling = { interval: 3000, timeout: 10, ...options.polling };
+    this.webhook = options.webhook ? normalizeWebhook(options.webhook) : null;
+    this.allowedUpdates = options.allowedUpdates || HANDLED_UPDATES;
+    this.server = null;
+    this.webhookActive = false;
+    this.instrumentation = new Instrumentation();  // Wrappers around each API call, see instrument()
+
+    this.webhookHandler = this.webhookHandler.bind(this);
   }
 
   /**
    * Get chat info (for framework compatibility)
    */
   async getChat(chatId) {
-    if (!this.botInstance || typeof this.botInstance.getChat !== 'function') {
-      throw new Error('Telegram bot instance not initialized or getChat not available');
-    }
-    return this.botInstance.getChat(chatId);
+    return this._call('getChat', chatId);
   }
 
   /**
@@ -60,11 +89,27 @@ export class TelegramAdapter {
     // Lazy import to avoid hard dependency on node-telegram-bot-api
     const TelegramBot = (await import('node-telegram-bot-api')).default;
 
-    // Create bot instance with autoStart disabled to prevent early polling
-    this.botInstance = new TelegramBot(this.botToken, {
-      polling: { interval: 3000, autoStart: false, params: { timeout: 10 } }
+    // Webhook updates are fed in through processUpdate(); polling starts in start()
+    this.botInstance = new TelegramBot(this.botToken, this.webhook ? { polling: false } : {
+      polling: {
+        interval: this.polling.interval,
+        autoStart: false,
+        params: { timeout: this.polling.timeout, allowed_updates: JSON.stringify(this.allowedUpdates) }
+      }
     });
 
+    // Polling and webhook requests both hand updates to processUpdate(), which emits
+    // them synchronously: keep the update_id for the listeners to normalize with
+    const processUpdate = this.botInstance.processUpdate.bind(this.botInstance);
+    this.botInstance.processUpdate = (update) => {
+      this.updateId = update?.update_id ?? null;
+      try {
+        return processUpdate(update);
+      } finally {
+        this.updateId = null;
+      }
+    };
+
     // Setup callback_query listener
     this.botInstance.on('callback_query', async (query) => {
       if (this.handlers.callback_query) {
@@ -72,6 +117,7 @@ export class TelegramAdapter {
         const normalized = {
           type: 'callback_query',
           id: query.id,
+          updateId: this.updateId,
           from: query.from,
           data: query.data,
           message: query.message,
@@ -83,19 +129,17 @@ export class TelegramAdapter {
     });
     // Setup polling error handler
     this.botInstance.on('polling_error', (error) => {
-      if (error.code === 'ETELEGRAM') {
-        if (error.response?.statusCode === 429) {
-          const retryAfter = error.response?.body?.parameters?.retry_after || 482;
-          console.warn(`⚠️  Rate limited (429): Retry after ${retryAfter}s`);
-          // Bot will auto-retry
-        } else if (error.response?.statusCode === 409) {
-          console.error('❌ Telegram 409 Conflict: Another bot instance is running');
-          console.error('   Kill all node processes and restart');
-        } else {
-          console.error(`Telegram error ${error.response?.statusCode}:`, error.message);
-        }
-      } else {
+      const mapped = mapBotApiError(error, 'getUpdates');
+      if (mapped.name === 'RateLimitError') {
+        console.warn(`⚠️  Rate limited (429): Retry after ${mapped.retryAfter}s`);
+        // Bot will auto-retry
+      } else if (mapped.code === 409) {
+        console.error('❌ Telegram 409 Conflict: Another bot instance is running');
+        console.error('   Kill all node processes and restart');
+      } else if (mapped.name === 'NetworkError') {
         console.error('Polling error:', error.message);
+      } else {
+        console.error(`Telegram error ${mapped.code}:`, error.message);
       }
     });
 
@@ -125,6 +169,7 @@ export class TelegramAdapter {
           },
           user: request.from,
           date: request.date,
+          updateId: this.updateId,
           raw: request
         };
         await this.handlers.chat_join_request(normalized);
@@ -140,18 +185,37 @@ export class TelegramAdapter {
   }
 
   /**
-   * Start polling (call this after initialize)
+   * Start polling, or serve the webhook and register it with Telegram (call this after initialize)
    */
   async start() {
-    if (this.botInstance) {
+    if (!this.botInstance) return;
+
+    if (!this.webhook) {
       await this.botInstance.startPolling();
+      return;
+    }
+
+    if (this.webhook.listen) {
+      await this._listen();
     }
+    await this._call('setWebHook', this.webhook.url, {
+      allowed_updates: JSON.stringify(this.allowedUpdates),
+      ...(this.webhook.secretToken && { secret_token: this.webhook.secretToken }),
+      ...(this.webhook.maxConnections && { max_connections: this.webhook.maxConnections }),
+      ...(this.webhook.dropPendingUpdates && { drop_pending_updates: true })
+    });
+    this.webhookActive = true;
   }
 
   /**
    * Shutdown Telegram Bot
    */
   async shutdown() {
+    if (this.webhook) {
+      await this._shutdownWebhook();
+      return;
+    }
+
     if (this.botInstance) {
       try {
         await this.botInstance.stopPolling();
@@ -162,11 +226,69 @@ export class TelegramAdapter {
     }
   }
 
+  /**
+   * Report whether the bot is initialized and receiving updates (used by HealthServer)
+   * @returns {Promise<Object>} { healthy, polling | webhook, reason? }
+   */
+  async healthCheck() {
+    if (this.webhook) {
+      if (!this.botInstance) {
+        return { healthy: false, webhook: false, reason: 'not initialized' };
+      }
+      return this.webhookActive
+        ? { healthy: true, webhook: true }
+        : { healthy: false, webhook: false, reason: 'webhook not set' };
+    }
+
+    if (!this.botInstance) {
+      return { healthy: false, polling: false, reason: 'not initialized' };
+    }
+    const polling = this.botInstance.isPolling?.() ?? false;
+    return polling ? { healthy: true, polling } : { healthy: false, polling, reason: 'not polling' };
+  }
+
+  /**
+   * node:http request handler for webhook updates; mount it on an existing server.
+   * Answers only POSTs to the webhook path carrying the secret token.
+   */
+  async webhookHandler(req, res) {
+    if (!this.webhook) {
+      return sendJson(res, 404, { error: 'Webhook mode is not enabled' });
+    }
+    if (req.url.split('?')[0] !== this.webhook.path) {
+      return sendJson(res, 404, { error: 'Not Found' });
+    }
+    if (req.method !== 'POST') {
+      return sendJson(res, 405, { error: 'Method Not Allowed' });
+    }
+    if (this.webhook.secretToken && !secretMatches(req.headers['x-telegram-bot-api-secret-token'], this.webhook.secretToken)) {
+      return sendJson(res, 401, { error: 'Invalid secret token' });
+    }
+
+    let update;
+    try {
+      update = await readUpdate(req, this.webhook.maxBodyBytes);
+    } catch (error) {
+      return sendJson(res, error.statusCode || 400, { error: error.message });
+    }
+    if (!this.botInstance) {
+      return sendJson(res, 503, { error: 'Bot not initialized' });
+    }
+
+    // Answer before the pipeline runs: Telegram holds back further updates until it does
+    sendJson(res, 200, { ok: true });
+    try {
+      this.botInstance.processUpdate(update);
+    } catch (error) {
+      console.error(`Error processing webhook update ${update.update_id}:`, error.message);
+    }
+  }
+
   /**
    * Send message
    */
   async sendMessage(chatId, text, options = {}) {
-    return this.botInstance.sendMessage(chatId, text, {
+    return this._call('sendMessage', chatId, text, {
       parse_mode: 'HTML',
       disable_web_page_preview: true,
       ...options
@@ -177,14 +299,14 @@ export class TelegramAdapter {
    * Delete message
    */
   async deleteMessage(chatId, messageId) {
-    return this.botInstance.deleteMessage(chatId, messageId);
+    return this._call('deleteMessage', chatId, messageId);
   }
 
   /**
    * Edit message
    */
   async editMessage(chatId, messageId, text, options = {}) {
-    return this.botInstance.editMessageText(text, {
+    return this._call('editMessageText', text, {
       chat_id: chatId,
       message_id: messageId,
       parse_mode: 'HTML',
@@ -195,23 +317,103 @@ export class TelegramAdapter {
 
   /**
    * Ban member
+   * @param {Object} options - { untilDate: Unix time in seconds (omit for forever), revokeMessages }
    */
-  async banMember(chatId, userId) {
-    return this.botInstance.banChatMember(chatId, userId);
+  async banMember(chatId, userId, options = {}) {
+    return this._call('banChatMember', chatId, userId, {
+      ...(options.untilDate && { until_date: options.untilDate }),
+      ...(options.revokeMessages !== undefined && { revoke_messages: options.revokeMessages })
+    });
   }
 
   /**
-   * Unban member
+   * Unban member. Only lifts a ban: without only_if_banned, Telegram removes
+   * a user who is still in the chat.
    */
   async unbanMember(chatId, userId) {
-    return this.botInstance.unbanChatMember(chatId, userId);
+    return this._call('unbanChatMember', chatId, userId, { only_if_banned: true });
   }
 
   /**
    * Restrict member (set permissions)
+   * @param {Object} permissions - Telegram ChatPermissions, e.g. { can_send_messages: false }
+   * @param {Object} options - { untilDate: Unix time in seconds (omit for forever) }
+   */
+  async restrictMember(chatId, userId, permissions, options = {}) {
+    return this._call('restrictChatMember', chatId, userId, {
+      // The Bot API expects permissions as a JSON-serialized object
+      permissions: typeof permissions === 'string' ? permissions : JSON.stringify(permissions),
+      ...(options.untilDate && { until_date: options.untilDate })
+    });
+  }
+
+  /**
+   * Serve webhookHandler on a standalone HTTP server
+   * @private
+   */
+  _listen() {
+    this.server = http.createServer(this.webhookHandler);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(this.webhook.port, this.webhook.host, () => resolve(this.server));
+    });
+  }
+
+  /**
+   * Delete the webhook (unless deleteOnShutdown is false) and stop the server
+   * @private
+   */
+  async _shutdownWebhook() {
+    if (this.webhookActive && this.webhook.deleteOnShutdown) {
+      try {
+        await this._call('deleteWebHook');
+      } catch (error) {
+        console.error('Error deleting webhook:', error.message);
+      }
+    }
+    this.webhookActive = false;
+
+    if (this.server) {
+      const server = this.server;
+      this.server = null;
+      await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+    }
+  }
+
+  /**
+   * Wrap every Bot API call (see Instrumentation)
+   * @param {Function} wrapper - ({ adapter, method }, next) => result of next()
    */
-  async restrictMember(chatId, userId, permissions) {
-    return this.botInstance.restrictChatMember(chatId, userId, permissions);
+  instrument(wrapper) {
+    this.instrumentation.add(wrapper);
+    return this;
+  }
+
+  /**
+   * Call a Bot API method through the instrumentation and the rate limiter,
+   * mapping failures to TelegramError subclasses
+   * @private
+   */
+  async _call(method, ...args) {
+    return this.instrumentation.run({ adapter: this, method }, async () => {
+      if (!this.botInstance || typeof this.botInstance[method] !== 'function') {
+        throw new Error(`Telegram bot instance not initialized or ${method} not available`);
+      }
+
+      const call = async () => {
+        try {
+          return await this.botInstance[method](...args);
+        } catch (error) {
+          throw mapBotApiError(error, method);
+        }
+      };
+      // The chat is the first argument of every method the per-chat limits apply to.
+      // A call still queued when its stage times out is dropped.
+      return this.rateLimiter
+        ? this.rateLimiter.schedule(call, { method, chatId: args[0], signal: currentSignal() })
+        : call();
+    });
   }
 
   /**
@@ -228,6 +430,7 @@ export class TelegramAdapter {
 
     return {
       id: msg.message_id,
+      updateId: this.updateId,
       chatId: msg.chat.id,
       chat: {
         id: msg.chat.id,
@@ -248,3 +451,91 @@ export class TelegramAdapter {
     };
   }
 }
+
+/**
+ * Fill in webhook option defaults
+ *
+ *   url                → public HTTPS URL Telegram posts updates to (required)
+ *   secretToken        → X-Telegram-Bot-Api-Secret-Token value (required; false accepts any request)
+ *   path               → path the handler answers on; defaults to the url's path
+ *   listen             → serve on a built-in node:http server (true), or only through webhookHandler
+ *   port, host         → where the built-in server listens (8443, all interfaces)
+ *   maxConnections, dropPendingUpdates → passed to setWebhook
+ *   deleteOnShutdown   → delete the webhook on shutdown (true); false for rolling deploys
+ *                        where another instance keeps receiving
+ *   maxBodyBytes       → larger requests get 413 (1 MiB)
+ */
+function normalizeWebhook(options) {
+  if (!options.url) {
+    throw new Error('webhook.url is required: the public HTTPS URL Telegram sends updates to');
+  }
+  if (options.secretToken === undefined) {
+    throw new Error('webhook.secretToken is required, or false to accept webhook requests without one');
+  }
+  if (options.secretToken !== false && !SECRET_TOKEN_PATTERN.test(options.secretToken)) {
+    throw new Error('webhook.secretToken must be 1-256 characters of A-Z, a-z, 0-9, _ and -');
+  }
+
+  return {
+    url: options.url,
+    secretToken: options.secretToken || null,
+    path: options.path || new URL(options.url).pathname,
+    listen: options.listen ?? true,
+    port: options.port ?? 8443,
+    host: options.host,
+    maxConnections: options.maxConnections,
+    dropPendingUpdates: options.dropPendingUpdates ?? false,
+    deleteOnShutdown: options.deleteOnShutdown ?? true,
+    maxBodyBytes: options.maxBodyBytes ?? 1024 * 1024
+  };
+}
+
+/**
+ * Constant-time comparison of the request's secret token header
+ */
+function secretMatches(received, expected) {
+  if (typeof received !== 'string') return false;
+  const a = Buffer.from(received);
+  const b = Buffer.from(expected);
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+/**
+ * Parse the update from the request body, or from req.body when a framework
+ * already read it
+ * @throws {Error} With statusCode 413 for oversized bodies, 400 for anything that is not an update
+ */
+async function readUpdate(req, maxBodyBytes) {
+  let body = req.body;
+
+  if (body === undefined) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+      size += chunk.length;
+      if (size > maxBodyBytes) {
+        throw Object.assign(new Error(`Request body exceeds ${maxBodyBytes} bytes`), { statusCode: 413 });
+      }
+      chunks.push(chunk);
+    }
+    body = Buffer.concat(chunks);
+  }
+
+  let update = body;
+  if (typeof body === 'string' || Buffer.isBuffer(body)) {
+    try {
+      update = JSON.parse(body.toString('utf8'));
+    } catch {
+      throw Object.assign(new Error('Request body is not valid JSON'), { statusCode: 400 });
+    }
+  }
+  if (!update || typeof update !== 'object' || !Number.isInteger(update.update_id)) {
+    throw Object.assign(new Error('Request body is not a Telegram update'), { statusCode: 400 });
+  }
+  return update;
+}
+
+function sendJson(res, statusCode, body) {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(JSON.stringify(body));
+}
@@ -0,0 +1,222 @@
+/**
+ * Telegram error types, shared by TelegramAdapter and MTProtoAdapter
+ *
+ * Both transports report failures in their own shape: node-telegram-bot-api
+ * throws ETELEGRAM errors carrying the Bot API response, GramJS throws
+ * RPCErrors named after the MTProto error code. The adapters map both onto
+ * the classes below so stages and ErrorHandler can react to what went wrong
+ * rather than to which library reported it. The original error is kept as
+ * `cause`.
+ */
+
+/**
+ * TelegramError - Base class for every mapped transport error
+ */
+export class TelegramError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { cause, method, code, description }
+   */
+  constructor(message, { cause, method, code, description } = {}) {
+    super(message);
+    this.name = 'TelegramError';
+    this.cause = cause;
+    this.method = method;
+    this.code = code;  // Bot API error_code, or the MTProto error message (e.g. 'CHAT_ADMIN_REQUIRED')
+    this.description = description;
+  }
+}
+
+/**
+ * RateLimitError - 429 Too Many Requests / FLOOD_WAIT
+ */
+export class RateLimitError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'RateLimitError';
+    this.retryAfter = details.retryAfter;  // seconds
+  }
+}
+
+/**
+ * ForbiddenError - 403, e.g. the user blocked the bot
+ */
+export class ForbiddenError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * BotKickedError - The bot was removed from the chat it tried to act in
+ */
+export class BotKickedError extends ForbiddenError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'BotKickedError';
+  }
+}
+
+/**
+ * ChatNotFoundError - The chat does not exist or is not visible to the bot
+ */
+export class ChatNotFoundError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'ChatNotFoundError';
+  }
+}
+
+/**
+ * UserNotFoundError - The user a call acts on does not exist or is not in the chat.
+ * Only that user is affected, unlike a chat the bot lost.
+ */
+export class UserNotFoundError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'UserNotFoundError';
+  }
+}
+
+/**
+ * NotEnoughRightsError - The bot lacks the admin right the call needs
+ */
+export class NotEnoughRightsError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'NotEnoughRightsError';
+  }
+}
+
+/**
+ * MessageNotModifiedError - An edit left the message unchanged
+ */
+export class MessageNotModifiedError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'MessageNotModifiedError';
+  }
+}
+
+/**
+ * NetworkError - The request never got a Telegram response
+ */
+export class NetworkError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'NetworkError';
+  }
+}
+
+/**
+ * AuthError - The bot token or user session is invalid or revoked
+ */
+export class AuthError extends TelegramError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.name = 'AuthError';
+  }
+}
+
+/**
+ * Bot API descriptions → error class, checked in order
+ */
+const BOT_API_DESCRIPTIONS = [
+  [/bot was kicked|bot is not a member|bot was removed/i, BotKickedError],
+  [/user not found/i, UserNotFoundError],
+  [/chat not found|peer_id_invalid|chat_id_invalid/i, ChatNotFoundError],
+  [/not enough rights|need administrator rights|chat_admin_required|can't remove chat owner|user is an administrator/i, NotEnoughRightsError],
+  [/message is not modified/i, MessageNotModifiedError]
+];
+
+/**
+ * MTProto error messages → error class
+ */
+const MTPROTO_ERRORS = {
+  FLOOD_WAIT: RateLimitError,
+  FLOOD_PREMIUM_WAIT: RateLimitError,
+  SLOWMODE_WAIT: RateLimitError,
+  USER_BLOCKED: ForbiddenError,
+  USER_IS_BLOCKED: ForbiddenError,
+  USER_PRIVACY_RESTRICTED: ForbiddenError,
+  CHAT_WRITE_FORBIDDEN: ForbiddenError,
+  CHANNEL_PRIVATE: BotKickedError,
+  USER_NOT_PARTICIPANT: UserNotFoundError,
+  CHAT_ID_INVALID: ChatNotFoundError,
+  CHANNEL_INVALID: ChatNotFoundError,
+  PEER_ID_INVALID: ChatNotFoundError,
+  CHAT_ADMIN_REQUIRED: NotEnoughRightsError,
+  USER_ADMIN_INVALID: NotEnoughRightsError,
+  RIGHT_FORBIDDEN: NotEnoughRightsError,
+  MESSAGE_NOT_MODIFIED: MessageNotModifiedError,
+  AUTH_KEY_UNREGISTERED: AuthError,
+  AUTH_KEY_INVALID: AuthError,
+  SESSION_REVOKED: AuthError,
+  SESSION_EXPIRED: AuthError,
+  USER_DEACTIVATED: AuthError
+};
+
+/**
+ * Map a node-telegram-bot-api error to a TelegramError subclass
+ * @param {Error} error - Error thrown by node-telegram-bot-api
+ * @param {string} method - Bot API method that failed (e.g. 'banChatMember')
+ * @returns {TelegramError}
+ */
+export function mapBotApiError(error, method) {
+  if (error instanceof TelegramError) return error;
+
+  const body = error?.response?.body;
+  const statusCode = body?.error_code ?? error?.response?.statusCode;
+  const description = body?.description ?? error?.message ?? String(error);
+  const details = { cause: error, method, code: statusCode, description };
+
+  if (error?.code === 'EFATAL' || (!statusCode && error?.code !== 'ETELEGRAM')) {
+    return new NetworkError(error?.message ?? description, details);
+  }
+
+  let ErrorClass;
+  if (statusCode === 429) {
+    ErrorClass = RateLimitError;
+    details.retryAfter = body?.parameters?.retry_after;
+  } else if (statusCode === 401 || (statusCode === 404 && /^Not Found$/i.test(description))) {
+    // An invalid token gets 401 Unauthorized, or 404 Not Found for the whole URL
+    ErrorClass = AuthError;
+  } else {
+    ErrorClass = BOT_API_DESCRIPTIONS.find(([pattern]) => pattern.test(description))?.[1]
+      ?? (statusCode === 403 ? ForbiddenError : TelegramError);
+  }
+
+  return new ErrorClass(error.message ?? description, details);
+}
+
+/**
+ * Map a GramJS error to a TelegramError subclass
+ * @param {Error} error - Error thrown by the GramJS client
+ * @param {string} method - Adapter method that failed (e.g. 'banMember')
+ * @param {string} summary - Human-readable prefix for the message (e.g. 'Failed to ban member')
+ * @returns {TelegramError}
+ */
+export function mapMTProtoError(error, method, summary = `${method} failed`) {
+  if (error instanceof TelegramError) return error;
+
+  const rpcMessage = error?.errorMessage;
+  const message = `${summary}: ${error?.message ?? String(error)}`;
+  const details = { cause: error, method, code: rpcMessage, description: error?.message };
+
+  // FloodWaitError and friends carry code 420 with the wait in `seconds`
+  if (error?.code === 420 || /FloodWait|FloodPremiumWait|SlowModeWait/.test(error?.constructor?.name ?? '')) {
+    return new RateLimitError(message, { ...details, retryAfter: error.seconds });
+  }
+
+  const ErrorClass = MTPROTO_ERRORS[rpcMessage];
+  if (ErrorClass) {
+    return new ErrorClass(message, details);
+  }
+
+  if (!rpcMessage && /timeout|ECONNRESET|ECONNREFUSED|ETIMEDOUT|disconnected|not connected/i.test(error?.message ?? '')) {
+    return new NetworkError(message, details);
+  }
+
+  return new TelegramError(message, details);
+}
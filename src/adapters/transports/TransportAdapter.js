@@ -64,6 +64,16 @@ export class TransportAdapter {
     });
   }
 
+  /**
+   * Wrap the API calls of every adapter that supports instrument();
+   * the wrapper's info.adapter tells them apart
+   * @param {Function} wrapper - ({ adapter, method }, next) => result of next()
+   */
+  instrument(wrapper) {
+    this.adapters.forEach(adapter => adapter?.instrument?.(wrapper));
+    return this;
+  }
+
   /**
    * Shutdown all adapters
    */
@@ -76,6 +86,26 @@ export class TransportAdapter {
     }
   }
 
+  /**
+   * Combine the health of all adapters; adapters without healthCheck() count as healthy
+   * @returns {Promise<Object>} { healthy, adapters: { [name]: result } }
+   */
+  async healthCheck() {
+    const adapters = {};
+    for (const adapter of this.adapters) {
+      if (typeof adapter.healthCheck !== 'function') continue;
+      try {
+        adapters[adapter.name] = await adapter.healthCheck();
+      } catch (error) {
+        adapters[adapter.name] = { healthy: false, error: error.message };
+      }
+    }
+    return {
+      healthy: Object.values(adapters).every(result => result.healthy),
+      adapters
+    };
+  }
+
   /**
    * Send message - uses first adapter by default
    */
@@ -133,12 +163,12 @@ export class TransportAdapter {
   /**
    * Ban a member
    */
-  async banMember(chatId, userId) {
+  async banMember(chatId, userId, options = {}) {
     const adapter = this.adapters.find(a => typeof a.banMember === 'function');
     if (!adapter) {
       throw new Error('No adapter with banMember method available');
     }
-    return adapter.banMember(chatId, userId);
+    return adapter.banMember(chatId, userId, options);
   }
 
   /**
@@ -155,12 +185,12 @@ export class TransportAdapter {
   /**
    * Restrict a member
    */
-  async restrictMember(chatId, userId, permissions) {
+  async restrictMember(chatId, userId, permissions, options = {}) {
     const adapter = this.adapters.find(a => typeof a.restrictMember === 'function');
     if (!adapter) {
       throw new Error('No adapter with restrictMember method available');
     }
-    return adapter.restrictMember(chatId, userId, permissions);
+    return adapter.restrictMember(chatId, userId, permissions, options);
   }
 
   /**
@@ -1,3 +1,18 @@
 export { MTProtoAdapter } from './MTProtoAdapter.js';
 export { TelegramAdapter } from './TelegramAdapter.js';
 export { TransportAdapter } from './TransportAdapter.js';
+export { RateLimiter, createRateLimiter, TELEGRAM_RATE_LIMITS } from './RateLimiter.js';
+export {
+  TelegramError,
+  RateLimitError,
+  ForbiddenError,
+  BotKickedError,
+  ChatNotFoundError,
+  UserNotFoundError,
+  NotEnoughRightsError,
+  MessageNotModifiedError,
+  NetworkError,
+  AuthError,
+  mapBotApiError,
+  mapMTProtoError
+} from './TelegramErrors.js';
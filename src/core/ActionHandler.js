@@ -1,3 +1,7 @@
+import { compileSchema, validatePayload } from './schema.js';
+import { dispatchOrdered, summarizeOutcomes } from './dispatch.js';
+import { Instrumentation } from './Instrumentation.js';
+
 /**
  * ActionHandler - Process and dispatch actions from middleware
  * 
@@ -15,12 +19,33 @@
  * actionHandler.register('notify_admin', async (data, context) => {
  *   await context.bot.sendMessage(ADMIN_CHAT_ID, `Alert: ${data.reason}`);
  * });
+ *
+ * // A schema rejects bad payloads with a ValidationError before the handler runs
+ * actionHandler.register('ban_user', banUser, {
+ *   schema: { chatId: 'id', userId: 'id', reason: 'string?' }
+ * });
+ *
+ * // Middleware runs around handlers, for policies shared by many actions
+ * actionHandler.use(['ban_user', 'kick_user'], async (action, data, context, next) => {
+ *   if (await isChatAdmin(context, data.userId)) return;  // not calling next() skips the action
+ *   return next();
+ * });
  */
 
 export class ActionHandler {
-  constructor(logger) {
+  /**
+   * @param {Object} logger
+   * @param {Object} options - { concurrency: 1 } — default max actions handleAll runs at once
+   */
+  constructor(logger, options = {}) {
     this.logger = logger;
+    this.concurrency = options.concurrency ?? 1;
     this.handlers = {};
+    this.schemas = {};  // actionType → compiled schema, see schema.js
+    this.dispatchDefaults = {};  // actionType → { priority, group } from register()
+    this.inverses = {};  // actionType → { action, data } or { handler }, see undo()
+    this.middleware = [];  // [{ types: string[] | null, fn }], in registration order
+    this.instrumentation = new Instrumentation();  // Wrappers around each action handleAll runs, see instrument()
     this.stats = {
       total: 0,
       byAction: {},
@@ -32,38 +57,161 @@ export class ActionHandler {
    * Register handler for an action type
    * @param {string} actionType - Action name (e.g., 'notify_admin')
    * @param {Function} handler - async (data, context) => void
+   * @param {Object} options - { schema: { [field]: 'type' | 'type?' | { type, required, enum, check } } },
+   *   checked before the handler runs; a failing payload throws a ValidationError.
+   *   { priority, group } are the defaults for handleAll when an action does not set its own.
+   *   { inverse } undoes the action: an action name ('unban_user'), { action, data: (data) => inverseData },
+   *   or async (data, context) => void
    */
-  register(actionType, handler) {
+  register(actionType, handler, options = {}) {
     if (typeof handler !== 'function') {
       throw new Error(`Handler for action "${actionType}" must be a function`);
     }
+    const inverse = options.inverse ? normalizeInverse(options.inverse, actionType) : null;
 
+    if (options.schema) {
+      this.schemas[actionType] = compileSchema(options.schema, actionType);
+    } else {
+      delete this.schemas[actionType];
+    }
+    if (inverse) {
+      this.inverses[actionType] = inverse;
+    } else {
+      delete this.inverses[actionType];
+    }
+    const { priority, group } = options;
+    this.dispatchDefaults[actionType] = { priority, group };
     this.handlers[actionType] = handler;
     this.logger?.debug(`Action handler registered: ${actionType}`);
   }
 
   /**
-   * Process an action
+   * Check a payload against the schema registered for its action; no schema passes anything
    * @param {string} actionType - Action type
    * @param {Object} data - Action data
+   * @throws {ValidationError} When a field is missing, of the wrong type or not in its enum
+   */
+  validate(actionType, data) {
+    const schema = this.schemas[actionType];
+    if (schema) {
+      validatePayload(schema, actionType, data);
+    }
+  }
+
+  /**
+   * Compiled schema of an action, or null when it has none
+   */
+  getSchema(actionType) {
+    return this.schemas[actionType] || null;
+  }
+
+  /**
+   * The action that undoes an action, with the data it would run with
+   * @param {string} actionType - Action to undo
+   * @param {Object} data - Data the action ran with
+   * @returns {Object|null} { action, data } — action is 'undo:<actionType>' for inverse functions;
+   *   null when the action has no inverse
+   */
+  getInverse(actionType, data = {}) {
+    const inverse = Object.prototype.hasOwnProperty.call(this.inverses, actionType) && this.inverses[actionType];
+    if (!inverse) {
+      return null;
+    }
+    return {
+      action: inverse.action ?? `undo:${actionType}`,
+      data: inverse.data ? inverse.data(data) : data
+    };
+  }
+
+  /**
+   * Undo an action by running its inverse. An inverse action goes through
+   * middleware and its schema like any action; an inverse function is called directly.
+   * @param {string} actionType - Action to undo
+   * @param {Object} data - Data the action ran with (e.g. from the AuditLog)
    * @param {Object} context - Bot context
-   * @returns {Promise<boolean>} True if handled, false if no handler
+   * @returns {Promise<Object>} { action, data, status: 'handled' | 'unhandled' | 'skipped' }
+   * @throws When the action has no inverse, or the inverse fails
    */
-  async handle(actionType, data = {}, context) {
-    if (!actionType) {
-      return false;
+  async undo(actionType, data = {}, context) {
+    const inverse = this.getInverse(actionType, data);
+    if (!inverse) {
+      throw new Error(`No inverse registered for action "${actionType}"`);
     }
 
-    const handler = this.handlers[actionType];
+    const { handler } = this.inverses[actionType];
     if (!handler) {
-      this.logger?.warn(`No handler registered for action: ${actionType}`);
-      return false;
+      return { ...inverse, status: await this._dispatch(inverse.action, inverse.data, context) };
     }
 
     try {
-      await handler(data, context);
-      this.updateStats(actionType);
-      return true;
+      await handler(inverse.data, context);
+    } catch (error) {
+      this.logger?.error(`Inverse of action "${actionType}" failed:`, error);
+      this.stats.failed++;
+      throw error;
+    }
+    this.updateStats(inverse.action);
+    return { ...inverse, status: 'handled' };
+  }
+
+  /**
+   * Add middleware that runs before the handler of every action, or of the
+   * given action types. Middleware runs in registration order.
+   *
+   *   next()              → continue with the same action and data
+   *   next(action, data)  → continue with a rewritten action (e.g. ban → restrict)
+   *   not calling next    → skip the action; handleAll reports it as 'skipped'
+   *   throwing            → fail the action, like a failing handler
+   *
+   * @param {string|string[]|Function} types - Action types the middleware applies to; omit for all
+   * @param {Function} middleware - async (action, data, context, next) => result of next()
+   * @returns {ActionHandler} this, for chaining
+   */
+  use(types, middleware) {
+    if (typeof types === 'function') {
+      [types, middleware] = [null, types];
+    }
+    if (typeof middleware !== 'function') {
+      throw new Error('Action middleware must be a function');
+    }
+
+    this.middleware.push({ types: types == null ? null : [].concat(types), fn: middleware });
+    return this;
+  }
+
+  /**
+   * Wrap every action handleAll() runs, hooks included (see Instrumentation)
+   * @param {Function} wrapper - ({ entry, context }, next) => outcome from next()
+   * @returns {ActionHandler} this, for chaining
+   */
+  instrument(wrapper) {
+    this.instrumentation.add(wrapper);
+    return this;
+  }
+
+  /**
+   * Process an action
+   * @param {string} actionType - Action type
+   * @param {Object} data - Action data
+   * @param {Object} context - Bot context
+   * @returns {Promise<boolean>} True if handled, false if no handler or middleware skipped it
+   */
+  async handle(actionType, data = {}, context) {
+    return (await this._dispatch(actionType, data, context)) === 'handled';
+  }
+
+  /**
+   * Run an action through the middleware chain and its handler
+   * @private
+   * @returns {Promise<string>} 'handled' | 'unhandled' | 'skipped'
+   */
+  async _dispatch(actionType, data = {}, context) {
+    if (!actionType) {
+      return 'unhandled';
+    }
+
+    try {
+      return await this._runMiddleware(0, actionType, data, context);
     } catch (error) {
       this.logger?.error(`Action handler failed for "${actionType}":`, error);
       this.stats.failed++;
@@ -72,24 +220,125 @@ export class ActionHandler {
   }
 
   /**
-   * Process multiple actions from a message
-   * @param {Array} actions - Array of { action, data } objects
+   * Run middleware from index on, ending with the handler. Each middleware
+   * is matched against the action type it receives, so a rewritten action
+   * meets the middleware of its new type.
+   * @private
+   */
+  async _runMiddleware(index, actionType, data, context) {
+    for (let i = index; i < this.middleware.length; i++) {
+      const { types, fn } = this.middleware[i];
+      if (types && !types.includes(actionType)) continue;
+
+      let outcome = 'skipped';
+      let called = false;
+      const next = async (nextType = actionType, nextData = data) => {
+        if (called) {
+          throw new Error(`Action middleware called next() more than once for "${actionType}"`);
+        }
+        called = true;
+        outcome = await this._runMiddleware(i + 1, nextType, nextData, context);
+        return outcome === 'handled';
+      };
+
+      await fn(actionType, data, context, next);
+      if (!called) {
+        this.logger?.debug(`Action skipped by middleware: ${actionType}`);
+      }
+      return outcome;
+    }
+
+    const handler = this.handlers[actionType];
+    if (!handler) {
+      this.logger?.warn(`No handler registered for action: ${actionType}`);
+      return 'unhandled';
+    }
+
+    // Validated last, so a payload rewritten by middleware meets the schema of its final type
+    this.validate(actionType, data);
+    await handler(data, context);
+    this.updateStats(actionType);
+    return 'handled';
+  }
+
+  /**
+   * Process multiple actions from a message. Up to `concurrency` actions run at
+   * once; higher priority actions start first, and actions sharing a group run
+   * one at a time in declared order. Failures do not stop the other actions.
+   * Actions with runAt fail: only BotEngine hands them to its ActionScheduler.
+   * @param {Array} actions - Array of { action, data, priority?, group? } objects
    * @param {Object} context - Bot context
-   * @returns {Promise<void>}
+   * @param {Object} options - { hooks, message } to emit before/after/error:action,
+   *   { concurrency } to override the handler's default
+   * @returns {Promise<Object>} { results, succeeded, failed, skipped, unhandled }: results has one
+   *   outcome per action in declared order, { action, data, stage, status, error? } with status
+   *   'handled' | 'unhandled' | 'skipped' | 'failed'; the other lists group the outcomes by status
    */
-  async handleAll(actions = [], context) {
+  async handleAll(actions = [], context, options = {}) {
     if (!Array.isArray(actions)) {
-      return;
+      return summarizeOutcomes([]);
     }
 
-    for (const { action, data } of actions) {
-      try {
-        await this.handle(action, data, context);
-      } catch (error) {
-        // Log but continue processing other actions
-        this.logger?.error(`Failed to handle action "${action}":`, error.message);
+    const { hooks, message, concurrency = this.concurrency } = options;
+    const ordered = actions.map(entry => ({ entry, ...this.getDispatchOrder(entry) }));
+
+    const results = await dispatchOrdered(ordered, concurrency, ({ entry }) => (
+      this.instrumentation.run({ entry, context }, () => this._handleEntry(entry, context, hooks, message))
+    ));
+    return summarizeOutcomes(results);
+  }
+
+  /**
+   * Priority and ordering group of an action: its own, or the defaults registered for its type
+   * @param {Object} entry - { action, priority?, group? }
+   * @returns {Object} { priority, group }
+   */
+  getDispatchOrder(entry) {
+    const defaults = Object.prototype.hasOwnProperty.call(this.dispatchDefaults, entry.action)
+      ? this.dispatchDefaults[entry.action]
+      : {};
+    return {
+      priority: entry.priority ?? defaults.priority ?? 0,
+      group: entry.group ?? defaults.group ?? null
+    };
+  }
+
+  /**
+   * Run one action of handleAll, emitting its hooks
+   * @private
+   * @returns {Promise<Object>} { action, data, stage, status, error? }
+   */
+  async _handleEntry(entry, context, hooks, message) {
+    const { action, data } = entry;
+    const outcome = { action, data, stage: entry.stage, status: 'handled' };
+
+    try {
+      if (hooks) {
+        await hooks.emit('before:action', { message, action: entry, context });
+      }
+
+      if (entry.runAt != null) {
+        throw new Error(`Action "${action}" has runAt; delayed actions need a BotEngine with a scheduler`);
+      }
+      outcome.status = await this._dispatch(action, data, context);
+
+      if (hooks) {
+        await hooks.emit('after:action', {
+          message, action: entry, handled: outcome.status === 'handled', status: outcome.status, context
+        });
+      }
+    } catch (error) {
+      // Log but continue processing other actions
+      this.logger?.error(`Failed to handle action "${action}":`, error.message);
+      outcome.status = 'failed';
+      outcome.error = error;
+
+      if (hooks) {
+        await hooks.emit('error:action', { message, action: entry, error, context });
       }
     }
+
+    return outcome;
   }
 
   /**
@@ -120,6 +369,9 @@ export class ActionHandler {
    */
   clear() {
     this.handlers = {};
+    this.schemas = {};
+    this.dispatchDefaults = {};
+    this.inverses = {};
     this.logger?.debug('All action handlers cleared');
   }
 
@@ -131,18 +383,56 @@ export class ActionHandler {
   }
 }
 
+/**
+ * register() inverse option as { action, data } or { handler }
+ */
+function normalizeInverse(inverse, actionType) {
+  if (typeof inverse === 'string') {
+    return { action: inverse };
+  }
+  if (typeof inverse === 'function') {
+    return { handler: inverse };
+  }
+  if (typeof inverse?.action === 'string' && (inverse.data === undefined || typeof inverse.data === 'function')) {
+    return { action: inverse.action, data: inverse.data };
+  }
+  throw new Error(`Inverse of action "${actionType}" must be an action name, { action, data: (data) => data } or a function`);
+}
+
 /**
  * Create action from middleware result
  * @param {string} action - Action type
  * @param {Object} data - Action data
+ * @param {Object} options - { runAt: Date | ms | ISO string, delay: ms, key } to run it later
+ *   through BotEngine's ActionScheduler; key lets it be replaced or cancelled.
+ *   { priority, group } order it against the other actions of the message, see handleAll()
  * @returns {Object}
  */
-export function createAction(action, data = {}) {
-  return { action, data, timestamp: Date.now() };
+export function createAction(action, data = {}, options = {}) {
+  const timestamp = Date.now();
+  const created = { action, data, timestamp };
+
+  if (options.runAt != null) {
+    created.runAt = options.runAt;
+  } else if (options.delay != null) {
+    created.runAt = timestamp + options.delay;
+  }
+  if (options.key != null) {
+    created.key = options.key;
+  }
+  if (options.priority != null) {
+    created.priority = options.priority;
+  }
+  if (options.group != null) {
+    created.group = options.group;
+  }
+
+  return created;
 }
 
 /**
- * Helper: Create middleware that processes actions
+ * Helper: Create middleware that processes actions. Actions with runAt or
+ * delay fail here; declare them from stages run by a BotEngine with a scheduler.
  * @param {ActionHandler} actionHandler - ActionHandler instance
  * @returns {Function} Middleware function
  */
@@ -0,0 +1,280 @@
+import { JobWorker, MemoryJobStore, PostgreSQLJobStore, serializeMessage, parseJson, toIso } from './persistence.js';
+import { dispatchOrdered } from './dispatch.js';
+
+/**
+ * ActionOutbox - Persists declared actions before they run, for at-least-once delivery
+ *
+ * With an outbox, BotEngine writes the pipeline's actions to the store before
+ * dispatching them. Each entry has an idempotency key derived from the update
+ * and the stage that declared it, so reprocessing the same update (a redelivery
+ * after a crash, a dead-letter replay) does not queue the same action twice.
+ *
+ * Entries are dispatched inline right after they are written. Entries that
+ * fail are retried by a worker with backoff; entries whose process died
+ * mid-dispatch are picked up by the worker once their lease expires. The
+ * worker, retries and leases are JobWorker's, shared with ActionScheduler.
+ *
+ * Entry status: pending → processing → done | skipped | failed
+ *
+ * Storage is pluggable: MemoryOutboxStore (default) or PostgreSQLOutboxStore,
+ * or any object implementing the same methods.
+ *
+ * @example
+ * const store = new PostgreSQLOutboxStore(db);
+ * await store.ensureSchema();
+ * const engine = new BotEngine(adapter, { pipeline, actionHandler, outbox: new ActionOutbox(store) });
+ *
+ * // Handlers can pass context.idempotencyKey to services that deduplicate
+ */
+export class ActionOutbox extends JobWorker {
+  /**
+   * @param {Object} store - MemoryOutboxStore, PostgreSQLOutboxStore or compatible
+   * @param {Object} options - { maxAttempts: 5, backoff: 'exponential', backoffMs: 1000, factor, maxDelayMs: 60000,
+   *                             jitter, pollIntervalMs: 1000, batchSize: 10, leaseMs: 30000, logger }
+   */
+  constructor(store = new MemoryOutboxStore(), options = {}) {
+    super(store, options, {
+      name: 'ActionOutbox',
+      dueField: 'nextAttemptAt',
+      statusField: 'outboxStatus',
+      maxAttempts: 5,
+      backoffMs: 1000,
+      maxDelayMs: 60000
+    });
+  }
+
+  /**
+   * Write the actions of one update to the store, claimed for inline dispatch.
+   * Actions whose idempotency key is already stored are returned with duplicate: true.
+   * @param {Object} message - Normalized message
+   * @param {Array} actions - [{ action, data, stage }] from the pipeline result
+   * @param {Object} options - { scope: bot clientId, correlationId: fallback for messages without an ID }
+   * @returns {Promise<Array>} One entry per action, in order
+   */
+  async add(message, actions, options = {}) {
+    const now = Date.now();
+    const stored = serializeMessage(message);
+    const seen = new Map();
+    const entries = [];
+
+    for (const { action, data, stage } of actions) {
+      const occurrence = `${stage ?? ''}:${action}`;
+      seen.set(occurrence, (seen.get(occurrence) ?? 0) + 1);
+      const key = idempotencyKey(message, action, stage, seen.get(occurrence), options);
+
+      const entry = await this.store.insert({
+        key,
+        action,
+        data: data === undefined ? null : JSON.parse(JSON.stringify(data)),
+        stage: stage ?? null,
+        message: stored,
+        status: 'processing',
+        attempts: 0,
+        nextAttemptAt: new Date(now).toISOString(),
+        lockedUntil: new Date(now + this.leaseMs).toISOString(),
+        lastError: null,
+        createdAt: new Date(now).toISOString(),
+        completedAt: null
+      });
+
+      if (entry) {
+        entries.push(entry);
+      } else {
+        this.logger?.debug({ key, action }, 'ActionOutbox: duplicate action skipped');
+        entries.push({ ...(await this.store.getByKey(key)), duplicate: true });
+      }
+    }
+
+    return entries;
+  }
+
+  /**
+   * Dispatch entries returned by add(). Duplicates are not dispatched.
+   * Entries with priority and group are ordered like ActionHandler.handleAll() orders actions.
+   * @param {Array} entries - Entries from add()
+   * @param {Object} context - Pipeline context of the update
+   * @param {Object} options - { concurrency: 1 } — max entries dispatched at once
+   * @returns {Promise<Array>} One outcome per entry, in order: { id, key, action, data, stage, status, error, outboxStatus }
+   */
+  async dispatch(entries, context, options = {}) {
+    return dispatchOrdered(entries, options.concurrency ?? 1, (entry) => {
+      if (entry.duplicate) {
+        return {
+          id: entry.id, key: entry.key, action: entry.action, data: entry.data, stage: entry.stage,
+          status: 'duplicate', outboxStatus: entry.status
+        };
+      }
+      return this._run(entry, context);
+    });
+  }
+
+  /**
+   * Get the entry stored under an idempotency key
+   * @returns {Promise<Object|null>}
+   */
+  async getByKey(key) {
+    return this.store.getByKey(key);
+  }
+
+  /**
+   * Queue a failed entry for another round of attempts
+   * @param {*} id - Entry ID
+   * @returns {Promise<Object>} Updated entry
+   */
+  async retry(id) {
+    const entry = await this.store.get(id);
+    if (!entry) {
+      throw new Error(`Outbox entry not found: ${id}`);
+    }
+    if (entry.status !== 'failed') {
+      throw new Error(`Outbox entry ${id} is ${entry.status}, only failed entries can be retried`);
+    }
+
+    const fields = { status: 'pending', attempts: 0, nextAttemptAt: new Date().toISOString(), lockedUntil: null };
+    await this.store.update(id, fields);
+    return { ...entry, ...fields };
+  }
+}
+
+/**
+ * MemoryOutboxStore - In-process store, lost on restart; for tests and development
+ */
+export class MemoryOutboxStore extends MemoryJobStore {
+  constructor() {
+    super('nextAttemptAt');
+    this.keys = new Map();
+  }
+
+  async insert(entry) {
+    if (this.keys.has(entry.key)) {
+      return null;
+    }
+    const stored = await super.insert(entry);
+    this.keys.set(stored.key, stored.id);
+    return stored;
+  }
+
+  async getByKey(key) {
+    return this.get(this.keys.get(key));
+  }
+
+  _delete(entry) {
+    super._delete(entry);
+    this.keys.delete(entry.key);
+  }
+}
+
+/**
+ * PostgreSQLOutboxStore - Persists entries through a PostgreSQLAdapter
+ *
+ * The idempotency key is a UNIQUE column, so concurrent writers of the same
+ * update keep a single entry. Workers claim rows with FOR UPDATE SKIP LOCKED,
+ * so several processes can share one table.
+ *
+ * Call ensureSchema() once at startup to create the table.
+ */
+export class PostgreSQLOutboxStore extends PostgreSQLJobStore {
+  /**
+   * @param {PostgreSQLAdapter} db - Connected database adapter
+   * @param {Object} options - { table: 'action_outbox' }
+   */
+  constructor(db, options = {}) {
+    super(db, options.table || 'action_outbox', { field: 'nextAttemptAt', column: 'next_attempt_at' });
+  }
+
+  async ensureSchema() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id SERIAL PRIMARY KEY,
+        idempotency_key TEXT NOT NULL UNIQUE,
+        action TEXT NOT NULL,
+        data JSONB,
+        stage TEXT,
+        message JSONB NOT NULL,
+        status TEXT NOT NULL DEFAULT 'pending',
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        locked_until TIMESTAMPTZ,
+        last_error JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMPTZ
+      )
+    `);
+    await this.db.query(
+      `CREATE INDEX IF NOT EXISTS ${this.table.replace(/\./g, '_')}_due_idx ON ${this.table} (status, next_attempt_at)`
+    );
+  }
+
+  async insert(entry) {
+    const row = await this.db.queryOne(
+      `INSERT INTO ${this.table}
+         (idempotency_key, action, data, stage, message, status, attempts, next_attempt_at, locked_until, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       ON CONFLICT (idempotency_key) DO NOTHING
+       RETURNING *`,
+      [
+        entry.key, entry.action, JSON.stringify(entry.data), entry.stage, JSON.stringify(entry.message),
+        entry.status, entry.attempts, entry.nextAttemptAt, entry.lockedUntil, entry.createdAt
+      ]
+    );
+    return row ? this._fromRow(row) : null;
+  }
+
+  async getByKey(key) {
+    const row = await this.db.queryOne(`SELECT * FROM ${this.table} WHERE idempotency_key = $1`, [key]);
+    return row ? this._fromRow(row) : null;
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      id: row.id,
+      key: row.idempotency_key,
+      action: row.action,
+      data: parseJson(row.data),
+      stage: row.stage,
+      message: parseJson(row.message),
+      status: row.status,
+      attempts: row.attempts,
+      nextAttemptAt: toIso(row.next_attempt_at),
+      lockedUntil: toIso(row.locked_until),
+      lastError: parseJson(row.last_error),
+      createdAt: toIso(row.created_at),
+      completedAt: toIso(row.completed_at)
+    };
+  }
+}
+
+/**
+ * Idempotency key of one action: the same update, stage and action always
+ * give the same key. The n-th identical action of a stage is told apart by #n.
+ */
+function idempotencyKey(message, action, stage, occurrence, options) {
+  return [
+    options.scope ?? 'default',
+    message.source ?? '',
+    message.chat?.id ?? message.chatId ?? '',
+    message.from?.id ?? message.user?.id ?? '',
+    updateKey(message, options),
+    stage ?? '',
+    `${action}#${occurrence}`
+  ].join(':');
+}
+
+/**
+ * The update part of an idempotency key: the Telegram update_id where the
+ * adapter provides it, else the message ID. An edited message keeps its
+ * message ID, so its edit date is added to tell each edit from the original.
+ */
+function updateKey(message, options) {
+  if (message.updateId !== undefined && message.updateId !== null) {
+    return message.updateId;
+  }
+  if (message.id !== undefined && message.id !== null) {
+    const editDate = message.raw?.edit_date ?? message.raw?.editDate;
+    return editDate ? `${message.id}@${editDate}` : message.id;
+  }
+  return message.raw?.date ?? options.correlationId;
+}
@@ -0,0 +1,215 @@
+import { JobWorker, MemoryJobStore, PostgreSQLJobStore, serializeMessage, parseJson, toIso } from './persistence.js';
+
+/**
+ * ActionScheduler - Runs actions later: lift a mute in 24h, delete a welcome
+ * message after 60s, kick an unverified member after 5 minutes
+ *
+ * Stages declare delayed actions with runAt or delay; BotEngine hands them to
+ * the scheduler instead of dispatching them. A worker polls the store and
+ * dispatches due jobs through the engine's ActionHandler. Jobs live in the
+ * store, so they survive restarts. The worker, retries and leases are
+ * JobWorker's, shared with ActionOutbox.
+ *
+ * A job can carry a key. Scheduling a key again replaces its pending job, and
+ * cancel(key) drops it — e.g. cancel the kick once the captcha is solved.
+ *
+ * Job status: pending → processing → done | skipped | failed, or cancelled
+ *
+ * Storage is pluggable: MemorySchedulerStore (default) or
+ * PostgreSQLSchedulerStore, or any object implementing the same methods.
+ *
+ * @example
+ * // In a stage
+ * return createAction('kick_user', { chatId, userId }, { delay: 5 * 60 * 1000, key: `captcha:${chatId}:${userId}` });
+ *
+ * // When the captcha is solved
+ * await context.scheduler.cancel(`captcha:${chatId}:${userId}`);
+ */
+export class ActionScheduler extends JobWorker {
+  /**
+   * @param {Object} store - MemorySchedulerStore, PostgreSQLSchedulerStore or compatible
+   * @param {Object} options - { maxAttempts: 3, backoff: 'exponential', backoffMs: 5000, factor, maxDelayMs: 300000,
+   *                             jitter, pollIntervalMs: 1000, batchSize: 10, leaseMs: 30000, logger }
+   */
+  constructor(store = new MemorySchedulerStore(), options = {}) {
+    super(store, options, {
+      name: 'ActionScheduler',
+      dueField: 'runAt',
+      statusField: 'jobStatus',
+      maxAttempts: 3,
+      backoffMs: 5000,
+      maxDelayMs: 300000
+    });
+  }
+
+  /**
+   * Schedule an action
+   * @param {string} action - Action type, as registered on the ActionHandler
+   * @param {Object} data - Action data; must be JSON-serializable
+   * @param {Object} options - { runAt: Date | ms | ISO string, delay: ms, key, message,
+   *   stage: name of the stage that declared it, passed on when the job runs }
+   * @returns {Promise<Object>} Stored job
+   */
+  async schedule(action, data = {}, options = {}) {
+    const runAt = resolveRunAt(options);
+
+    if (options.key != null) {
+      const replaced = await this.store.cancel(String(options.key));
+      if (replaced > 0) {
+        this.logger?.debug({ key: options.key, action }, 'ActionScheduler: replaced pending job');
+      }
+    }
+
+    const job = await this.store.insert({
+      key: options.key != null ? String(options.key) : null,
+      action,
+      data: JSON.parse(JSON.stringify(data ?? {})),
+      stage: options.stage ?? null,
+      message: options.message ? serializeMessage(options.message) : null,
+      status: 'pending',
+      runAt: new Date(runAt).toISOString(),
+      attempts: 0,
+      lockedUntil: null,
+      lastError: null,
+      createdAt: new Date().toISOString(),
+      completedAt: null
+    });
+
+    this.logger?.debug({ id: job.id, key: job.key, action, runAt: job.runAt }, `ActionScheduler: scheduled "${action}"`);
+    return job;
+  }
+
+  /**
+   * Cancel the pending job with a key
+   * @returns {Promise<number>} Number of jobs cancelled (0 when none was pending)
+   */
+  async cancel(key) {
+    return this.store.cancel(String(key));
+  }
+}
+
+/**
+ * MemorySchedulerStore - In-process store, lost on restart; for tests and development
+ */
+export class MemorySchedulerStore extends MemoryJobStore {
+  constructor() {
+    super('runAt');
+  }
+
+  async cancel(key) {
+    let count = 0;
+    for (const job of this.items.values()) {
+      if (job.key === key && job.status === 'pending') {
+        job.status = 'cancelled';
+        count++;
+      }
+    }
+    return count;
+  }
+}
+
+/**
+ * PostgreSQLSchedulerStore - Persists jobs through a PostgreSQLAdapter
+ *
+ * Workers claim due rows with FOR UPDATE SKIP LOCKED, so several processes
+ * can share one table.
+ *
+ * Call ensureSchema() once at startup to create the table.
+ */
+export class PostgreSQLSchedulerStore extends PostgreSQLJobStore {
+  /**
+   * @param {PostgreSQLAdapter} db - Connected database adapter
+   * @param {Object} options - { table: 'scheduled_actions' }
+   */
+  constructor(db, options = {}) {
+    super(db, options.table || 'scheduled_actions', { field: 'runAt', column: 'run_at' });
+  }
+
+  async ensureSchema() {
+    const index = this.table.replace(/\./g, '_');
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id SERIAL PRIMARY KEY,
+        job_key TEXT,
+        action TEXT NOT NULL,
+        data JSONB,
+        stage TEXT,
+        message JSONB,
+        status TEXT NOT NULL DEFAULT 'pending',
+        run_at TIMESTAMPTZ NOT NULL,
+        attempts INTEGER NOT NULL DEFAULT 0,
+        locked_until TIMESTAMPTZ,
+        last_error JSONB,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        completed_at TIMESTAMPTZ
+      )
+    `);
+    await this.db.query(`CREATE INDEX IF NOT EXISTS ${index}_due_idx ON ${this.table} (status, run_at)`);
+    await this.db.query(`CREATE INDEX IF NOT EXISTS ${index}_key_idx ON ${this.table} (job_key)`);
+  }
+
+  async insert(job) {
+    const row = await this.db.insert(this.table, {
+      job_key: job.key,
+      action: job.action,
+      data: JSON.stringify(job.data),
+      stage: job.stage,
+      message: JSON.stringify(job.message),
+      status: job.status,
+      run_at: job.runAt,
+      attempts: job.attempts,
+      created_at: job.createdAt
+    });
+    return this._fromRow(row);
+  }
+
+  async cancel(key) {
+    const result = await this.db.query(
+      `UPDATE ${this.table} SET status = 'cancelled' WHERE job_key = $1 AND status = 'pending'`,
+      [key]
+    );
+    return result?.rowCount ?? 0;
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      id: row.id,
+      key: row.job_key ?? null,
+      action: row.action,
+      data: parseJson(row.data),
+      stage: row.stage ?? null,
+      message: parseJson(row.message),
+      status: row.status,
+      runAt: toIso(row.run_at),
+      attempts: row.attempts,
+      lockedUntil: toIso(row.locked_until),
+      lastError: parseJson(row.last_error),
+      createdAt: toIso(row.created_at),
+      completedAt: toIso(row.completed_at)
+    };
+  }
+}
+
+/**
+ * When a job should run, in ms since the epoch
+ * @param {Object} options - { runAt: Date | ms | ISO string, delay: ms }; neither means now
+ */
+function resolveRunAt({ runAt, delay }) {
+  if (runAt != null) {
+    const time = runAt instanceof Date ? runAt.getTime() : new Date(runAt).getTime();
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid runAt: ${runAt}`);
+    }
+    return time;
+  }
+  if (delay != null) {
+    if (!Number.isFinite(delay) || delay < 0) {
+      throw new Error(`Invalid delay: ${delay}`);
+    }
+    return Date.now() + delay;
+  }
+  return Date.now();
+}
@@ -0,0 +1,641 @@
+import { HookManager } from './HookManager.js';
+import { serializeError, parseJson, toIso } from './persistence.js';
+
+/**
+ * Columns of an audit entry, in export order
+ */
+const AUDIT_FIELDS = [
+  'id', 'createdAt', 'bot', 'action', 'status', 'actorId', 'userId', 'chatId', 'reason',
+  'stage', 'updateId', 'messageId', 'correlationId', 'data', 'error', 'undoOf', 'undoneAt', 'undoneBy'
+];
+
+/**
+ * AuditLog - Records every dispatched action for moderation reviews
+ *
+ * Attached to a pipeline's hooks, it writes one entry per action the
+ * ActionHandler ran — inline, from the outbox or from the scheduler — with who
+ * did it to whom, where, why, which stage declared it and how it ended:
+ *
+ *   { id, createdAt, bot, action, status, actorId, userId, chatId, reason,
+ *     stage, updateId, messageId, correlationId, data, error, undoOf, undoneAt, undoneBy }
+ *
+ * actorId, userId, chatId and reason come from the action data (actorId or
+ * moderatorId, userId, chatId, reason) unless options.extract says otherwise.
+ * IDs are stored as strings, so large Telegram IDs survive any store.
+ *
+ * undo(id) reverses a recorded action with the inverse registered on the
+ * ActionHandler, using the data it ran with; undoAll(filters) reverses
+ * everything matching, e.g. what one stage did in a time window. The inverse
+ * is recorded as its own entry (undoOf), and the original is marked undone.
+ *
+ * Storage is pluggable: MemoryAuditStore (default) or PostgreSQLAuditStore,
+ * or any object implementing the same methods.
+ *
+ * @example
+ * const store = new PostgreSQLAuditStore(db);
+ * await store.ensureSchema();
+ * const audit = new AuditLog(store).instrumentEngine(engine);
+ *
+ * // Everything done to one user in the last week, as CSV
+ * const csv = await audit.export('csv', { userId: 42, from: Date.now() - 7 * 86400000 });
+ */
+export class AuditLog {
+  /**
+   * @param {Object} store - MemoryAuditStore, PostgreSQLAuditStore or compatible
+   * @param {Object} options - { actions: [types] to record only these, logger,
+   *   extract: (action, data, message, context) => { actorId, userId, chatId, reason },
+   *   actionHandler: for undo() without an instrumented engine }
+   */
+  constructor(store = new MemoryAuditStore(), options = {}) {
+    this.store = store;
+    this.logger = options.logger;
+    this.actionHandler = options.actionHandler || null;
+    this.engines = new Map();  // clientId → engine, to undo with the engine that acted
+    this.actions = options.actions || null;
+    this.extract = options.extract || extractFields;
+    this.bots = new Map();  // engine adapter → clientId, to tell bots apart on shared hooks
+    this.instrumentedHooks = new WeakSet();
+  }
+
+  /**
+   * Record the actions an engine dispatches, labelled with its clientId
+   * @param {BotEngine} engine
+   */
+  instrumentEngine(engine) {
+    if (engine.clientId != null) {
+      this.bots.set(engine.adapter, engine.clientId);
+    }
+    this.engines.set(engine.clientId ?? null, engine);
+    if (engine.pipeline) {
+      this.instrumentPipeline(engine.pipeline, { logger: engine.logger });
+    }
+    return this;
+  }
+
+  /**
+   * Record the actions dispatched with a pipeline's hooks.
+   * Creates a HookManager if the pipeline has none.
+   * @param {Pipeline} pipeline
+   * @param {Object} options - { logger }
+   */
+  instrumentPipeline(pipeline, options = {}) {
+    if (!pipeline.hooks) {
+      pipeline.setHooks(new HookManager({ logger: options.logger }));
+    }
+    this.logger = this.logger || options.logger;
+
+    if (!this.instrumentedHooks.has(pipeline.hooks)) {
+      this.instrumentedHooks.add(pipeline.hooks);
+      pipeline.hooks.on('after:action', ({ message, action, status, handled, context }) => (
+        this._recordAction(action, status ?? (handled ? 'handled' : 'unhandled'), null, message, context)
+      ));
+      pipeline.hooks.on('error:action', ({ message, action, error, context }) => (
+        this._recordAction(action, 'failed', error, message, context)
+      ));
+    }
+    return this;
+  }
+
+  /**
+   * Write an entry; for actions taken outside the ActionHandler, like a moderator's manual ban
+   * @param {Object} entry - Audit fields; action is required, createdAt defaults to now
+   * @returns {Promise<Object>} The stored entry
+   */
+  async record(entry) {
+    if (!entry?.action) {
+      throw new Error('Audit entry needs an action');
+    }
+
+    return this.store.insert({
+      createdAt: toIsoDate(entry.createdAt) ?? new Date().toISOString(),
+      bot: toId(entry.bot),
+      action: entry.action,
+      status: entry.status ?? 'handled',
+      actorId: toId(entry.actorId),
+      userId: toId(entry.userId),
+      chatId: toId(entry.chatId),
+      reason: entry.reason ?? null,
+      stage: entry.stage ?? null,
+      updateId: toId(entry.updateId),
+      messageId: toId(entry.messageId),
+      correlationId: entry.correlationId ?? null,
+      data: entry.data === undefined ? null : JSON.parse(JSON.stringify(entry.data)),
+      error: entry.error instanceof Error ? serializeError(entry.error) : entry.error ?? null,
+      undoOf: entry.undoOf ?? null,
+      undoneAt: null,
+      undoneBy: null
+    });
+  }
+
+  /**
+   * Undo a recorded action by running its inverse with the data it ran with
+   * @param {number} id - Audit entry ID
+   * @param {Object} options - { actorId, reason } for the undo entry;
+   *   { context, actionHandler } when no engine was instrumented
+   * @returns {Promise<Object>} The undo entry: status 'handled' when it worked, 'failed' with error otherwise
+   * @throws When the entry does not exist, was not handled, was already undone or has no inverse
+   */
+  async undo(id, options = {}) {
+    const entry = await this.store.get(id);
+    if (!entry) {
+      throw new Error(`Audit entry ${id} not found`);
+    }
+    if (entry.undoneAt) {
+      throw new Error(`Audit entry ${id} was already undone by entry ${entry.undoneBy}`);
+    }
+    if (entry.status !== 'handled') {
+      throw new Error(`Audit entry ${id} is ${entry.status}, only handled actions can be undone`);
+    }
+
+    const { actionHandler, context } = this._undoTarget(entry, options);
+    const inverse = actionHandler.getInverse(entry.action, entry.data ?? {});
+    if (!inverse) {
+      throw new Error(`Action "${entry.action}" of audit entry ${id} has no inverse`);
+    }
+
+    let result = null;
+    let error = null;
+    try {
+      result = await actionHandler.undo(entry.action, entry.data ?? {}, context);
+    } catch (err) {
+      error = err;
+    }
+
+    const undoEntry = await this.record({
+      bot: entry.bot,
+      action: inverse.action,
+      status: error ? 'failed' : result.status,
+      actorId: options.actorId,
+      userId: entry.userId,
+      chatId: entry.chatId,
+      reason: options.reason,
+      correlationId: context?.correlationId,
+      data: inverse.data,
+      error,
+      undoOf: entry.id
+    });
+
+    if (undoEntry.status === 'handled') {
+      await this.store.update(entry.id, { undoneAt: undoEntry.createdAt, undoneBy: undoEntry.id });
+    } else {
+      this.logger?.warn(
+        { err: error, id: entry.id, action: entry.action },
+        `AuditLog: undo of entry ${entry.id} ended ${undoEntry.status}`
+      );
+    }
+    return undoEntry;
+  }
+
+  /**
+   * Undo every handled, not yet undone action matching the filters, newest first —
+   * e.g. everything a stage did while a buggy rule was live
+   * @param {Object} filters - As query(), at least one; { stage, from, to } for a rule's window
+   * @param {Object} options - As undo(), plus { dryRun: true } to only list what would be undone
+   * @returns {Promise<Object>} { planned: entries to undo, undone: undo entries, failed: undo entries,
+   *   skipped: entries without an inverse }
+   */
+  async undoAll(filters = {}, options = {}) {
+    const criteria = normalizeFilters(filters);
+    if (!Object.values(criteria).some(value => value != null)) {
+      throw new Error('AuditLog.undoAll() needs at least one filter');
+    }
+
+    const entries = await this.store.query({
+      ...criteria, status: 'handled', undone: false, original: true, limit: Infinity, offset: 0, order: 'desc'
+    });
+
+    const summary = { planned: [], undone: [], failed: [], skipped: [] };
+    for (const entry of entries) {
+      const actionHandler = this._actionHandlerFor(entry, options);
+      if (!actionHandler.getInverse(entry.action, entry.data ?? {})) {
+        summary.skipped.push(entry);
+        continue;
+      }
+      summary.planned.push(entry);
+      if (options.dryRun) continue;
+
+      const undoEntry = await this.undo(entry.id, options);
+      summary[undoEntry.status === 'handled' ? 'undone' : 'failed'].push(undoEntry);
+    }
+    return summary;
+  }
+
+  /**
+   * Find entries
+   * @param {Object} filters - { userId, chatId, actorId, action: type | [types], status, stage, undone: boolean,
+   *   from, to: Date | ms | ISO string (to is exclusive), limit: 100, offset: 0, order: 'desc' | 'asc' }
+   * @returns {Promise<Array>} Entries, newest first unless order is 'asc'
+   */
+  async query(filters = {}) {
+    return this.store.query({
+      ...normalizeFilters(filters),
+      limit: filters.limit ?? 100,
+      offset: filters.offset ?? 0,
+      order: filters.order === 'asc' ? 'asc' : 'desc'
+    });
+  }
+
+  /**
+   * Count entries matching the query() filters
+   */
+  async count(filters = {}) {
+    return this.store.count(normalizeFilters(filters));
+  }
+
+  /**
+   * Get an entry by ID
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Export matching entries, oldest first, as lines of CSV (with a header) or JSONL.
+   * Reads the store in pages, so large exports can be streamed:
+   *   Readable.from(audit.exportLines('csv', filters)).pipe(fs.createWriteStream('audit.csv'))
+   * @param {string} format - 'csv' | 'jsonl'
+   * @param {Object} filters - As query(), without limit, offset and order
+   * @param {Object} options - { batchSize: 500 }
+   */
+  async * exportLines(format, filters = {}, options = {}) {
+    if (format !== 'csv' && format !== 'jsonl') {
+      throw new Error(`Unknown audit export format "${format}", expected 'csv' or 'jsonl'`);
+    }
+    const batchSize = options.batchSize ?? 500;
+
+    if (format === 'csv') {
+      yield `${AUDIT_FIELDS.join(',')}\n`;
+    }
+
+    for (let offset = 0; ; offset += batchSize) {
+      const entries = await this.store.query({ ...normalizeFilters(filters), limit: batchSize, offset, order: 'asc' });
+      for (const entry of entries) {
+        yield format === 'csv' ? `${toCsvRow(entry)}\n` : `${JSON.stringify(entry)}\n`;
+      }
+      if (entries.length < batchSize) break;
+    }
+  }
+
+  /**
+   * Export matching entries as one CSV or JSONL string, see exportLines()
+   * @returns {Promise<string>}
+   */
+  async export(format, filters = {}, options = {}) {
+    let output = '';
+    for await (const line of this.exportLines(format, filters, options)) {
+      output += line;
+    }
+    return output;
+  }
+
+  /**
+   * Delete entries created before a date, for retention policies
+   * @param {Object} options - { before: Date | ms | ISO string }
+   * @returns {Promise<number>} Entries removed
+   */
+  async purge({ before } = {}) {
+    if (before == null) {
+      throw new Error('AuditLog.purge() needs a before date');
+    }
+    return this.store.purge({ before: toIsoDate(before) });
+  }
+
+  /**
+   * The engine that recorded an entry, or the only one instrumented
+   * @private
+   */
+  _engineFor(entry) {
+    return this.engines.get(entry.bot) ?? (this.engines.size === 1 ? [...this.engines.values()][0] : null);
+  }
+
+  /**
+   * @private
+   */
+  _actionHandlerFor(entry, options) {
+    const actionHandler = options.actionHandler ?? this.actionHandler ?? this._engineFor(entry)?.actionHandler;
+    if (!actionHandler) {
+      throw new Error('AuditLog: undo needs an actionHandler — instrument an engine or pass one in the options');
+    }
+    return actionHandler;
+  }
+
+  /**
+   * ActionHandler and context to undo an entry with: from the options, or the engine that acted
+   * @private
+   */
+  _undoTarget(entry, options) {
+    const actionHandler = this._actionHandlerFor(entry, options);
+    const context = options.context ?? this._engineFor(entry)?.createContext();
+    if (!context) {
+      throw new Error('AuditLog: undo needs a context — instrument an engine or pass one in the options');
+    }
+    return { actionHandler, context };
+  }
+
+  /**
+   * @private
+   */
+  async _recordAction(action, status, error, message, context) {
+    if (this.actions && !this.actions.includes(action.action)) {
+      return;
+    }
+
+    try {
+      const data = action.data ?? {};
+      const fields = this.extract(action.action, data, message, context) || {};
+      await this.record({
+        bot: this.bots.get(context?.bot) ?? null,
+        action: action.action,
+        status,
+        ...fields,
+        stage: action.stage,
+        updateId: message?.updateId,
+        messageId: message?.id,
+        correlationId: context?.correlationId,
+        data,
+        error
+      });
+    } catch (err) {
+      // An audit write must not fail the action it records
+      this.logger?.error({ err, action: action.action }, 'AuditLog: failed to record action');
+    }
+  }
+}
+
+/**
+ * Who, to whom, where and why, from the conventional action data fields
+ */
+function extractFields(action, data, message) {
+  return {
+    actorId: data.actorId ?? data.moderatorId,
+    userId: data.userId,
+    chatId: data.chatId ?? message?.chat?.id ?? message?.chatId,
+    reason: data.reason
+  };
+}
+
+/**
+ * MemoryAuditStore - In-process store, lost on restart; for tests and development
+ */
+export class MemoryAuditStore {
+  constructor() {
+    this.entries = [];
+    this.nextId = 1;
+  }
+
+  async insert(entry) {
+    const stored = { id: this.nextId++, ...entry };
+    this.entries.push(stored);
+    return { ...stored };
+  }
+
+  async get(id) {
+    const entry = this.entries.find(e => e.id === id);
+    return entry ? { ...entry } : null;
+  }
+
+  async query({ limit, offset, order, ...filters }) {
+    const matched = this.entries.filter(entry => matches(entry, filters));
+    if (order === 'desc') matched.reverse();
+    return matched.slice(offset, offset + limit).map(e => ({ ...e }));
+  }
+
+  async count(filters) {
+    return this.entries.filter(entry => matches(entry, filters)).length;
+  }
+
+  async update(id, fields) {
+    const entry = this.entries.find(e => e.id === id);
+    if (entry) {
+      Object.assign(entry, fields);
+    }
+  }
+
+  async purge({ before }) {
+    const count = this.entries.length;
+    this.entries = this.entries.filter(entry => Date.parse(entry.createdAt) >= Date.parse(before));
+    return count - this.entries.length;
+  }
+}
+
+function matches(entry, filters) {
+  for (const field of ['userId', 'chatId', 'actorId', 'status', 'stage']) {
+    if (filters[field] != null && entry[field] !== filters[field]) return false;
+  }
+  if (filters.actions && !filters.actions.includes(entry.action)) return false;
+  if (filters.undone != null && (entry.undoneAt != null) !== filters.undone) return false;
+  if (filters.original && entry.undoOf != null) return false;
+  if (filters.from && Date.parse(entry.createdAt) < Date.parse(filters.from)) return false;
+  if (filters.to && Date.parse(entry.createdAt) >= Date.parse(filters.to)) return false;
+  return true;
+}
+
+/**
+ * PostgreSQLAuditStore - Persists entries through a PostgreSQLAdapter
+ *
+ * IDs are TEXT columns, indexed with created_at for the per-user and per-chat
+ * queries of a review. Call ensureSchema() once at startup to create the table.
+ */
+export class PostgreSQLAuditStore {
+  /**
+   * @param {PostgreSQLAdapter} db - Connected database adapter
+   * @param {Object} options - { table: 'audit_log' }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.table = options.table || 'audit_log';
+
+    if (!/^[a-zA-Z_][a-zA-Z0-9_.]*$/.test(this.table)) {
+      throw new Error(`Invalid table name: ${this.table}`);
+    }
+  }
+
+  async ensureSchema() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id BIGSERIAL PRIMARY KEY,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        bot TEXT,
+        action TEXT NOT NULL,
+        status TEXT NOT NULL,
+        actor_id TEXT,
+        user_id TEXT,
+        chat_id TEXT,
+        reason TEXT,
+        stage TEXT,
+        update_id TEXT,
+        message_id TEXT,
+        correlation_id TEXT,
+        data JSONB,
+        error JSONB,
+        undo_of BIGINT,
+        undone_at TIMESTAMPTZ,
+        undone_by BIGINT
+      )
+    `);
+    const prefix = this.table.replace(/\./g, '_');
+    await this.db.query(`CREATE INDEX IF NOT EXISTS ${prefix}_user_idx ON ${this.table} (user_id, created_at)`);
+    await this.db.query(`CREATE INDEX IF NOT EXISTS ${prefix}_chat_idx ON ${this.table} (chat_id, created_at)`);
+    await this.db.query(`CREATE INDEX IF NOT EXISTS ${prefix}_created_idx ON ${this.table} (created_at)`);
+  }
+
+  async insert(entry) {
+    const row = await this.db.insert(this.table, {
+      created_at: entry.createdAt,
+      bot: entry.bot,
+      action: entry.action,
+      status: entry.status,
+      actor_id: entry.actorId,
+      user_id: entry.userId,
+      chat_id: entry.chatId,
+      reason: entry.reason,
+      stage: entry.stage,
+      update_id: entry.updateId,
+      message_id: entry.messageId,
+      correlation_id: entry.correlationId,
+      data: JSON.stringify(entry.data),
+      error: JSON.stringify(entry.error),
+      undo_of: entry.undoOf
+    });
+    return this._fromRow(row);
+  }
+
+  async update(id, fields) {
+    await this.db.update(this.table, { undone_at: fields.undoneAt, undone_by: fields.undoneBy }, { id });
+  }
+
+  async get(id) {
+    const row = await this.db.findById(this.table, id);
+    return row ? this._fromRow(row) : null;
+  }
+
+  async query({ limit, offset, order, ...filters }) {
+    const { where, params } = this._where(filters);
+    const direction = order === 'desc' ? 'DESC' : 'ASC';
+    const paging = Number.isFinite(limit)
+      ? `LIMIT $${params.length + 1} OFFSET $${params.length + 2}`
+      : `OFFSET $${params.length + 1}`;
+    params.push(...(Number.isFinite(limit) ? [limit, offset] : [offset]));
+
+    const rows = await this.db.queryAll(
+      `SELECT * FROM ${this.table} ${where} ORDER BY created_at ${direction}, id ${direction} ${paging}`,
+      params
+    );
+    return rows.map(row => this._fromRow(row));
+  }
+
+  async count(filters) {
+    const { where, params } = this._where(filters);
+    const row = await this.db.queryOne(`SELECT COUNT(*)::int AS count FROM ${this.table} ${where}`, params);
+    return row?.count ?? 0;
+  }
+
+  async purge({ before }) {
+    const result = await this.db.query(`DELETE FROM ${this.table} WHERE created_at < $1`, [before]);
+    return result?.rowCount ?? 0;
+  }
+
+  /**
+   * @private
+   */
+  _where(filters) {
+    const columns = { userId: 'user_id', chatId: 'chat_id', actorId: 'actor_id', status: 'status', stage: 'stage' };
+    const conditions = [];
+    const params = [];
+
+    for (const [field, column] of Object.entries(columns)) {
+      if (filters[field] != null) {
+        params.push(filters[field]);
+        conditions.push(`${column} = $${params.length}`);
+      }
+    }
+    if (filters.actions) {
+      params.push(filters.actions);
+      conditions.push(`action = ANY($${params.length})`);
+    }
+    if (filters.undone != null) {
+      conditions.push(`undone_at IS ${filters.undone ? 'NOT NULL' : 'NULL'}`);
+    }
+    if (filters.original) {
+      conditions.push('undo_of IS NULL');
+    }
+    if (filters.from) {
+      params.push(filters.from);
+      conditions.push(`created_at >= $${params.length}`);
+    }
+    if (filters.to) {
+      params.push(filters.to);
+      conditions.push(`created_at < $${params.length}`);
+    }
+
+    return { where: conditions.length ? `WHERE ${conditions.join(' AND ')}` : '', params };
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      id: Number(row.id),
+      createdAt: toIso(row.created_at),
+      bot: row.bot,
+      action: row.action,
+      status: row.status,
+      actorId: row.actor_id,
+      userId: row.user_id,
+      chatId: row.chat_id,
+      reason: row.reason,
+      stage: row.stage,
+      updateId: row.update_id,
+      messageId: row.message_id,
+      correlationId: row.correlation_id,
+      data: parseJson(row.data),
+      error: parseJson(row.error),
+      undoOf: row.undo_of == null ? null : Number(row.undo_of),
+      undoneAt: toIso(row.undone_at),
+      undoneBy: row.undone_by == null ? null : Number(row.undone_by)
+    };
+  }
+}
+
+/**
+ * Filters with IDs as strings and dates as ISO strings; action becomes actions: [types]
+ */
+function normalizeFilters(filters) {
+  return {
+    userId: toId(filters.userId),
+    chatId: toId(filters.chatId),
+    actorId: toId(filters.actorId),
+    actions: filters.action == null ? null : [].concat(filters.action),
+    status: filters.status ?? null,
+    stage: filters.stage ?? null,
+    undone: filters.undone ?? null,
+    from: toIsoDate(filters.from),
+    to: toIsoDate(filters.to)
+  };
+}
+
+function toCsvRow(entry) {
+  return AUDIT_FIELDS.map((field) => {
+    const value = entry[field];
+    if (value === null || value === undefined) return '';
+    const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }).join(',');
+}
+
+function toId(value) {
+  return value === null || value === undefined ? null : String(value);
+}
+
+/**
+ * Date, milliseconds or a date string as an ISO string
+ */
+function toIsoDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new Error(`Invalid date: ${value}`);
+  }
+  return date.toISOString();
+}
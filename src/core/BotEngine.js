@@ -1,17 +1,99 @@
+import { randomBytes } from 'node:crypto';
+import { KeyedQueue } from './KeyedQueue.js';
+import { createLogger } from './logger.js';
+import { actionIds } from './DeadLetterQueue.js';
+import { Instrumentation } from './Instrumentation.js';
+
+/**
+ * Queue key extractors for options.queue.keyBy
+ */
+const QUEUE_KEYS = {
+  chat: (message) => message.chat?.id ?? message.chatId,
+  user: (message) => message.from?.id ?? message.user?.id
+};
+
 /**
  * BotEngine - Orchestrates adapters and pipelines
  * 
  * The main entry point for setting up and running a bot.
  * Connects message adapter to pipeline for processing.
+ * Incoming updates go through a KeyedQueue: ordered per chat (or user),
+ * parallel across chats up to options.queue.concurrency.
  */
 export class BotEngine {
   constructor(adapter, options = {}) {
     this.adapter = adapter;
     this.pipeline = options.pipeline;
+    this.actionHandler = options.actionHandler || null;  // Optional ActionHandler for result.actions
     this.db = options.db || null;  // Optional database adapter
-    this.logger = options.logger || console;
+    this.deadLetters = options.deadLetters || null;  // Optional DeadLetterQueue for failed messages
+    this.outbox = options.outbox || null;  // Optional ActionOutbox: persist actions before dispatching them
+    this.scheduler = options.scheduler || null;  // Optional ActionScheduler for actions with runAt/delay
+    this.logger = options.logger || createLogger(options.logging);  // options.logging: see createLogger()
+    this.clientId = options.clientId ?? null;  // Set by BotManager; added to every per-message log entry
     this.config = options.config || {};
     this.isRunning = false;
+    this.instrumentation = new Instrumentation();  // Wrappers around each pipeline run, see instrument()
+
+    // options.queue: { keyBy: 'chat' | 'user' | (message) => key, concurrency, maxBacklog, overflow }
+    const { keyBy = 'chat', ...queueOptions } = options.queue || {};
+    this.queueKey = typeof keyBy === 'function' ? keyBy : QUEUE_KEYS[keyBy];
+    if (!this.queueKey) {
+      throw new Error(`Unknown queue keyBy "${keyBy}", expected 'chat', 'user' or a function`);
+    }
+    this.queue = new KeyedQueue(queueOptions);
+
+    // Hook listener failures go to the engine's logger unless the hooks have their own
+    if (this.pipeline?.hooks && !this.pipeline.hooks.logger) {
+      this.pipeline.hooks.setLogger?.(this.logger);
+    }
+
+    // Actions are validated against their schemas as soon as stages return them;
+    // options.devChecks (on when NODE_ENV is 'development') also warns about suspicious stage results
+    if (this.actionHandler && this.pipeline && !this.pipeline.actionHandler) {
+      this.pipeline.setActionHandler?.(this.actionHandler, {
+        devChecks: options.devChecks ?? process.env.NODE_ENV === 'development'
+      });
+    }
+
+    // Replays wait in the chat's queue like new updates, and skip the actions an earlier
+    // run already dispatched; a failed replay updates its entry instead of adding one
+    this.deadLetters?.setProcessor((message, { dispatched } = {}) => this.queue.push(
+      this.queueKey(message),
+      () => this._runPipeline(message, this.createContext(message), { dispatched })
+    ));
+
+    if (this.outbox) {
+      if (!this.actionHandler) {
+        throw new Error('BotEngine: an outbox needs an actionHandler to dispatch its actions');
+      }
+      // Worker retries run without the original context, so they get a fresh one
+      this.outbox.setDispatcher(async (entry, message, context) => {
+        const actionContext = { ...(context || this.createContext(message)), idempotencyKey: entry.key };
+        const { results: [outcome] } = await this.actionHandler.handleAll(
+          [{ action: entry.action, data: entry.data, stage: entry.stage }],
+          actionContext,
+          { hooks: this.pipeline?.hooks, message }
+        );
+        return outcome;
+      });
+    }
+
+    if (this.scheduler) {
+      if (!this.actionHandler) {
+        throw new Error('BotEngine: a scheduler needs an actionHandler to dispatch its actions');
+      }
+      // Due jobs run long after their update, with a fresh context
+      this.scheduler.setDispatcher(async (job, message) => {
+        const context = { ...this.createContext(message), idempotencyKey: `scheduled:${job.id}` };
+        const { results: [outcome] } = await this.actionHandler.handleAll(
+          [{ action: job.action, data: job.data, stage: job.stage ?? undefined }],
+          context,
+          { hooks: this.pipeline?.hooks, message }
+        );
+        return outcome;
+      });
+    }
   }
 
   /**
@@ -42,23 +124,27 @@ export class BotEngine {
 
       // Setup message handler
       this.adapter.on('message', async (message) => {
-        await this._handleMessage(message);
+        await this._enqueue(message);
       });
 
       // Setup chat_join_request handler (for join requests)
       if (typeof this.adapter.on === 'function') {
         this.adapter.on('chat_join_request', async (message) => {
-          await this._handleMessage(message);
+          await this._enqueue(message);
         });
       }
 
       // Setup callback_query handler (for inline button callbacks)
       if (typeof this.adapter.on === 'function') {
         this.adapter.on('callback_query', async (message) => {
-          await this._handleMessage(message);
+          await this._enqueue(message);
         });
       }
 
+      // Retry worker for outbox actions that failed or were interrupted
+      this.outbox?.start();
+      this.scheduler?.start();
+
       this.isRunning = true;
       this.logger.info('BotEngine: Started successfully');
     } catch (error) {
@@ -74,6 +160,12 @@ export class BotEngine {
     this.logger.info('BotEngine: Stopping...');
 
     await this.adapter.shutdown?.();
+
+    // Let in-flight and queued updates finish before closing the database
+    await this.queue.drain();
+    await this.outbox?.stop();
+    await this.scheduler?.stop();
+
     if (this.db) {
       await this.db.disconnect?.();
     }
@@ -81,27 +173,197 @@ export class BotEngine {
     this.logger.info('BotEngine: Stopped');
   }
 
+  /**
+   * Internal: Queue incoming message behind earlier messages with the same key
+   */
+  async _enqueue(message) {
+    const key = this.queueKey(message);
+
+    try {
+      return await this.queue.push(key, () => this._handleMessage(message));
+    } catch (error) {
+      if (error.name === 'QueueOverflowError') {
+        this.logger.warn({ err: error, key, messageId: message.id }, 'BotEngine: queue full, message rejected');
+      } else {
+        this.logger.error({ err: error, key, messageId: message.id }, 'BotEngine: message processing failed');
+      }
+      return null;
+    }
+  }
+
   /**
    * Internal: Handle incoming message
+   * @returns {Promise<Object|null>} Pipeline result, with actionResults when actions were dispatched
    */
   async _handleMessage(message) {
+    const context = this.createContext(message);
+    const result = await this._runPipeline(message, context);
+
+    // Keep messages that failed the pipeline for inspection and replay
+    if (result?.error && this.deadLetters) {
+      try {
+        await this.deadLetters.add(message, context, result);
+      } catch (error) {
+        this.logger.error({ err: error, messageId: message.id }, 'BotEngine: failed to dead-letter message');
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Build the context stages and action handlers get: the adapter, db, config,
+   * scheduler and a logger carrying the message's fields. Also for work outside
+   * an update, like undoing an action, where message is omitted.
+   * @param {Object|null} message - Normalized message the work belongs to
+   * @returns {Object} Context with a fresh correlationId
+   */
+  createContext(message = null) {
+    const correlationId = randomBytes(16).toString('hex');
     const context = {
       bot: this.adapter,
       db: this.db,
-      logger: this.logger,
+      logger: this._messageLogger(message, correlationId),
       config: this.config,
-      state: {}  // For middleware data sharing
+      state: {},  // For middleware data sharing
+      correlationId
     };
 
-    // Debug: Log all messages entering the pipeline
+    // Lets stages and handlers schedule and cancel delayed actions
+    if (this.scheduler) {
+      context.scheduler = this.scheduler;
+    }
 
     // If using TransportAdapter, inject source adapter
-    if (this.adapter.name === 'TransportAdapter' && message.source) {
+    if (this.adapter.name === 'TransportAdapter' && message?.source) {
       context.sourceAdapter = this.adapter.getAdapter(message.source);
     }
 
-    if (this.pipeline) {
-      await this.pipeline.process(message, context);
+    return context;
+  }
+
+  /**
+   * Wrap every pipeline run, with the actions it dispatches (see Instrumentation)
+   * @param {Function} wrapper - ({ message, context }, next) => result of next()
+   */
+  instrument(wrapper) {
+    this.instrumentation.add(wrapper);
+    return this;
+  }
+
+  /**
+   * Internal: Child logger whose entries carry the message's correlation fields.
+   * Loggers without child() (e.g. console) are used as they are.
+   */
+  _messageLogger(message, correlationId) {
+    if (typeof this.logger.child !== 'function') {
+      return this.logger;
+    }
+    message = message || {};
+
+    const fields = {
+      correlationId,
+      clientId: this.clientId,
+      source: message.source,
+      updateId: message.updateId,
+      messageId: message.id,
+      chatId: message.chat?.id ?? message.chatId,
+      userId: message.from?.id ?? message.user?.id,
+      type: message.type
+    };
+    for (const key of Object.keys(fields)) {
+      if (fields[key] === undefined || fields[key] === null) delete fields[key];
+    }
+
+    return this.logger.child(fields);
+  }
+
+  /**
+   * Internal: Run the pipeline and dispatch the actions it declared
+   * @param {Object} options - { dispatched: actionIds() not to dispatch again }
+   */
+  async _runPipeline(message, context, options = {}) {
+    if (!this.pipeline) {
+      return null;
+    }
+
+    return this.instrumentation.run({ message, context }, async () => {
+      const result = await this.pipeline.process(message, context);
+
+      // Dispatch declared actions — also when a stage halted the pipeline with stop
+      if (this.actionHandler && result.actions.length > 0) {
+        result.actionResults = await this._dispatchActions(result.actions, message, context, options.dispatched);
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Internal: Schedule actions with runAt and dispatch the rest, through the
+   * outbox when there is one
+   * @param {string[]} alreadyDispatched - actionIds() an earlier run of this message dispatched
+   * @returns {Promise<Array>} One outcome per action, in order; 'duplicate' for those skipped
+   */
+  async _dispatchActions(actions, message, context, alreadyDispatched = []) {
+    const outcomes = [];
+    const immediate = [];
+    const done = new Set(alreadyDispatched);
+    const ids = done.size > 0 ? actionIds(actions) : [];
+
+    for (const [i, action] of actions.entries()) {
+      // The outbox recognizes actions it already dispatched by their idempotency key
+      if (done.has(ids[i]) && (action.runAt != null || !this.outbox)) {
+        outcomes.push({ action: action.action, data: action.data, stage: action.stage, status: 'duplicate' });
+      } else if (action.runAt == null) {
+        outcomes.push(null);
+        immediate.push(action);
+      } else {
+        outcomes.push(await this._scheduleAction(action, message));
+      }
+    }
+
+    if (immediate.length === 0) {
+      return outcomes;
+    }
+
+    let dispatched;
+    if (this.outbox) {
+      // With an outbox, actions are stored before they run, then dispatched from their entries
+      const entries = await this.outbox.add(message, immediate, {
+        scope: this.clientId ?? undefined,
+        correlationId: context.correlationId
+      });
+      // Entries do not store priority and group, so they are taken from the actions again
+      const ordered = entries.map((entry, i) => ({ ...entry, ...this.actionHandler.getDispatchOrder(immediate[i]) }));
+      dispatched = await this.outbox.dispatch(ordered, context, { concurrency: this.actionHandler.concurrency });
+    } else {
+      ({ results: dispatched } = await this.actionHandler.handleAll(immediate, context, {
+        hooks: this.pipeline.hooks,
+        message
+      }));
+    }
+
+    let next = 0;
+    return outcomes.map(outcome => outcome ?? dispatched[next++]);
+  }
+
+  /**
+   * Internal: Hand a delayed action to the scheduler
+   * @returns {Promise<Object>} { action, data, stage, status: 'scheduled', id, key, runAt } or a failed outcome
+   */
+  async _scheduleAction(action, message) {
+    const { action: type, data, stage } = action;
+
+    try {
+      if (!this.scheduler) {
+        throw new Error(`Action "${type}" has runAt, but BotEngine has no scheduler`);
+      }
+      const job = await this.scheduler.schedule(type, data, { runAt: action.runAt, key: action.key, stage, message });
+      return { action: type, data, stage, status: 'scheduled', id: job.id, key: job.key, runAt: job.runAt };
+    } catch (error) {
+      this.logger.error({ err: error, action: type, stage }, `BotEngine: failed to schedule action "${type}"`);
+      return { action: type, data, stage, status: 'failed', error };
     }
   }
 
@@ -112,6 +374,7 @@ export class BotEngine {
     return {
       running: this.isRunning,
       adapter: this.adapter.name,
+      queue: this.queue.getStats(),
       pipeline: this.pipeline?.inspect?.()
     };
   }
@@ -1,17 +1,25 @@
 // src/core/BotManager.js
 // Manages dynamic creation, updating, and removal of bot instances per client
+import { HookManager } from './HookManager.js';
 
 export class BotManager {
-  constructor() {
+  /**
+   * @param {Object} options - { hooks: HookManager emitting 'add:bot' { clientId, bot } once a bot
+   *   has started and 'remove:bot' { clientId, bot } once it has stopped }
+   */
+  constructor(options = {}) {
     this.bots = new Map(); // clientId -> { bot, config, status }
+    this.hooks = options.hooks || new HookManager();
   }
 
   async addBot(clientId, config, BotEngine, createAdapter) {
     await this.removeBot(clientId);
     const bot = new BotEngine(createAdapter(config), { ...config });
+    bot.clientId = clientId;  // Tags the bot's per-message logs and metrics
     this.bots.set(clientId, { bot, config, status: 'stopped' });
     await bot.start();
     this.bots.get(clientId).status = 'running';
+    await this.hooks.emit('add:bot', { clientId, bot });
     return bot;
   }
 
@@ -25,6 +33,7 @@ export class BotManager {
     if (entry) {
       await entry.bot.stop?.();
       this.bots.delete(clientId);
+      await this.hooks.emit('remove:bot', { clientId, bot: entry.bot });
     }
   }
 
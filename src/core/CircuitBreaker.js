@@ -0,0 +1,117 @@
+/**
+ * CircuitBreaker - Failure-rate guard for a single pipeline stage
+ * 
+ * States:
+ *   closed    → stage runs normally; failures inside `windowMs` are counted
+ *   open      → `failureThreshold` failures reached; stage is short-circuited
+ *   half_open → `cooldownMs` elapsed; one trial run is let through.
+ *               Success closes the circuit, failure opens it again.
+ * 
+ * Used by ErrorHandler for the 'circuit' recovery strategy.
+ */
+export class CircuitBreaker {
+  /**
+   * @param {Object} options - { failureThreshold: 5, windowMs: 60000, cooldownMs: 30000, onStateChange }
+   */
+  constructor(options = {}) {
+    this.failureThreshold = options.failureThreshold ?? 5;
+    this.windowMs = options.windowMs ?? 60000;
+    this.cooldownMs = options.cooldownMs ?? 30000;
+    this.onStateChange = options.onStateChange || null;
+
+    this.state = 'closed';
+    this.failures = [];  // timestamps of recent failures
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Whether the stage may run now. Moves open → half_open once the cooldown elapsed.
+   * @returns {boolean}
+   */
+  canExecute(now = Date.now()) {
+    if (this.state === 'open') {
+      if (now - this.openedAt < this.cooldownMs) {
+        return false;
+      }
+      this._transition('half_open');
+    }
+
+    if (this.state === 'half_open') {
+      if (this.trialInFlight) {
+        return false;
+      }
+      this.trialInFlight = true;
+    }
+
+    return true;
+  }
+
+  /**
+   * Record a successful stage run
+   */
+  recordSuccess() {
+    if (this.state === 'half_open') {
+      this.failures = [];
+      this.trialInFlight = false;
+      this._transition('closed');
+    }
+  }
+
+  /**
+   * Record a failed stage run
+   */
+  recordFailure(now = Date.now()) {
+    if (this.state === 'half_open') {
+      this.trialInFlight = false;
+      this._open(now);
+      return;
+    }
+
+    this.failures = this.failures.filter(t => now - t < this.windowMs);
+    this.failures.push(now);
+
+    if (this.state === 'closed' && this.failures.length >= this.failureThreshold) {
+      this._open(now);
+    }
+  }
+
+  /**
+   * Give back a half-open trial that ended without running the stage, so the
+   * next call may try again
+   */
+  release() {
+    if (this.state === 'half_open') {
+      this.trialInFlight = false;
+    }
+  }
+
+  /**
+   * Get breaker state
+   */
+  getState() {
+    return {
+      state: this.state,
+      failures: this.failures.length,
+      openedAt: this.openedAt
+    };
+  }
+
+  /**
+   * @private
+   */
+  _open(now) {
+    this.openedAt = now;
+    this._transition('open');
+  }
+
+  /**
+   * @private
+   */
+  _transition(to) {
+    const from = this.state;
+    if (from === to) return;
+    this.state = to;
+    this.onStateChange?.(from, to, this.getState());
+  }
+}
@@ -0,0 +1,362 @@
+import { serializeMessage, deserializeMessage, serializeError, parseJson, toIso } from './persistence.js';
+
+/**
+ * DeadLetterQueue - Keeps messages that failed the pipeline for later replay
+ *
+ * When Pipeline.process ends with result.error, BotEngine hands the message
+ * to the dead-letter queue instead of dropping it. Entries can be listed,
+ * inspected, replayed back through the pipeline, and purged. Each entry
+ * remembers which of its actions were already dispatched, so a replay does
+ * not ban or notify twice.
+ *
+ * Storage is pluggable: MemoryDeadLetterStore (default) or
+ * PostgreSQLDeadLetterStore, or any object implementing the same methods.
+ *
+ * @example
+ * const deadLetters = new DeadLetterQueue(new PostgreSQLDeadLetterStore(db));
+ * const engine = new BotEngine(adapter, { pipeline, db, deadLetters });
+ *
+ * // Later, after fixing the failing stage
+ * await deadLetters.replayAll();
+ */
+export class DeadLetterQueue {
+  constructor(store = new MemoryDeadLetterStore(), options = {}) {
+    this.store = store;
+    this.logger = options.logger;
+    this.processor = null;
+  }
+
+  /**
+   * Set the function used to replay messages (BotEngine sets this)
+   * @param {Function} processor - async (message, { dispatched }) => pipeline result;
+   *   dispatched lists the actionIds() not to dispatch again
+   */
+  setProcessor(processor) {
+    this.processor = processor;
+    return this;
+  }
+
+  /**
+   * Record a failed message
+   * @param {Object} message - Normalized message
+   * @param {Object} context - Pipeline context the message ran with
+   * @param {Object} result - Pipeline result with error and errorStage
+   * @returns {Promise<Object>} Stored entry
+   */
+  async add(message, context, result) {
+    const entry = await this.store.insert({
+      message: serializeMessage(message),
+      context: summarizeContext(message, context, result),
+      error: serializeError(result.error),
+      stage: result.errorStage ?? null,
+      attempts: result.errorAttempts ?? 1,
+      replays: 0,
+      createdAt: new Date().toISOString(),
+      lastReplayedAt: null
+    });
+
+    this.logger?.warn(`Dead-lettered message ${message.id} (failed at ${entry.stage})`);
+    return entry;
+  }
+
+  /**
+   * List entries, oldest first
+   * @param {Object} options - { limit: 50, offset: 0 }
+   */
+  async list(options = {}) {
+    return this.store.list({ limit: options.limit ?? 50, offset: options.offset ?? 0 });
+  }
+
+  /**
+   * Get a single entry
+   * @param {*} id - Entry ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Count stored entries
+   * @returns {Promise<number>}
+   */
+  async count() {
+    return this.store.count();
+  }
+
+  /**
+   * Replay one entry through the pipeline.
+   * Succeeded entries are removed; failed ones are updated with the new error.
+   * An entry the processor did not run (no result, e.g. dropped by a full
+   * chat queue, or an engine without a pipeline) is kept as it was.
+   * @param {*} id - Entry ID
+   * @returns {Promise<Object>} { id, ok, result }, with result null when it did not run
+   */
+  async replay(id) {
+    if (!this.processor) {
+      throw new Error('DeadLetterQueue has no processor — pass it to BotEngine or call setProcessor()');
+    }
+
+    const entry = await this.store.get(id);
+    if (!entry) {
+      throw new Error(`Dead letter not found: ${id}`);
+    }
+
+    const dispatched = entry.context?.dispatched ?? [];
+    const result = await this.processor(deserializeMessage(entry.message), { dispatched });
+
+    if (result == null) {
+      this.logger?.warn(`Dead letter ${id} was not replayed: the message did not run`);
+      return { id, ok: false, result: null };
+    }
+
+    if (result.error) {
+      await this.store.update(id, {
+        context: { ...entry.context, dispatched: [...new Set([...dispatched, ...dispatchedActions(result)])] },
+        error: serializeError(result.error),
+        stage: result.errorStage ?? null,
+        attempts: result.errorAttempts ?? 1,
+        replays: entry.replays + 1,
+        lastReplayedAt: new Date().toISOString()
+      });
+      this.logger?.warn(`Replay of dead letter ${id} failed again at ${result.errorStage}`);
+      return { id, ok: false, result };
+    }
+
+    await this.store.remove(id);
+    this.logger?.info(`Replayed dead letter ${id}`);
+    return { id, ok: true, result };
+  }
+
+  /**
+   * Replay every stored entry, oldest first. An entry whose replay throws
+   * (e.g. the chat's queue is full) is reported and the rest still run.
+   * @returns {Promise<Array>} One { id, ok, result } or { id, ok: false, error } per entry
+   */
+  async replayAll() {
+    const entries = await this.store.list({ limit: Infinity, offset: 0 });
+    const outcomes = [];
+    for (const entry of entries) {
+      try {
+        outcomes.push(await this.replay(entry.id));
+      } catch (error) {
+        this.logger?.error(`Replay of dead letter ${entry.id} threw: ${error.message}`);
+        outcomes.push({ id: entry.id, ok: false, error });
+      }
+    }
+    return outcomes;
+  }
+
+  /**
+   * Delete one entry, or all entries when no ID is given
+   * @param {*} id - Entry ID
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async purge(id) {
+    if (id === undefined) {
+      return this.store.clear();
+    }
+    return this.store.remove(id);
+  }
+}
+
+/**
+ * MemoryDeadLetterStore - In-process store, lost on restart
+ */
+export class MemoryDeadLetterStore {
+  constructor() {
+    this.entries = new Map();
+    this.nextId = 1;
+  }
+
+  async insert(entry) {
+    const stored = { id: this.nextId++, ...entry };
+    this.entries.set(stored.id, stored);
+    return { ...stored };
+  }
+
+  async list({ limit, offset }) {
+    return [...this.entries.values()].slice(offset, offset + limit).map(e => ({ ...e }));
+  }
+
+  async get(id) {
+    const entry = this.entries.get(id);
+    return entry ? { ...entry } : null;
+  }
+
+  async update(id, fields) {
+    const entry = this.entries.get(id);
+    if (entry) {
+      Object.assign(entry, fields);
+    }
+  }
+
+  async remove(id) {
+    return this.entries.delete(id) ? 1 : 0;
+  }
+
+  async clear() {
+    const count = this.entries.size;
+    this.entries.clear();
+    return count;
+  }
+
+  async count() {
+    return this.entries.size;
+  }
+}
+
+/**
+ * PostgreSQLDeadLetterStore - Persists entries through a PostgreSQLAdapter
+ *
+ * Call ensureSchema() once at startup to create the table.
+ */
+export class PostgreSQLDeadLetterStore {
+  /**
+   * @param {PostgreSQLAdapter} db - Connected database adapter
+   * @param {Object} options - { table: 'dead_letters' }
+   */
+  constructor(db, options = {}) {
+    this.db = db;
+    this.table = options.table || 'dead_letters';
+
+    if (!/^[a-zA-Z_][a-zA-Z0-9_.]*$/.test(this.table)) {
+      throw new Error(`Invalid table name: ${this.table}`);
+    }
+  }
+
+  async ensureSchema() {
+    await this.db.query(`
+      CREATE TABLE IF NOT EXISTS ${this.table} (
+        id SERIAL PRIMARY KEY,
+        message JSONB NOT NULL,
+        context JSONB,
+        error JSONB,
+        stage TEXT,
+        attempts INTEGER NOT NULL DEFAULT 1,
+        replays INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        last_replayed_at TIMESTAMPTZ
+      )
+    `);
+  }
+
+  async insert(entry) {
+    const row = await this.db.insert(this.table, {
+      message: JSON.stringify(entry.message),
+      context: JSON.stringify(entry.context),
+      error: JSON.stringify(entry.error),
+      stage: entry.stage,
+      attempts: entry.attempts,
+      replays: entry.replays,
+      created_at: entry.createdAt
+    });
+    return this._fromRow(row);
+  }
+
+  async list({ limit, offset }) {
+    const rows = Number.isFinite(limit)
+      ? await this.db.queryAll(`SELECT * FROM ${this.table} ORDER BY id LIMIT $1 OFFSET $2`, [limit, offset])
+      : await this.db.queryAll(`SELECT * FROM ${this.table} ORDER BY id OFFSET $1`, [offset]);
+    return rows.map(row => this._fromRow(row));
+  }
+
+  async get(id) {
+    const row = await this.db.findById(this.table, id);
+    return row ? this._fromRow(row) : null;
+  }
+
+  async update(id, fields) {
+    await this.db.update(this.table, {
+      ...(fields.context && { context: JSON.stringify(fields.context) }),
+      error: JSON.stringify(fields.error),
+      stage: fields.stage,
+      attempts: fields.attempts,
+      replays: fields.replays,
+      last_replayed_at: fields.lastReplayedAt
+    }, { id });
+  }
+
+  async remove(id) {
+    const result = await this.db.delete(this.table, { id });
+    return result?.rowCount ?? 0;
+  }
+
+  async clear() {
+    const result = await this.db.query(`DELETE FROM ${this.table}`);
+    return result?.rowCount ?? 0;
+  }
+
+  async count() {
+    const row = await this.db.queryOne(`SELECT COUNT(*)::int AS count FROM ${this.table}`);
+    return row?.count ?? 0;
+  }
+
+  /**
+   * @private
+   */
+  _fromRow(row) {
+    return {
+      id: row.id,
+      message: parseJson(row.message),
+      context: parseJson(row.context),
+      error: parseJson(row.error),
+      stage: row.stage,
+      attempts: row.attempts,
+      replays: row.replays,
+      createdAt: toIso(row.created_at),
+      lastReplayedAt: toIso(row.last_replayed_at)
+    };
+  }
+}
+
+/**
+ * Outcome statuses of actions that must not run again on replay;
+ * 'duplicate' ones ran on an earlier attempt
+ */
+const DISPATCHED = ['handled', 'scheduled', 'duplicate'];
+
+/**
+ * IDs telling a message's actions apart across runs: stage, action and
+ * which of the stage's identical actions it is, as 'stage:action#n'
+ * @param {Array} actions - result.actions
+ * @returns {string[]}
+ */
+export function actionIds(actions) {
+  const seen = new Map();
+  return actions.map(({ stage, action }) => {
+    const base = `${stage ?? ''}:${action}`;
+    const occurrence = (seen.get(base) ?? 0) + 1;
+    seen.set(base, occurrence);
+    return `${base}#${occurrence}`;
+  });
+}
+
+/**
+ * actionIds() of the actions a run dispatched (or scheduled) successfully
+ */
+function dispatchedActions(result = {}) {
+  const outcomes = result.actionResults || [];
+  return actionIds(result.actions || []).filter((id, i) => DISPATCHED.includes(outcomes[i]?.status));
+}
+
+/**
+ * What the message ran with, minus live objects (adapters, db, logger)
+ */
+function summarizeContext(message, context = {}, result = {}) {
+  let state = null;
+  try {
+    state = JSON.parse(JSON.stringify(context.state ?? {}));
+  } catch {
+    state = { unserializable: true };
+  }
+
+  return {
+    source: message.source ?? context.bot?.name ?? null,
+    chatId: message.chat?.id ?? message.chatId ?? null,
+    userId: message.from?.id ?? message.user?.id ?? null,
+    state,
+    actions: (result.actions || []).map(a => a.action),
+    dispatched: dispatchedActions(result)
+  };
+}
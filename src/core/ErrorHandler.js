@@ -1,3 +1,6 @@
+import { CircuitBreaker } from './CircuitBreaker.js';
+import { BACKOFF_POLICIES, computeBackoff, getRetryAfterMs, sleep } from './backoff.js';
+
 /**
  * ErrorHandler - Centralized error handling for pipeline and stages
  * 
@@ -10,6 +13,8 @@ export class ErrorHandler {
     this.logger = logger;
     this.errorHandlers = {};
     this.recoveryStrategies = {};
+    this.circuits = {};
+    this.hooks = null;
     this.errorStats = {
       total: 0,
       byType: {},
@@ -20,13 +25,26 @@ export class ErrorHandler {
     this.registerErrorHandler('StageError', this.handleStageError.bind(this));
     this.registerErrorHandler('DatabaseError', this.handleDatabaseError.bind(this));
     this.registerErrorHandler('ValidationError', this.handleValidationError.bind(this));
+    this.registerErrorHandler('TimeoutError', this.handleTimeoutError.bind(this));
+
+    // Telegram transport errors (thrown by TelegramAdapter and MTProtoAdapter)
+    this.registerErrorHandler('RateLimitError', this.handleRateLimitError.bind(this));
+    this.registerErrorHandler('NetworkError', this.handleNetworkError.bind(this));
+    this.registerErrorHandler('ForbiddenError', this.handleForbiddenError.bind(this));
+    this.registerErrorHandler('BotKickedError', this.handleBotKickedError.bind(this));
+    this.registerErrorHandler('ChatNotFoundError', this.handleChatNotFoundError.bind(this));
+    this.registerErrorHandler('UserNotFoundError', this.handleUserNotFoundError.bind(this));
+    this.registerErrorHandler('NotEnoughRightsError', this.handleNotEnoughRightsError.bind(this));
+    this.registerErrorHandler('MessageNotModifiedError', this.handleMessageNotModifiedError.bind(this));
+    this.registerErrorHandler('AuthError', this.handleAuthError.bind(this));
   }
 
   /**
    * Handle error from a stage
    * @param {Error} error - Error instance
    * @param {string} stageName - Name of stage that errored
-   * @param {Object} context - { message, config, attempt }
+   * @param {Object} context - { message, attempt, context, retryBudget, previousDelayMs }
+   *   (context is the stage's pipeline context)
    * @returns {Promise<Object>} Recovery action or throw
    */
   async handle(error, stageName, context = {}) {
@@ -64,11 +82,116 @@ export class ErrorHandler {
   /**
    * Register recovery strategy for stage
    * @param {string} stageName - Stage name
-   * @param {string} strategy - 'stop' | 'skip' | 'retry' | 'fallback'
-   * @param {Object} options - { maxRetries: 3, backoffMs: 100 }
+   * @param {string} strategy - 'stop' | 'skip' | 'retry' | 'fallback' | 'circuit'
+   * @param {Object} options - retry: { maxRetries: 3, backoffMs: 100, backoff: 'linear' | 'fixed' |
+   *              'exponential' | 'decorrelated', factor: 2, maxDelayMs: 30000, jitter: false,
+   *              respectRetryAfter: true, maxRetryAfterMs: 60000 }
+   *   fallback: { fallback: value | async (error, message, context) => stageResult }
+   *   circuit: { failureThreshold: 5, windowMs: 60000, cooldownMs: 30000,
+   *              onFailure: 'skip' | 'stop' | 'fallback', whileOpen: 'skip' | 'fallback', fallback }
    */
   registerRecoveryStrategy(stageName, strategy, options = {}) {
+    if (options.backoff && !BACKOFF_POLICIES.includes(options.backoff)) {
+      throw new Error(`Unknown backoff policy "${options.backoff}", expected one of: ${BACKOFF_POLICIES.join(', ')}`);
+    }
+
     this.recoveryStrategies[stageName] = { strategy, ...options };
+
+    if (strategy === 'circuit') {
+      this.circuits[stageName] = new CircuitBreaker({
+        ...options,
+        onStateChange: (from, to, state) => this._onCircuitChange(stageName, from, to, state)
+      });
+    } else {
+      delete this.circuits[stageName];
+    }
+  }
+
+  /**
+   * Set hook manager for circuit:* state transition events
+   * @param {HookManager} hookManager
+   */
+  setHooks(hookManager) {
+    this.hooks = hookManager;
+    return this;
+  }
+
+  /**
+   * Check a stage's circuit breaker before running it
+   * @param {string} stageName - Stage name
+   * @returns {Object|null} Recovery action while the circuit is open, null if the stage may run
+   */
+  checkCircuit(stageName) {
+    const circuit = this.circuits[stageName];
+    if (!circuit || circuit.canExecute()) {
+      return null;
+    }
+
+    return {
+      action: this.recoveryStrategies[stageName].whileOpen || 'skip',
+      reason: 'circuit_open'
+    };
+  }
+
+  /**
+   * Resolve the fallback result registered for a stage
+   * @param {string} stageName - Stage name
+   * @param {Error|null} error - Stage error (null when short-circuited by an open circuit)
+   * @param {Object} context - { message, context }
+   * @returns {Promise<*>} Static fallback value, or the fallback function's result
+   */
+  async resolveFallback(stageName, error, context = {}) {
+    const fallback = this.recoveryStrategies[stageName]?.fallback;
+
+    if (typeof fallback === 'function') {
+      return fallback(error, context.message, context.context);
+    }
+    return fallback ?? null;
+  }
+
+  /**
+   * Record a successful stage run (closes a half-open circuit)
+   * @param {string} stageName - Stage name
+   */
+  recordSuccess(stageName) {
+    this.circuits[stageName]?.recordSuccess();
+  }
+
+  /**
+   * Record a failed stage run that did not go through handle(), such as a
+   * stage cut off by the pipeline deadline
+   * @param {string} stageName - Stage name
+   */
+  recordFailure(stageName) {
+    this.circuits[stageName]?.recordFailure();
+  }
+
+  /**
+   * Release a half-open circuit's trial when the stage was not run after all
+   * (e.g. a before:stage hook skipped it)
+   * @param {string} stageName - Stage name
+   */
+  releaseCircuit(stageName) {
+    this.circuits[stageName]?.release();
+  }
+
+  /**
+   * Get circuit breaker state for a stage
+   * @param {string} stageName - Stage name
+   * @returns {Object|null} { state, failures, openedAt }
+   */
+  getCircuitState(stageName) {
+    return this.circuits[stageName]?.getState() ?? null;
+  }
+
+  /**
+   * Log and emit circuit state transitions
+   * @private
+   */
+  _onCircuitChange(stageName, from, to, state) {
+    const log = to === 'open' ? 'warn' : 'info';
+    this.logger?.[log](`Circuit for ${stageName}: ${from} → ${to}`);
+    this.hooks?.emit(`circuit:${to}`, { stageName, from, to, ...state });
   }
 
   /**
@@ -93,28 +216,73 @@ export class ErrorHandler {
         return { action: 'skip', reason: 'stage_error' };
 
       case 'retry':
-        const attempt = context.attempt || 1;
-        if (attempt < (strategy.maxRetries || 3)) {
-          const backoff = strategy.backoffMs || 100;
-          this.logger?.info(
-            `Stage error in ${stageName}, retrying (${attempt}/${strategy.maxRetries})`
-          );
-          await new Promise(r => setTimeout(r, backoff * attempt));
-          return { action: 'retry', reason: 'stage_error' };
-        } else {
-          this.logger?.error(`Stage error in ${stageName}, max retries exceeded`);
-          return { action: 'stop', reason: 'max_retries' };
+        return this._retry(error, stageName, strategy, context);
+
+      case 'circuit':
+        this.circuits[stageName].recordFailure();
+        if (strategy.onFailure === 'fallback') {
+          return this._fallback(error, stageName, context);
         }
+        return { action: strategy.onFailure || 'skip', reason: 'stage_error' };
 
       case 'fallback':
-        this.logger?.warn(`Stage error in ${stageName}, using fallback`);
-        return { action: 'fallback', reason: 'stage_error', fallbackValue: null };
+        return this._fallback(error, stageName, context);
 
       default:
         return { action: 'stop', reason: 'unknown_strategy' };
     }
   }
 
+  /**
+   * Resolve the stage's fallback as its recovery; stop if the fallback throws
+   * @private
+   */
+  async _fallback(error, stageName, context) {
+    this.logger?.warn(`Stage error in ${stageName}, using fallback`);
+    try {
+      const fallbackValue = await this.resolveFallback(stageName, error, context);
+      return { action: 'fallback', reason: 'stage_error', fallbackValue };
+    } catch (fallbackError) {
+      this.logger?.error(`Fallback for ${stageName} failed:`, fallbackError.message);
+      return { action: 'stop', reason: 'fallback_failed', error: fallbackError };
+    }
+  }
+
+  /**
+   * Decide whether and when to retry a failed stage.
+   * A server-requested wait (429 retry_after, FloodWait) replaces the backoff delay.
+   * @private
+   */
+  async _retry(error, stageName, strategy, context) {
+    const attempt = context.attempt || 1;
+    const maxRetries = strategy.maxRetries || 3;
+
+    if (attempt >= maxRetries) {
+      this.logger?.error(`Stage error in ${stageName}, max retries exceeded`);
+      return { action: 'stop', reason: 'max_retries' };
+    }
+
+    const retryAfterMs = strategy.respectRetryAfter === false ? null : getRetryAfterMs(error);
+    const maxRetryAfterMs = strategy.maxRetryAfterMs ?? 60000;
+    if (retryAfterMs !== null && retryAfterMs > maxRetryAfterMs) {
+      this.logger?.warn(`Stage error in ${stageName}, retry_after ${retryAfterMs}ms exceeds ${maxRetryAfterMs}ms`);
+      return { action: 'stop', reason: 'retry_after_exceeded', retryAfterMs };
+    }
+
+    if (context.retryBudget && !context.retryBudget.tryAcquire()) {
+      this.logger?.warn(`Stage error in ${stageName}, retry budget exhausted`);
+      return { action: 'stop', reason: 'retry_budget_exhausted' };
+    }
+
+    const delayMs = retryAfterMs ?? computeBackoff(attempt, strategy, context.previousDelayMs);
+    this.logger?.info(
+      `Stage error in ${stageName}, retrying in ${delayMs}ms (${attempt}/${maxRetries})`
+    );
+    await sleep(delayMs, context.context?.signal);
+
+    return { action: 'retry', reason: retryAfterMs !== null ? 'retry_after' : 'stage_error', delayMs };
+  }
+
   /**
    * Handle database errors
    * @private
@@ -145,6 +313,101 @@ export class ErrorHandler {
     return { action: 'skip', reason: 'validation_failed' };
   }
 
+  /**
+   * Handle stage timeouts
+   * @private
+   */
+  async handleTimeoutError(error, stageName, context) {
+    this.logger?.warn(`Timeout in ${stageName} after ${error.timeoutMs}ms`);
+    return { action: 'skip', reason: 'stage_timeout' };
+  }
+
+  /**
+   * Handle Telegram rate limits: wait retry_after, then retry the stage —
+   * unless the adapter's RateLimiter already retried the call
+   * @private
+   */
+  async handleRateLimitError(error, stageName, context) {
+    if (error.limiterRetries > 0) {
+      this.logger?.error(`Rate limited in ${stageName}, still after ${error.limiterRetries} retries by the rate limiter`);
+      return { action: 'stop', reason: 'max_retries' };
+    }
+    this.logger?.warn(`Rate limited in ${stageName}, retry after ${error.retryAfter}s`);
+    return this._retry(error, stageName, { maxRetries: 3 }, context);
+  }
+
+  /**
+   * Handle transport failures that never reached Telegram
+   * @private
+   */
+  async handleNetworkError(error, stageName, context) {
+    this.logger?.warn(`Network error in ${stageName}: ${error.message}`);
+    return this._retry(error, stageName, { maxRetries: 3, backoff: 'exponential', backoffMs: 500 }, context);
+  }
+
+  /**
+   * Handle 403s such as a user who blocked the bot
+   * @private
+   */
+  async handleForbiddenError(error, stageName, context) {
+    this.logger?.warn(`Forbidden in ${stageName}: ${error.message}`);
+    return { action: 'skip', reason: 'forbidden' };
+  }
+
+  /**
+   * Handle the bot having been removed from the chat
+   * @private
+   */
+  async handleBotKickedError(error, stageName, context) {
+    this.logger?.warn(`Bot is no longer in the chat (${stageName}): ${error.message}`);
+    return { action: 'stop', reason: 'bot_kicked' };
+  }
+
+  /**
+   * Handle a chat that does not exist or is not visible
+   * @private
+   */
+  async handleChatNotFoundError(error, stageName, context) {
+    this.logger?.warn(`Chat not found in ${stageName}: ${error.message}`);
+    return { action: 'stop', reason: 'chat_not_found' };
+  }
+
+  /**
+   * Handle a user who is gone or not in the chat; the chat itself is fine
+   * @private
+   */
+  async handleUserNotFoundError(error, stageName, context) {
+    this.logger?.warn(`User not found in ${stageName}: ${error.message}`);
+    return { action: 'skip', reason: 'user_not_found' };
+  }
+
+  /**
+   * Handle missing admin rights
+   * @private
+   */
+  async handleNotEnoughRightsError(error, stageName, context) {
+    this.logger?.warn(`Not enough rights in ${stageName}: ${error.message}`);
+    return { action: 'skip', reason: 'not_enough_rights' };
+  }
+
+  /**
+   * Handle edits that changed nothing — harmless
+   * @private
+   */
+  async handleMessageNotModifiedError(error, stageName, context) {
+    this.logger?.debug(`Message not modified in ${stageName}`);
+    return { action: 'skip', reason: 'message_not_modified' };
+  }
+
+  /**
+   * Handle an invalid token or revoked session
+   * @private
+   */
+  async handleAuthError(error, stageName, context) {
+    this.logger?.error(`Authentication error in ${stageName}: ${error.message}`);
+    return { action: 'stop', reason: 'auth_failed' };
+  }
+
   /**
    * Handle unknown error types
    * @private
@@ -174,7 +437,17 @@ export class ErrorHandler {
    * @returns {Object} Error stats
    */
   getStats() {
-    return { ...this.errorStats };
+    const stats = { ...this.errorStats };
+
+    const stageNames = Object.keys(this.circuits);
+    if (stageNames.length > 0) {
+      stats.circuits = {};
+      for (const stageName of stageNames) {
+        stats.circuits[stageName] = this.circuits[stageName].getState();
+      }
+    }
+
+    return stats;
   }
 
   /**
@@ -1,24 +1,91 @@
+import { TimeoutError } from './errors.js';
+
 /**
  * HookManager - Event hook system for Pipeline
- * 
+ *
  * Allows registering and emitting lifecycle hooks
  * for pipeline events (before/after stages, errors, etc)
+ *
+ * Listeners run in priority order (highest first, then registration order),
+ * one after another unless the manager is created with { parallel: true }.
+ * Hook names may use '*' for a whole segment: '*:stage' matches every stage
+ * event, 'error:*' every error event, '*' everything.
+ *
+ * A listener that throws or runs past its timeout never breaks the emitter.
+ * The failure is logged (to console.error without a logger) and emitted as 'hook:error'.
+ *
+ * intercept() runs the same listeners as interceptors: Pipeline uses it for
+ * 'before:pipeline' and 'before:stage', so a listener can skip a stage, stop
+ * the pipeline or hand the stage a rewritten message.
  */
 export class HookManager {
-  constructor() {
+  /**
+   * @param {Object} options - { logger, parallel: false, timeoutMs }
+   */
+  constructor(options = {}) {
     this.hooks = new Map();
+    this.logger = options.logger || null;
+    this.parallel = options.parallel || false;
+    this.timeoutMs = options.timeoutMs;  // Default per-listener timeout
+    this.sequence = 0;
   }
 
   /**
    * Register a hook listener
-   * @param {string} hookName - Hook name (e.g., 'before:stage', 'after:pipeline')
-   * @param {Function} callback - Async callback function
+   * @param {string} hookName - Hook name (e.g., 'before:stage', 'after:pipeline', 'error:*')
+   * @param {Function} callback - async (data, hookName) => void
+   * @param {Object} options - { priority: 0, once: false, timeoutMs }
    */
-  on(hookName, callback) {
+  on(hookName, callback, options = {}) {
     if (!this.hooks.has(hookName)) {
       this.hooks.set(hookName, []);
     }
-    this.hooks.get(hookName).push(callback);
+    this.hooks.get(hookName).push({
+      callback,
+      priority: options.priority ?? 0,
+      once: options.once || false,
+      timeoutMs: options.timeoutMs,
+      sequence: this.sequence++
+    });
+    return this;
+  }
+
+  /**
+   * Register a listener that is removed after its first call
+   * @param {string} hookName - Hook name
+   * @param {Function} callback - async (data, hookName) => void
+   * @param {Object} options - { priority: 0, timeoutMs }
+   */
+  once(hookName, callback, options = {}) {
+    return this.on(hookName, callback, { ...options, once: true });
+  }
+
+  /**
+   * Remove a listener, or every listener of a hook when no callback is given
+   * @param {string} hookName - Hook name as passed to on()
+   * @param {Function} callback - Listener to remove
+   */
+  off(hookName, callback) {
+    if (!callback) {
+      this.hooks.delete(hookName);
+      return this;
+    }
+
+    const listeners = (this.hooks.get(hookName) || []).filter(l => l.callback !== callback);
+    if (listeners.length > 0) {
+      this.hooks.set(hookName, listeners);
+    } else {
+      this.hooks.delete(hookName);
+    }
+    return this;
+  }
+
+  /**
+   * Set the logger that receives listener failures
+   * @param {Object} logger - Any logger with .error
+   */
+  setLogger(logger) {
+    this.logger = logger;
     return this;
   }
 
@@ -28,14 +95,47 @@ export class HookManager {
    * @param {Object} data - Data to pass to hook listeners
    */
   async emit(hookName, data = {}) {
-    const callbacks = this.hooks.get(hookName) || [];
-    for (const callback of callbacks) {
-      try {
-        await callback(data);
-      } catch (error) {
-        console.error(`Error in hook '${hookName}':`, error);
+    const listeners = this._take(hookName);
+
+    if (this.parallel) {
+      await Promise.all(listeners.map(listener => this._invoke(listener, hookName, data)));
+      return;
+    }
+
+    for (const listener of listeners) {
+      await this._invoke(listener, hookName, data);
+    }
+  }
+
+  /**
+   * Emit a hook whose listeners may intervene.
+   * Listeners run one at a time, even with { parallel: true }, and may return:
+   *   { skip: true }             → skip what the hook guards
+   *   { stop: true, ...meta }    → halt the pipeline; meta is merged into result.metadata
+   *   { message }                → replacement message, also seen by later listeners
+   * The first skip or stop wins. A listener that throws is reported and ignored.
+   * @param {string} hookName - Hook name
+   * @param {Object} data - Data to pass to hook listeners
+   * @returns {Promise<Object|null>} The intervention, or null if no listener intervened
+   */
+  async intercept(hookName, data = {}) {
+    let current = data;
+    let replacement = null;
+
+    for (const listener of this._take(hookName)) {
+      const outcome = await this._invoke(listener, hookName, current);
+      if (!outcome || typeof outcome !== 'object') continue;
+
+      if (outcome.stop || outcome.skip) {
+        return outcome;
+      }
+      if (outcome.message) {
+        replacement = outcome.message;
+        current = { ...current, message: replacement };
       }
     }
+
+    return replacement ? { message: replacement } : null;
   }
 
   /**
@@ -56,4 +156,112 @@ export class HookManager {
     this.hooks.clear();
     return this;
   }
+
+  /**
+   * Listeners to call for a hook name, in call order.
+   * Once-listeners are removed up front, so a concurrent emit can't call them twice.
+   * @private
+   */
+  _take(hookName) {
+    const matched = this._match(hookName);
+    for (const [pattern, listener] of matched) {
+      if (listener.once) {
+        this._remove(pattern, listener);
+      }
+    }
+    return matched.map(([, listener]) => listener);
+  }
+
+  /**
+   * Remove one listener entry, leaving other registrations of its callback in place
+   * @private
+   */
+  _remove(hookName, listener) {
+    const listeners = (this.hooks.get(hookName) || []).filter(l => l !== listener);
+    if (listeners.length > 0) {
+      this.hooks.set(hookName, listeners);
+    } else {
+      this.hooks.delete(hookName);
+    }
+  }
+
+  /**
+   * Listeners for a hook name, including wildcard subscriptions, in call order
+   * @private
+   * @returns {Array} [pattern, listener] pairs
+   */
+  _match(hookName) {
+    const matched = [];
+    for (const [pattern, listeners] of this.hooks) {
+      if (pattern === hookName || matchesPattern(pattern, hookName)) {
+        for (const listener of listeners) {
+          matched.push([pattern, listener]);
+        }
+      }
+    }
+    return matched.sort(([, a], [, b]) => b.priority - a.priority || a.sequence - b.sequence);
+  }
+
+  /**
+   * Run one listener with its timeout; failures are reported, never thrown
+   * @private
+   * @returns {Promise<*>} The listener's return value, undefined if it failed
+   */
+  async _invoke(listener, hookName, data) {
+    const timeoutMs = listener.timeoutMs ?? this.timeoutMs;
+    let timer;
+
+    try {
+      const run = (async () => listener.callback(data, hookName))();
+      if (!timeoutMs) {
+        return await run;
+      }
+
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new TimeoutError(
+          `Hook listener for '${hookName}' timed out after ${timeoutMs}ms`,
+          { timeoutMs, scope: 'hook' }
+        )), timeoutMs);
+      });
+      return await Promise.race([run, timeout]);
+    } catch (error) {
+      await this._reportError(hookName, error, listener);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * Log a listener failure and emit it as 'hook:error'
+   * @private
+   */
+  async _reportError(hookName, error, listener) {
+    if (this.logger) {
+      this.logger.error(
+        { err: error, hook: hookName, listener: listener.callback.name || 'anonymous' },
+        `Error in hook '${hookName}'`
+      );
+    } else {
+      console.error(`Error in hook '${hookName}':`, error);
+    }
+
+    // Failures of hook:error listeners are only logged, to avoid a loop
+    if (hookName !== 'hook:error') {
+      await this.emit('hook:error', { hookName, error, listener: listener.callback.name || 'anonymous' });
+    }
+  }
+}
+
+/**
+ * Whether a wildcard pattern matches a hook name.
+ * '*' alone matches everything; otherwise segments are compared one by one.
+ */
+function matchesPattern(pattern, hookName) {
+  if (pattern === '*') return true;
+  if (!pattern.includes('*')) return false;
+
+  const patternParts = pattern.split(':');
+  const nameParts = hookName.split(':');
+  return patternParts.length === nameParts.length &&
+    patternParts.every((part, i) => part === '*' || part === nameParts[i]);
 }
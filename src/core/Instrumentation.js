@@ -0,0 +1,49 @@
+/**
+ * Instrumentation - Wrappers around one kind of operation: a pipeline run,
+ * an action or a transport API call
+ *
+ * Observers like Tracer and Metrics use it to time the operation or run it
+ * in their own async scope, which hook listeners cannot do. BotEngine,
+ * ActionHandler and the transport adapters each expose instrument(wrapper).
+ *
+ * A wrapper is (info, next) => next(): it must call next() once and return
+ * its result. The first wrapper added runs outermost.
+ *
+ * @example
+ * adapter.instrument(async ({ method }, next) => {
+ *   const started = Date.now();
+ *   try {
+ *     return await next();
+ *   } finally {
+ *     console.log(`${method} took ${Date.now() - started}ms`);
+ *   }
+ * });
+ */
+export class Instrumentation {
+  constructor() {
+    this.wrappers = [];
+  }
+
+  /**
+   * @param {Function} wrapper - (info, next) => result of next()
+   */
+  add(wrapper) {
+    if (typeof wrapper !== 'function') {
+      throw new Error('Instrumentation wrapper must be a function');
+    }
+    this.wrappers.push(wrapper);
+    return this;
+  }
+
+  /**
+   * Run fn inside every wrapper
+   * @param {Object} info - What the wrappers are told about the operation
+   * @param {Function} fn - () => result
+   */
+  run(info, fn) {
+    const call = (index) => (
+      index === this.wrappers.length ? fn() : this.wrappers[index](info, () => call(index + 1))
+    );
+    return call(0);
+  }
+}
@@ -0,0 +1,185 @@
+import { QueueOverflowError } from './errors.js';
+
+const OVERFLOW_POLICIES = ['drop_oldest', 'drop_newest', 'reject'];
+
+/**
+ * KeyedQueue - Ordered-per-key work queue with bounded concurrency
+ * 
+ * Jobs sharing a key run strictly one after another, in arrival order.
+ * Jobs with different keys run in parallel, up to `concurrency` at a time.
+ * The number of waiting jobs is capped by `maxBacklog`; what happens when
+ * it is full is decided by the overflow policy:
+ *   - 'drop_oldest' → discard the oldest waiting job (its promise resolves undefined)
+ *   - 'drop_newest' → discard the incoming job (its promise resolves undefined)
+ *   - 'reject'      → reject the incoming job with QueueOverflowError
+ * 
+ * @example
+ * const queue = new KeyedQueue({ concurrency: 4, maxBacklog: 100 });
+ * await queue.push(message.chatId, () => pipeline.process(message, context));
+ */
+export class KeyedQueue {
+  constructor(options = {}) {
+    this.concurrency = options.concurrency ?? 10;
+    this.maxBacklog = options.maxBacklog ?? 1000;
+    this.overflow = options.overflow || 'reject';
+
+    if (!OVERFLOW_POLICIES.includes(this.overflow)) {
+      throw new Error(`Unknown overflow policy "${this.overflow}", expected one of: ${OVERFLOW_POLICIES.join(', ')}`);
+    }
+
+    this.queues = new Map();      // key -> waiting jobs, in arrival order
+    this.ready = [];              // keys with waiting jobs and nothing in flight
+    this.activeKeys = new Set();  // keys with a job in flight
+    this.pending = 0;
+    this.seq = 0;
+    this.idleWaiters = [];
+    this.counters = { processed: 0, failed: 0, dropped: 0, rejected: 0 };
+  }
+
+  /**
+   * Enqueue a job
+   * @param {*} key - Ordering key (e.g. chat ID)
+   * @param {Function} task - async () => any
+   * @returns {Promise<*>} Resolves with the task result (undefined if the job was dropped)
+   */
+  push(key, task) {
+    const wouldWait = this.activeKeys.has(key)
+      || this.queues.has(key)
+      || this.activeKeys.size >= this.concurrency;
+
+    if (wouldWait && this.pending >= this.maxBacklog) {
+      // With nothing waiting (maxBacklog 0) there is no older job to drop
+      if (this.overflow === 'drop_newest' || (this.overflow === 'drop_oldest' && this.pending === 0)) {
+        this.counters.dropped++;
+        return Promise.resolve(undefined);
+      }
+
+      if (this.overflow === 'reject') {
+        this.counters.rejected++;
+        return Promise.reject(new QueueOverflowError(
+          `Queue backlog full (${this.maxBacklog} pending)`,
+          { key, maxBacklog: this.maxBacklog }
+        ));
+      }
+
+      this._dropOldest();
+    }
+
+    return new Promise((resolve, reject) => {
+      let jobs = this.queues.get(key);
+      if (!jobs) {
+        jobs = [];
+        this.queues.set(key, jobs);
+      }
+
+      jobs.push({ task, resolve, reject, seq: this.seq++ });
+      this.pending++;
+
+      if (jobs.length === 1 && !this.activeKeys.has(key)) {
+        this.ready.push(key);
+      }
+
+      this._pump();
+    });
+  }
+
+  /**
+   * Wait until no jobs are waiting or running
+   * @returns {Promise<void>}
+   */
+  drain() {
+    if (this._isIdle()) return Promise.resolve();
+    return new Promise(resolve => this.idleWaiters.push(resolve));
+  }
+
+  /**
+   * Get queue depth and counters
+   */
+  getStats() {
+    return {
+      pending: this.pending,
+      active: this.activeKeys.size,
+      keys: this.queues.size,
+      concurrency: this.concurrency,
+      maxBacklog: this.maxBacklog,
+      overflow: this.overflow,
+      ...this.counters
+    };
+  }
+
+  /**
+   * Start jobs while there are free slots and ready keys
+   * @private
+   */
+  _pump() {
+    while (this.activeKeys.size < this.concurrency && this.ready.length > 0) {
+      const key = this.ready.shift();
+      const jobs = this.queues.get(key);
+      const job = jobs.shift();
+      if (jobs.length === 0) {
+        this.queues.delete(key);
+      }
+
+      this.pending--;
+      this.activeKeys.add(key);
+      this._run(key, job);
+    }
+  }
+
+  /**
+   * Run one job, then release its key
+   * @private
+   */
+  async _run(key, job) {
+    try {
+      job.resolve(await job.task());
+      this.counters.processed++;
+    } catch (error) {
+      this.counters.failed++;
+      job.reject(error);
+    } finally {
+      this.activeKeys.delete(key);
+      if (this.queues.has(key)) {
+        this.ready.push(key);
+      }
+      this._pump();
+
+      if (this._isIdle()) {
+        this.idleWaiters.splice(0).forEach(resolve => resolve());
+      }
+    }
+  }
+
+  /**
+   * Discard the oldest waiting job across all keys
+   * @private
+   */
+  _dropOldest() {
+    let oldestKey;
+    let oldestSeq = Infinity;
+    for (const [key, jobs] of this.queues) {
+      if (jobs[0].seq < oldestSeq) {
+        oldestSeq = jobs[0].seq;
+        oldestKey = key;
+      }
+    }
+
+    const jobs = this.queues.get(oldestKey);
+    const job = jobs.shift();
+    if (jobs.length === 0) {
+      this.queues.delete(oldestKey);
+      this.ready = this.ready.filter(k => k !== oldestKey);
+    }
+
+    this.pending--;
+    this.counters.dropped++;
+    job.resolve(undefined);
+  }
+
+  /**
+   * @private
+   */
+  _isIdle() {
+    return this.pending === 0 && this.activeKeys.size === 0;
+  }
+}
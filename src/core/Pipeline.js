@@ -1,11 +1,44 @@
 import { HookManager } from './HookManager.js';
 import { ErrorHandler } from './ErrorHandler.js';
+import { TimeoutError, ValidationError } from './errors.js';
+import { RetryBudget } from './RetryBudget.js';
+import { unknownFields } from './schema.js';
+import { runWithSignal } from './stageSignal.js';
+
+/**
+ * Route key extractors for Pipeline.route()
+ */
+const ROUTE_KEYS = {
+  type: (message) => message.type,
+  chat: (message) => message.chat?.id ?? message.chatId
+};
+
+/**
+ * Keys a stage result may carry when it does not stop the pipeline (with stop, any key is metadata)
+ */
+const STAGE_RESULT_KEYS = ['action', 'data', 'stop', 'runAt', 'delay', 'key', 'priority', 'group'];
+
+/**
+ * Abort target when source aborts. Returns a function that removes the link.
+ */
+function linkSignal(source, target) {
+  if (!source) return () => {};
+  if (source.aborted) {
+    target.abort(source.reason);
+    return () => {};
+  }
+
+  const onAbort = () => target.abort(source.reason);
+  source.addEventListener('abort', onAbort, { once: true });
+  return () => source.removeEventListener('abort', onAbort);
+}
 
 /**
  * Pipeline - Sequential message processor with early termination
  * 
  * Executes stages in order, passing message and context to each.
  * A stage can return { stop: true, ...metadata } to halt the pipeline.
+ * Nested pipelines can be mounted as stages with route() and when().
  * 
  * Usage:
  *   const pipeline = new Pipeline();
@@ -17,6 +50,11 @@ export class Pipeline {
     this.logger = null;
     this.hooks = null;
     this.errorHandler = null;
+    this.timeouts = null;
+    this.retryBudget = null;
+    this.actionHandler = null;
+    this.devChecks = false;
+    this.devWarnings = new Set();  // Dev check warnings already logged, each is logged once
   }
 
   /**
@@ -28,12 +66,156 @@ export class Pipeline {
     return this;
   }
 
+  /**
+   * Mount a sub-pipeline that only runs when predicate returns truthy
+   * @param {Function} predicate - async (message, context) => boolean
+   * @param {Pipeline} subPipeline - Pipeline with its own stages, hooks and error handler
+   * @param {Object} options - { propagateStop: true } — a stop in the sub-pipeline halts this one
+   */
+  when(predicate, subPipeline, options = {}) {
+    const label = predicate.name || 'predicate';
+
+    return this.use(this._mount(`when:${label}`, {
+      type: 'when',
+      pipelines: { [label]: subPipeline },
+      select: async (message, context) => (await predicate(message, context) ? subPipeline : null)
+    }, options));
+  }
+
+  /**
+   * Mount sub-pipelines selected by a route key (message type by default)
+   * @param {Object} routes - { [key]: Pipeline }, '*' catches messages no other route matched
+   * @param {Object} options - { by: 'type' | 'chat' | (message, context) => key, propagateStop: true }
+   */
+  route(routes, options = {}) {
+    const by = options.by || 'type';
+    const keyOf = typeof by === 'function' ? by : ROUTE_KEYS[by];
+    if (!keyOf) {
+      throw new Error(`Unknown route key "${by}", expected 'type', 'chat' or a function`);
+    }
+
+    const label = typeof by === 'function' ? (by.name || 'custom') : by;
+
+    return this.use(this._mount(`route:${label}`, {
+      type: 'route',
+      by: label,
+      pipelines: routes,
+      select: async (message, context) => {
+        const key = await keyOf(message, context);
+        return routes[key] || routes['*'] || null;
+      }
+    }, options));
+  }
+
+  /**
+   * Build a stage that runs a nested pipeline chosen by mount.select()
+   * @private
+   */
+  _mount(name, mount, { propagateStop = true } = {}) {
+    const mounted = async (message, context) => {
+      const subPipeline = await mount.select(message, context);
+      if (!subPipeline) return;
+      return subPipeline.process(message, context);
+    };
+
+    this._shareActionHandler(Object.values(mount.pipelines));
+
+    Object.defineProperty(mounted, 'name', { value: name });
+    mounted.mount = { ...mount, propagateStop };
+    return mounted;
+  }
+
+  /**
+   * Fold a sub-pipeline result into the parent result
+   * @private
+   */
+  _mergeSubResult(result, subResult, stage, message, context) {
+    if (!subResult) return;
+
+    // Sub-pipeline already recorded its actions on message._actions
+    result.actions.push(...subResult.actions);
+
+    if (subResult.stop && stage.mount.propagateStop) {
+      result.stop = true;
+      result.metadata = { ...result.metadata, ...subResult.metadata };
+
+      if (subResult.error) {
+        result.error = subResult.error;
+        result.errorStage = `${stage.name}/${subResult.errorStage}`;
+        result.errorAttempts = subResult.errorAttempts;
+      }
+
+      context.logger?.info(
+        { stage: stage.name, message: message.id },
+        `Pipeline halted by sub-pipeline: ${stage.name}`
+      );
+    }
+  }
+
+  /**
+   * Collect the action and stop signal from a (non-mounted) stage result
+   * @private
+   */
+  _applyStageResult(stageResult, stageName, message, context, result) {
+    if (stageResult?.action) {
+      const action = {
+        action: stageResult.action,
+        data: stageResult.data || {},
+        stage: stageName,
+        timestamp: Date.now()
+      };
+      // Delayed actions go to BotEngine's ActionScheduler
+      if (stageResult.runAt != null) {
+        action.runAt = stageResult.runAt;
+      } else if (stageResult.delay != null) {
+        action.runAt = action.timestamp + stageResult.delay;
+      }
+      if (stageResult.key != null) {
+        action.key = stageResult.key;
+      }
+      // Dispatch order against the message's other actions, see ActionHandler.handleAll()
+      if (stageResult.priority != null) {
+        action.priority = stageResult.priority;
+      }
+      if (stageResult.group != null) {
+        action.group = stageResult.group;
+      }
+      message._actions.push(action);
+      result.actions.push(action);
+    }
+
+    if (stageResult?.stop) {
+      result.stop = true;
+      result.metadata = { ...result.metadata, ...stageResult };
+      context.logger?.info(
+        { stage: stageName, message: message.id },
+        `Pipeline halted at stage: ${stageName}`
+      );
+    }
+  }
+
+  /**
+   * Halt the pipeline on a { stop: true } returned by an intercepting hook
+   * @private
+   */
+  _haltByHook(interception, at, message, context, result) {
+    result.stop = true;
+    result.metadata = { ...result.metadata, ...interception };
+    context.logger?.info(
+      { stage: at, message: message.id },
+      `Pipeline halted by hook at: ${at}`
+    );
+  }
+
   /**
    * Set hook manager for pipeline events
    * @param {HookManager} hookManager
    */
   setHooks(hookManager) {
     this.hooks = hookManager;
+    if (this.errorHandler && !this.errorHandler.hooks) {
+      this.errorHandler.setHooks?.(hookManager);
+    }
     return this;
   }
 
@@ -43,9 +225,176 @@ export class Pipeline {
    */
   setErrorHandler(errorHandler) {
     this.errorHandler = errorHandler;
+    if (this.hooks && !errorHandler.hooks) {
+      errorHandler.setHooks?.(this.hooks);
+    }
+    return this;
+  }
+
+  /**
+   * Set stage and pipeline deadlines
+   * @param {Object} timeouts - { stageMs, pipelineMs, stages: { [stageName]: ms } }
+   */
+  setTimeouts(timeouts) {
+    this.timeouts = timeouts;
+    return this;
+  }
+
+  /**
+   * Cap retries across all stages of this pipeline
+   * @param {RetryBudget|Object|null} budget - RetryBudget, or { maxRetries, windowMs } to create one
+   */
+  setRetryBudget(budget) {
+    this.retryBudget = !budget || budget instanceof RetryBudget ? budget : new RetryBudget(budget);
+    return this;
+  }
+
+  /**
+   * Validate the actions stages return against the ActionHandler's schemas, as
+   * soon as each stage returns. An action that fails its schema is logged and
+   * dropped; the stage itself succeeded, so it is not retried or counted by its
+   * circuit, and its stop signal still applies. Mounted sub-pipelines without an
+   * ActionHandler share this one.
+   * BotEngine calls this with its own ActionHandler.
+   * @param {ActionHandler|null} actionHandler
+   * @param {Object} options - { devChecks: false } — also warn, once each, about stage
+   *   results with unknown keys, unregistered action names and payload fields no schema lists
+   */
+  setActionHandler(actionHandler, { devChecks = false } = {}) {
+    this.actionHandler = actionHandler;
+    this.devChecks = devChecks;
+    for (const stage of this.stages) {
+      if (stage.mount) this._shareActionHandler(Object.values(stage.mount.pipelines));
+    }
     return this;
   }
 
+  /**
+   * @private
+   */
+  _shareActionHandler(pipelines) {
+    if (!this.actionHandler) return;
+    for (const subPipeline of pipelines) {
+      if (!subPipeline.actionHandler) {
+        subPipeline.setActionHandler?.(this.actionHandler, { devChecks: this.devChecks });
+      }
+    }
+  }
+
+  /**
+   * Validate a (non-mounted) stage result's action, and run the dev checks
+   * @private
+   * @returns {*} The stage result, without its action if that failed validation
+   */
+  _checkStageResult(stageResult, stageName, message, context) {
+    if (!this.actionHandler) return stageResult;
+
+    if (this.devChecks) {
+      for (const warning of this._devCheck(stageResult)) {
+        const key = `${stageName}:${warning}`;
+        if (this.devWarnings.has(key)) continue;
+        this.devWarnings.add(key);
+        context.logger?.warn({ stage: stageName }, `Dev check: stage ${stageName} ${warning}`);
+      }
+    }
+
+    if (stageResult?.action) {
+      try {
+        this.actionHandler.validate(stageResult.action, stageResult.data || {});
+      } catch (error) {
+        if (!(error instanceof ValidationError)) throw error;
+        context.logger?.error(
+          { err: error, stage: stageName, messageId: message.id, action: error.action, field: error.field },
+          `Dropping invalid action from stage ${stageName}: ${error.message}`
+        );
+        const withoutAction = { ...stageResult };
+        delete withoutAction.action;
+        delete withoutAction.data;
+        return withoutAction;
+      }
+    }
+    return stageResult;
+  }
+
+  /**
+   * @private
+   * @returns {string[]} What looks wrong with a stage result
+   */
+  _devCheck(stageResult) {
+    if (stageResult === undefined || stageResult === null) return [];
+    if (typeof stageResult !== 'object') {
+      return [`returned a ${typeof stageResult}, expected nothing or an object`];
+    }
+
+    const warnings = [];
+    if (!stageResult.stop) {
+      const unknown = Object.keys(stageResult).filter(key => !STAGE_RESULT_KEYS.includes(key));
+      if (unknown.length) {
+        warnings.push(`returned unknown keys: ${unknown.join(', ')} (expected ${STAGE_RESULT_KEYS.join(', ')})`);
+      }
+    }
+
+    const { action } = stageResult;
+    if (action && !Object.prototype.hasOwnProperty.call(this.actionHandler.handlers, action)) {
+      warnings.push(`returned unregistered action "${action}"`);
+    } else if (action) {
+      const schema = this.actionHandler.getSchema(action);
+      const unknown = schema ? unknownFields(schema, stageResult.data) : [];
+      if (unknown.length) {
+        warnings.push(`returned "${action}" with fields its schema does not list: ${unknown.join(', ')}`);
+      }
+    }
+    return warnings;
+  }
+
+  /**
+   * Run a single stage with its deadline, exposing an AbortSignal as context.signal
+   * @private
+   */
+  async _runStage(stage, stageName, message, context, pipelineSignal, deadline) {
+    const stageMs = this.timeouts?.stages?.[stageName] ?? this.timeouts?.stageMs;
+    const remainingMs = deadline ? deadline - Date.now() : undefined;
+
+    if (stageMs === undefined && remainingMs === undefined) {
+      return runWithSignal(pipelineSignal, () => stage(message, context));
+    }
+
+    const scope = remainingMs !== undefined && (stageMs === undefined || remainingMs < stageMs)
+      ? 'pipeline'
+      : 'stage';
+    const timeoutMs = Math.max(scope === 'pipeline' ? remainingMs : stageMs, 0);
+    const timeoutError = new TimeoutError(
+      scope === 'pipeline'
+        ? `Pipeline deadline of ${this.timeouts.pipelineMs}ms exceeded at stage ${stageName}`
+        : `Stage ${stageName} timed out after ${timeoutMs}ms`,
+      { stageName, timeoutMs, scope }
+    );
+
+    if (timeoutMs === 0) {
+      throw timeoutError;
+    }
+
+    const controller = new AbortController();
+    const unlink = linkSignal(pipelineSignal, controller);
+    context.signal = controller.signal;
+
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => {
+        controller.abort(timeoutError);
+        reject(timeoutError);
+      }, timeoutMs);
+    });
+
+    try {
+      return await Promise.race([runWithSignal(controller.signal, () => stage(message, context)), timeout]);
+    } finally {
+      clearTimeout(timer);
+      unlink();
+      context.signal = pipelineSignal;
+    }
+  }
+
   /**
    * Process a message through all stages
    * @param {Object} message - Message object from adapter
@@ -62,107 +411,180 @@ export class Pipeline {
         message._actions = [];
       }
 
-      // Emit before:pipeline hook
-      if (this.hooks) {
-        await this.hooks.emit('before:pipeline', { message });
-      }
+      // Expose an AbortSignal to stages, linked to any outer (parent pipeline) signal
+      const parentSignal = context.signal;
+      const controller = new AbortController();
+      const unlinkParent = linkSignal(parentSignal, controller);
+      context.signal = controller.signal;
+      const deadline = this.timeouts?.pipelineMs ? Date.now() + this.timeouts.pipelineMs : null;
 
-      for (const stage of this.stages) {
-        const stageName = stage.name || 'anonymous';
-        const maxAttempts = this.errorHandler?.recoveryStrategies[stageName]?.maxRetries ?? 3;
-        let attempt = 0;
-        let stageComplete = false;
+      // The signal is restored however the run ends, for an outer pipeline sharing the context
+      try {
+        // before:pipeline listeners may stop or skip the whole run, or replace the message
+        let skipStages = false;
+        if (this.hooks) {
+          const interception = await this.hooks.intercept('before:pipeline', { message, context });
+          if (interception?.stop) {
+            this._haltByHook(interception, 'before:pipeline', message, context, result);
+          } else if (interception?.skip) {
+            skipStages = true;
+          } else if (interception?.message) {
+            message = interception.message;
+            message._actions = message._actions || [];
+          }
+        }
 
-        while (!stageComplete) {
-          try {
-            // Emit before:stage hook
-            if (this.hooks) {
-              await this.hooks.emit('before:stage', { message, stageName });
-            }
+        for (const stage of result.stop || skipStages ? [] : this.stages) {
+          const stageName = stage.name || 'anonymous';
+          const maxAttempts = this.errorHandler?.recoveryStrategies[stageName]?.maxRetries ?? 3;
+          let attempt = 0;
+          let previousDelayMs = 0;
+          let stageComplete = false;
 
-            const stageResult = await stage(message, context);
-
-            // Collect actions from stage result
-            if (stageResult?.action) {
-              const action = {
-                action: stageResult.action,
-                data: stageResult.data || {},
-                stage: stageName,
-                timestamp: Date.now()
-              };
-              message._actions.push(action);
-              result.actions.push(action);
-            }
+          // Open circuit: short-circuit the stage without running it
+          const shortCircuit = this.errorHandler?.checkCircuit?.(stageName);
+          if (shortCircuit) {
+            context.logger?.warn(
+              { stage: stageName, messageId: message.id },
+              `Circuit open, not running stage: ${stageName}`
+            );
 
-            // Emit after:stage hook
-            if (this.hooks) {
-              await this.hooks.emit('after:stage', { message, stageName, result: stageResult });
+            if (shortCircuit.action === 'fallback') {
+              try {
+                const fallbackValue = await this.errorHandler.resolveFallback(stageName, null, { message, context });
+                const checkedResult = this._checkStageResult(fallbackValue, stageName, message, context);
+                this._applyStageResult(checkedResult, stageName, message, context, result);
+              } catch (error) {
+                context.logger?.error({ err: error, stage: stageName }, `Fallback failed for stage: ${stageName}`);
+              }
             }
+            stageComplete = true;
+          }
+
+          while (!stageComplete) {
+            try {
+              // before:stage listeners may skip the stage, stop the pipeline or rewrite its input
+              let stageMessage = message;
+              if (this.hooks) {
+                const interception = await this.hooks.intercept('before:stage', { message, stageName, context });
+                if (interception?.stop) {
+                  this._haltByHook(interception, stageName, message, context, result);
+                  this.errorHandler?.releaseCircuit?.(stageName);
+                  stageComplete = true;
+                  continue;
+                }
+                if (interception?.skip) {
+                  context.logger?.debug({ stage: stageName, messageId: message.id }, `Stage skipped by hook: ${stageName}`);
+                  this.errorHandler?.releaseCircuit?.(stageName);
+                  stageComplete = true;
+                  continue;
+                }
+                stageMessage = interception?.message || message;
+              }
 
-            if (stageResult?.stop) {
-              result.stop = true;
-              result.metadata = { ...result.metadata, ...stageResult };
-              context.logger?.info(
-                { stage: stageName, message: message.id },
-                `Pipeline halted at stage: ${stageName}`
+              const stageResult = await this._runStage(
+                stage, stageName, stageMessage, context, controller.signal, deadline
               );
-            }
 
-            stageComplete = true;
+              if (stage.mount) {
+                // Mounted sub-pipeline: merge its actions and stop signal
+                this._mergeSubResult(result, stageResult, stage, message, context);
+              } else {
+                // Collect action and stop signal from stage result
+                const checkedResult = this._checkStageResult(stageResult, stageName, message, context);
+                this._applyStageResult(checkedResult, stageName, message, context, result);
+              }
 
-          } catch (error) {
-            attempt++;
-            context.logger?.error(
-              { err: error, stage: stageName, messageId: message.id, attempt },
-              `Pipeline stage failed: ${stageName}`
-            );
+              // Emit after:stage hook
+              if (this.hooks) {
+                await this.hooks.emit('after:stage', { message, stageName, result: stageResult, context });
+              }
 
-            // Emit error:stage hook
-            if (this.hooks) {
-              await this.hooks.emit('error:stage', { message, stageName, error });
-            }
+              this.errorHandler?.recordSuccess?.(stageName);
+              stageComplete = true;
 
-            if (this.errorHandler) {
-              const recovery = await this.errorHandler.handle(
-                error,
-                stageName,
-                { message, attempt }
+            } catch (error) {
+              attempt++;
+              context.logger?.error(
+                { err: error, stage: stageName, messageId: message.id, attempt },
+                `Pipeline stage failed: ${stageName}`
               );
 
-              if (recovery.action === 'stop') {
+              const timedOut = error instanceof TimeoutError && error.stageName === stageName;
+
+              // Emit timeout:stage and error:stage hooks
+              if (this.hooks) {
+                if (timedOut) {
+                  await this.hooks.emit('timeout:stage', {
+                    message, stageName, timeoutMs: error.timeoutMs, scope: error.scope, context
+                  });
+                }
+                await this.hooks.emit('error:stage', { message, stageName, error, context });
+              }
+
+              if (timedOut && error.scope === 'pipeline') {
+                // Pipeline deadline passed — no point retrying or running later stages,
+                // but the stage's circuit still counts the failure
+                this.errorHandler?.recordFailure?.(stageName);
                 result.stop = true;
                 result.error = error;
                 result.errorStage = stageName;
+                result.errorAttempts = attempt;
                 stageComplete = true;
-              } else if (recovery.action === 'skip') {
-                stageComplete = true; // Move to next stage
-              } else if (recovery.action === 'retry') {
-                if (attempt >= maxAttempts) {
-                  // Max retries reached — stop
+              } else if (this.errorHandler) {
+                const recovery = await this.errorHandler.handle(
+                  error,
+                  stageName,
+                  { message, attempt, context, retryBudget: this.retryBudget, previousDelayMs }
+                );
+
+                if (recovery.action === 'stop') {
                   result.stop = true;
                   result.error = error;
                   result.errorStage = stageName;
+                  result.errorAttempts = attempt;
+                  stageComplete = true;
+                } else if (recovery.action === 'skip') {
+                  stageComplete = true; // Move to next stage
+                } else if (recovery.action === 'retry') {
+                  previousDelayMs = recovery.delayMs ?? 0;
+                  if (attempt >= maxAttempts) {
+                    // Max retries reached — stop
+                    result.stop = true;
+                    result.error = error;
+                    result.errorStage = stageName;
+                    result.errorAttempts = attempt;
+                    stageComplete = true;
+                  }
+                  // else: loop again to retry current stage
+                } else if (recovery.action === 'fallback') {
+                  // Fallback value stands in for the stage's own result, and is checked like one
+                  const checkedResult = this._checkStageResult(recovery.fallbackValue, stageName, message, context);
+                  this._applyStageResult(checkedResult, stageName, message, context, result);
+                  stageComplete = true;
+                } else {
                   stageComplete = true;
                 }
-                // else: loop again to retry current stage
               } else {
+                // Default: skip to next stage
                 stageComplete = true;
               }
-            } else {
-              // Default: skip to next stage
-              stageComplete = true;
             }
           }
-        }
 
-        if (result.stop) break;
+          if (result.stop) break;
+        }
+      } finally {
+        unlinkParent();
+        context.signal = parentSignal;
       }
 
       // Emit after:pipeline hook
       if (this.hooks) {
         await this.hooks.emit('after:pipeline', {
           message,
-          result
+          result,
+          context
         });
       }
 
@@ -175,13 +597,37 @@ export class Pipeline {
     inspect() {
       return {
         stageCount: this.stages.length,
-        stages: this.stages.map(s => ({ name: s.name || 'anonymous' })),
+        stages: this.stages.map(s => this._inspectStage(s)),
         hasHooks: !!this.hooks,
         hookStats: this.hooks?.getStatus(),
         hasErrorHandler: !!this.errorHandler,
-        errorStats: this.errorHandler?.getStats()
+        errorStats: this.errorHandler?.getStats(),
+        retryBudget: this.retryBudget?.getState()
       };
     }
+
+    /**
+     * Describe a stage, including nested pipelines for mounted stages
+     * @private
+     */
+    _inspectStage(stage) {
+      const info = { name: stage.name || 'anonymous' };
+
+      const circuit = this.errorHandler?.getCircuitState?.(info.name);
+      if (circuit) {
+        info.circuit = circuit;
+      }
+
+      if (!stage.mount) return info;
+
+      const { type, by, pipelines } = stage.mount;
+      const nested = {};
+      for (const [key, subPipeline] of Object.entries(pipelines)) {
+        nested[key] = subPipeline.inspect();
+      }
+
+      return { ...info, type, ...(by && { by }), routes: nested };
+    }
 }
 
 /**
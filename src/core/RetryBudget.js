@@ -0,0 +1,52 @@
+/**
+ * RetryBudget - Caps how many retries a pipeline may spend in a time window
+ *
+ * Individual stages decide whether an error is worth retrying; the budget
+ * decides whether the pipeline as a whole can afford it. When a dependency
+ * goes down, every message would otherwise retry every stage up to
+ * maxRetries, multiplying load on the thing that is already failing.
+ *
+ * Used by ErrorHandler for the 'retry' strategy via Pipeline.setRetryBudget().
+ */
+export class RetryBudget {
+  /**
+   * @param {Object} options - { maxRetries: 100, windowMs: 60000 }
+   */
+  constructor(options = {}) {
+    this.maxRetries = options.maxRetries ?? 100;
+    this.windowMs = options.windowMs ?? 60000;
+
+    this.retries = [];  // timestamps of retries spent inside the window
+    this.exhausted = 0;
+  }
+
+  /**
+   * Spend one retry if the budget allows it
+   * @returns {boolean} true if the retry may go ahead
+   */
+  tryAcquire(now = Date.now()) {
+    this.retries = this.retries.filter(t => now - t < this.windowMs);
+
+    if (this.retries.length >= this.maxRetries) {
+      this.exhausted++;
+      return false;
+    }
+
+    this.retries.push(now);
+    return true;
+  }
+
+  /**
+   * Get budget state
+   */
+  getState(now = Date.now()) {
+    const used = this.retries.filter(t => now - t < this.windowMs).length;
+    return {
+      used,
+      remaining: Math.max(0, this.maxRetries - used),
+      maxRetries: this.maxRetries,
+      windowMs: this.windowMs,
+      exhausted: this.exhausted
+    };
+  }
+}
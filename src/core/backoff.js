@@ -0,0 +1,89 @@
+/**
+ * Backoff policies for the 'retry' recovery strategy
+ *
+ *   fixed        → backoffMs every time
+ *   linear       → backoffMs * attempt (default)
+ *   exponential  → backoffMs * factor^(attempt - 1)
+ *   decorrelated → random between backoffMs and 3x the previous delay
+ *
+ * Every policy is capped at maxDelayMs. `jitter: true` randomizes fixed,
+ * linear and exponential delays between 0 and the computed value.
+ */
+export const BACKOFF_POLICIES = ['fixed', 'linear', 'exponential', 'decorrelated'];
+
+/**
+ * Compute the delay before the next retry
+ * @param {number} attempt - Attempts made so far (1 after the first failure)
+ * @param {Object} options - { backoff: 'linear', backoffMs: 100, factor: 2, maxDelayMs: 30000, jitter: false }
+ * @param {number} previousDelayMs - Delay used before this attempt (decorrelated only)
+ * @param {Function} random - Source of randomness in [0, 1)
+ * @returns {number} Delay in milliseconds
+ */
+export function computeBackoff(attempt, options = {}, previousDelayMs = 0, random = Math.random) {
+  const policy = options.backoff || 'linear';
+  const base = options.backoffMs ?? 100;
+  const factor = options.factor ?? 2;
+  const maxDelayMs = options.maxDelayMs ?? 30000;
+
+  let delay;
+  switch (policy) {
+    case 'fixed':
+      delay = base;
+      break;
+    case 'linear':
+      delay = base * attempt;
+      break;
+    case 'exponential':
+      delay = base * Math.pow(factor, attempt - 1);
+      break;
+    case 'decorrelated': {
+      const upper = Math.max(base, (previousDelayMs || base) * 3);
+      return Math.min(maxDelayMs, Math.round(base + random() * (upper - base)));
+    }
+    default:
+      throw new Error(`Unknown backoff policy "${policy}", expected one of: ${BACKOFF_POLICIES.join(', ')}`);
+  }
+
+  delay = Math.min(maxDelayMs, delay);
+  return options.jitter ? Math.round(random() * delay) : delay;
+}
+
+/**
+ * Read the server-requested wait from a rate-limit error
+ *
+ * Understands Bot API 429 responses (node-telegram-bot-api puts
+ * parameters.retry_after on error.response.body), GramJS FloodWaitError
+ * (error.seconds) and errors that carry retryAfter in seconds.
+ *
+ * @param {Error} error
+ * @returns {number|null} Wait in milliseconds, or null if the error has none
+ */
+export function getRetryAfterMs(error) {
+  const seconds =
+    error?.response?.body?.parameters?.retry_after ??
+    error?.parameters?.retry_after ??
+    error?.retryAfter ??
+    (/FloodWait/.test(error?.constructor?.name ?? '') ? error.seconds : undefined);
+
+  const value = Number(seconds);
+  return seconds != null && Number.isFinite(value) && value >= 0 ? value * 1000 : null;
+}
+
+/**
+ * Wait for ms, resolving early if the signal aborts
+ * @param {number} ms
+ * @param {AbortSignal} signal
+ */
+export function sleep(ms, signal) {
+  if (ms <= 0 || signal?.aborted) return Promise.resolve();
+
+  return new Promise(resolve => {
+    const done = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', done);
+      resolve();
+    };
+    const timer = setTimeout(done, ms);
+    signal?.addEventListener('abort', done, { once: true });
+  });
+}
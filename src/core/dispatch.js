@@ -0,0 +1,79 @@
+/**
+ * Bounded-parallel, prioritized dispatch for ActionHandler.handleAll and ActionOutbox.dispatch
+ *
+ *   concurrency → at most this many items in flight (1 runs them one at a time)
+ *   priority    → higher starts first; equal priorities keep their original order
+ *   group       → items sharing a group run one at a time, in their original order,
+ *                 whatever their priorities
+ */
+
+/**
+ * Run items through a worker
+ * @param {Array} items - Objects with optional priority (number, default 0) and group (string)
+ * @param {number} concurrency - Max items in flight
+ * @param {Function} worker - async (item, index) => result
+ * @returns {Promise<Array>} Results by original index. If a worker throws, the items
+ *   already started are waited for and the first error is rethrown; no more items start.
+ */
+export async function dispatchOrdered(items, concurrency, worker) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const results = new Array(items.length);
+  const pending = items
+    .map((item, index) => ({ item, index }))
+    .sort((a, b) => (b.item.priority ?? 0) - (a.item.priority ?? 0) || a.index - b.index);
+  const busyGroups = new Set();
+  const running = new Set();
+  let failure = null;
+
+  // Next pending item whose group is free, and which is the earliest pending item of its group
+  const nextStartable = () => pending.findIndex(({ item, index }) => {
+    if (item.group == null) return true;
+    if (busyGroups.has(item.group)) return false;
+    return !pending.some(other => other.item.group === item.group && other.index < index);
+  });
+
+  while ((pending.length && !failure) || running.size) {
+    let next;
+    while (!failure && running.size < limit && (next = nextStartable()) !== -1) {
+      const [{ item, index }] = pending.splice(next, 1);
+      const { group } = item;
+      if (group != null) busyGroups.add(group);
+
+      const task = Promise.resolve()
+        .then(() => worker(item, index))
+        .then(
+          (result) => { results[index] = result; },
+          (error) => { failure = failure || { error }; }
+        )
+        .then(() => {
+          running.delete(task);
+          if (group != null) busyGroups.delete(group);
+        });
+      running.add(task);
+    }
+
+    if (running.size) {
+      await Promise.race(running);
+    }
+  }
+
+  if (failure) {
+    throw failure.error;
+  }
+  return results;
+}
+
+/**
+ * Group per-action outcomes by status
+ * @param {Array} results - [{ action, data, stage, status, error? }], in declared order
+ * @returns {Object} { results, succeeded, failed, skipped, unhandled } — each list holds outcomes
+ */
+export function summarizeOutcomes(results) {
+  return {
+    results,
+    succeeded: results.filter(outcome => outcome.status === 'handled'),
+    failed: results.filter(outcome => outcome.status === 'failed'),
+    skipped: results.filter(outcome => outcome.status === 'skipped'),
+    unhandled: results.filter(outcome => outcome.status === 'unhandled')
+  };
+}
@@ -0,0 +1,55 @@
+/**
+ * Framework error types
+ *
+ * ErrorHandler dispatches on error.constructor.name, so each class here
+ * can be targeted with errorHandler.registerErrorHandler('<ClassName>', fn).
+ */
+
+/**
+ * TimeoutError - A stage, the whole pipeline or a hook listener ran past its deadline
+ */
+export class TimeoutError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { stageName, timeoutMs, scope: 'stage' | 'pipeline' | 'hook' }
+   */
+  constructor(message, { stageName, timeoutMs, scope = 'stage' } = {}) {
+    super(message);
+    this.name = 'TimeoutError';
+    this.stageName = stageName;
+    this.timeoutMs = timeoutMs;
+    this.scope = scope;
+  }
+}
+
+/**
+ * QueueOverflowError - BotEngine's work queue backlog is full
+ */
+export class QueueOverflowError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { key, maxBacklog }
+   */
+  constructor(message, { key, maxBacklog } = {}) {
+    super(message);
+    this.name = 'QueueOverflowError';
+    this.key = key;
+    this.maxBacklog = maxBacklog;
+  }
+}
+
+/**
+ * ValidationError - An action's payload is missing a field or has one of the wrong type
+ */
+export class ValidationError extends Error {
+  /**
+   * @param {string} message
+   * @param {Object} details - { action, field }
+   */
+  constructor(message, { action, field } = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.action = action;
+    this.field = field;
+  }
+}
@@ -1,5 +1,16 @@
 export { Pipeline, createPipeline } from './Pipeline.js';
 export { BotEngine } from './BotEngine.js';
 export { HookManager } from './HookManager.js';
+export { Instrumentation } from './Instrumentation.js';
 export { ErrorHandler } from './ErrorHandler.js';
 export { ActionHandler } from './ActionHandler.js';
+export { TimeoutError, QueueOverflowError, ValidationError } from './errors.js';
+export { compileSchema, validatePayload, SCHEMA_TYPES } from './schema.js';
+export { createLogger, StructuredLogger } from './logger.js';
+export { KeyedQueue } from './KeyedQueue.js';
+export { RetryBudget } from './RetryBudget.js';
+export { computeBackoff, getRetryAfterMs } from './backoff.js';
+export { DeadLetterQueue, MemoryDeadLetterStore, PostgreSQLDeadLetterStore } from './DeadLetterQueue.js';
+export { ActionOutbox, MemoryOutboxStore, PostgreSQLOutboxStore } from './ActionOutbox.js';
+export { ActionScheduler, MemorySchedulerStore, PostgreSQLSchedulerStore } from './ActionScheduler.js';
+export { AuditLog, MemoryAuditStore, PostgreSQLAuditStore } from './AuditLog.js';
@@ -0,0 +1,174 @@
+import winston from 'winston';
+
+const { format } = winston;
+
+/**
+ * Replace Error values in log fields with plain objects, so JSON output keeps
+ * their name, message, code and stack
+ */
+const serializeErrors = format((info) => {
+  for (const key of Object.keys(info)) {
+    if (info[key] instanceof Error) {
+      info[key] = serializeError(info[key]);
+    }
+  }
+  return info;
+});
+
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code !== undefined && { code: error.code }),
+    stack: error.stack
+  };
+}
+
+/**
+ * Output formats by name
+ */
+const FORMATS = {
+  json: () => format.combine(format.timestamp(), serializeErrors(), format.json()),
+
+  pretty: () => format.combine(
+    format.timestamp({ format: 'HH:mm:ss.SSS' }),
+    serializeErrors(),
+    format.colorize(),
+    format.printf(({ timestamp, level, message, err, ...fields }) => {
+      const meta = Object.keys(fields).length > 0 ? ` ${JSON.stringify(fields)}` : '';
+      const stack = err?.stack ? `\n${err.stack}` : '';
+      return `${timestamp} ${level} ${message}${meta}${stack}`;
+    })
+  )
+};
+
+/**
+ * Build a winston transport from an instance or a descriptor
+ * @param {Object} transport - winston transport, or { type: 'console' | 'file', level, format, filename }.
+ *   Console transports default to the logger's format, file transports to JSON.
+ */
+function buildTransport(transport) {
+  if (transport instanceof winston.Transport) {
+    return transport;
+  }
+
+  const { type = 'console', format: style, ...options } = transport;
+  const transportFormat = style ? getFormat(style) : undefined;
+
+  if (type === 'console') {
+    return new winston.transports.Console({ ...options, format: transportFormat });
+  }
+  if (type === 'file') {
+    if (!options.filename) {
+      throw new Error('File log transport requires a filename');
+    }
+    return new winston.transports.File({ ...options, format: transportFormat ?? getFormat('json') });
+  }
+  throw new Error(`Unknown log transport type "${type}", expected 'console' or 'file'`);
+}
+
+function getFormat(style) {
+  const build = FORMATS[style];
+  if (!build) {
+    throw new Error(`Unknown log format "${style}", expected one of: ${Object.keys(FORMATS).join(', ')}`);
+  }
+  return build();
+}
+
+/**
+ * createLogger - Build a structured logger backed by winston
+ *
+ * Output is JSON in production and human-readable otherwise, unless
+ * options.format says so. Transports may mix formats, e.g. pretty on the
+ * console and JSON in a file.
+ *
+ * @param {Object} options - { level: LOG_LEVEL | 'info', format: 'json' | 'pretty',
+ *                             transports: [{ type: 'console' | 'file', level, format, filename }],
+ *                             defaultMeta, silent }
+ * @returns {StructuredLogger}
+ *
+ * @example
+ * const logger = createLogger({
+ *   level: 'debug',
+ *   transports: [{ type: 'console', format: 'pretty' }, { type: 'file', filename: 'bot.log', format: 'json' }]
+ * });
+ */
+export function createLogger(options = {}) {
+  const style = options.format || (process.env.NODE_ENV === 'production' ? 'json' : 'pretty');
+
+  const logger = winston.createLogger({
+    level: options.level || process.env.LOG_LEVEL || 'info',
+    format: getFormat(style),
+    defaultMeta: options.defaultMeta,
+    transports: (options.transports || [{ type: 'console' }]).map(buildTransport),
+    silent: options.silent
+  });
+
+  return new StructuredLogger(logger);
+}
+
+/**
+ * StructuredLogger - Accepts the call styles used across the framework and
+ * writes them as winston entries with fields:
+ *
+ *   logger.info('Started')                              → message only
+ *   logger.error({ err, stage }, 'Stage failed')        → fields, then message
+ *   logger.error(error, 'Stage failed')                 → error as { err }
+ *   logger.error('Failed to handle action:', detail)    → extra arguments as { details }
+ */
+export class StructuredLogger {
+  /**
+   * @param {winston.Logger} logger - Logger or child logger to write to
+   */
+  constructor(logger) {
+    this.winston = logger;
+  }
+
+  error(...args) { this._log('error', args); }
+  warn(...args)  { this._log('warn', args); }
+  info(...args)  { this._log('info', args); }
+  debug(...args) { this._log('debug', args); }
+
+  /**
+   * Logger that adds fields to every entry; used for per-message loggers
+   * @param {Object} fields - e.g. { correlationId, chatId, userId }
+   */
+  child(fields) {
+    return new StructuredLogger(this.winston.child(fields));
+  }
+
+  isLevelEnabled(level) {
+    return this.winston.isLevelEnabled(level);
+  }
+
+  get level() {
+    return this.winston.level;
+  }
+
+  set level(level) {
+    this.winston.level = level;
+  }
+
+  /**
+   * @private
+   */
+  _log(level, [first, ...rest]) {
+    if (first instanceof Error) {
+      this.winston.log(level, typeof rest[0] === 'string' ? rest[0] : first.message, { err: first });
+      return;
+    }
+
+    if (first && typeof first === 'object') {
+      this.winston.log(level, typeof rest[0] === 'string' ? rest[0] : '', { ...first });
+      return;
+    }
+
+    const fields = {};
+    if (rest.length === 1 && rest[0] instanceof Error) {
+      fields.err = rest[0];
+    } else if (rest.length > 0) {
+      fields.details = rest.length === 1 ? rest[0] : rest;
+    }
+    this.winston.log(level, String(first), fields);
+  }
+}
@@ -0,0 +1,490 @@
+import { computeBackoff, getRetryAfterMs } from './backoff.js';
+import { ValidationError } from './errors.js';
+
+/**
+ * Shared pieces of the stores that keep messages and actions: the JSON
+ * (de)serialization of messages and errors, row helpers, and the worker and
+ * store base classes behind ActionOutbox and ActionScheduler.
+ *
+ * A job worker keeps items in a store and dispatches them through a
+ * dispatcher the engine sets. A polling worker claims due items under a
+ * lease, so several processes can share a store; failed items are retried
+ * with backoff up to maxAttempts.
+ *
+ * Item status: pending → processing → done | skipped | failed
+ */
+
+/**
+ * JobWorker - Base of ActionOutbox and ActionScheduler
+ *
+ * Subclasses name themselves for logs and say which field holds the time an
+ * item is due (dueField) and under which name run() reports the item's new
+ * status (statusField).
+ */
+export class JobWorker {
+  /**
+   * @param {Object} store - Store implementing claim, update, get, list, count, recover and purge
+   * @param {Object} options - { maxAttempts, backoff: 'exponential', backoffMs, factor, maxDelayMs,
+   *                             jitter, pollIntervalMs: 1000, batchSize: 10, leaseMs: 30000, logger }
+   * @param {Object} defaults - { name, dueField, statusField, maxAttempts, backoffMs, maxDelayMs }
+   */
+  constructor(store, options, defaults) {
+    this.store = store;
+    this.logger = options.logger;
+    this.name = defaults.name;
+    this.dueField = defaults.dueField;
+    this.statusField = defaults.statusField;
+    this.maxAttempts = options.maxAttempts ?? defaults.maxAttempts;
+    this.retryOptions = {
+      backoff: options.backoff || 'exponential',
+      backoffMs: options.backoffMs ?? defaults.backoffMs,
+      factor: options.factor,
+      maxDelayMs: options.maxDelayMs ?? defaults.maxDelayMs,
+      jitter: options.jitter
+    };
+    this.pollIntervalMs = options.pollIntervalMs ?? 1000;
+    this.batchSize = options.batchSize ?? 10;
+    this.leaseMs = options.leaseMs ?? 30000;  // How long a claimed item is hidden from other workers
+
+    this.dispatcher = null;
+    this.running = false;
+    this.timer = null;
+    this.pass = null;
+  }
+
+  /**
+   * Set the function that runs one item (BotEngine sets this)
+   * @param {Function} dispatcher - async (item, message | null, context | null) =>
+   *   { status: 'handled' | 'unhandled' | 'skipped' | 'failed', error }
+   */
+  setDispatcher(dispatcher) {
+    this.dispatcher = dispatcher;
+    return this;
+  }
+
+  /**
+   * Claim and dispatch one batch of due items: pending items whose due time
+   * has passed, and processing items whose lease expired
+   * @returns {Promise<Array>} One outcome per item, see _run()
+   */
+  async processDue() {
+    this._requireDispatcher();
+
+    const now = Date.now();
+    const items = await this.store.claim({
+      now: new Date(now).toISOString(),
+      lockedUntil: new Date(now + this.leaseMs).toISOString(),
+      limit: this.batchSize
+    });
+
+    const outcomes = [];
+    for (const item of items) {
+      outcomes.push(await this._run(item, null));
+    }
+    return outcomes;
+  }
+
+  /**
+   * Start the worker; it polls every pollIntervalMs
+   */
+  start() {
+    if (this.running) return this;
+    this.running = true;
+    this._schedule(0);
+    return this;
+  }
+
+  /**
+   * Stop the worker and wait for the batch it is running
+   */
+  async stop() {
+    this.running = false;
+    clearTimeout(this.timer);
+    this.timer = null;
+    await this.pass;
+  }
+
+  /**
+   * Make every processing item pending again, without waiting for its lease.
+   * Only safe when a single process uses the store, e.g. at startup.
+   * @returns {Promise<number>} Number of items recovered
+   */
+  async recover() {
+    const count = await this.store.recover();
+    if (count > 0) {
+      this.logger?.info(`${this.name}: recovered ${count} interrupted action(s)`);
+    }
+    return count;
+  }
+
+  /**
+   * List items, oldest first
+   * @param {Object} options - { status, limit: 50, offset: 0 }
+   */
+  async list(options = {}) {
+    return this.store.list({ status: options.status ?? null, limit: options.limit ?? 50, offset: options.offset ?? 0 });
+  }
+
+  /**
+   * Get a single item
+   * @param {*} id - Item ID
+   * @returns {Promise<Object|null>}
+   */
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  /**
+   * Count items, optionally of one status
+   * @returns {Promise<number>}
+   */
+  async count(status = null) {
+    return this.store.count(status);
+  }
+
+  /**
+   * Delete items of a status, by default completed ones
+   * @param {Object} options - { status: 'done', before: Date | ISO string (createdAt) }
+   * @returns {Promise<number>} Number of items removed
+   */
+  async purge(options = {}) {
+    const before = options.before ? new Date(options.before).toISOString() : null;
+    return this.store.purge({ status: options.status ?? 'done', before });
+  }
+
+  /**
+   * Run one claimed item and record its outcome
+   * @private
+   * @returns {Promise<Object>} { id, key, action, data, stage, status, error?, [statusField] }
+   */
+  async _run(item, context) {
+    this._requireDispatcher();
+
+    let outcome;
+    try {
+      outcome = await this.dispatcher(item, item.message ? deserializeMessage(item.message) : null, context);
+    } catch (error) {
+      outcome = { status: 'failed', error };
+    }
+
+    const fields = this._settle(item, outcome);
+    await this.store.update(item.id, fields);
+
+    return {
+      id: item.id,
+      key: item.key,
+      action: item.action,
+      data: item.data,
+      stage: item.stage,
+      status: outcome.status,
+      ...(outcome.error && { error: outcome.error }),
+      [this.statusField]: fields.status
+    };
+  }
+
+  /**
+   * Store fields for an item after a dispatch outcome: done, skipped, failed
+   * for good, or pending again after a backoff
+   * @private
+   */
+  _settle(item, outcome) {
+    const attempts = item.attempts + 1;
+    const now = new Date().toISOString();
+    const log = { id: item.id, key: item.key, action: item.action };
+
+    if (outcome.status === 'handled') {
+      return { status: 'done', attempts, lockedUntil: null, lastError: null, completedAt: now };
+    }
+    if (outcome.status === 'skipped') {
+      // Middleware decided against it; retrying would decide the same
+      return { status: 'skipped', attempts, lockedUntil: null, lastError: null, completedAt: now };
+    }
+    if (outcome.status === 'unhandled') {
+      // Retrying cannot help until a handler is registered
+      this.logger?.error(log, `${this.name}: no handler for action "${item.action}"`);
+      return { status: 'failed', attempts, lockedUntil: null, lastError: { name: 'Error', message: `No handler for action "${item.action}"` } };
+    }
+    if (attempts >= this.maxAttempts || outcome.error instanceof ValidationError) {
+      // A payload that failed its schema fails the same way on every attempt
+      this.logger?.error({ ...log, err: outcome.error, attempts }, `${this.name}: action "${item.action}" failed after ${attempts} attempt(s)`);
+      return { status: 'failed', attempts, lockedUntil: null, lastError: serializeError(outcome.error) };
+    }
+
+    const delay = Math.max(computeBackoff(attempts, this.retryOptions), getRetryAfterMs(outcome.error) ?? 0);
+    this.logger?.warn({ ...log, err: outcome.error, attempts, delayMs: delay }, `${this.name}: action "${item.action}" failed, retrying in ${delay}ms`);
+    return {
+      status: 'pending',
+      attempts,
+      lockedUntil: null,
+      [this.dueField]: new Date(Date.now() + delay).toISOString(),
+      lastError: serializeError(outcome.error)
+    };
+  }
+
+  /**
+   * @private
+   */
+  _requireDispatcher() {
+    if (!this.dispatcher) {
+      throw new Error(`${this.name} has no dispatcher — pass it to BotEngine or call setDispatcher()`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _schedule(delay) {
+    this.timer = setTimeout(async () => {
+      this.timer = null;
+      this.pass = this._poll();
+      const claimed = await this.pass;
+      this.pass = null;
+      if (this.running) {
+        // A full batch means more items are probably due
+        this._schedule(claimed >= this.batchSize ? 0 : this.pollIntervalMs);
+      }
+    }, delay);
+    this.timer.unref?.();
+  }
+
+  /**
+   * @private
+   */
+  async _poll() {
+    try {
+      return (await this.processDue()).length;
+    } catch (error) {
+      this.logger?.error({ err: error }, `${this.name}: worker pass failed`);
+      return 0;
+    }
+  }
+}
+
+/**
+ * MemoryJobStore - In-process base store for job workers, lost on restart
+ */
+export class MemoryJobStore {
+  /**
+   * @param {string} dueField - Item field holding when it is due
+   */
+  constructor(dueField) {
+    this.dueField = dueField;
+    this.items = new Map();
+    this.nextId = 1;
+  }
+
+  async insert(item) {
+    const stored = { id: this.nextId++, ...item };
+    this.items.set(stored.id, stored);
+    return { ...stored };
+  }
+
+  async get(id) {
+    const item = this.items.get(id);
+    return item ? { ...item } : null;
+  }
+
+  async claim({ now, lockedUntil, limit }) {
+    const time = Date.parse(now);
+    const due = [...this.items.values()]
+      .filter(item => (item.status === 'pending' && Date.parse(item[this.dueField]) <= time) ||
+        (item.status === 'processing' && Date.parse(item.lockedUntil) < time))
+      .sort((a, b) => Date.parse(a[this.dueField]) - Date.parse(b[this.dueField]) || a.id - b.id)
+      .slice(0, limit);
+
+    return due.map((item) => {
+      Object.assign(item, { status: 'processing', lockedUntil });
+      return { ...item };
+    });
+  }
+
+  async update(id, fields) {
+    const item = this.items.get(id);
+    if (item) {
+      Object.assign(item, fields);
+    }
+  }
+
+  async list({ status, limit, offset }) {
+    return [...this.items.values()]
+      .filter(item => !status || item.status === status)
+      .slice(offset, offset + limit)
+      .map(item => ({ ...item }));
+  }
+
+  async count(status) {
+    return [...this.items.values()].filter(item => !status || item.status === status).length;
+  }
+
+  async recover() {
+    let count = 0;
+    for (const item of this.items.values()) {
+      if (item.status === 'processing') {
+        Object.assign(item, { status: 'pending', lockedUntil: null });
+        count++;
+      }
+    }
+    return count;
+  }
+
+  async purge({ status, before }) {
+    let count = 0;
+    for (const item of [...this.items.values()]) {
+      if (item.status === status && (!before || Date.parse(item.createdAt) < Date.parse(before))) {
+        this._delete(item);
+        count++;
+      }
+    }
+    return count;
+  }
+
+  /**
+   * @protected
+   */
+  _delete(item) {
+    this.items.delete(item.id);
+  }
+}
+
+/**
+ * PostgreSQLJobStore - Base store for job workers on a PostgreSQLAdapter
+ *
+ * Workers claim due rows with FOR UPDATE SKIP LOCKED, so several processes
+ * can share one table. Subclasses add ensureSchema(), insert() and _fromRow().
+ */
+export class PostgreSQLJobStore {
+  /**
+   * @param {PostgreSQLAdapter} db - Connected database adapter
+   * @param {string} table - Table name
+   * @param {Object} dueField - { field, column } holding when an item is due
+   */
+  constructor(db, table, dueField) {
+    this.db = db;
+    this.table = table;
+    this.dueField = dueField.field;
+    this.dueColumn = dueField.column;
+    this.columns = {
+      status: 'status',
+      attempts: 'attempts',
+      [dueField.field]: dueField.column,
+      lockedUntil: 'locked_until',
+      lastError: 'last_error',
+      completedAt: 'completed_at'
+    };
+
+    if (!/^[a-zA-Z_][a-zA-Z0-9_.]*$/.test(this.table)) {
+      throw new Error(`Invalid table name: ${this.table}`);
+    }
+  }
+
+  async get(id) {
+    const row = await this.db.findById(this.table, id);
+    return row ? this._fromRow(row) : null;
+  }
+
+  async claim({ now, lockedUntil, limit }) {
+    const result = await this.db.query(
+      `UPDATE ${this.table} SET status = 'processing', locked_until = $2
+       WHERE id IN (
+         SELECT id FROM ${this.table}
+         WHERE (status = 'pending' AND ${this.dueColumn} <= $1)
+            OR (status = 'processing' AND locked_until < $1)
+         ORDER BY ${this.dueColumn}, id
+         LIMIT $3
+         FOR UPDATE SKIP LOCKED
+       )
+       RETURNING *`,
+      [now, lockedUntil, limit]
+    );
+    return (result?.rows || [])
+      .map(row => this._fromRow(row))
+      .sort((a, b) => Date.parse(a[this.dueField]) - Date.parse(b[this.dueField]) || a.id - b.id);
+  }
+
+  async update(id, fields) {
+    const data = {};
+    for (const [field, column] of Object.entries(this.columns)) {
+      if (field in fields) {
+        data[column] = field === 'lastError' ? JSON.stringify(fields[field]) : fields[field];
+      }
+    }
+    await this.db.update(this.table, data, { id });
+  }
+
+  async list({ status, limit, offset }) {
+    const where = status ? 'WHERE status = $1' : '';
+    const params = status ? [status] : [];
+    const paging = Number.isFinite(limit)
+      ? `LIMIT $${params.length + 1} OFFSET $${params.length + 2}`
+      : `OFFSET $${params.length + 1}`;
+    params.push(...(Number.isFinite(limit) ? [limit, offset] : [offset]));
+
+    const rows = await this.db.queryAll(`SELECT * FROM ${this.table} ${where} ORDER BY id ${paging}`, params);
+    return rows.map(row => this._fromRow(row));
+  }
+
+  async count(status) {
+    const row = status
+      ? await this.db.queryOne(`SELECT COUNT(*)::int AS count FROM ${this.table} WHERE status = $1`, [status])
+      : await this.db.queryOne(`SELECT COUNT(*)::int AS count FROM ${this.table}`);
+    return row?.count ?? 0;
+  }
+
+  async recover() {
+    const result = await this.db.query(
+      `UPDATE ${this.table} SET status = 'pending', locked_until = NULL WHERE status = 'processing'`
+    );
+    return result?.rowCount ?? 0;
+  }
+
+  async purge({ status, before }) {
+    const result = before
+      ? await this.db.query(`DELETE FROM ${this.table} WHERE status = $1 AND created_at < $2`, [status, before])
+      : await this.db.query(`DELETE FROM ${this.table} WHERE status = $1`, [status]);
+    return result?.rowCount ?? 0;
+  }
+}
+
+/**
+ * JSON-safe copy of a message, without the per-run _actions list
+ */
+export function serializeMessage(message) {
+  const { _actions, ...rest } = message;
+  return JSON.parse(JSON.stringify(rest));
+}
+
+/**
+ * Restore a stored message for replay
+ */
+export function deserializeMessage(stored) {
+  const message = { ...stored };
+  if (typeof message.timestamp === 'string') {
+    message.timestamp = new Date(message.timestamp);
+  }
+  return message;
+}
+
+export function serializeError(error) {
+  if (!error) return null;
+  return {
+    name: error.name,
+    message: error.message,
+    code: error.code,
+    stack: error.stack
+  };
+}
+
+/**
+ * A JSON column as stored: drivers return JSONB parsed, text as a string
+ */
+export function parseJson(value) {
+  return typeof value === 'string' ? JSON.parse(value) : value ?? null;
+}
+
+/**
+ * A timestamp column as an ISO string
+ */
+export function toIso(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString() : value;
+}
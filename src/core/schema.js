@@ -0,0 +1,111 @@
+import { ValidationError } from './errors.js';
+
+/**
+ * Lightweight payload schemas for ActionHandler.register(type, handler, { schema })
+ *
+ * A schema maps each field to a type name, with a '?' suffix for optional fields,
+ * or to a spec object:
+ *
+ *   {
+ *     chatId: 'id',
+ *     userId: 'integer',
+ *     reason: 'string?',
+ *     level: { type: 'string', enum: ['low', 'high'], required: false },
+ *     until: { type: 'time', check: value => !Number.isNaN(new Date(value).getTime()) }
+ *   }
+ *
+ * `check` replaces the built-in type test; `type` then only names the field
+ * type in error messages. Fields the schema does not list are allowed.
+ */
+export const SCHEMA_TYPES = {
+  any: () => true,
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  id: value => (typeof value === 'number' && Number.isFinite(value)) || (typeof value === 'string' && value !== '')
+};
+
+/**
+ * Normalize a schema into [{ field, type, required, enum, check }]
+ * @param {Object} schema - { [field]: 'type' | 'type?' | { type, required: true, enum, check } }
+ * @param {string} label - Action name, for error messages
+ * @returns {Array} Compiled fields
+ * @throws {Error} On an unknown type or a malformed spec, so bad schemas fail at registration
+ */
+export function compileSchema(schema, label = 'schema') {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    throw new Error(`Schema for "${label}" must be an object of field specs`);
+  }
+
+  return Object.entries(schema).map(([field, spec]) => {
+    if (typeof spec === 'string') {
+      spec = spec.endsWith('?') ? { type: spec.slice(0, -1), required: false } : { type: spec };
+    }
+    if (!spec || typeof spec !== 'object') {
+      throw new Error(`Schema for "${label}": field "${field}" must be a type name or a spec object`);
+    }
+
+    const { type = 'any', required = true, check } = spec;
+    if (check !== undefined && typeof check !== 'function') {
+      throw new Error(`Schema for "${label}": check for field "${field}" must be a function`);
+    }
+    if (!check && !Object.prototype.hasOwnProperty.call(SCHEMA_TYPES, type)) {
+      throw new Error(`Schema for "${label}": unknown type "${type}" for field "${field}", expected one of: ${Object.keys(SCHEMA_TYPES).join(', ')}`);
+    }
+    if (spec.enum !== undefined && !Array.isArray(spec.enum)) {
+      throw new Error(`Schema for "${label}": enum for field "${field}" must be an array`);
+    }
+
+    return { field, type, required, enum: spec.enum, check: check || SCHEMA_TYPES[type] };
+  });
+}
+
+/**
+ * Check a payload against a compiled schema
+ * @param {Array} fields - From compileSchema()
+ * @param {string} action - Action name, for the error
+ * @param {*} data - Payload
+ * @throws {ValidationError} On the first field that fails
+ */
+export function validatePayload(fields, action, data) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    throw new ValidationError(`${action}: payload must be an object`, { action });
+  }
+
+  for (const spec of fields) {
+    const { field, type } = spec;
+    const value = data[field];
+
+    if (value === undefined || value === null) {
+      if (!spec.required) continue;
+      // A required field that only differs in case is almost always a typo (userID for userId)
+      const near = Object.keys(data).find(key => key !== field && key.toLowerCase() === field.toLowerCase());
+      throw new ValidationError(
+        `${action}: missing required field "${field}"${near ? ` (payload has "${near}")` : ''}`,
+        { action, field }
+      );
+    }
+    if (!spec.check(value)) {
+      throw new ValidationError(`${action}: invalid ${type} in field "${field}": ${JSON.stringify(value)}`, { action, field });
+    }
+    if (spec.enum && !spec.enum.includes(value)) {
+      throw new ValidationError(
+        `${action}: field "${field}" must be one of ${spec.enum.map(v => JSON.stringify(v)).join(', ')}, got ${JSON.stringify(value)}`,
+        { action, field }
+      );
+    }
+  }
+}
+
+/**
+ * Payload keys a compiled schema does not list
+ * @returns {string[]}
+ */
+export function unknownFields(fields, data) {
+  if (!data || typeof data !== 'object') return [];
+  const known = new Set(fields.map(spec => spec.field));
+  return Object.keys(data).filter(key => !known.has(key));
+}
@@ -0,0 +1,27 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+/**
+ * The AbortSignal of the stage running now, for code a stage calls without
+ * handing it context.signal. The transport adapters pass it to their
+ * RateLimiter, so a call still queued when its stage times out is dropped
+ * instead of sent late.
+ *
+ * Pipeline runs every stage inside runWithSignal().
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with signal as the current stage signal
+ * @param {AbortSignal|undefined} signal
+ * @param {Function} fn
+ */
+export function runWithSignal(signal, fn) {
+  return signal ? storage.run(signal, fn) : fn();
+}
+
+/**
+ * @returns {AbortSignal|undefined} The signal of the stage running now
+ */
+export function currentSignal() {
+  return storage.getStore();
+}
@@ -1,2 +1,4 @@
 export * from './core/index.js';
+export * from './actions/index.js';
 export * from './adapters/index.js';
+export * from './observability/index.js';
@@ -0,0 +1,228 @@
+import http from 'node:http';
+
+/**
+ * HealthServer - Liveness, readiness and status endpoints for orchestrators
+ *
+ *   GET /healthz  200 while the process can serve requests
+ *   GET /readyz   200 when every bot is ready and every custom check passes, 503 otherwise
+ *   GET /status   JSON from BotEngine.status() for every bot
+ *
+ * A bot is ready when its engine is running, its adapter's healthCheck()
+ * passes (if it has one), its database answers ping() and its queue backlog is
+ * below maxQueueDepth.
+ *
+ * @example
+ * const health = new HealthServer({ manager, checks: { redis: () => redis.ping() } });
+ * await health.listen(8080);
+ */
+export class HealthServer {
+  /**
+   * @param {Object} options - { engine, manager, checks: { [name]: fn }, maxQueueDepth, timeoutMs: 5000, logger }
+   */
+  constructor(options = {}) {
+    this.engine = options.engine || null;
+    this.manager = options.manager || null;
+    this.checks = new Map(Object.entries(options.checks || {}));
+    this.maxQueueDepth = options.maxQueueDepth ?? null;  // Defaults to each queue's maxBacklog
+    this.timeoutMs = options.timeoutMs ?? 5000;
+    this.logger = options.logger || null;
+    this.server = null;
+    this.startedAt = Date.now();
+
+    this.handler = this.handler.bind(this);
+  }
+
+  /**
+   * Add a readiness check
+   * @param {string} name - Check name in /readyz output
+   * @param {Function} check - async () => boolean | { healthy, ...details }; throwing counts as unhealthy
+   */
+  addCheck(name, check) {
+    this.checks.set(name, check);
+    return this;
+  }
+
+  /**
+   * Remove a readiness check
+   */
+  removeCheck(name) {
+    this.checks.delete(name);
+    return this;
+  }
+
+  /**
+   * Liveness: the process is up and its event loop is serving requests
+   */
+  liveness() {
+    return { status: 'ok', uptimeMs: Date.now() - this.startedAt };
+  }
+
+  /**
+   * Readiness of every bot and custom check
+   * @returns {Promise<Object>} { ready, bots: { [id]: { ready, checks } }, checks }
+   */
+  async readiness() {
+    const bots = {};
+    await Promise.all(this._bots().map(async ({ id, engine, status }) => {
+      bots[id] = await this._botReadiness(engine, status);
+    }));
+
+    const checks = {};
+    await Promise.all([...this.checks].map(async ([name, check]) => {
+      checks[name] = await this._runCheck(name, check);
+    }));
+
+    const ready = Object.values(bots).every(bot => bot.ready) &&
+      Object.values(checks).every(check => check.healthy);
+
+    return { ready, bots, checks };
+  }
+
+  /**
+   * Status of every bot: its BotManager status and BotEngine.status()
+   * @returns {Object} { uptimeMs, bots: { [id]: { status, running, adapter, queue, pipeline } } }
+   */
+  status() {
+    const bots = {};
+    for (const { id, engine, status } of this._bots()) {
+      bots[id] = { status, ...engine.status?.() };
+    }
+    return { uptimeMs: Date.now() - this.startedAt, bots };
+  }
+
+  /**
+   * node:http request handler for /healthz, /readyz and /status; mount it on an existing server
+   */
+  async handler(req, res) {
+    const path = req.url.split('?')[0];
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return this._send(res, 405, { error: 'Method Not Allowed' });
+    }
+
+    try {
+      if (path === '/healthz') {
+        return this._send(res, 200, this.liveness());
+      }
+      if (path === '/readyz') {
+        const readiness = await this.readiness();
+        return this._send(res, readiness.ready ? 200 : 503, readiness);
+      }
+      if (path === '/status') {
+        return this._send(res, 200, this.status());
+      }
+      return this._send(res, 404, { error: 'Not Found' });
+    } catch (error) {
+      this.logger?.error({ err: error, path }, 'HealthServer: request failed');
+      return this._send(res, 500, { error: error.message });
+    }
+  }
+
+  /**
+   * Serve the endpoints on a standalone HTTP server
+   * @param {number} port - 0 picks a free port
+   * @param {string} host
+   * @returns {Promise<http.Server>}
+   */
+  listen(port = 8080, host) {
+    this.server = http.createServer(this.handler);
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
+
+  /**
+   * Stop the server started by listen()
+   */
+  async close() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+  }
+
+  /**
+   * Bots to report on: the engine, and every bot of the manager
+   * @private
+   */
+  _bots() {
+    const bots = [];
+    if (this.engine) {
+      bots.push({
+        id: String(this.engine.clientId ?? 'default'),
+        engine: this.engine,
+        status: this.engine.isRunning ? 'running' : 'stopped'
+      });
+    }
+    for (const clientId of this.manager?.listBots() || []) {
+      bots.push({
+        id: String(clientId),
+        engine: this.manager.getBot(clientId),
+        status: this.manager.getStatus(clientId)
+      });
+    }
+    return bots;
+  }
+
+  /**
+   * @private
+   */
+  async _botReadiness(engine, status) {
+    const checks = {
+      running: engine.isRunning && status === 'running'
+        ? { healthy: true }
+        : { healthy: false, reason: status === 'running' ? 'engine not running' : status }
+    };
+
+    if (typeof engine.adapter?.healthCheck === 'function') {
+      checks.adapter = await this._runCheck('adapter', () => engine.adapter.healthCheck());
+    }
+
+    if (typeof engine.db?.ping === 'function') {
+      checks.db = await this._runCheck('db', () => engine.db.ping());
+    }
+
+    const queue = engine.queue?.getStats?.();
+    if (queue) {
+      const max = this.maxQueueDepth ?? queue.maxBacklog;
+      checks.queue = queue.pending < max
+        ? { healthy: true, pending: queue.pending, max }
+        : { healthy: false, pending: queue.pending, max, reason: 'queue backlog too deep' };
+    }
+
+    return { ready: Object.values(checks).every(check => check.healthy), checks };
+  }
+
+  /**
+   * Run one check with the timeout; never throws
+   * @private
+   */
+  async _runCheck(name, check) {
+    const started = Date.now();
+    let timer;
+
+    try {
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`timed out after ${this.timeoutMs}ms`)), this.timeoutMs);
+      });
+      const outcome = await Promise.race([(async () => check())(), timeout]);
+      const result = outcome && typeof outcome === 'object' ? outcome : { healthy: outcome !== false };
+      return { ...result, healthy: result.healthy !== false, durationMs: Date.now() - started };
+    } catch (error) {
+      this.logger?.warn({ err: error, check: name }, `HealthServer: check failed: ${name}`);
+      return { healthy: false, error: error.message, durationMs: Date.now() - started };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _send(res, statusCode, body) {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(body));
+  }
+}
@@ -0,0 +1,369 @@
+import http from 'node:http';
+import { performance } from 'node:perf_hooks';
+import { HookManager } from '../core/HookManager.js';
+import { MetricsRegistry } from './MetricsRegistry.js';
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Circuit breaker states as gauge values
+ */
+const CIRCUIT_VALUES = { closed: 0, half_open: 1, open: 2 };
+
+/**
+ * Metrics - Prometheus metrics for pipelines, actions, adapters and queues
+ *
+ * Stage and action metrics come from pipeline hooks, adapter metrics from
+ * the adapter's instrument() (see Instrumentation), and queue, circuit and dead-letter gauges
+ * are read from the engine on every scrape. Every series carries a `bot`
+ * label: the BotManager clientId, or the label passed to instrumentEngine().
+ *
+ * @example
+ * const metrics = new Metrics();
+ * metrics.instrumentEngine(engine, { bot: 'moderation' });
+ * await metrics.listen(9464);   // GET /metrics
+ */
+export class Metrics {
+  /**
+   * @param {Object} options - { registry, prefix: 'taf_', bot: 'default', buckets, path: '/metrics' }
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new MetricsRegistry();
+    this.prefix = options.prefix ?? 'taf_';
+    this.defaultBot = options.bot ?? 'default';
+    this.path = options.path || '/metrics';
+    this.server = null;
+
+    this.engines = new Map();               // bot label → BotEngine
+    this.managers = [];
+    this.botLabels = new WeakMap();         // adapter → bot label (context.bot identifies the engine)
+    this.instrumentedHooks = new WeakSet();
+    this.instrumentedAdapters = new WeakSet();
+    this.runStarts = new WeakMap();         // context → pipeline start time
+    this.stageStarts = new WeakMap();       // context → { [stageName]: start time }
+    this.actionStarts = new WeakMap();      // action entry → start time
+
+    const name = (metric) => `${this.prefix}${metric}`;
+    const buckets = options.buckets;
+    const r = this.registry;
+
+    this.messages = r.counter(name('messages_total'), 'Messages processed by the pipeline', ['bot', 'outcome']);
+    this.pipelineDuration = r.histogram(name('pipeline_duration_seconds'), 'Pipeline run time', ['bot'], buckets);
+    this.stageDuration = r.histogram(name('stage_duration_seconds'), 'Stage run time per attempt', ['bot', 'stage', 'outcome'], buckets);
+    this.stageErrors = r.counter(name('stage_errors_total'), 'Errors thrown by stages', ['bot', 'stage', 'error']);
+    this.stageTimeouts = r.counter(name('stage_timeouts_total'), 'Stages that ran past their deadline', ['bot', 'stage', 'scope']);
+    this.actions = r.counter(name('actions_total'), 'Actions dispatched', ['bot', 'action', 'status']);
+    this.actionDuration = r.histogram(name('action_duration_seconds'), 'Action handler run time', ['bot', 'action'], buckets);
+    this.adapterCalls = r.counter(name('adapter_calls_total'), 'Transport API calls', ['bot', 'adapter', 'method', 'status']);
+    this.adapterDuration = r.histogram(name('adapter_call_duration_seconds'), 'Transport API call time', ['bot', 'adapter', 'method'], buckets);
+    this.adapterErrors = r.counter(name('adapter_errors_total'), 'Failed transport API calls by error type', ['bot', 'adapter', 'method', 'error']);
+    this.queuePending = r.gauge(name('queue_pending'), 'Updates waiting in the processing queue', ['bot']);
+    this.queueActive = r.gauge(name('queue_active'), 'Updates being processed', ['bot']);
+    this.queueProcessed = r.counter(name('queue_jobs_total'), 'Queue jobs finished', ['bot', 'status']);
+    this.queueDropped = r.counter(name('queue_dropped_total'), 'Updates dropped or rejected by a full queue', ['bot', 'reason']);
+    this.circuitState = r.gauge(name('circuit_state'), 'Circuit breaker state (0 closed, 1 half_open, 2 open)', ['bot', 'stage']);
+    this.retryBudget = r.gauge(name('retry_budget_remaining'), 'Retries left in the pipeline retry budget', ['bot']);
+    this.deadLetters = r.gauge(name('dead_letters'), 'Messages waiting in the dead-letter queue', ['bot']);
+    this.bots = r.gauge(name('bots'), 'Bots managed by BotManager', ['status']);
+
+    this.registry.addCollector(() => this._collect());
+    this.handler = this.handler.bind(this);
+  }
+
+  /**
+   * Record stage, action and message metrics through a pipeline's hooks.
+   * Creates a HookManager if the pipeline has none; mounted sub-pipelines are included.
+   * @param {Pipeline} pipeline
+   * @param {Object} options - { bot, logger }
+   */
+  instrumentPipeline(pipeline, options = {}) {
+    this._instrumentPipeline(pipeline, options, true);
+    return this;
+  }
+
+  /**
+   * Record call counts, latency and errors for an adapter's API calls.
+   * TransportAdapter children are instrumented individually.
+   * @param {Object} adapter - TelegramAdapter, MTProtoAdapter or TransportAdapter
+   * @param {Object} options - { bot }
+   */
+  instrumentAdapter(adapter, options = {}) {
+    if (!adapter || this.instrumentedAdapters.has(adapter)) {
+      return this;
+    }
+    this.instrumentedAdapters.add(adapter);
+
+    if (Array.isArray(adapter.adapters)) {
+      adapter.adapters.forEach(child => this.instrumentAdapter(child, options));
+      return this;
+    }
+
+    const labels = { bot: options.bot ?? this.defaultBot, adapter: adapter.name };
+    adapter.instrument?.(async ({ method }, next) => {
+      const started = performance.now();
+      try {
+        const result = await next();
+        this.adapterCalls.inc({ ...labels, method, status: 'ok' });
+        return result;
+      } catch (error) {
+        this.adapterCalls.inc({ ...labels, method, status: 'error' });
+        this.adapterErrors.inc({ ...labels, method, error: error.name });
+        throw error;
+      } finally {
+        this.adapterDuration.observe({ ...labels, method }, seconds(started));
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Instrument an engine's pipeline and adapter, and report its queue,
+   * circuit breakers, retry budget and dead letters on every scrape
+   * @param {BotEngine} engine
+   * @param {Object} options - { bot }
+   */
+  instrumentEngine(engine, options = {}) {
+    const bot = String(options.bot ?? engine.clientId ?? this.defaultBot);
+
+    this.botLabels.set(engine.adapter, bot);
+    this.engines.set(bot, engine);
+    if (engine.pipeline) {
+      this.instrumentPipeline(engine.pipeline, { bot, logger: engine.logger });
+    }
+    this.instrumentAdapter(engine.adapter, { bot });
+    return this;
+  }
+
+  /**
+   * Instrument every bot a BotManager runs, now and as they are added
+   * (through its 'add:bot' and 'remove:bot' hooks), labelled with their clientId
+   * @param {BotManager} manager
+   */
+  instrumentManager(manager) {
+    manager.hooks.on('add:bot', ({ clientId, bot }) => {
+      this.instrumentEngine(bot, { bot: clientId });
+    });
+    manager.hooks.on('remove:bot', ({ clientId }) => {
+      this._forgetBot(String(clientId));
+    });
+
+    for (const clientId of manager.listBots()) {
+      this.instrumentEngine(manager.getBot(clientId), { bot: clientId });
+    }
+    this.managers.push(manager);
+    return this;
+  }
+
+  /**
+   * Render all metrics in Prometheus text format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    return this.registry.render();
+  }
+
+  /**
+   * node:http request handler serving the metrics; mount it on an existing server
+   * @param {http.IncomingMessage} req
+   * @param {http.ServerResponse} res
+   */
+  async handler(req, res) {
+    try {
+      const body = await this.render();
+      res.writeHead(200, { 'Content-Type': CONTENT_TYPE });
+      res.end(body);
+    } catch (error) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end(`Failed to collect metrics: ${error.message}`);
+    }
+  }
+
+  /**
+   * Serve GET <path> on a standalone HTTP server
+   * @param {number} port - 0 picks a free port
+   * @param {string} host
+   * @returns {Promise<http.Server>}
+   */
+  listen(port = 9464, host) {
+    this.server = http.createServer((req, res) => {
+      const path = req.url.split('?')[0];
+      if (req.method === 'GET' && path === this.path) {
+        return this.handler(req, res);
+      }
+      res.writeHead(404, { 'Content-Type': 'text/plain' });
+      res.end('Not Found');
+    });
+
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => resolve(this.server));
+    });
+  }
+
+  /**
+   * Stop the server started by listen()
+   */
+  async close() {
+    if (!this.server) return;
+    const server = this.server;
+    this.server = null;
+    await new Promise((resolve, reject) => server.close(error => (error ? reject(error) : resolve())));
+  }
+
+  /**
+   * @private
+   */
+  _instrumentPipeline(pipeline, options, root) {
+    if (!pipeline.hooks) {
+      pipeline.setHooks(new HookManager({ logger: options.logger }));
+    }
+
+    if (!this.instrumentedHooks.has(pipeline.hooks)) {
+      this.instrumentedHooks.add(pipeline.hooks);
+      this._attach(pipeline.hooks, options.bot ?? this.defaultBot, root);
+    }
+
+    for (const stage of pipeline.stages) {
+      for (const sub of Object.values(stage.mount?.pipelines || {})) {
+        this._instrumentPipeline(sub, options, false);
+      }
+    }
+  }
+
+  /**
+   * Subscribe to lifecycle hooks. Start timers run last and stop timers run
+   * first, so other listeners' time is not counted against stages and actions.
+   * @private
+   */
+  _attach(hooks, fallbackBot, root) {
+    const botOf = (context) => this.botLabels.get(context?.bot) ?? fallbackBot;
+    const first = { priority: 1000 };
+    const last = { priority: -1000 };
+
+    if (root) {
+      hooks.on('before:pipeline', ({ context }) => {
+        if (context) this.runStarts.set(context, performance.now());
+      }, last);
+
+      hooks.on('after:pipeline', ({ result, context }) => {
+        const bot = botOf(context);
+        const outcome = result.error ? 'error' : result.stop ? 'stopped' : 'ok';
+        this.messages.inc({ bot, outcome });
+
+        const started = context && this.runStarts.get(context);
+        if (started !== undefined) {
+          this.pipelineDuration.observe({ bot }, seconds(started));
+          this.runStarts.delete(context);
+        }
+      }, first);
+    }
+
+    hooks.on('before:stage', ({ stageName, context }) => {
+      if (!context) return;
+      const starts = this.stageStarts.get(context) || {};
+      starts[stageName] = performance.now();
+      this.stageStarts.set(context, starts);
+    }, last);
+
+    const endStage = (stageName, context, outcome) => {
+      const starts = context && this.stageStarts.get(context);
+      if (starts?.[stageName] !== undefined) {
+        this.stageDuration.observe({ bot: botOf(context), stage: stageName, outcome }, seconds(starts[stageName]));
+        delete starts[stageName];
+      }
+    };
+
+    hooks.on('after:stage', ({ stageName, context }) => endStage(stageName, context, 'ok'), first);
+
+    hooks.on('error:stage', ({ stageName, error, context }) => {
+      endStage(stageName, context, 'error');
+      this.stageErrors.inc({ bot: botOf(context), stage: stageName, error: error?.name || 'Error' });
+    }, first);
+
+    hooks.on('timeout:stage', ({ stageName, scope, context }) => {
+      this.stageTimeouts.inc({ bot: botOf(context), stage: stageName, scope });
+    }, first);
+
+    if (root) {
+      hooks.on('before:action', ({ action }) => {
+        this.actionStarts.set(action, performance.now());
+      }, last);
+
+      const endAction = (action, context, status) => {
+        const bot = botOf(context);
+        this.actions.inc({ bot, action: action.action, status });
+        const started = this.actionStarts.get(action);
+        if (started !== undefined) {
+          this.actionDuration.observe({ bot, action: action.action }, seconds(started));
+          this.actionStarts.delete(action);
+        }
+      };
+
+      hooks.on('after:action', ({ action, handled, status, context }) => {
+        endAction(action, context, status ?? (handled ? 'handled' : 'unhandled'));
+      }, first);
+
+      hooks.on('error:action', ({ action, context }) => endAction(action, context, 'failed'), first);
+    }
+  }
+
+  /**
+   * Refresh gauges read from engines and managers
+   * @private
+   */
+  async _collect() {
+    for (const [bot, engine] of this.engines) {
+      const queue = engine.queue?.getStats?.();
+      if (queue) {
+        this.queuePending.set({ bot }, queue.pending);
+        this.queueActive.set({ bot }, queue.active);
+        this.queueProcessed.set({ bot, status: 'processed' }, queue.processed);
+        this.queueProcessed.set({ bot, status: 'failed' }, queue.failed);
+        this.queueDropped.set({ bot, reason: 'dropped' }, queue.dropped);
+        this.queueDropped.set({ bot, reason: 'rejected' }, queue.rejected);
+      }
+
+      const circuits = engine.pipeline?.errorHandler?.getStats?.().circuits || {};
+      for (const [stage, { state }] of Object.entries(circuits)) {
+        this.circuitState.set({ bot, stage }, CIRCUIT_VALUES[state]);
+      }
+
+      const budget = engine.pipeline?.retryBudget?.getState();
+      if (budget) {
+        this.retryBudget.set({ bot }, budget.remaining);
+      }
+
+      if (engine.deadLetters) {
+        try {
+          this.deadLetters.set({ bot }, await engine.deadLetters.count());
+        } catch (error) {
+          engine.logger?.warn?.({ err: error, bot }, 'Metrics: could not count dead letters');
+        }
+      }
+    }
+
+    if (this.managers.length > 0) {
+      this.bots.reset();
+      for (const manager of this.managers) {
+        for (const clientId of manager.listBots()) {
+          this.bots.inc({ status: manager.getStatus(clientId) });
+        }
+      }
+    }
+  }
+
+  /**
+   * Drop the gauges of a removed bot; its counters stay until restart
+   * @private
+   */
+  _forgetBot(bot) {
+    this.engines.delete(bot);
+    for (const gauge of [this.queuePending, this.queueActive, this.circuitState, this.retryBudget, this.deadLetters]) {
+      gauge.remove({ bot });
+    }
+  }
+}
+
+function seconds(startedAt) {
+  return (performance.now() - startedAt) / 1000;
+}
@@ -0,0 +1,245 @@
+/**
+ * MetricsRegistry - Counters, gauges and histograms in Prometheus text format
+ *
+ * A small, dependency-free subset of what prom-client offers: enough for the
+ * framework's own metrics and for custom metrics registered next to them.
+ *
+ * @example
+ * const registry = new MetricsRegistry();
+ * const warnings = registry.counter('bot_warnings_total', 'Warnings issued', ['chat']);
+ * warnings.inc({ chat: '-100123' });
+ * await registry.render();
+ */
+export class MetricsRegistry {
+  constructor() {
+    this.metrics = new Map();
+    this.collectors = [];
+  }
+
+  /**
+   * Get or create a counter
+   * @param {string} name - Metric name
+   * @param {string} help - Description shown in # HELP
+   * @param {string[]} labelNames - Allowed label names
+   */
+  counter(name, help, labelNames = []) {
+    return this._register(name, () => new Counter(name, help, labelNames));
+  }
+
+  /**
+   * Get or create a gauge
+   */
+  gauge(name, help, labelNames = []) {
+    return this._register(name, () => new Gauge(name, help, labelNames));
+  }
+
+  /**
+   * Get or create a histogram
+   * @param {number[]} buckets - Upper bounds, in seconds for latency metrics
+   */
+  histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+    return this._register(name, () => new Histogram(name, help, labelNames, buckets));
+  }
+
+  /**
+   * Register a function that refreshes gauges right before each render
+   * @param {Function} collector - async () => void
+   */
+  addCollector(collector) {
+    this.collectors.push(collector);
+    return this;
+  }
+
+  /**
+   * Render every metric in Prometheus text exposition format
+   * @returns {Promise<string>}
+   */
+  async render() {
+    for (const collector of this.collectors) {
+      await collector();
+    }
+    return [...this.metrics.values()].map(metric => metric.render()).join('');
+  }
+
+  /**
+   * Reset every metric's values
+   */
+  reset() {
+    for (const metric of this.metrics.values()) {
+      metric.reset();
+    }
+  }
+
+  /**
+   * @private
+   */
+  _register(name, create) {
+    if (!METRIC_NAME.test(name)) {
+      throw new Error(`Invalid metric name: ${name}`);
+    }
+    if (!this.metrics.has(name)) {
+      this.metrics.set(name, create());
+    }
+    return this.metrics.get(name);
+  }
+}
+
+const METRIC_NAME = /^[a-zA-Z_:][a-zA-Z0-9_:]*$/;
+
+/**
+ * Latency buckets in seconds, from 5ms to 10s
+ */
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * Shared label handling for every metric type
+ */
+class Metric {
+  constructor(type, name, help, labelNames) {
+    this.type = type;
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.values = new Map();  // label key → value
+  }
+
+  reset() {
+    this.values.clear();
+  }
+
+  /**
+   * Remove series whose labels match all given labels (e.g. { bot } when a bot is removed)
+   */
+  remove(labels = {}) {
+    for (const key of this.values.keys()) {
+      const series = JSON.parse(key);
+      if (Object.entries(labels).every(([name, value]) => series[name] === String(value))) {
+        this.values.delete(key);
+      }
+    }
+  }
+
+  _key(labels = {}) {
+    const series = {};
+    for (const name of this.labelNames) {
+      if (labels[name] !== undefined && labels[name] !== null) {
+        series[name] = String(labels[name]);
+      }
+    }
+    return JSON.stringify(series);
+  }
+
+  _header() {
+    return `# HELP ${this.name} ${escapeHelp(this.help)}\n# TYPE ${this.name} ${this.type}\n`;
+  }
+
+  render() {
+    let out = this._header();
+    for (const [key, value] of this.values) {
+      out += `${this.name}${formatLabels(JSON.parse(key))} ${formatValue(value)}\n`;
+    }
+    return out;
+  }
+}
+
+/**
+ * Counter - Only goes up
+ */
+export class Counter extends Metric {
+  constructor(name, help, labelNames) {
+    super('counter', name, help, labelNames);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  /**
+   * Set the running total directly, for totals kept elsewhere (e.g. KeyedQueue stats)
+   */
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+}
+
+/**
+ * Gauge - Current value that can go up and down
+ */
+export class Gauge extends Metric {
+  constructor(name, help, labelNames) {
+    super('gauge', name, help, labelNames);
+  }
+
+  set(labels, value) {
+    this.values.set(this._key(labels), value);
+  }
+
+  inc(labels = {}, value = 1) {
+    const key = this._key(labels);
+    this.values.set(key, (this.values.get(key) || 0) + value);
+  }
+
+  dec(labels = {}, value = 1) {
+    this.inc(labels, -value);
+  }
+}
+
+/**
+ * Histogram - Distribution of observed values in cumulative buckets
+ */
+export class Histogram extends Metric {
+  constructor(name, help, labelNames, buckets) {
+    super('histogram', name, help, labelNames);
+    this.buckets = [...buckets].sort((a, b) => a - b);
+  }
+
+  observe(labels, value) {
+    const key = this._key(labels);
+    let series = this.values.get(key);
+    if (!series) {
+      series = { counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.values.set(key, series);
+    }
+
+    this.buckets.forEach((bound, i) => {
+      if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  render() {
+    let out = this._header();
+    for (const [key, series] of this.values) {
+      const labels = JSON.parse(key);
+      this.buckets.forEach((bound, i) => {
+        out += `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${series.counts[i]}\n`;
+      });
+      out += `${this.name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${series.count}\n`;
+      out += `${this.name}_sum${formatLabels(labels)} ${formatValue(series.sum)}\n`;
+      out += `${this.name}_count${formatLabels(labels)} ${series.count}\n`;
+    }
+    return out;
+  }
+}
+
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(([name, value]) => `${name}="${escapeLabel(value)}"`);
+  return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+  if (value === Infinity) return '+Inf';
+  if (value === -Infinity) return '-Inf';
+  if (Number.isNaN(value)) return 'NaN';
+  return String(value);
+}
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function escapeHelp(help) {
+  return String(help).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+}
@@ -0,0 +1,516 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomBytes } from 'node:crypto';
+import { performance } from 'node:perf_hooks';
+import { HookManager } from '../core/HookManager.js';
+
+/**
+ * Wall-clock time in milliseconds with sub-millisecond precision
+ */
+function now() {
+  return performance.timeOrigin + performance.now();
+}
+
+const TRACE_ID = /^[0-9a-f]{32}$/;
+
+/**
+ * Span - One timed operation within a trace
+ */
+export class Span {
+  constructor(traceId, name, options = {}) {
+    this.traceId = traceId;
+    this.spanId = randomBytes(8).toString('hex');
+    this.parentSpanId = options.parent?.spanId ?? null;
+    this.name = name;
+    this.kind = options.kind || 'internal';   // 'internal' | 'client' | 'server'
+    this.startTime = now();
+    this.endTime = null;
+    this.attributes = { ...options.attributes };
+    this.events = [];
+    this.status = { code: 'unset' };
+  }
+
+  setAttributes(attributes) {
+    Object.assign(this.attributes, attributes);
+    return this;
+  }
+
+  addEvent(name, attributes = {}) {
+    this.events.push({ name, time: now(), attributes });
+    return this;
+  }
+
+  /**
+   * Mark the span failed and keep the error's details as an 'exception' event
+   */
+  recordError(error) {
+    this.status = { code: 'error', message: error?.message };
+    this.addEvent('exception', {
+      'exception.type': error?.name || 'Error',
+      'exception.message': error?.message,
+      ...(error?.stack && { 'exception.stacktrace': error.stack })
+    });
+    return this;
+  }
+
+  /**
+   * End the span; a span can only be ended once
+   * @param {string} code - 'ok' | 'error' | 'unset'; an error status is never overwritten
+   */
+  end(code) {
+    if (this.endTime !== null) return this;
+    this.endTime = now();
+    if (code && this.status.code !== 'error') {
+      this.status = { ...this.status, code };
+    }
+    return this;
+  }
+
+  get ended() {
+    return this.endTime !== null;
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      spanId: this.spanId,
+      parentSpanId: this.parentSpanId,
+      name: this.name,
+      kind: this.kind,
+      startTime: this.startTime,
+      endTime: this.endTime,
+      durationMs: this.endTime === null ? null : this.endTime - this.startTime,
+      attributes: this.attributes,
+      events: this.events,
+      status: this.status
+    };
+  }
+}
+
+/**
+ * Trace - The spans recorded for one message, with a stack of open spans
+ * that gives new spans their parent
+ */
+export class Trace {
+  /**
+   * @param {string} name - Root span name
+   * @param {Object} attributes - Root span attributes
+   * @param {string} traceId - 32 hex characters; generated when missing or malformed
+   */
+  constructor(name, attributes = {}, traceId) {
+    this.traceId = TRACE_ID.test(traceId) ? traceId : randomBytes(16).toString('hex');
+    this.spans = [];
+    this.stack = [];
+    this.root = this.startSpan(name, { attributes, kind: 'server' });
+  }
+
+  /**
+   * Start a span under the innermost open span and make it the innermost
+   */
+  startSpan(name, options = {}) {
+    const span = new Span(this.traceId, name, { parent: this.current(), ...options });
+    this.spans.push(span);
+    this.stack.push(span);
+    return span;
+  }
+
+  /**
+   * Start a span under the innermost open span without entering it
+   * (for calls that cannot have children, like adapter calls)
+   */
+  startLeaf(name, options = {}) {
+    const span = new Span(this.traceId, name, { parent: this.current(), ...options });
+    this.spans.push(span);
+    return span;
+  }
+
+  /**
+   * End a span and everything opened inside it that was left open
+   */
+  endSpan(span, code) {
+    const index = this.stack.lastIndexOf(span);
+    if (index !== -1) {
+      for (const open of this.stack.splice(index).reverse()) {
+        open.end(open === span ? code : undefined);
+      }
+    } else {
+      span.end(code);
+    }
+  }
+
+  /**
+   * Innermost open span with the given name
+   */
+  find(name) {
+    for (let i = this.stack.length - 1; i >= 0; i--) {
+      if (this.stack[i].name === name) return this.stack[i];
+    }
+    return null;
+  }
+
+  current() {
+    return this.stack[this.stack.length - 1] || null;
+  }
+
+  end(code) {
+    this.endSpan(this.root, code);
+  }
+
+  toJSON() {
+    return {
+      traceId: this.traceId,
+      durationMs: this.root.endTime === null ? null : this.root.endTime - this.root.startTime,
+      spans: this.spans.map(span => span.toJSON())
+    };
+  }
+}
+
+/**
+ * Tracer - Per-message traces with spans for stages, retry attempts,
+ * actions and adapter calls
+ *
+ * Stage and action spans come from pipeline hooks. Messages, actions and
+ * adapter calls are wrapped through the instrument() of the engine, action
+ * handler and adapter (see Instrumentation). The trace an adapter call belongs
+ * to is found through AsyncLocalStorage, so concurrent messages never share
+ * spans. Each action dispatched runs in its own scope too, so actions running
+ * side by side keep their spans and adapter calls apart.
+ *
+ * Finished traces are attached to result.trace and handed to every exporter.
+ *
+ * @example
+ * const tracer = new Tracer({ exporters: [new JsonlFileExporter({ path: 'traces.jsonl' })] });
+ * tracer.instrumentEngine(engine);
+ */
+export class Tracer {
+  /**
+   * @param {Object} options - { exporters: [], logger }
+   */
+  constructor(options = {}) {
+    this.exporters = options.exporters || [];
+    this.logger = options.logger || null;
+    this.storage = new AsyncLocalStorage();
+    this.traces = new WeakMap();          // context → Trace
+    this.instrumentedHooks = new WeakSet();
+    this.instrumentedAdapters = new WeakSet();
+    this.instrumentedActionHandlers = new WeakSet();
+    this.pending = new Set();             // exports in flight
+  }
+
+  /**
+   * Add an exporter: any object with async export(trace)
+   */
+  addExporter(exporter) {
+    this.exporters.push(exporter);
+    return this;
+  }
+
+  /**
+   * Trace an engine's messages end to end: pipeline, action dispatch and adapter calls
+   * @param {BotEngine} engine
+   */
+  instrumentEngine(engine) {
+    if (engine.pipeline) {
+      this.instrumentPipeline(engine.pipeline, { logger: engine.logger });
+    }
+    this.instrumentAdapter(engine.adapter);
+    this.instrumentActionHandler(engine.actionHandler);
+
+    engine.instrument(({ message, context }, next) => this.run(message, context, next));
+    return this;
+  }
+
+  /**
+   * Record stage and action spans through a pipeline's hooks.
+   * Creates a HookManager if the pipeline has none; mounted sub-pipelines are included.
+   * Without instrumentEngine() the trace covers one pipeline.process() call.
+   * @param {Pipeline} pipeline
+   * @param {Object} options - { logger }
+   */
+  instrumentPipeline(pipeline, options = {}) {
+    if (!pipeline.hooks) {
+      pipeline.setHooks(new HookManager({ logger: options.logger }));
+    }
+
+    if (!this.instrumentedHooks.has(pipeline.hooks)) {
+      this.instrumentedHooks.add(pipeline.hooks);
+      this._attach(pipeline.hooks);
+    }
+
+    for (const stage of pipeline.stages) {
+      for (const sub of Object.values(stage.mount?.pipelines || {})) {
+        this.instrumentPipeline(sub, options);
+      }
+    }
+    return this;
+  }
+
+  /**
+   * Record a client span for every API call made through the adapter.
+   * TransportAdapter children are instrumented individually.
+   */
+  instrumentAdapter(adapter) {
+    if (!adapter || this.instrumentedAdapters.has(adapter)) {
+      return this;
+    }
+    this.instrumentedAdapters.add(adapter);
+
+    if (Array.isArray(adapter.adapters)) {
+      adapter.adapters.forEach(child => this.instrumentAdapter(child));
+      return this;
+    }
+
+    adapter.instrument?.(async ({ method }, next) => {
+      const scope = this._scope();
+      if (!scope) {
+        return next();
+      }
+
+      // Under the action running this call, else the innermost open span (a stage)
+      const span = scope.trace.startLeaf(`adapter ${method}`, {
+        ...(scope.action && { parent: scope.action }),
+        kind: 'client',
+        attributes: { 'adapter.name': adapter.name, 'adapter.method': method }
+      });
+      try {
+        const result = await next();
+        span.end('ok');
+        return result;
+      } catch (error) {
+        span.recordError(error).setAttributes({ 'error.type': error.name }).end('error');
+        throw error;
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Run each action handleAll() dispatches in its own scope, so the adapter
+   * calls of actions running side by side land under their own action span
+   * @param {ActionHandler} actionHandler
+   */
+  instrumentActionHandler(actionHandler) {
+    if (!actionHandler || this.instrumentedActionHandlers.has(actionHandler)) {
+      return this;
+    }
+    this.instrumentedActionHandlers.add(actionHandler);
+
+    actionHandler.instrument?.(({ entry, context }, next) => {
+      const trace = this._traceFor(context);
+      if (!trace) {
+        return next();
+      }
+      // before:action fills in the action span
+      return this.storage.run({ trace, entry, action: null }, next);
+    });
+    return this;
+  }
+
+  /**
+   * Run fn as one traced message. The trace is attached to the returned result
+   * and exported when fn settles.
+   * @param {Object} message - Normalized message
+   * @param {Object} context - Pipeline context
+   * @param {Function} fn - async () => result
+   */
+  async run(message, context, fn) {
+    // BotEngine's correlation ID doubles as the trace ID, so log lines and traces join up
+    const trace = new Trace('message', messageAttributes(message), context.correlationId);
+    this.traces.set(context, trace);
+    context.traceId = trace.traceId;
+
+    try {
+      const result = await this.storage.run({ trace, entry: null, action: null }, fn);
+      trace.end(result?.error ? 'error' : 'ok');
+      if (result) {
+        result.trace = trace.toJSON();
+      }
+      return result;
+    } catch (error) {
+      trace.root.recordError(error);
+      trace.end('error');
+      throw error;
+    } finally {
+      this.traces.delete(context);
+      this._export(trace);
+    }
+  }
+
+  /**
+   * Wait for exports in flight
+   */
+  async flush() {
+    await Promise.all([...this.pending]);
+  }
+
+  /**
+   * The scope of the traced message (and action) running now, if its trace is still open
+   * @private
+   * @returns {Object|null} { trace, entry, action }
+   */
+  _scope() {
+    const scope = this.storage.getStore();
+    return scope && !scope.trace.root.ended ? scope : null;
+  }
+
+  /**
+   * The trace for a context; action dispatchers that copy the context
+   * (like BotEngine's outbox) are found through the current scope
+   * @private
+   */
+  _traceFor(context) {
+    return (context && this.traces.get(context)) || this._scope()?.trace || null;
+  }
+
+  /**
+   * @private
+   */
+  _attach(hooks) {
+    // Spans open before other listeners run and close after them,
+    // except before:stage, which must only open a span for stages that really run
+    const first = { priority: 1000 };
+    const last = { priority: -1000 };
+
+    hooks.on('before:pipeline', ({ message, context }) => {
+      if (!context) return;
+      const trace = this.traces.get(context);
+
+      if (trace) {
+        trace.startSpan('pipeline');
+        return;
+      }
+
+      // Pipeline used without instrumentEngine(): the trace covers this run
+      const standalone = new Trace('pipeline', messageAttributes(message), context.correlationId);
+      this.traces.set(context, standalone);
+      context.traceId = standalone.traceId;
+    }, first);
+
+    hooks.on('after:pipeline', ({ result, context }) => {
+      const trace = context && this.traces.get(context);
+      const span = trace?.find('pipeline');
+      if (!span) return;
+
+      if (result.stop) {
+        span.setAttributes({ 'pipeline.stopped': true });
+      }
+      trace.endSpan(span, result.error ? 'error' : 'ok');
+
+      if (span === trace.root) {
+        result.trace = trace.toJSON();
+        this.traces.delete(context);
+        this._export(trace);
+      }
+    }, last);
+
+    hooks.on('before:stage', ({ stageName, context }) => {
+      const trace = context && this.traces.get(context);
+      if (!trace) return;
+
+      // Each retry attempt gets its own span next to the failed ones
+      const name = `stage ${stageName}`;
+      const parentSpanId = trace.current()?.spanId ?? null;
+      const failed = trace.spans.filter(span =>
+        span.name === name && span.parentSpanId === parentSpanId && span.status.code === 'error'
+      ).length;
+
+      trace.startSpan(name, { attributes: { 'stage.name': stageName, 'stage.attempt': failed + 1 } });
+    }, last);
+
+    hooks.on('after:stage', ({ stageName, result, context }) => {
+      const trace = context && this.traces.get(context);
+      const span = trace?.find(`stage ${stageName}`);
+      if (!span) return;
+
+      if (result && typeof result === 'object') {
+        if (result.stop) span.setAttributes({ 'stage.stop': true });
+        if (result.action) span.setAttributes({ 'stage.action': result.action });
+      }
+      trace.endSpan(span, 'ok');
+    }, first);
+
+    hooks.on('timeout:stage', ({ stageName, timeoutMs, scope, context }) => {
+      const span = context && this.traces.get(context)?.find(`stage ${stageName}`);
+      span?.addEvent('timeout', { 'timeout.ms': timeoutMs, 'timeout.scope': scope });
+    }, first);
+
+    hooks.on('error:stage', ({ stageName, error, context }) => {
+      const trace = context && this.traces.get(context);
+      const span = trace?.find(`stage ${stageName}`);
+      if (!span) return;
+
+      span.recordError(error).setAttributes({ 'error.type': error?.name || 'Error' });
+      trace.endSpan(span, 'error');
+    }, first);
+
+    hooks.on('before:action', ({ action, context }) => {
+      const trace = this._traceFor(context);
+      if (!trace) return;
+
+      // Actions may run side by side, so they never become each other's parent:
+      // each hangs off the innermost open span and is only ended by its own hooks
+      const span = trace.startLeaf(`action ${action.action}`, {
+        attributes: { 'action.type': action.action, ...(action.stage && { 'action.stage': action.stage }) }
+      });
+      (trace.actions ||= new Map()).set(action, span);
+
+      const scope = this.storage.getStore();
+      if (scope?.entry === action) {
+        scope.action = span;
+      }
+    }, first);
+
+    hooks.on('after:action', ({ action, handled, status, context }) => {
+      const trace = this._traceFor(context);
+      const span = trace?.actions?.get(action);
+      if (!span) return;
+
+      span.setAttributes({ 'action.handled': handled, ...(status && { 'action.status': status }) });
+      trace.endSpan(span, 'ok');
+    }, last);
+
+    hooks.on('error:action', ({ action, error, context }) => {
+      const trace = this._traceFor(context);
+      const span = trace?.actions?.get(action);
+      if (!span) return;
+
+      span.recordError(error).setAttributes({ 'error.type': error?.name || 'Error' });
+      trace.endSpan(span, 'error');
+    }, last);
+  }
+
+  /**
+   * Hand a finished trace to every exporter; failures are logged, never thrown
+   * @private
+   */
+  _export(trace) {
+    if (this.exporters.length === 0) return;
+
+    const data = trace.toJSON();
+    for (const exporter of this.exporters) {
+      const pending = Promise.resolve()
+        .then(() => exporter.export(data))
+        .catch((error) => {
+          this.logger?.error({ err: error, traceId: data.traceId }, 'Tracer: failed to export trace');
+        })
+        .finally(() => this.pending.delete(pending));
+      this.pending.add(pending);
+    }
+  }
+}
+
+/**
+ * Root span attributes for a normalized message
+ */
+function messageAttributes(message = {}) {
+  const attributes = {
+    'message.id': message.id,
+    'message.type': message.type,
+    'chat.id': message.chat?.id ?? message.chatId,
+    'user.id': message.from?.id,
+    'message.source': message.source
+  };
+  for (const key of Object.keys(attributes)) {
+    if (attributes[key] === undefined || attributes[key] === null) delete attributes[key];
+  }
+  return attributes;
+}
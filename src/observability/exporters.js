@@ -0,0 +1,145 @@
+import { appendFile } from 'node:fs/promises';
+import http from 'node:http';
+import https from 'node:https';
+
+/**
+ * JsonlFileExporter - Appends each finished trace to a file as one JSON line
+ *
+ * @example
+ * new JsonlFileExporter({ path: './logs/traces.jsonl' })
+ */
+export class JsonlFileExporter {
+  /**
+   * @param {Object} options - { path }
+   */
+  constructor(options = {}) {
+    if (!options.path) {
+      throw new Error('JsonlFileExporter requires a path');
+    }
+    this.path = options.path;
+    this.writing = Promise.resolve();  // Appends run one at a time so lines never interleave
+  }
+
+  async export(trace) {
+    const line = `${JSON.stringify(trace)}\n`;
+    this.writing = this.writing.catch(() => {}).then(() => appendFile(this.path, line));
+    return this.writing;
+  }
+}
+
+/**
+ * OtlpJsonExporter - Posts traces to an OpenTelemetry collector using OTLP/HTTP with JSON encoding
+ *
+ * @example
+ * new OtlpJsonExporter({ url: 'http://localhost:4318/v1/traces', serviceName: 'moderation-bot' })
+ */
+export class OtlpJsonExporter {
+  /**
+   * @param {Object} options - { url: 'http://localhost:4318/v1/traces', headers: {}, serviceName, timeoutMs: 10000 }
+   */
+  constructor(options = {}) {
+    this.url = new URL(options.url || 'http://localhost:4318/v1/traces');
+    this.headers = options.headers || {};
+    this.serviceName = options.serviceName || 'telegram-automation-framework';
+    this.timeoutMs = options.timeoutMs ?? 10000;
+  }
+
+  async export(trace) {
+    const body = JSON.stringify(toOtlpJson([trace], { serviceName: this.serviceName }));
+    const transport = this.url.protocol === 'https:' ? https : http;
+
+    await new Promise((resolve, reject) => {
+      const req = transport.request(this.url, {
+        method: 'POST',
+        headers: {
+          ...this.headers,
+          'Content-Type': 'application/json',
+          'Content-Length': Buffer.byteLength(body)
+        },
+        timeout: this.timeoutMs
+      }, (res) => {
+        let response = '';
+        res.on('data', chunk => { response += chunk; });
+        res.on('end', () => {
+          if (res.statusCode >= 200 && res.statusCode < 300) {
+            resolve();
+          } else {
+            reject(new Error(`OTLP collector responded ${res.statusCode}: ${response}`));
+          }
+        });
+      });
+
+      req.on('timeout', () => req.destroy(new Error(`OTLP export timed out after ${this.timeoutMs}ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+/**
+ * Convert traces (as attached to result.trace) to an OTLP/JSON ExportTraceServiceRequest
+ * @param {Object[]} traces
+ * @param {Object} options - { serviceName }
+ */
+export function toOtlpJson(traces, options = {}) {
+  return {
+    resourceSpans: [{
+      resource: {
+        attributes: toAttributes({ 'service.name': options.serviceName || 'telegram-automation-framework' })
+      },
+      scopeSpans: [{
+        scope: { name: 'telegram-automation-framework' },
+        spans: traces.flatMap(trace => trace.spans.map(toOtlpSpan))
+      }]
+    }]
+  };
+}
+
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: SPAN_KINDS[span.kind] ?? 1,
+    startTimeUnixNano: toUnixNano(span.startTime),
+    endTimeUnixNano: toUnixNano(span.endTime ?? span.startTime),
+    attributes: toAttributes(span.attributes),
+    events: span.events.map(event => ({
+      timeUnixNano: toUnixNano(event.time),
+      name: event.name,
+      attributes: toAttributes(event.attributes)
+    })),
+    status: {
+      code: STATUS_CODES[span.status.code] ?? 0,
+      ...(span.status.message && { message: span.status.message })
+    }
+  };
+}
+
+/**
+ * Milliseconds since the epoch as a nanosecond string (OTLP/JSON encodes 64-bit integers as strings)
+ */
+function toUnixNano(ms) {
+  const whole = Math.floor(ms);
+  const fraction = Math.round((ms - whole) * 1e6);
+  return (BigInt(whole) * 1000000n + BigInt(fraction)).toString();
+}
+
+function toAttributes(attributes = {}) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ({ key, value: toAnyValue(value) }));
+}
+
+function toAnyValue(value) {
+  if (typeof value === 'boolean') return { boolValue: value };
+  if (typeof value === 'number') {
+    return Number.isInteger(value) ? { intValue: String(value) } : { doubleValue: value };
+  }
+  if (typeof value === 'bigint') return { intValue: value.toString() };
+  return { stringValue: String(value) };
+}
@@ -0,0 +1,5 @@
+export { Metrics } from './Metrics.js';
+export { MetricsRegistry, Counter, Gauge, Histogram, DEFAULT_BUCKETS } from './MetricsRegistry.js';
+export { Tracer, Trace, Span } from './Tracer.js';
+export { HealthServer } from './HealthServer.js';
+export { JsonlFileExporter, OtlpJsonExporter, toOtlpJson } from './exporters.js';
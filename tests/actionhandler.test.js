@@ -8,6 +8,7 @@ import {
   getActions,
   clearActions,
 } from '../src/core/ActionHandler.js';
+import { HookManager } from '../src/core/HookManager.js';
 import { makeLogger, makeContext, makeMessage } from './helpers/mocks.js';
 
 describe('ActionHandler – register & handle', () => {
@@ -94,6 +95,91 @@ describe('ActionHandler – handleAll', () => {
     const ah = new ActionHandler();
     await assert.doesNotReject(() => ah.handleAll(null, makeContext()));
   });
+
+  it('returns a summary of which actions succeeded, failed or were skipped', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('ok', async () => {});
+    ah.register('boom', async () => { throw new Error('fail'); });
+    ah.register('guarded', async () => {});
+    ah.use('guarded', async () => {});
+
+    const summary = await ah.handleAll(
+      [{ action: 'ok' }, { action: 'boom' }, { action: 'guarded' }, { action: 'missing' }],
+      makeContext()
+    );
+
+    assert.deepEqual(summary.results.map(o => o.status), ['handled', 'failed', 'skipped', 'unhandled']);
+    assert.deepEqual(summary.succeeded.map(o => o.action), ['ok']);
+    assert.deepEqual(summary.failed.map(o => o.action), ['boom']);
+    assert.deepEqual(summary.skipped.map(o => o.action), ['guarded']);
+    assert.deepEqual(summary.unhandled.map(o => o.action), ['missing']);
+  });
+});
+
+describe('ActionHandler – parallel and prioritized dispatch', () => {
+  function tracked(log, name, ms = 5) {
+    return async () => {
+      log.push(`start ${name}`);
+      await new Promise(resolve => setTimeout(resolve, ms));
+      log.push(`end ${name}`);
+    };
+  }
+
+  it('runs up to concurrency actions at once, results in declared order', async () => {
+    const ah = new ActionHandler(makeLogger(), { concurrency: 3 });
+    let active = 0;
+    let peak = 0;
+    ah.register('notify_admin', async () => {
+      peak = Math.max(peak, ++active);
+      await new Promise(resolve => setTimeout(resolve, 5));
+      active--;
+    });
+
+    const actions = [1, 2, 3, 4, 5].map(chatId => ({ action: 'notify_admin', data: { chatId } }));
+    const summary = await ah.handleAll(actions, makeContext());
+
+    assert.equal(peak, 3);
+    assert.deepEqual(summary.results.map(o => o.data.chatId), [1, 2, 3, 4, 5]);
+    assert.equal(summary.succeeded.length, 5);
+
+    peak = 0;
+    await ah.handleAll(actions, makeContext(), { concurrency: 1 });
+    assert.equal(peak, 1);
+  });
+
+  it('starts higher priority actions first, from the action or its registration', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const log = [];
+    ah.register('notify_admin', tracked(log, 'notify'));
+    ah.register('delete_message', tracked(log, 'delete'), { priority: 10 });
+    ah.register('warn_user', tracked(log, 'warn'));
+
+    await ah.handleAll([
+      { action: 'notify_admin' },
+      { action: 'warn_user', priority: 5 },
+      { action: 'delete_message' }
+    ], makeContext());
+
+    assert.deepEqual(log.filter(l => l.startsWith('start')), ['start delete', 'start warn', 'start notify']);
+  });
+
+  it('runs actions of the same group one at a time, in declared order', async () => {
+    const ah = new ActionHandler(makeLogger(), { concurrency: 4 });
+    const log = [];
+    ah.register('a', tracked(log, 'a', 10));
+    ah.register('b', tracked(log, 'b', 1), { priority: 10 });
+    ah.register('c', tracked(log, 'c', 1));
+
+    await ah.handleAll([
+      { action: 'a', group: 'user:2' },
+      { action: 'b', group: 'user:2' },
+      { action: 'c' }
+    ], makeContext());
+
+    // b has the higher priority but waits for a, which was declared first in its group; c runs alongside
+    assert.ok(log.indexOf('end a') < log.indexOf('start b'));
+    assert.ok(log.indexOf('start c') < log.indexOf('end a'));
+  });
 });
 
 describe('ActionHandler – stats', () => {
@@ -170,4 +256,239 @@ describe('ActionHandler – helpers', () => {
     assert.equal(processed.length, 1);
     assert.deepEqual(processed[0], { val: 99 });
   });
+
+  it('fails actions with runAt instead of running them now', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const processed = [];
+    ah.register('unmute', async (data) => processed.push(data));
+
+    const msg = makeMessage();
+    msg._actions = [createAction('unmute', { userId: 1 }, { delay: 60000 })];
+    addAction(msg, 'unmute', { userId: 2 });
+    await createActionProcessorMiddleware(ah)(msg, makeContext());
+
+    const { results } = await ah.handleAll([createAction('unmute', {}, { runAt: Date.now() })], makeContext());
+
+    assert.deepEqual(processed, [{ userId: 2 }]);
+    assert.equal(results[0].status, 'failed');
+    assert.match(results[0].error.message, /has runAt; delayed actions need a BotEngine with a scheduler/);
+  });
+});
+
+describe('ActionHandler – instrumentation', () => {
+  it('runs instrument() wrappers around each action handleAll runs, hooks included', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const hooks = new HookManager();
+    const order = [];
+    ah.register('notify', async () => order.push('handler'));
+    hooks.on('before:action', () => order.push('before:action'));
+    const context = makeContext();
+
+    ah.instrument(async ({ entry, context: ctx }, next) => {
+      assert.equal(ctx, context);
+      order.push(`wrap:${entry.action}`);
+      const outcome = await next();
+      order.push(`done:${outcome.status}`);
+      return outcome;
+    });
+
+    const summary = await ah.handleAll([{ action: 'notify' }, { action: 'missing' }], context, { hooks });
+
+    assert.equal(summary.succeeded.length, 1);
+    assert.deepEqual(order, [
+      'wrap:notify', 'before:action', 'handler', 'done:handled',
+      'wrap:missing', 'before:action', 'done:unhandled'
+    ]);
+  });
+});
+
+describe('ActionHandler – middleware', () => {
+  it('runs middleware in order around the handler', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const order = [];
+    ah.register('ban_user', async () => order.push('handler'));
+    ah.use(async (action, data, ctx, next) => {
+      order.push('outer:before');
+      const handled = await next();
+      order.push(`outer:after:${handled}`);
+    });
+    ah.use(async (action, data, ctx, next) => {
+      order.push('inner');
+      return next();
+    });
+
+    assert.equal(await ah.handle('ban_user', {}, makeContext()), true);
+    assert.deepEqual(order, ['outer:before', 'inner', 'handler', 'outer:after:true']);
+  });
+
+  it('skips the action when middleware does not call next()', async () => {
+    const ah = new ActionHandler(makeLogger());
+    let banned = false;
+    ah.register('ban_user', async () => { banned = true; });
+    ah.use('ban_user', async (action, data, ctx, next) => {
+      if (data.isAdmin) return;  // never ban chat admins
+      return next();
+    });
+
+    const { results: outcomes } = await ah.handleAll([{ action: 'ban_user', data: { isAdmin: true } }], makeContext());
+
+    assert.equal(outcomes[0].status, 'skipped');
+    assert.equal(banned, false);
+    assert.equal(await ah.handle('ban_user', { isAdmin: true }, makeContext()), false);
+  });
+
+  it('next(action, data) rewrites the action for the rest of the chain', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const calls = [];
+    ah.register('ban_user', async (data) => calls.push(['ban_user', data]));
+    ah.register('restrict_user', async (data) => calls.push(['restrict_user', data]));
+    ah.use('ban_user', (action, data, ctx, next) => next('restrict_user', { ...data, until: 60 }));
+    ah.use('restrict_user', (action, data, ctx, next) => next(action, { ...data, scoped: true }));
+
+    await ah.handle('ban_user', { userId: 1 }, makeContext());
+
+    assert.deepEqual(calls, [['restrict_user', { userId: 1, until: 60, scoped: true }]]);
+  });
+
+  it('only runs scoped middleware for its action types', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const seen = [];
+    ah.register('ban_user', async () => {});
+    ah.register('notify', async () => {});
+    ah.use(['ban_user', 'kick_user'], (action, data, ctx, next) => { seen.push(action); return next(); });
+
+    await ah.handle('notify', {}, makeContext());
+    await ah.handle('ban_user', {}, makeContext());
+
+    assert.deepEqual(seen, ['ban_user']);
+  });
+
+  it('middleware errors fail the action', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('ban_user', async () => {});
+    ah.use(async () => { throw new Error('rate limit: 5 bans per minute'); });
+
+    const { results: [outcome] } = await ah.handleAll([{ action: 'ban_user' }], makeContext());
+
+    assert.equal(outcome.status, 'failed');
+    assert.match(outcome.error.message, /rate limit/);
+    assert.equal(ah.getStats().failed, 1);
+  });
+
+  it('rejects calling next() twice and non-function middleware', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('x', async () => {});
+    ah.use(async (action, data, ctx, next) => { await next(); await next(); });
+
+    await assert.rejects(() => ah.handle('x', {}, makeContext()), /next\(\) more than once/);
+    assert.throws(() => ah.use('x', 'nope'), /must be a function/);
+  });
+
+  it('reports skipped actions to after:action hooks', async () => {
+    const hooks = new HookManager();
+    const ah = new ActionHandler(makeLogger());
+    ah.register('ban_user', async () => {});
+    ah.use(async () => {});
+    let payload;
+    hooks.on('after:action', (p) => { payload = p; });
+
+    await ah.handleAll([{ action: 'ban_user' }], makeContext(), { hooks });
+
+    assert.equal(payload.handled, false);
+    assert.equal(payload.status, 'skipped');
+  });
+});
+
+describe('ActionHandler – schemas', () => {
+  const schema = {
+    chatId: 'id',
+    userId: 'integer',
+    reason: 'string?',
+    level: { type: 'string', enum: ['low', 'high'], required: false }
+  };
+
+  it('validates payloads before the handler runs', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const seen = [];
+    ah.register('ban_user', async (data) => { seen.push(data); }, { schema });
+
+    const { results: outcomes } = await ah.handleAll([
+      { action: 'ban_user', data: { chatId: 1, userID: 2 } },
+      { action: 'ban_user', data: { chatId: 1, userId: '2' } },
+      { action: 'ban_user', data: { chatId: 1, userId: 2, level: 'medium' } },
+      { action: 'ban_user', data: { chatId: 1, userId: 2, level: 'high', extra: true } }
+    ], makeContext());
+
+    assert.deepEqual(outcomes.map(o => o.status), ['failed', 'failed', 'failed', 'handled']);
+    assert.equal(outcomes[0].error.name, 'ValidationError');
+    assert.equal(outcomes[0].error.field, 'userId');
+    assert.match(outcomes[0].error.message, /missing required field "userId" \(payload has "userID"\)/);
+    assert.match(outcomes[1].error.message, /invalid integer in field "userId"/);
+    assert.match(outcomes[2].error.message, /must be one of "low", "high", got "medium"/);
+    assert.equal(seen.length, 1);
+  });
+
+  it('validates a rewritten action against the schema of its new type', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('ban_user', async () => {});
+    ah.register('mute_user', async () => {}, { schema: { chatId: 'id', userId: 'id', duration: 'number' } });
+    ah.use('ban_user', async (action, data, ctx, next) => next('mute_user', data));
+
+    await assert.rejects(() => ah.handle('ban_user', { chatId: 1, userId: 2 }, makeContext()), /mute_user: missing required field "duration"/);
+  });
+
+  it('rejects bad schemas at registration, and drops a schema when re-registered without one', async () => {
+    const ah = new ActionHandler();
+    assert.throws(() => ah.register('x', async () => {}, { schema: { a: 'uuid' } }), /unknown type "uuid"/);
+    assert.throws(() => ah.register('x', async () => {}, { schema: { a: { type: 'string', enum: 'a' } } }), /enum for field "a" must be an array/);
+
+    ah.register('x', async () => {}, { schema: { a: 'string' } });
+    assert.throws(() => ah.validate('x', {}), /missing required field "a"/);
+    ah.register('x', async () => {});
+    assert.equal(ah.getSchema('x'), null);
+    assert.equal(await ah.handle('x', {}, makeContext()), true);
+  });
+
+  it('runs custom checks', () => {
+    const ah = new ActionHandler();
+    ah.register('x', async () => {}, { schema: { color: { type: 'hex', check: value => /^#[0-9a-f]{6}$/.test(value) } } });
+
+    assert.doesNotThrow(() => ah.validate('x', { color: '#00ff00' }));
+    assert.throws(() => ah.validate('x', { color: 'green' }), /invalid hex in field "color"/);
+    assert.throws(() => ah.validate('x', null), /payload must be an object/);
+  });
+});
+
+describe('ActionHandler – inverses and undo', () => {
+  it('undoes through an inverse action, mapping the data', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const calls = [];
+    ah.register('ban_user', async () => {}, { inverse: { action: 'unban_user', data: ({ chatId, userId }) => ({ chatId, userId }) } });
+    ah.register('unban_user', async (data) => { calls.push(data); });
+
+    const result = await ah.undo('ban_user', { chatId: 1, userId: 2, duration: '1d' }, makeContext());
+
+    assert.deepEqual(result, { action: 'unban_user', data: { chatId: 1, userId: 2 }, status: 'handled' });
+    assert.deepEqual(calls, [{ chatId: 1, userId: 2 }]);
+  });
+
+  it('undoes through an inverse function, and reports unregistered inverse actions', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const restored = [];
+    ah.register('set_title', async () => {}, { inverse: async (data) => { restored.push(data.previous); } });
+    ah.register('kick_user', async () => {}, { inverse: 'invite_user' });
+
+    assert.equal((await ah.undo('set_title', { previous: 'Old' }, makeContext())).action, 'undo:set_title');
+    assert.deepEqual(restored, ['Old']);
+    assert.equal((await ah.undo('kick_user', { userId: 1 }, makeContext())).status, 'unhandled');
+  });
+
+  it('rejects actions without an inverse and malformed inverses', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('delete_message', async () => {});
+
+    assert.equal(ah.getInverse('delete_message'), null);
+    await assert.rejects(() => ah.undo('delete_message', {}, makeContext()), /No inverse registered for action "delete_message"/);
+    assert.throws(() => ah.register('x', async () => {}, { inverse: { data: () => ({}) } }), /must be an action name/);
+  });
 });
@@ -0,0 +1,328 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ActionOutbox,
+  MemoryOutboxStore,
+  PostgreSQLOutboxStore,
+} from '../src/core/ActionOutbox.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { makeDb, makeEngine, makeLogger, makeMessage, makeStage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Engine whose 'moderate' stage declares a notify action; the handler fails
+ * while `health.ok` is false
+ */
+function makeOutboxEngine(outbox = new ActionOutbox(new MemoryOutboxStore(), { backoffMs: 0 })) {
+  const health = { ok: true, calls: [] };
+  const { engine } = makeEngine({
+    stages: [makeStage('moderate', async () => ({ action: 'notify', data: { text: 'spam' } }))],
+    actions: {
+      notify: async (data, context) => {
+        health.calls.push({ data, key: context.idempotencyKey, correlationId: context.correlationId });
+        if (!health.ok) throw new Error('Telegram down');
+      }
+    },
+    outbox
+  });
+  return { engine, outbox, health };
+}
+
+// ─── BotEngine ───────────────────────────────────────────────────────────────
+
+describe('ActionOutbox – BotEngine integration', () => {
+  it('stores actions before dispatching them and marks them done', async () => {
+    const { engine, outbox, health } = makeOutboxEngine();
+
+    const result = await engine._handleMessage(makeMessage({ id: 7, chatId: 100, from: { id: 42 } }));
+
+    assert.equal(result.actionResults.length, 1);
+    assert.equal(result.actionResults[0].status, 'handled');
+    assert.equal(result.actionResults[0].outboxStatus, 'done');
+    assert.equal(health.calls.length, 1);
+    assert.equal(health.calls[0].key, result.actionResults[0].key);
+
+    const [entry] = await outbox.list();
+    assert.equal(entry.status, 'done');
+    assert.equal(entry.attempts, 1);
+    assert.equal(entry.stage, 'moderate');
+    assert.deepEqual(entry.data, { text: 'spam' });
+    assert.equal(entry.message.id, 7);
+    assert.ok(entry.completedAt);
+  });
+
+  it('derives the idempotency key from the bot, update and stage', async () => {
+    const outbox = new ActionOutbox();
+    const message = makeMessage({ id: 7, chatId: 100, from: { id: 42 }, source: 'TelegramAdapter' });
+
+    const entries = await outbox.add(message, [
+      { action: 'notify', stage: 'moderate' },
+      { action: 'notify', stage: 'moderate' },
+      { action: 'ban_user', stage: 'moderate' }
+    ], { scope: 'acme' });
+
+    assert.deepEqual(entries.map(e => e.key), [
+      'acme:TelegramAdapter:100:42:7:moderate:notify#1',
+      'acme:TelegramAdapter:100:42:7:moderate:notify#2',
+      'acme:TelegramAdapter:100:42:7:moderate:ban_user#1'
+    ]);
+  });
+
+  it('tells edits of a message apart from the original, and prefers the update_id', async () => {
+    const outbox = new ActionOutbox();
+    const original = makeMessage({ id: 7, chatId: 100, from: { id: 42 }, raw: { message_id: 7, date: 1700000000 } });
+    const edited = makeMessage({ id: 7, chatId: 100, from: { id: 42 }, raw: { message_id: 7, date: 1700000000, edit_date: 1700000060 } });
+    const fromUpdate = makeMessage({ id: 7, updateId: 1001, chatId: 100, from: { id: 42 } });
+
+    const keys = [];
+    for (const message of [original, edited, fromUpdate]) {
+      const [entry] = await outbox.add(message, [{ action: 'notify', stage: 'moderate' }]);
+      keys.push(entry.key);
+    }
+
+    assert.deepEqual(keys, [
+      'default::100:42:7:moderate:notify#1',
+      'default::100:42:7@1700000060:moderate:notify#1',
+      'default::100:42:1001:moderate:notify#1'
+    ]);
+  });
+
+  it('does not dispatch an action again when the same update is processed twice', async () => {
+    const { engine, health } = makeOutboxEngine();
+    const message = makeMessage({ id: 7 });
+
+    await engine._handleMessage(message);
+    const second = await engine._handleMessage(message);
+
+    assert.equal(health.calls.length, 1);
+    assert.equal(second.actionResults[0].status, 'duplicate');
+    assert.equal(second.actionResults[0].outboxStatus, 'done');
+  });
+
+  it('keeps failed actions pending and the worker retries them with a fresh context', async () => {
+    const { engine, outbox, health } = makeOutboxEngine();
+    health.ok = false;
+
+    const result = await engine._handleMessage(makeMessage({ id: 7 }));
+    assert.equal(result.actionResults[0].status, 'failed');
+    assert.equal(result.actionResults[0].outboxStatus, 'pending');
+
+    const [pending] = await outbox.list({ status: 'pending' });
+    assert.equal(pending.lastError.message, 'Telegram down');
+
+    health.ok = true;
+    const outcomes = await outbox.processDue();
+
+    assert.equal(outcomes.length, 1);
+    assert.equal(outcomes[0].outboxStatus, 'done');
+    assert.equal((await outbox.get(pending.id)).attempts, 2);
+    assert.equal(health.calls[1].key, health.calls[0].key);
+    assert.notEqual(health.calls[1].correlationId, health.calls[0].correlationId);
+  });
+
+  it('gives up after maxAttempts and retry() queues the entry again', async () => {
+    const { outbox, health } = makeOutboxEngine(new ActionOutbox(new MemoryOutboxStore(), { maxAttempts: 2, backoffMs: 0 }));
+    health.ok = false;
+
+    const entries = await outbox.add(makeMessage({ id: 7 }), [{ action: 'notify', stage: 'moderate' }]);
+    await outbox.dispatch(entries);
+    const [last] = await outbox.processDue();
+
+    assert.equal(last.outboxStatus, 'failed');
+    assert.deepEqual(await outbox.processDue(), []);
+
+    health.ok = true;
+    await outbox.retry(entries[0].id);
+    assert.equal((await outbox.processDue())[0].outboxStatus, 'done');
+    await assert.rejects(() => outbox.retry(entries[0].id), /only failed entries can be retried/);
+  });
+
+  it('fails actions without a handler at once', async () => {
+    const { outbox } = makeOutboxEngine();
+
+    const entries = await outbox.add(makeMessage({ id: 7 }), [{ action: 'unknown', stage: 'moderate' }]);
+    const [outcome] = await outbox.dispatch(entries);
+
+    assert.equal(outcome.status, 'unhandled');
+    assert.equal(outcome.outboxStatus, 'failed');
+    assert.match((await outbox.get(outcome.id)).lastError.message, /No handler for action "unknown"/);
+  });
+
+  it('waits for retry_after before retrying rate-limited actions', async () => {
+    const outbox = new ActionOutbox(new MemoryOutboxStore(), { backoffMs: 0 });
+    outbox.setDispatcher(async () => ({
+      status: 'failed',
+      error: Object.assign(new Error('Too Many Requests'), { retryAfter: 30 })
+    }));
+
+    const entries = await outbox.add(makeMessage({ id: 7 }), [{ action: 'notify' }]);
+    const started = Date.now();
+    await outbox.dispatch(entries);
+
+    const entry = await outbox.get(entries[0].id);
+    assert.ok(Date.parse(entry.nextAttemptAt) - started >= 29000);
+    assert.deepEqual(await outbox.processDue(), []);
+  });
+
+  it('dispatches entries by the priority the stages gave their actions', async () => {
+    const order = [];
+    const actionHandler = new ActionHandler(makeLogger(), { concurrency: 2 });
+    actionHandler.register('notify', async () => { order.push('notify'); });
+    actionHandler.register('delete', async () => { order.push('delete'); });
+    const { engine } = makeEngine({
+      stages: [
+        makeStage('report', async () => ({ action: 'notify' })),
+        makeStage('clean', async () => ({ action: 'delete', priority: 1 }))
+      ],
+      actionHandler,
+      outbox: new ActionOutbox()
+    });
+
+    const result = await engine._runPipeline(makeMessage(), engine.createContext(makeMessage()));
+
+    assert.deepEqual(order, ['delete', 'notify']);
+    assert.deepEqual(result.actionResults.map(o => o.action), ['notify', 'delete']);
+  });
+
+  it('requires an actionHandler', () => {
+    assert.throws(
+      () => makeEngine({ outbox: new ActionOutbox() }),
+      /needs an actionHandler/
+    );
+  });
+});
+
+// ─── recovery ────────────────────────────────────────────────────────────────
+
+describe('ActionOutbox – recovery', () => {
+  it('the worker picks up entries whose dispatch was interrupted once their lease expires', async () => {
+    const store = new MemoryOutboxStore();
+    const crashed = new ActionOutbox(store, { leaseMs: 0 });
+    await crashed.add(makeMessage({ id: 7 }), [{ action: 'notify', stage: 'moderate' }]);
+
+    // The process died before dispatch; a new engine shares the store
+    const { outbox, health } = makeOutboxEngine(new ActionOutbox(store));
+    await new Promise(resolve => setTimeout(resolve, 5));
+    const outcomes = await outbox.processDue();
+
+    assert.equal(outcomes.length, 1);
+    assert.equal(outcomes[0].outboxStatus, 'done');
+    assert.equal(health.calls.length, 1);
+  });
+
+  it('recover() releases processing entries at once', async () => {
+    const store = new MemoryOutboxStore();
+    await new ActionOutbox(store).add(makeMessage({ id: 7 }), [{ action: 'notify' }]);
+
+    const { outbox } = makeOutboxEngine(new ActionOutbox(store));
+    assert.deepEqual(await outbox.processDue(), []);
+
+    assert.equal(await outbox.recover(), 1);
+    assert.equal((await outbox.processDue()).length, 1);
+  });
+
+  it('start() runs the worker until stop()', async () => {
+    const { outbox, health } = makeOutboxEngine(new ActionOutbox(new MemoryOutboxStore(), { pollIntervalMs: 5 }));
+    const entries = await outbox.add(makeMessage({ id: 7 }), [{ action: 'notify' }]);
+    await outbox.recover();
+
+    outbox.start();
+    await new Promise(resolve => setTimeout(resolve, 30));
+    await outbox.stop();
+
+    assert.equal(health.calls.length, 1);
+    assert.equal((await outbox.get(entries[0].id)).status, 'done');
+    assert.equal(outbox.timer, null);
+  });
+
+  it('fails entries whose payload fails its schema without retrying them', async () => {
+    const outbox = new ActionOutbox(new MemoryOutboxStore(), { backoffMs: 0 });
+    await outbox.add(makeMessage({ id: 7 }), [{ action: 'notify', data: {} }]);
+    await outbox.recover();
+    const actionHandler = new ActionHandler();
+    actionHandler.register('notify', async () => {}, { schema: { text: 'string' } });
+    outbox.setDispatcher(async (entry) => (await actionHandler.handleAll([{ action: entry.action, data: entry.data }])).results[0]);
+
+    const [outcome] = await outbox.processDue();
+
+    assert.equal(outcome.outboxStatus, 'failed');
+    assert.equal(outcome.error.name, 'ValidationError');
+  });
+
+  it('purge() removes done entries, optionally older than a date', async () => {
+    const { engine, outbox } = makeOutboxEngine();
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    await engine._handleMessage(makeMessage({ id: 2 }));
+
+    assert.equal(await outbox.purge({ before: new Date(0) }), 0);
+    assert.equal(await outbox.purge(), 2);
+    assert.equal(await outbox.count(), 0);
+  });
+});
+
+// ─── stores ──────────────────────────────────────────────────────────────────
+
+describe('ActionOutbox – stores', () => {
+  it('MemoryOutboxStore rejects duplicate keys and returns copies', async () => {
+    const store = new MemoryOutboxStore();
+    const entry = await store.insert({ key: 'k', status: 'pending' });
+    entry.status = 'mutated';
+
+    assert.equal(await store.insert({ key: 'k', status: 'pending' }), null);
+    assert.equal((await store.getByKey('k')).status, 'pending');
+  });
+
+  it('PostgreSQLOutboxStore inserts with ON CONFLICT and maps rows', async () => {
+    const db = makeDb();
+    const queries = [];
+    db.queryOne = async (sql, params) => {
+      queries.push({ sql, params });
+      return {
+        id: 3, idempotency_key: params[0], action: params[1], data: params[2], stage: params[3],
+        message: params[4], status: params[5], attempts: params[6], next_attempt_at: new Date(0),
+        locked_until: null, last_error: null, created_at: new Date(0), completed_at: null
+      };
+    };
+    const store = new PostgreSQLOutboxStore(db, { table: 'outbox' });
+
+    const entry = await store.insert({
+      key: 'k', action: 'notify', data: { text: 'hi' }, stage: 'moderate', message: { id: 7 },
+      status: 'processing', attempts: 0, nextAttemptAt: null, lockedUntil: null, createdAt: null
+    });
+
+    assert.match(queries[0].sql, /INSERT INTO outbox/);
+    assert.match(queries[0].sql, /ON CONFLICT \(idempotency_key\) DO NOTHING/);
+    assert.equal(entry.key, 'k');
+    assert.deepEqual(entry.data, { text: 'hi' });
+    assert.deepEqual(entry.message, { id: 7 });
+    assert.equal(entry.createdAt, '1970-01-01T00:00:00.000Z');
+  });
+
+  it('PostgreSQLOutboxStore claims due rows with SKIP LOCKED', async () => {
+    const db = makeDb();
+    let claimSql;
+    db.query = async (sql) => {
+      claimSql = sql;
+      return { rows: [{ id: 2, idempotency_key: 'b' }, { id: 1, idempotency_key: 'a' }] };
+    };
+
+    const rows = await new PostgreSQLOutboxStore(db).claim({ now: 'now', lockedUntil: 'later', limit: 10 });
+
+    assert.match(claimSql, /FOR UPDATE SKIP LOCKED/);
+    assert.deepEqual(rows.map(r => r.key), ['a', 'b']);
+  });
+
+  it('PostgreSQLOutboxStore creates its table and rejects unsafe table names', async () => {
+    const db = makeDb();
+    const sql = [];
+    db.query = async (statement) => { sql.push(statement); return { rows: [] }; };
+
+    await new PostgreSQLOutboxStore(db, { table: 'bot.outbox' }).ensureSchema();
+
+    assert.match(sql[0], /CREATE TABLE IF NOT EXISTS bot\.outbox/);
+    assert.match(sql[0], /idempotency_key TEXT NOT NULL UNIQUE/);
+    assert.match(sql[1], /CREATE INDEX IF NOT EXISTS bot_outbox_due_idx ON bot\.outbox/);
+    assert.throws(() => new PostgreSQLOutboxStore(db, { table: 'x; DROP TABLE y' }), /Invalid table name/);
+  });
+});
@@ -0,0 +1,318 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  ActionScheduler,
+  MemorySchedulerStore,
+  PostgreSQLSchedulerStore,
+} from '../src/core/ActionScheduler.js';
+import { createAction } from '../src/core/ActionHandler.js';
+import { ActionOutbox } from '../src/core/ActionOutbox.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { HookManager } from '../src/core/HookManager.js';
+import { makeDb, makeEngine, makeMessage, makeStage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Engine with a captcha stage: a new member gets a kick in 5 minutes, keyed
+ * by chat and user; 'unmute' and 'kick_user' handlers record their calls
+ */
+function makeSchedulerEngine(options = {}) {
+  const calls = [];
+  const scheduler = options.scheduler || new ActionScheduler(new MemorySchedulerStore(), { backoffMs: 0 });
+  const { engine } = makeEngine({
+    stages: options.stages || [
+      makeStage('captcha', async (message) => createAction(
+        'kick_user',
+        { chatId: message.chatId, userId: message.from.id },
+        { delay: 5 * 60 * 1000, key: `captcha:${message.chatId}:${message.from.id}` }
+      ))
+    ],
+    actions: {
+      kick_user: async (data, context) => {
+        calls.push({ action: 'kick_user', data, context });
+        if (options.failing?.ok === false) throw new Error('Telegram down');
+      },
+      welcome: async (data) => { calls.push({ action: 'welcome', data }); }
+    },
+    scheduler,
+    outbox: options.outbox
+  });
+  return { engine, scheduler, calls };
+}
+
+/**
+ * Move every pending job's runAt into the past
+ */
+async function fastForward(scheduler) {
+  for (const job of await scheduler.list({ status: 'pending' })) {
+    await scheduler.store.update(job.id, { runAt: new Date(0).toISOString() });
+  }
+}
+
+// ─── createAction and stages ─────────────────────────────────────────────────
+
+describe('ActionScheduler – declaring delayed actions', () => {
+  it('createAction turns delay into runAt and keeps the key', () => {
+    const before = Date.now();
+    const action = createAction('unmute', { userId: 1 }, { delay: 1000, key: 'mute:1' });
+
+    assert.ok(action.runAt >= before + 1000);
+    assert.equal(action.key, 'mute:1');
+    assert.equal(createAction('unmute').runAt, undefined);
+    assert.equal(createAction('unmute', {}, { runAt: 5 }).runAt, 5);
+  });
+
+  it('stages can return runAt or delay directly', async () => {
+    const runAt = new Date(Date.now() + 60000);
+    const pipeline = new Pipeline([
+      makeStage('a', async () => ({ action: 'delete_message', data: {}, delay: 60000 })),
+      makeStage('b', async () => ({ action: 'unmute', data: {}, runAt, key: 'k' }))
+    ]);
+
+    const result = await pipeline.process(makeMessage(), {});
+
+    assert.equal(result.actions[0].runAt, result.actions[0].timestamp + 60000);
+    assert.equal(result.actions[1].runAt, runAt);
+    assert.equal(result.actions[1].key, 'k');
+  });
+});
+
+// ─── BotEngine ───────────────────────────────────────────────────────────────
+
+describe('ActionScheduler – BotEngine integration', () => {
+  it('schedules delayed actions instead of dispatching them', async () => {
+    const { engine, scheduler, calls } = makeSchedulerEngine();
+
+    const result = await engine._handleMessage(makeMessage({ id: 7, chatId: 100, from: { id: 42 } }));
+
+    const [outcome] = result.actionResults;
+    assert.equal(outcome.status, 'scheduled');
+    assert.equal(outcome.key, 'captcha:100:42');
+    assert.ok(Date.parse(outcome.runAt) > Date.now() + 4 * 60 * 1000);
+    assert.equal(calls.length, 0);
+
+    const job = await scheduler.get(outcome.id);
+    assert.equal(job.status, 'pending');
+    assert.equal(job.stage, 'captcha');
+    assert.equal(job.message.id, 7);
+  });
+
+  it('dispatches due jobs through the ActionHandler with a fresh context', async () => {
+    const { engine, scheduler, calls } = makeSchedulerEngine();
+    const hooks = new HookManager();
+    const actions = [];
+    hooks.on('before:action', ({ action }) => { actions.push(action); });
+    engine.pipeline.setHooks(hooks);
+    const result = await engine._handleMessage(makeMessage({ chatId: 100, from: { id: 42 } }));
+    assert.deepEqual(await scheduler.processDue(), []);
+
+    await fastForward(scheduler);
+    const [outcome] = await scheduler.processDue();
+
+    assert.equal(outcome.status, 'handled');
+    assert.equal(outcome.jobStatus, 'done');
+    assert.deepEqual(calls[0].data, { chatId: 100, userId: 42 });
+    assert.equal(calls[0].context.idempotencyKey, `scheduled:${result.actionResults[0].id}`);
+    assert.equal(calls[0].context.scheduler, scheduler);
+    assert.ok(calls[0].context.correlationId);
+    assert.equal(actions[0].stage, 'captcha', 'hooks, audit log and outbox see the declaring stage');
+  });
+
+  it('cancel(key) drops the pending job, e.g. once the captcha is solved', async () => {
+    const solved = makeStage('solved', async (message, context) => {
+      if (message.text === 'solved') {
+        await context.scheduler.cancel(`captcha:${message.chatId}:${message.from.id}`);
+        return { stop: true };
+      }
+    });
+    const captcha = makeStage('captcha', async (message) => createAction(
+      'kick_user', {}, { delay: 60000, key: `captcha:${message.chatId}:${message.from.id}` }
+    ));
+    const { engine, scheduler, calls } = makeSchedulerEngine({ stages: [solved, captcha] });
+
+    await engine._handleMessage(makeMessage({ text: 'joined' }));
+    await engine._handleMessage(makeMessage({ text: 'solved' }));
+    await fastForward(scheduler);
+
+    assert.deepEqual(await scheduler.processDue(), []);
+    assert.equal(await scheduler.count('cancelled'), 1);
+    assert.equal(calls.length, 0);
+  });
+
+  it('scheduling the same key again replaces the pending job', async () => {
+    const scheduler = new ActionScheduler();
+
+    const first = await scheduler.schedule('unmute', { userId: 1 }, { delay: 1000, key: 'mute:1' });
+    const second = await scheduler.schedule('unmute', { userId: 1 }, { delay: 5000, key: 'mute:1' });
+
+    assert.equal((await scheduler.get(first.id)).status, 'cancelled');
+    assert.equal((await scheduler.get(second.id)).status, 'pending');
+    assert.equal(await scheduler.cancel('mute:1'), 1);
+    assert.equal(await scheduler.cancel('mute:1'), 0);
+  });
+
+  it('dispatches immediate actions alongside, in declaration order', async () => {
+    const stages = [
+      makeStage('captcha', async () => createAction('kick_user', {}, { delay: 60000 })),
+      makeStage('greet', async () => ({ action: 'welcome', data: { text: 'hi' } }))
+    ];
+    const { engine, calls } = makeSchedulerEngine({ stages, outbox: new ActionOutbox() });
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.deepEqual(result.actionResults.map(r => r.status), ['scheduled', 'handled']);
+    assert.equal(result.actionResults[1].outboxStatus, 'done');
+    assert.deepEqual(calls.map(c => c.action), ['welcome']);
+  });
+
+  it('fails delayed actions when the engine has no scheduler', async () => {
+    const { engine } = makeEngine({
+      stages: [makeStage('s', async () => createAction('kick_user', {}, { delay: 1000 }))],
+      actions: {}
+    });
+
+    const [outcome] = (await engine._handleMessage(makeMessage())).actionResults;
+
+    assert.equal(outcome.status, 'failed');
+    assert.match(outcome.error.message, /no scheduler/);
+  });
+
+  it('requires an actionHandler', () => {
+    assert.throws(
+      () => makeEngine({ scheduler: new ActionScheduler() }),
+      /needs an actionHandler/
+    );
+  });
+});
+
+// ─── retries and recovery ────────────────────────────────────────────────────
+
+describe('ActionScheduler – retries and recovery', () => {
+  it('retries failed jobs with backoff, then marks them failed', async () => {
+    const failing = { ok: false };
+    const scheduler = new ActionScheduler(new MemorySchedulerStore(), { maxAttempts: 2, backoffMs: 0 });
+    makeSchedulerEngine({ scheduler, failing });
+    const job = await scheduler.schedule('kick_user', {}, { runAt: 0 });
+
+    const [first] = await scheduler.processDue();
+    assert.equal(first.jobStatus, 'pending');
+    const [second] = await scheduler.processDue();
+    assert.equal(second.jobStatus, 'failed');
+
+    const stored = await scheduler.get(job.id);
+    assert.equal(stored.attempts, 2);
+    assert.equal(stored.lastError.message, 'Telegram down');
+  });
+
+  it('jobs in a shared store survive a restart', async () => {
+    const store = new MemorySchedulerStore();
+    await new ActionScheduler(store).schedule('kick_user', { userId: 42 }, { runAt: new Date(Date.now() - 1) });
+
+    // A new process with its own engine and scheduler on the same store
+    const { scheduler, calls } = makeSchedulerEngine({ scheduler: new ActionScheduler(store) });
+    await scheduler.processDue();
+
+    assert.deepEqual(calls[0].data, { userId: 42 });
+  });
+
+  it('the worker picks up jobs whose run was interrupted once their lease expires', async () => {
+    const store = new MemorySchedulerStore();
+    const crashed = new ActionScheduler(store, { leaseMs: 0 });
+    await crashed.schedule('kick_user', {}, { runAt: 0 });
+    await store.claim({ now: new Date().toISOString(), lockedUntil: new Date().toISOString(), limit: 10 });
+
+    const { scheduler, calls } = makeSchedulerEngine({ scheduler: new ActionScheduler(store) });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await scheduler.processDue();
+
+    assert.equal(calls.length, 1);
+  });
+
+  it('start() runs the worker until stop()', async () => {
+    const scheduler = new ActionScheduler(new MemorySchedulerStore(), { pollIntervalMs: 5 });
+    const { calls } = makeSchedulerEngine({ scheduler });
+    await scheduler.schedule('welcome', { text: 'hi' }, { delay: 10 });
+
+    scheduler.start();
+    await new Promise(resolve => setTimeout(resolve, 50));
+    await scheduler.stop();
+
+    assert.equal(calls.length, 1);
+    assert.equal(scheduler.timer, null);
+  });
+
+  it('rejects invalid runAt and delay values', async () => {
+    const scheduler = new ActionScheduler();
+    await assert.rejects(() => scheduler.schedule('x', {}, { runAt: 'tomorrow' }), /Invalid runAt/);
+    await assert.rejects(() => scheduler.schedule('x', {}, { delay: -1 }), /Invalid delay/);
+  });
+});
+
+// ─── stores ──────────────────────────────────────────────────────────────────
+
+describe('ActionScheduler – stores', () => {
+  it('MemorySchedulerStore claims due jobs by runAt', async () => {
+    const store = new MemorySchedulerStore();
+    await store.insert({ action: 'later', status: 'pending', runAt: new Date(2000).toISOString() });
+    await store.insert({ action: 'sooner', status: 'pending', runAt: new Date(1000).toISOString() });
+    await store.insert({ action: 'future', status: 'pending', runAt: new Date(Date.now() + 60000).toISOString() });
+
+    const claimed = await store.claim({ now: new Date().toISOString(), lockedUntil: null, limit: 10 });
+
+    assert.deepEqual(claimed.map(j => j.action), ['sooner', 'later']);
+  });
+
+  it('PostgreSQLSchedulerStore writes JSON columns and maps rows', async () => {
+    const db = makeDb();
+    let inserted;
+    db.insert = async (table, data) => {
+      inserted = { table, data };
+      return { id: 1, ...data, run_at: new Date(0), created_at: new Date(0) };
+    };
+    const store = new PostgreSQLSchedulerStore(db, { table: 'jobs' });
+
+    const job = await store.insert({
+      key: 'mute:1', action: 'unmute', data: { userId: 1 }, stage: 'mute', message: null,
+      status: 'pending', runAt: new Date(0).toISOString(), attempts: 0, createdAt: null
+    });
+
+    assert.equal(inserted.table, 'jobs');
+    assert.equal(inserted.data.job_key, 'mute:1');
+    assert.equal(inserted.data.data, '{"userId":1}');
+    assert.equal(inserted.data.stage, 'mute');
+    assert.equal(job.key, 'mute:1');
+    assert.deepEqual(job.data, { userId: 1 });
+    assert.equal(job.stage, 'mute');
+    assert.equal(job.runAt, '1970-01-01T00:00:00.000Z');
+  });
+
+  it('PostgreSQLSchedulerStore cancels by key and claims with SKIP LOCKED', async () => {
+    const db = makeDb();
+    const sql = [];
+    db.query = async (statement, params) => {
+      sql.push({ statement, params });
+      return { rows: [], rowCount: 1 };
+    };
+    const store = new PostgreSQLSchedulerStore(db);
+
+    assert.equal(await store.cancel('mute:1'), 1);
+    await store.claim({ now: 'now', lockedUntil: 'later', limit: 5 });
+
+    assert.match(sql[0].statement, /SET status = 'cancelled' WHERE job_key = \$1 AND status = 'pending'/);
+    assert.deepEqual(sql[0].params, ['mute:1']);
+    assert.match(sql[1].statement, /FOR UPDATE SKIP LOCKED/);
+  });
+
+  it('PostgreSQLSchedulerStore creates its table and rejects unsafe table names', async () => {
+    const db = makeDb();
+    const sql = [];
+    db.query = async (statement) => { sql.push(statement); return { rows: [] }; };
+
+    await new PostgreSQLSchedulerStore(db).ensureSchema();
+
+    assert.match(sql[0], /CREATE TABLE IF NOT EXISTS scheduled_actions/);
+    assert.match(sql[1], /scheduled_actions_due_idx ON scheduled_actions \(status, run_at\)/);
+    assert.throws(() => new PostgreSQLSchedulerStore(db, { table: 'x; DROP TABLE y' }), /Invalid table name/);
+  });
+});
@@ -0,0 +1,311 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { AuditLog, MemoryAuditStore, PostgreSQLAuditStore } from '../src/core/AuditLog.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { registerStandardActions } from '../src/actions/standardActions.js';
+import { TelegramAdapter } from '../src/adapters/transports/TelegramAdapter.js';
+import { makeAdapter, makeDb, makeEngine, makeLogger, makeMessage, makeStage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Engine whose 'antispam' stage bans the sender and notifies admins; notify fails
+ */
+function makeAuditedEngine(audit = new AuditLog()) {
+  const { engine } = makeEngine({
+    stages: [
+      makeStage('antispam', async (message) => ({
+        action: 'ban_user',
+        data: { chatId: message.chatId, userId: message.from.id, reason: 'spam link', moderatorId: 7 }
+      })),
+      makeStage('report', async () => ({ action: 'notify_admin', data: { text: 'banned' } }))
+    ],
+    actions: {
+      ban_user: async () => {},
+      notify_admin: async () => { throw new Error('chat not found'); }
+    },
+    clientId: 'bot-a'
+  });
+  audit.instrumentEngine(engine);
+  return { engine, audit };
+}
+
+// ─── recording ──────────────────────────────────────────────────────────────
+
+describe('AuditLog – recording', () => {
+  it('records every dispatched action with actor, target, chat, reason, stage and outcome', async () => {
+    const { engine, audit } = makeAuditedEngine();
+
+    await engine._handleMessage(makeMessage());
+    const [ban, notify] = await audit.query({ order: 'asc' });
+
+    assert.equal(ban.action, 'ban_user');
+    assert.equal(ban.status, 'handled');
+    assert.equal(ban.bot, 'bot-a');
+    assert.equal(ban.actorId, '7');
+    assert.equal(ban.userId, '42');
+    assert.equal(ban.chatId, '100');
+    assert.equal(ban.reason, 'spam link');
+    assert.equal(ban.stage, 'antispam');
+    assert.equal(ban.updateId, null);
+    assert.equal(ban.messageId, 'msg-1');
+    assert.match(ban.correlationId, /^[0-9a-f]{32}$/);
+    assert.deepEqual(ban.data, { chatId: 100, userId: 42, reason: 'spam link', moderatorId: 7 });
+
+    assert.equal(notify.status, 'failed');
+    assert.equal(notify.chatId, '100');
+    assert.equal(notify.error.message, 'chat not found');
+  });
+
+  it('records the update_id of an update received by TelegramAdapter', async () => {
+    const { engine, audit } = makeAuditedEngine();
+    const adapter = new TelegramAdapter('123:token', { rateLimit: false });
+    await adapter.initialize();
+    const received = [];
+    adapter.on('message', async (message) => { received.push(message); });
+
+    adapter.botInstance.processUpdate({
+      update_id: 555,
+      message: {
+        message_id: 7,
+        date: 1700000000,
+        chat: { id: -100123, type: 'supergroup', title: 'Test group' },
+        from: { id: 42, first_name: 'Ann', username: 'ann' },
+        text: 'buy now'
+      }
+    });
+    await engine._handleMessage(received[0]);
+    const [ban] = await audit.query({ action: 'ban_user' });
+
+    assert.equal(ban.updateId, '555');
+    assert.equal(ban.messageId, '7');
+    assert.equal(ban.chatId, '-100123');
+  });
+
+  it('records only the listed actions, and takes fields from options.extract', async () => {
+    const audit = new AuditLog(new MemoryAuditStore(), {
+      actions: ['ban_user'],
+      extract: (action, data, message) => ({ actorId: 'antispam-bot', userId: data.userId, chatId: message.chatId })
+    });
+    const { engine } = makeAuditedEngine(audit);
+
+    await engine._handleMessage(makeMessage());
+    const entries = await audit.query();
+
+    assert.equal(entries.length, 1);
+    assert.equal(entries[0].actorId, 'antispam-bot');
+    assert.equal(entries[0].reason, null);
+  });
+
+  it('logs store failures without failing the action', async () => {
+    const store = new MemoryAuditStore();
+    store.insert = async () => { throw new Error('disk full'); };
+    const logger = makeLogger();
+    const { engine } = makeAuditedEngine(new AuditLog(store, { logger }));
+
+    const result = await engine._runPipeline(makeMessage(), engine.createContext(makeMessage()));
+
+    assert.equal(result.actionResults[0].status, 'handled');
+    assert.match(logger.calls.error[0][1], /failed to record action/);
+  });
+
+  it('record() writes manual entries and requires an action', async () => {
+    const audit = new AuditLog();
+    const entry = await audit.record({ action: 'ban_user', actorId: 7, userId: 42, chatId: -100, reason: 'manual' });
+
+    assert.equal(entry.status, 'handled');
+    assert.equal(entry.chatId, '-100');
+    assert.deepEqual(await audit.get(entry.id), entry);
+    await assert.rejects(() => audit.record({ userId: 1 }), /needs an action/);
+  });
+});
+
+// ─── queries and export ─────────────────────────────────────────────────────
+
+describe('AuditLog – queries and export', () => {
+  async function seed() {
+    const audit = new AuditLog();
+    await audit.record({ action: 'ban_user', userId: 1, chatId: 10, createdAt: '2026-01-01T00:00:00Z', reason: 'spam, "links"' });
+    await audit.record({ action: 'mute_user', userId: 1, chatId: 20, createdAt: '2026-01-02T00:00:00Z' });
+    await audit.record({ action: 'ban_user', userId: 2, chatId: 10, createdAt: '2026-01-03T00:00:00Z', status: 'failed' });
+    return audit;
+  }
+
+  it('filters by user, chat, action type, status and time range, newest first', async () => {
+    const audit = await seed();
+
+    assert.deepEqual((await audit.query({ userId: 1 })).map(e => e.action), ['mute_user', 'ban_user']);
+    assert.deepEqual((await audit.query({ chatId: 10, order: 'asc' })).map(e => e.userId), ['1', '2']);
+    assert.equal((await audit.query({ action: ['mute_user', 'warn_user'] })).length, 1);
+    assert.equal((await audit.query({ status: 'failed' }))[0].userId, '2');
+    assert.deepEqual(
+      (await audit.query({ from: new Date('2026-01-02T00:00:00Z'), to: '2026-01-03T00:00:00Z' })).map(e => e.action),
+      ['mute_user']
+    );
+    assert.equal((await audit.query({ limit: 1, offset: 1 }))[0].action, 'mute_user');
+    assert.equal(await audit.count({ action: 'ban_user' }), 2);
+  });
+
+  it('exports CSV with a header and quoted fields, and JSONL', async () => {
+    const audit = await seed();
+
+    const csv = (await audit.export('csv', { userId: 1 })).trimEnd().split('\n');
+    assert.equal(csv[0], 'id,createdAt,bot,action,status,actorId,userId,chatId,reason,stage,updateId,messageId,correlationId,data,error,undoOf,undoneAt,undoneBy');
+    assert.equal(csv.length, 3);
+    assert.match(csv[1], /^1,2026-01-01T00:00:00.000Z,,ban_user,handled,,1,10,"spam, ""links""",/);
+
+    const jsonl = (await audit.export('jsonl', {}, { batchSize: 2 })).trimEnd().split('\n').map(line => JSON.parse(line));
+    assert.deepEqual(jsonl.map(e => e.id), [1, 2, 3]);
+
+    await assert.rejects(() => audit.export('xml'), /Unknown audit export format/);
+  });
+
+  it('purge() removes entries older than a date', async () => {
+    const audit = await seed();
+
+    assert.equal(await audit.purge({ before: '2026-01-02T00:00:00Z' }), 1);
+    assert.equal(await audit.count(), 2);
+    await assert.rejects(() => audit.purge(), /needs a before date/);
+  });
+});
+
+// ─── undo ───────────────────────────────────────────────────────────────────
+
+describe('AuditLog – undo', () => {
+  /**
+   * Audited engine with the standard ban/unban/mute handlers on a recording adapter
+   */
+  function makeUndoEngine() {
+    const calls = [];
+    const adapter = makeAdapter();
+    for (const method of ['banMember', 'unbanMember', 'restrictMember', 'deleteMessage']) {
+      adapter[method] = async (...args) => { calls.push([method, ...args]); };
+    }
+    const actionHandler = new ActionHandler(makeLogger());
+    registerStandardActions(actionHandler);
+
+    const { engine } = makeEngine({
+      stages: [
+        makeStage('linkFilter', async (message) => ({ action: 'ban_user', data: { chatId: message.chatId, userId: message.from.id } })),
+        makeStage('cleanup', async (message) => ({ action: 'delete_message', data: { chatId: message.chatId, messageId: 5 } }))
+      ],
+      adapter,
+      actionHandler
+    });
+    const audit = new AuditLog().instrumentEngine(engine);
+    return { engine, audit, calls };
+  }
+
+  it('runs the inverse with the recorded data and links both entries', async () => {
+    const { engine, audit, calls } = makeUndoEngine();
+    await engine._handleMessage(makeMessage());
+    const [ban] = await audit.query({ action: 'ban_user' });
+
+    const undoEntry = await audit.undo(ban.id, { actorId: 99, reason: 'false positive' });
+
+    assert.deepEqual(calls.at(-1), ['unbanMember', 100, 42]);
+    assert.equal(undoEntry.action, 'unban_user');
+    assert.equal(undoEntry.status, 'handled');
+    assert.equal(undoEntry.undoOf, ban.id);
+    assert.equal(undoEntry.actorId, '99');
+    assert.equal(undoEntry.reason, 'false positive');
+
+    const original = await audit.get(ban.id);
+    assert.equal(original.undoneBy, undoEntry.id);
+    assert.equal(await audit.count({ undone: true }), 1);
+    await assert.rejects(() => audit.undo(ban.id), /already undone/);
+  });
+
+  it('refuses entries that are missing, not handled or have no inverse', async () => {
+    const { engine, audit } = makeUndoEngine();
+    await engine._handleMessage(makeMessage());
+    const [del] = await audit.query({ action: 'delete_message' });
+    const failed = await audit.record({ action: 'ban_user', status: 'failed', data: { chatId: 1, userId: 2 } });
+
+    await assert.rejects(() => audit.undo(999), /not found/);
+    await assert.rejects(() => audit.undo(failed.id), /is failed, only handled actions/);
+    await assert.rejects(() => audit.undo(del.id), /has no inverse/);
+  });
+
+  it('records a failed undo without marking the original undone', async () => {
+    const { engine, audit } = makeUndoEngine();
+    await engine._handleMessage(makeMessage());
+    const [ban] = await audit.query({ action: 'ban_user' });
+    engine.adapter.unbanMember = async () => { throw new Error('not enough rights'); };
+
+    const undoEntry = await audit.undo(ban.id);
+
+    assert.equal(undoEntry.status, 'failed');
+    assert.equal(undoEntry.error.message, 'not enough rights');
+    assert.equal((await audit.get(ban.id)).undoneAt, null);
+  });
+
+  it('undoAll() undoes what a stage did in a window, newest first, with a dry run', async () => {
+    const { engine, audit, calls } = makeUndoEngine();
+    const started = new Date();
+    await engine._handleMessage(makeMessage({ from: { id: 1 } }));
+    await engine._handleMessage(makeMessage({ from: { id: 2 } }));
+    await audit.record({ action: 'ban_user', stage: 'linkFilter', data: { chatId: 100, userId: 3 }, createdAt: '2020-01-01T00:00:00Z' });
+
+    const preview = await audit.undoAll({ stage: 'linkFilter', from: started }, { dryRun: true });
+    assert.deepEqual(preview.planned.map(e => e.userId), ['2', '1']);
+    assert.equal(preview.undone.length, 0);
+
+    const summary = await audit.undoAll({ stage: 'linkFilter', from: started }, { reason: 'rule rollback' });
+    assert.deepEqual(summary.undone.map(e => e.userId), ['2', '1']);
+    assert.deepEqual(calls.filter(c => c[0] === 'unbanMember').map(c => c[2]), [2, 1]);
+
+    // Undo entries are not undone in turn, and undone entries are not picked up again
+    assert.equal((await audit.undoAll({ from: started })).undone.length, 0);
+    await assert.rejects(() => audit.undoAll({}), /at least one filter/);
+  });
+
+  it('undoAll() skips actions without an inverse', async () => {
+    const { engine, audit } = makeUndoEngine();
+    await engine._handleMessage(makeMessage());
+
+    const summary = await audit.undoAll({ chatId: 100 });
+
+    assert.deepEqual(summary.undone.map(e => e.action), ['unban_user']);
+    assert.deepEqual(summary.skipped.map(e => e.action), ['delete_message']);
+  });
+});
+
+// ─── PostgreSQL store ───────────────────────────────────────────────────────
+
+describe('AuditLog – PostgreSQLAuditStore', () => {
+  it('creates the table and its indexes', async () => {
+    const db = makeDb();
+    const queries = [];
+    db.query = async (sql) => { queries.push(sql); return { rows: [] }; };
+
+    await new PostgreSQLAuditStore(db, { table: 'moderation.audit' }).ensureSchema();
+
+    assert.match(queries[0], /CREATE TABLE IF NOT EXISTS moderation.audit/);
+    assert.match(queries[1], /moderation_audit_user_idx ON moderation.audit \(user_id, created_at\)/);
+    assert.throws(() => new PostgreSQLAuditStore(db, { table: 'audit; DROP TABLE x' }), /Invalid table name/);
+  });
+
+  it('builds parameterized filters and maps rows', async () => {
+    const db = makeDb();
+    const queries = [];
+    db.queryAll = async (sql, params) => {
+      queries.push({ sql, params });
+      return [{
+        id: '9', created_at: new Date(0), bot: null, action: 'ban_user', status: 'handled', actor_id: null,
+        user_id: '42', chat_id: '-100', reason: null, stage: 'antispam', update_id: null, message_id: null,
+        correlation_id: null, data: '{"userId":42}', error: null
+      }];
+    };
+    const audit = new AuditLog(new PostgreSQLAuditStore(db));
+
+    const [entry] = await audit.query({ userId: 42, action: 'ban_user', from: 0, limit: 10 });
+
+    assert.match(queries[0].sql, /WHERE user_id = \$1 AND action = ANY\(\$2\) AND created_at >= \$3/);
+    assert.match(queries[0].sql, /ORDER BY created_at DESC, id DESC LIMIT \$4 OFFSET \$5/);
+    assert.deepEqual(queries[0].params, ['42', ['ban_user'], '1970-01-01T00:00:00.000Z', 10, 0]);
+    assert.equal(entry.id, 9);
+    assert.deepEqual(entry.data, { userId: 42 });
+    assert.equal(entry.createdAt, '1970-01-01T00:00:00.000Z');
+  });
+});
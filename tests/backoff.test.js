@@ -0,0 +1,103 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeBackoff, getRetryAfterMs } from '../src/core/backoff.js';
+import { RetryBudget } from '../src/core/RetryBudget.js';
+
+const half = () => 0.5;
+
+// ─── computeBackoff ──────────────────────────────────────────────────────────
+
+describe('computeBackoff', () => {
+  it('defaults to linear backoff', () => {
+    assert.deepEqual([1, 2, 3].map(n => computeBackoff(n, { backoffMs: 100 })), [100, 200, 300]);
+  });
+
+  it('fixed uses the same delay every attempt', () => {
+    assert.deepEqual([1, 2, 3].map(n => computeBackoff(n, { backoff: 'fixed', backoffMs: 50 })), [50, 50, 50]);
+  });
+
+  it('exponential multiplies by factor per attempt', () => {
+    const options = { backoff: 'exponential', backoffMs: 100, factor: 3 };
+    assert.deepEqual([1, 2, 3].map(n => computeBackoff(n, options)), [100, 300, 900]);
+  });
+
+  it('caps every policy at maxDelayMs', () => {
+    const options = { backoff: 'exponential', backoffMs: 100, maxDelayMs: 250 };
+    assert.equal(computeBackoff(10, options), 250);
+  });
+
+  it('jitter randomizes between 0 and the computed delay', () => {
+    const options = { backoff: 'exponential', backoffMs: 100, jitter: true };
+    assert.equal(computeBackoff(3, options, 0, half), 200);
+    assert.equal(computeBackoff(3, options, 0, () => 0), 0);
+  });
+
+  it('decorrelated grows from the previous delay', () => {
+    const options = { backoff: 'decorrelated', backoffMs: 100 };
+
+    assert.equal(computeBackoff(1, options, 0, half), 200);      // between 100 and 300
+    assert.equal(computeBackoff(2, options, 200, half), 350);    // between 100 and 600
+    assert.equal(computeBackoff(2, { ...options, maxDelayMs: 300 }, 1000, half), 300);
+  });
+
+  it('throws on an unknown policy', () => {
+    assert.throws(() => computeBackoff(1, { backoff: 'random' }), /Unknown backoff policy/);
+  });
+});
+
+// ─── getRetryAfterMs ─────────────────────────────────────────────────────────
+
+describe('getRetryAfterMs', () => {
+  it('reads retry_after from a Bot API 429 response', () => {
+    const error = Object.assign(new Error('ETELEGRAM: 429 Too Many Requests'), {
+      code: 'ETELEGRAM',
+      response: { statusCode: 429, body: { parameters: { retry_after: 3 } } },
+    });
+    assert.equal(getRetryAfterMs(error), 3000);
+  });
+
+  it('reads seconds from a GramJS FloodWaitError', () => {
+    class FloodWaitError extends Error { constructor(seconds) { super('FLOOD_WAIT'); this.seconds = seconds; } }
+    assert.equal(getRetryAfterMs(new FloodWaitError(12)), 12000);
+  });
+
+  it('reads retryAfter seconds set on the error', () => {
+    assert.equal(getRetryAfterMs(Object.assign(new Error('slow down'), { retryAfter: 0.5 })), 500);
+  });
+
+  it('returns null for errors without a server wait', () => {
+    assert.equal(getRetryAfterMs(new Error('boom')), null);
+    assert.equal(getRetryAfterMs(Object.assign(new Error('x'), { seconds: 5 })), null);
+    assert.equal(getRetryAfterMs(null), null);
+  });
+});
+
+// ─── RetryBudget ─────────────────────────────────────────────────────────────
+
+describe('RetryBudget', () => {
+  it('allows maxRetries inside the window, then refuses', () => {
+    const budget = new RetryBudget({ maxRetries: 2, windowMs: 1000 });
+
+    assert.equal(budget.tryAcquire(0), true);
+    assert.equal(budget.tryAcquire(10), true);
+    assert.equal(budget.tryAcquire(20), false);
+    assert.equal(budget.getState(20).exhausted, 1);
+  });
+
+  it('frees retries once they leave the window', () => {
+    const budget = new RetryBudget({ maxRetries: 1, windowMs: 100 });
+
+    budget.tryAcquire(0);
+
+    assert.equal(budget.tryAcquire(50), false);
+    assert.equal(budget.tryAcquire(100), true);
+  });
+
+  it('getState() reports used and remaining retries', () => {
+    const budget = new RetryBudget({ maxRetries: 5, windowMs: 1000 });
+    budget.tryAcquire(0);
+    budget.tryAcquire(0);
+
+    assert.deepEqual(budget.getState(0), { used: 2, remaining: 3, maxRetries: 5, windowMs: 1000, exhausted: 0 });
+  });
+});
@@ -0,0 +1,265 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { BotEngine } from '../src/core/BotEngine.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { HookManager } from '../src/core/HookManager.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { ErrorHandler } from '../src/core/ErrorHandler.js';
+import { makeAdapter, makeLogger, makeMessage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function makeStage(name, result = undefined) {
+  const fn = async function () { fn.calls++; return result; };
+  Object.defineProperty(fn, 'name', { value: name });
+  fn.calls = 0;
+  return fn;
+}
+
+function makeEngine(stages, options = {}) {
+  const pipeline = new Pipeline(stages);
+  const engine = new BotEngine(makeAdapter(), { pipeline, logger: makeLogger(), ...options });
+  return { engine, pipeline };
+}
+
+// ─── action dispatch ─────────────────────────────────────────────────────────
+
+describe('BotEngine – action dispatch', () => {
+  it('dispatches result.actions through the actionHandler', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const received = [];
+    ah.register('notify', async (data, ctx) => received.push({ data, ctx }));
+    const { engine } = makeEngine([makeStage('s1', { action: 'notify', data: { x: 1 } })], { actionHandler: ah });
+
+    await engine._handleMessage(makeMessage());
+
+    assert.equal(received.length, 1);
+    assert.deepEqual(received[0].data, { x: 1 });
+    assert.equal(received[0].ctx.bot, engine.adapter);
+  });
+
+  it('dispatches actions collected before a stage halted with stop', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const ran = [];
+    ah.register('first', async () => ran.push('first'));
+    ah.register('ban', async () => ran.push('ban'));
+    const after = makeStage('after', { action: 'never' });
+    const { engine } = makeEngine([
+      makeStage('s1', { action: 'first' }),
+      makeStage('s2', { action: 'ban', stop: true }),
+      after,
+    ], { actionHandler: ah });
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.equal(result.stop, true);
+    assert.equal(after.calls, 0);
+    assert.deepEqual(ran, ['first', 'ban']);
+  });
+
+  it('records per-action outcomes on the result', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('ok', async () => {});
+    ah.register('boom', async () => { throw new Error('fail'); });
+    const { engine } = makeEngine([
+      makeStage('a', { action: 'ok' }),
+      makeStage('b', { action: 'boom' }),
+      makeStage('c', { action: 'missing' }),
+    ], { actionHandler: ah });
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.deepEqual(result.actionResults.map(r => [r.action, r.stage, r.status]), [
+      ['ok', 'a', 'handled'],
+      ['boom', 'b', 'failed'],
+      ['missing', 'c', 'unhandled'],
+    ]);
+    assert.match(result.actionResults[1].error.message, /fail/);
+  });
+
+  it('emits before:action, after:action and error:action through the pipeline hooks', async () => {
+    const ah = new ActionHandler(makeLogger());
+    ah.register('ok', async () => {});
+    ah.register('boom', async () => { throw new Error('fail'); });
+    const { engine, pipeline } = makeEngine([
+      makeStage('a', { action: 'ok' }),
+      makeStage('b', { action: 'boom' }),
+    ], { actionHandler: ah });
+
+    const hooks = new HookManager();
+    const fired = [];
+    hooks.on('before:action', ({ action }) => fired.push(`before:${action.action}`));
+    hooks.on('after:action',  ({ action, handled }) => fired.push(`after:${action.action}:${handled}`));
+    hooks.on('error:action',  ({ action, error }) => fired.push(`error:${action.action}:${error.message}`));
+    pipeline.setHooks(hooks);
+
+    await engine._handleMessage(makeMessage());
+
+    assert.deepEqual(fired, ['before:ok', 'after:ok:true', 'before:boom', 'error:boom:fail']);
+  });
+
+  it('dispatches actions produced by a stage fallback', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const notified = [];
+    ah.register('notify_admin', async (data) => notified.push(data));
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('scan', 'fallback', {
+      fallback: async (error, message) => ({ action: 'notify_admin', data: { messageId: message.id, error: error.message } }),
+    });
+    const scan = async function scan() { throw new Error('scanner down'); };
+    const { engine, pipeline } = makeEngine([scan], { actionHandler: ah });
+    pipeline.setErrorHandler(eh);
+
+    const result = await engine._handleMessage(makeMessage({ id: 9 }));
+
+    assert.deepEqual(notified, [{ messageId: 9, error: 'scanner down' }]);
+    assert.equal(result.actionResults[0].status, 'handled');
+  });
+
+  it('routes hook listener failures to the engine logger', async () => {
+    const hooks = new HookManager();
+    hooks.on('before:stage', () => { throw new Error('listener broke'); });
+    const pipeline = new Pipeline([makeStage('s1')]).setHooks(hooks);
+    const logger = makeLogger();
+    const engine = new BotEngine(makeAdapter(), { pipeline, logger });
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.equal(result.stop, false);
+    assert.equal(logger.calls.error.length, 1);
+    assert.equal(logger.calls.error[0][0].err.message, 'listener broke');
+  });
+
+  it('does not dispatch when no actionHandler is configured', async () => {
+    const { engine } = makeEngine([makeStage('s1', { action: 'notify' })]);
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.equal(result.actions.length, 1);
+    assert.equal(result.actionResults, undefined);
+  });
+
+  it('returns null when no pipeline is configured', async () => {
+    const engine = new BotEngine(makeAdapter(), { logger: makeLogger() });
+    assert.equal(await engine._handleMessage(makeMessage()), null);
+  });
+
+  it('runs instrument() wrappers around the pipeline and its actions, first added outermost', async () => {
+    const ah = new ActionHandler(makeLogger());
+    const order = [];
+    ah.register('notify', async () => order.push('action'));
+    const { engine } = makeEngine([makeStage('s1', { action: 'notify' })], { actionHandler: ah });
+    const message = makeMessage();
+
+    engine.instrument(async (info, next) => {
+      order.push('outer:before');
+      assert.equal(info.message, message);
+      assert.ok(info.context.correlationId);
+      const result = await next();
+      order.push(`outer:after:${result.actionResults[0].status}`);
+      return result;
+    });
+    engine.instrument((info, next) => {
+      order.push('inner');
+      return next();
+    });
+
+    const result = await engine._handleMessage(message);
+
+    assert.equal(result.actionResults[0].status, 'handled');
+    assert.deepEqual(order, ['outer:before', 'inner', 'action', 'outer:after:handled']);
+  });
+});
+
+// ─── queue ───────────────────────────────────────────────────────────────────
+
+describe('BotEngine – processing queue', () => {
+  function makeSlowStage(log) {
+    return async function slow(message) {
+      log.push(`start:${message.id}`);
+      await new Promise(r => setTimeout(r, message.delay || 0));
+      log.push(`end:${message.id}`);
+    };
+  }
+
+  it('processes messages from the same chat in order', async () => {
+    const log = [];
+    const { engine } = makeEngine([makeSlowStage(log)]);
+
+    await Promise.all([
+      engine._enqueue(makeMessage({ id: 1, chatId: 100, delay: 20 })),
+      engine._enqueue(makeMessage({ id: 2, chatId: 100 })),
+    ]);
+
+    assert.deepEqual(log, ['start:1', 'end:1', 'start:2', 'end:2']);
+  });
+
+  it('processes messages from different chats concurrently', async () => {
+    const log = [];
+    const { engine } = makeEngine([makeSlowStage(log)]);
+
+    await Promise.all([
+      engine._enqueue(makeMessage({ id: 1, chatId: 100, delay: 20 })),
+      engine._enqueue(makeMessage({ id: 2, chatId: 200 })),
+    ]);
+
+    assert.deepEqual(log, ['start:1', 'start:2', 'end:2', 'end:1']);
+  });
+
+  it('can key the queue per user', async () => {
+    const log = [];
+    const { engine } = makeEngine([makeSlowStage(log)], { queue: { keyBy: 'user' } });
+
+    await Promise.all([
+      engine._enqueue(makeMessage({ id: 1, chatId: 100, from: { id: 7 }, delay: 20 })),
+      engine._enqueue(makeMessage({ id: 2, chatId: 200, from: { id: 7 } })),
+    ]);
+
+    assert.deepEqual(log, ['start:1', 'end:1', 'start:2', 'end:2']);
+  });
+
+  it('logs and drops messages rejected by a full queue', async () => {
+    const logger = makeLogger();
+    const pipeline = new Pipeline([makeSlowStage([])]);
+    const engine = new BotEngine(makeAdapter(), {
+      pipeline, logger, queue: { concurrency: 1, maxBacklog: 0, overflow: 'reject' },
+    });
+
+    const first = engine._enqueue(makeMessage({ id: 1, delay: 10 }));
+    const rejected = await engine._enqueue(makeMessage({ id: 2 }));
+    await first;
+
+    assert.equal(rejected, null);
+    assert.equal(logger.calls.warn.length, 1);
+    assert.equal(engine.status().queue.rejected, 1);
+  });
+
+  it('routes adapter events through the queue', async () => {
+    const adapter = makeAdapter();
+    const seen = [];
+    const pipeline = new Pipeline([async function record(message) { seen.push(message.id); }]);
+    const engine = new BotEngine(adapter, { pipeline, logger: makeLogger() });
+
+    await engine.start();
+    adapter.emit('message', makeMessage({ id: 'a' }));
+    adapter.emit('callback_query', makeMessage({ id: 'b' }));
+    await engine.stop();
+
+    assert.deepEqual(seen, ['a', 'b']);
+  });
+
+  it('status() reports queue depth', () => {
+    const { engine } = makeEngine([], { queue: { concurrency: 3, maxBacklog: 50 } });
+
+    const { queue } = engine.status();
+
+    assert.equal(queue.pending, 0);
+    assert.equal(queue.active, 0);
+    assert.equal(queue.concurrency, 3);
+    assert.equal(queue.maxBacklog, 50);
+  });
+
+  it('throws on an unknown queue key', () => {
+    assert.throws(() => new BotEngine(makeAdapter(), { queue: { keyBy: 'planet' } }), /Unknown queue keyBy/);
+  });
+});
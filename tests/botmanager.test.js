@@ -101,3 +101,24 @@ describe('BotManager – listBots / getStatus', () => {
     assert.deepEqual(mgr.listBots(), ['y']);
   });
 });
+
+describe('BotManager – hooks', () => {
+  it('emits add:bot once a bot has started and remove:bot once it has stopped', async () => {
+    const mgr = new BotManager();
+    const events = [];
+    mgr.hooks.on('add:bot', ({ clientId, bot }) => events.push(['add', clientId, bot.started]));
+    mgr.hooks.on('remove:bot', ({ clientId, bot }) => events.push(['remove', clientId, bot.stopped]));
+
+    await mgr.addBot('c1', {}, FakeBotEngine, createAdapter);
+    await mgr.updateBot('c1', {}, FakeBotEngine, createAdapter);
+    await mgr.removeBot('c1');
+    await mgr.removeBot('ghost');
+
+    assert.deepEqual(events, [
+      ['add', 'c1', true],
+      ['remove', 'c1', true],
+      ['add', 'c1', true],
+      ['remove', 'c1', true]
+    ]);
+  });
+});
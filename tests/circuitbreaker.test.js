@@ -0,0 +1,94 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { CircuitBreaker } from '../src/core/CircuitBreaker.js';
+
+describe('CircuitBreaker – state machine', () => {
+  it('starts closed and lets calls through', () => {
+    const cb = new CircuitBreaker();
+    assert.equal(cb.getState().state, 'closed');
+    assert.equal(cb.canExecute(), true);
+  });
+
+  it('opens after failureThreshold failures within the window', () => {
+    const cb = new CircuitBreaker({ failureThreshold: 3, windowMs: 1000 });
+
+    cb.recordFailure(0);
+    cb.recordFailure(100);
+    assert.equal(cb.getState().state, 'closed');
+    cb.recordFailure(200);
+
+    assert.equal(cb.getState().state, 'open');
+    assert.equal(cb.canExecute(300), false);
+  });
+
+  it('forgets failures older than the window', () => {
+    const cb = new CircuitBreaker({ failureThreshold: 2, windowMs: 1000 });
+
+    cb.recordFailure(0);
+    cb.recordFailure(1500);
+
+    assert.equal(cb.getState().state, 'closed');
+    assert.equal(cb.getState().failures, 1);
+  });
+
+  it('half-opens after the cooldown and allows a single trial', () => {
+    const cb = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 500 });
+    cb.recordFailure(0);
+
+    assert.equal(cb.canExecute(499), false);
+    assert.equal(cb.canExecute(500), true);
+    assert.equal(cb.getState().state, 'half_open');
+    assert.equal(cb.canExecute(501), false, 'only one trial while half-open');
+  });
+
+  it('closes when the half-open trial succeeds', () => {
+    const cb = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    cb.recordFailure(0);
+    cb.canExecute(1);
+
+    cb.recordSuccess();
+
+    assert.equal(cb.getState().state, 'closed');
+    assert.equal(cb.getState().failures, 0);
+    assert.equal(cb.canExecute(2), true);
+  });
+
+  it('re-opens when the half-open trial fails', () => {
+    const cb = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 100 });
+    cb.recordFailure(0);
+    cb.canExecute(100);
+
+    cb.recordFailure(150);
+
+    assert.equal(cb.getState().state, 'open');
+    assert.equal(cb.getState().openedAt, 150);
+    assert.equal(cb.canExecute(200), false);
+  });
+
+  it('lets another trial through once a half-open trial is released', () => {
+    const cb = new CircuitBreaker({ failureThreshold: 1, cooldownMs: 0 });
+    cb.recordFailure(0);
+    cb.canExecute(1);
+
+    cb.release();
+
+    assert.equal(cb.getState().state, 'half_open');
+    assert.equal(cb.canExecute(2), true);
+    assert.equal(cb.canExecute(3), false);
+  });
+
+  it('reports every transition to onStateChange', () => {
+    const transitions = [];
+    const cb = new CircuitBreaker({
+      failureThreshold: 1,
+      cooldownMs: 0,
+      onStateChange: (from, to) => transitions.push(`${from}->${to}`),
+    });
+
+    cb.recordFailure(0);
+    cb.canExecute(1);
+    cb.recordSuccess();
+
+    assert.deepEqual(transitions, ['closed->open', 'open->half_open', 'half_open->closed']);
+  });
+});
@@ -0,0 +1,333 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  DeadLetterQueue,
+  MemoryDeadLetterStore,
+  PostgreSQLDeadLetterStore,
+} from '../src/core/DeadLetterQueue.js';
+import { BotEngine } from '../src/core/BotEngine.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { ErrorHandler } from '../src/core/ErrorHandler.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { makeAdapter, makeDb, makeLogger, makeMessage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Engine whose 'moderate' stage fails until `health.ok` is set
+ */
+function makeFailingEngine(deadLetters, options = {}) {
+  const health = { ok: false, runs: 0 };
+  const moderate = async function moderate(message, context) {
+    health.runs++;
+    context.state.checked = true;
+    if (!health.ok) throw new Error('classifier down');
+  };
+
+  const eh = new ErrorHandler();
+  eh.registerRecoveryStrategy('moderate', 'retry', { maxRetries: 2, backoffMs: 0 });
+
+  const pipeline = new Pipeline([moderate]).setErrorHandler(eh);
+  const engine = new BotEngine(makeAdapter(), { pipeline, deadLetters, logger: makeLogger(), ...options });
+  return { engine, health };
+}
+
+/**
+ * Engine whose 'flag' stage declares notify_admin and warn_user before 'moderate' fails;
+ * notify_admin succeeds, warn_user fails until `health.ok` is set
+ */
+function makeEngineWithActions(deadLetters) {
+  const health = { ok: false };
+  const calls = [];
+  const actionHandler = new ActionHandler(makeLogger());
+  actionHandler.register('notify_admin', async () => { calls.push('notify_admin'); });
+  actionHandler.register('warn_user', async () => {
+    calls.push('warn_user');
+    if (!health.ok) throw new Error('Telegram down');
+  });
+
+  const flag = async function flag() { return { action: 'notify_admin' }; };
+  const warn = async function warn() { return { action: 'warn_user' }; };
+  const moderate = async function moderate() { if (!health.ok) throw new Error('classifier down'); };
+  const eh = new ErrorHandler();
+  eh.registerRecoveryStrategy('moderate', 'stop');
+
+  const pipeline = new Pipeline([flag, warn, moderate]).setErrorHandler(eh);
+  const engine = new BotEngine(makeAdapter(), { pipeline, actionHandler, deadLetters, logger: makeLogger() });
+  return { engine, health, calls };
+}
+
+// ─── capture ────────────────────────────────────────────────────────────────
+
+describe('DeadLetterQueue – capture', () => {
+  it('stores messages that end the pipeline with an error', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine } = makeFailingEngine(dlq);
+
+    await engine._handleMessage(makeMessage({ id: 7, timestamp: new Date(0), _actions: [{}] }));
+
+    const [entry] = await dlq.list();
+    assert.equal(entry.message.id, 7);
+    assert.equal(entry.message._actions, undefined, 'per-run actions are not persisted');
+    assert.equal(entry.stage, 'moderate');
+    assert.equal(entry.attempts, 2);
+    assert.equal(entry.error.message, 'classifier down');
+    assert.equal(entry.context.chatId, 100);
+    assert.deepEqual(entry.context.state, { checked: true });
+  });
+
+  it('ignores messages that completed normally', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health } = makeFailingEngine(dlq);
+    health.ok = true;
+
+    await engine._handleMessage(makeMessage());
+
+    assert.equal(await dlq.count(), 0);
+  });
+
+  it('get() returns a single entry or null', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage());
+
+    const [entry] = await dlq.list();
+
+    assert.deepEqual(await dlq.get(entry.id), entry);
+    assert.equal(await dlq.get(999), null);
+  });
+
+  it('list() paginates', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine } = makeFailingEngine(dlq);
+    for (const id of [1, 2, 3]) {
+      await engine._handleMessage(makeMessage({ id }));
+    }
+
+    const page = await dlq.list({ limit: 2, offset: 1 });
+
+    assert.deepEqual(page.map(e => e.message.id), [2, 3]);
+  });
+});
+
+// ─── replay & purge ──────────────────────────────────────────────────────────
+
+describe('DeadLetterQueue – replay and purge', () => {
+  it('replay() reprocesses the message and removes the entry on success', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage({ timestamp: new Date(1000) }));
+    const [entry] = await dlq.list();
+
+    health.ok = true;
+    const outcome = await dlq.replay(entry.id);
+
+    assert.equal(outcome.ok, true);
+    assert.equal(outcome.result.stop, false);
+    assert.equal(await dlq.count(), 0);
+  });
+
+  it('replay() keeps the entry and counts replays when it fails again', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage());
+    const [entry] = await dlq.list();
+
+    const outcome = await dlq.replay(entry.id);
+
+    assert.equal(outcome.ok, false);
+    assert.equal(await dlq.count(), 1, 'a failed replay does not add a second entry');
+    const updated = await dlq.get(entry.id);
+    assert.equal(updated.replays, 1);
+    assert.ok(updated.lastReplayedAt);
+  });
+
+  it('replayAll() replays every entry', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    await engine._handleMessage(makeMessage({ id: 2 }));
+
+    health.ok = true;
+    const outcomes = await dlq.replayAll();
+
+    assert.deepEqual(outcomes.map(o => o.ok), [true, true]);
+    assert.equal(await dlq.count(), 0);
+  });
+
+  it('replay() does not dispatch actions an earlier run already dispatched', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health, calls } = makeEngineWithActions(dlq);
+    await engine._handleMessage(makeMessage());
+    const [entry] = await dlq.list();
+    assert.deepEqual(entry.context.dispatched, ['flag:notify_admin#1']);
+
+    const failed = await dlq.replay(entry.id);
+    assert.equal(failed.ok, false);
+    assert.deepEqual(failed.result.actionResults.map(o => o.status), ['duplicate', 'failed']);
+
+    health.ok = true;
+    const outcome = await dlq.replay(entry.id);
+
+    assert.equal(outcome.ok, true);
+    assert.deepEqual(outcome.result.actionResults.map(o => o.status), ['duplicate', 'handled']);
+    assert.deepEqual(calls, ['notify_admin', 'warn_user', 'warn_user', 'warn_user']);
+  });
+
+  it('replay() waits behind updates already queued for the same chat', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    const [entry] = await dlq.list();
+    health.ok = true;
+
+    const order = [];
+    const slow = engine.queue.push(100, async () => {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      order.push('queued update');
+    });
+    const replay = dlq.replay(entry.id).then(() => order.push('replay'));
+    await Promise.all([slow, replay]);
+
+    assert.deepEqual(order, ['queued update', 'replay']);
+  });
+
+  it('replayAll() goes on after a replay that throws', async () => {
+    const dlq = new DeadLetterQueue(new MemoryDeadLetterStore(), { logger: makeLogger() });
+    const { engine, health } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    await engine._handleMessage(makeMessage({ id: 2 }));
+    health.ok = true;
+
+    const process = dlq.processor;
+    dlq.setProcessor(async (message, options) => {
+      if (message.id === 1) throw new Error('queue full');
+      return process(message, options);
+    });
+    const outcomes = await dlq.replayAll();
+
+    assert.deepEqual(outcomes.map(o => [o.ok, o.error?.message]), [[false, 'queue full'], [true, undefined]]);
+    assert.equal(await dlq.count(), 1);
+  });
+
+  it('replay() keeps the entry when a full chat queue drops the replay (drop_newest)', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health } = makeFailingEngine(dlq, { queue: { maxBacklog: 1, overflow: 'drop_newest' } });
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    const [entry] = await dlq.list();
+    const runs = health.runs;
+    health.ok = true;
+
+    let release;
+    const running = engine.queue.push(100, () => new Promise(resolve => { release = resolve; }));
+    const waiting = engine.queue.push(100, async () => {});
+    const outcome = await dlq.replay(entry.id);
+    release();
+    await Promise.all([running, waiting]);
+
+    assert.deepEqual(outcome, { id: entry.id, ok: false, result: null });
+    assert.equal(await dlq.count(), 1);
+    assert.equal(health.runs, runs, 'the pipeline did not run again');
+  });
+
+  it('replay() keeps the entry when a later update pushes the replay out (drop_oldest)', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine, health } = makeFailingEngine(dlq, { queue: { maxBacklog: 1, overflow: 'drop_oldest' } });
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    const [entry] = await dlq.list();
+    health.ok = true;
+
+    let release;
+    const running = engine.queue.push(100, () => new Promise(resolve => { release = resolve; }));
+    const replay = dlq.replay(entry.id);
+    while (engine.queue.pending === 0) {
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    const newer = engine.queue.push(100, async () => {});
+    const outcome = await replay;
+    release();
+    await Promise.all([running, newer]);
+
+    assert.equal(outcome.ok, false);
+    assert.equal(await dlq.count(), 1);
+  });
+
+  it('replay() keeps the entry when the engine has no pipeline, and replayAll() reports it', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine } = makeFailingEngine(dlq);
+    await engine._handleMessage(makeMessage({ id: 1 }));
+    engine.pipeline = null;
+
+    const outcomes = await dlq.replayAll();
+
+    assert.deepEqual(outcomes.map(o => o.ok), [false]);
+    assert.equal(await dlq.count(), 1);
+  });
+
+  it('replay() throws without a processor or for an unknown id', async () => {
+    const dlq = new DeadLetterQueue();
+    await assert.rejects(() => dlq.replay(1), /no processor/);
+
+    dlq.setProcessor(async () => ({}));
+    await assert.rejects(() => dlq.replay(1), /not found/);
+  });
+
+  it('purge() removes one entry or all of them', async () => {
+    const dlq = new DeadLetterQueue();
+    const { engine } = makeFailingEngine(dlq);
+    for (const id of [1, 2, 3]) {
+      await engine._handleMessage(makeMessage({ id }));
+    }
+    const [first] = await dlq.list();
+
+    assert.equal(await dlq.purge(first.id), 1);
+    assert.equal(await dlq.count(), 2);
+    assert.equal(await dlq.purge(), 2);
+    assert.equal(await dlq.count(), 0);
+  });
+});
+
+// ─── stores ─────────────────────────────────────────────────────────────────
+
+describe('DeadLetterQueue – stores', () => {
+  it('MemoryDeadLetterStore returns copies, not live entries', async () => {
+    const store = new MemoryDeadLetterStore();
+    const entry = await store.insert({ replays: 0 });
+
+    entry.replays = 5;
+
+    assert.equal((await store.get(entry.id)).replays, 0);
+  });
+
+  it('PostgreSQLDeadLetterStore writes JSON columns through the db adapter', async () => {
+    const db = makeDb();
+    const inserted = [];
+    db.insert = async (table, data) => { inserted.push({ table, data }); return { id: 1, ...data }; };
+    const store = new PostgreSQLDeadLetterStore(db, { table: 'failed_updates' });
+
+    const entry = await store.insert({
+      message: { id: 5 }, context: { chatId: 1 }, error: { message: 'x' },
+      stage: 'moderate', attempts: 3, replays: 0, createdAt: '2026-01-01T00:00:00.000Z',
+    });
+
+    assert.equal(inserted[0].table, 'failed_updates');
+    assert.equal(inserted[0].data.message, '{"id":5}');
+    assert.deepEqual(entry.message, { id: 5 });
+    assert.equal(entry.stage, 'moderate');
+    assert.equal(entry.attempts, 3);
+  });
+
+  it('PostgreSQLDeadLetterStore creates its table', async () => {
+    const db = makeDb();
+    const queries = [];
+    db.query = async (sql) => { queries.push(sql); return { rows: [] }; };
+
+    await new PostgreSQLDeadLetterStore(db).ensureSchema();
+
+    assert.match(queries[0], /CREATE TABLE IF NOT EXISTS dead_letters/);
+  });
+
+  it('PostgreSQLDeadLetterStore rejects unsafe table names', () => {
+    assert.throws(() => new PostgreSQLDeadLetterStore(makeDb(), { table: 'x; DROP TABLE y' }), /Invalid table name/);
+  });
+});
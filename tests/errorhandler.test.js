@@ -1,6 +1,19 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { ErrorHandler } from '../src/core/ErrorHandler.js';
+import { TimeoutError } from '../src/core/errors.js';
+import { HookManager } from '../src/core/HookManager.js';
+import {
+  RateLimitError,
+  ForbiddenError,
+  BotKickedError,
+  ChatNotFoundError,
+  UserNotFoundError,
+  NotEnoughRightsError,
+  MessageNotModifiedError,
+  NetworkError,
+  AuthError,
+} from '../src/adapters/transports/TelegramErrors.js';
 import { makeLogger } from './helpers/mocks.js';
 
 // Custom error types for testing
@@ -98,6 +111,54 @@ describe('ErrorHandler – recovery strategies', () => {
     assert.equal(result.reason, 'max_retries');
   });
 
+  it('returns a static fallback value', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('score', 'fallback', { fallback: { action: 'log', data: { score: 0 } } });
+
+    const result = await eh.handle(new StageError('no score'), 'score', {});
+
+    assert.equal(result.action, 'fallback');
+    assert.deepEqual(result.fallbackValue, { action: 'log', data: { score: 0 } });
+  });
+
+  it('returns null as fallback value when none is configured', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('score', 'fallback');
+
+    const result = await eh.handle(new StageError('no score'), 'score', {});
+
+    assert.equal(result.fallbackValue, null);
+  });
+
+  it('calls a fallback function with the error, message and context', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    let args = null;
+    eh.registerRecoveryStrategy('score', 'fallback', {
+      fallback: async (error, message, context) => { args = { error, message, context }; return { stop: true }; },
+    });
+    const err = new StageError('no score');
+    const message = { id: 1 };
+    const context = { state: {} };
+
+    const result = await eh.handle(err, 'score', { message, attempt: 1, context });
+
+    assert.deepEqual(result.fallbackValue, { stop: true });
+    assert.equal(args.error, err);
+    assert.equal(args.message, message);
+    assert.equal(args.context, context);
+  });
+
+  it('stops when the fallback function throws', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('score', 'fallback', { fallback: async () => { throw new Error('worse'); } });
+
+    const result = await eh.handle(new StageError('no score'), 'score', {});
+
+    assert.equal(result.action, 'stop');
+    assert.equal(result.reason, 'fallback_failed');
+    assert.equal(result.error.message, 'worse');
+  });
+
   it('stops with no_strategy reason when no strategy registered', async () => {
     const eh = new ErrorHandler(makeLogger());
     const err = new StageError('unregistered stage');
@@ -130,6 +191,16 @@ describe('ErrorHandler – built-in handlers', () => {
     assert.equal(result.reason, 'db_timeout');
   });
 
+  it('handles TimeoutError as skip', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    const err = new TimeoutError('too slow', { stageName: 'slow', timeoutMs: 50 });
+
+    const result = await eh.handle(err, 'slow', {});
+
+    assert.equal(result.action, 'skip');
+    assert.equal(result.reason, 'stage_timeout');
+  });
+
   it('handles ValidationError as skip', async () => {
     const eh = new ErrorHandler(makeLogger());
     const err = new ValidationError('bad input');
@@ -140,3 +211,206 @@ describe('ErrorHandler – built-in handlers', () => {
     assert.equal(result.reason, 'validation_failed');
   });
 });
+
+describe('ErrorHandler – circuit strategy', () => {
+  it('skips the failing stage while the circuit is closed', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('db', 'circuit', { failureThreshold: 3 });
+
+    const result = await eh.handle(new Error('down'), 'db', {});
+
+    assert.equal(result.action, 'skip');
+    assert.equal(eh.checkCircuit('db'), null);
+  });
+
+  it('short-circuits after failureThreshold failures', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('db', 'circuit', { failureThreshold: 2, whileOpen: 'fallback' });
+
+    await eh.handle(new Error('down'), 'db', {});
+    await eh.handle(new Error('down'), 'db', {});
+
+    assert.deepEqual(eh.checkCircuit('db'), { action: 'fallback', reason: 'circuit_open' });
+  });
+
+  it('resolves the fallback on failure with onFailure: fallback', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('db', 'circuit', {
+      failureThreshold: 3,
+      onFailure: 'fallback',
+      fallback: async (error, message) => ({ action: 'flag_for_review', data: { reason: error.message, id: message.id } }),
+    });
+
+    const result = await eh.handle(new Error('down'), 'db', { message: { id: 7 } });
+
+    assert.equal(result.action, 'fallback');
+    assert.deepEqual(result.fallbackValue, { action: 'flag_for_review', data: { reason: 'down', id: 7 } });
+    assert.equal(eh.getCircuitState('db').failures, 1);
+  });
+
+  it('reports breaker state in getStats()', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('db', 'circuit', { failureThreshold: 1 });
+
+    await eh.handle(new Error('down'), 'db', {});
+
+    assert.equal(eh.getStats().circuits.db.state, 'open');
+    assert.equal(eh.getStats().circuits.db.failures, 1);
+  });
+
+  it('emits circuit:* hooks on state transitions', async () => {
+    const hooks = new HookManager();
+    const events = [];
+    hooks.on('circuit:open',      ({ stageName }) => events.push(`open:${stageName}`));
+    hooks.on('circuit:half_open', ({ stageName }) => events.push(`half_open:${stageName}`));
+    hooks.on('circuit:closed',    ({ stageName }) => events.push(`closed:${stageName}`));
+
+    const eh = new ErrorHandler(makeLogger()).setHooks(hooks);
+    eh.registerRecoveryStrategy('db', 'circuit', { failureThreshold: 1, cooldownMs: 0 });
+
+    await eh.handle(new Error('down'), 'db', {});
+    eh.checkCircuit('db');
+    eh.recordSuccess('db');
+
+    assert.deepEqual(events, ['open:db', 'half_open:db', 'closed:db']);
+  });
+
+  it('drops the breaker when the stage gets another strategy', () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('db', 'circuit');
+    eh.registerRecoveryStrategy('db', 'skip');
+
+    assert.equal(eh.getCircuitState('db'), null);
+    assert.equal(eh.getStats().circuits, undefined);
+  });
+});
+
+describe('ErrorHandler – retry backoff', () => {
+  function rateLimited(retryAfter) {
+    return Object.assign(new Error('429 Too Many Requests'), {
+      response: { statusCode: 429, body: { parameters: { retry_after: retryAfter } } },
+    });
+  }
+
+  it('reports the backoff delay it waited', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('api', 'retry', { backoff: 'exponential', backoffMs: 1, maxRetries: 5 });
+
+    const result = await eh.handle(new StageError('flaky'), 'api', { attempt: 3 });
+
+    assert.equal(result.action, 'retry');
+    assert.equal(result.delayMs, 4);
+  });
+
+  it('waits for retry_after instead of the backoff delay', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('api', 'retry', { backoffMs: 5000 });
+
+    const started = Date.now();
+    const result = await eh.handle(rateLimited(0.02), 'api', { attempt: 1 });
+
+    assert.equal(result.reason, 'retry_after');
+    assert.equal(result.delayMs, 20);
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('ignores retry_after when respectRetryAfter is false', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('api', 'retry', { backoffMs: 0, respectRetryAfter: false });
+
+    const result = await eh.handle(rateLimited(30), 'api', { attempt: 1 });
+
+    assert.equal(result.reason, 'stage_error');
+    assert.equal(result.delayMs, 0);
+  });
+
+  it('stops when retry_after exceeds maxRetryAfterMs', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('api', 'retry', { maxRetryAfterMs: 10000 });
+
+    const result = await eh.handle(rateLimited(60), 'api', { attempt: 1 });
+
+    assert.deepEqual(result, { action: 'stop', reason: 'retry_after_exceeded', retryAfterMs: 60000 });
+  });
+
+  it('stops when the retry budget is exhausted', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('api', 'retry', { backoffMs: 0 });
+    const retryBudget = { tryAcquire: () => false };
+
+    const result = await eh.handle(new StageError('flaky'), 'api', { attempt: 1, retryBudget });
+
+    assert.deepEqual(result, { action: 'stop', reason: 'retry_budget_exhausted' });
+  });
+
+  it('cuts the wait short when the stage signal aborts', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('api', 'retry', { backoff: 'fixed', backoffMs: 5000 });
+    const controller = new AbortController();
+    setTimeout(() => controller.abort(), 10);
+
+    const started = Date.now();
+    await eh.handle(new StageError('flaky'), 'api', { attempt: 1, context: { signal: controller.signal } });
+
+    assert.ok(Date.now() - started < 1000);
+  });
+
+  it('rejects an unknown backoff policy at registration', () => {
+    const eh = new ErrorHandler(makeLogger());
+    assert.throws(() => eh.registerRecoveryStrategy('api', 'retry', { backoff: 'random' }), /Unknown backoff policy/);
+  });
+});
+
+describe('ErrorHandler – Telegram errors', () => {
+  it('skips or stops on Telegram errors by default', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    const cases = [
+      [new ForbiddenError('blocked'), 'skip', 'forbidden'],
+      [new BotKickedError('kicked'), 'stop', 'bot_kicked'],
+      [new ChatNotFoundError('gone'), 'stop', 'chat_not_found'],
+      [new UserNotFoundError('left'), 'skip', 'user_not_found'],
+      [new NotEnoughRightsError('no rights'), 'skip', 'not_enough_rights'],
+      [new MessageNotModifiedError('same'), 'skip', 'message_not_modified'],
+      [new AuthError('revoked'), 'stop', 'auth_failed'],
+    ];
+
+    for (const [error, action, reason] of cases) {
+      assert.deepEqual(await eh.handle(error, 'moderate', {}), { action, reason }, error.name);
+    }
+  });
+
+  it('retries RateLimitError after its retryAfter', async () => {
+    const eh = new ErrorHandler(makeLogger());
+
+    const result = await eh.handle(new RateLimitError('slow down', { retryAfter: 0.01 }), 'notify', { attempt: 1 });
+
+    assert.equal(result.action, 'retry');
+    assert.equal(result.delayMs, 10);
+  });
+
+  it('does not retry a RateLimitError the rate limiter already retried', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    const error = Object.assign(new RateLimitError('slow down', { retryAfter: 0.01 }), { limiterRetries: 3 });
+
+    const result = await eh.handle(error, 'notify', { attempt: 1 });
+
+    assert.equal(result.action, 'stop');
+    assert.equal(result.reason, 'max_retries');
+  });
+
+  it('retries NetworkError with backoff, then stops', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    const error = new NetworkError('socket hang up');
+
+    assert.equal((await eh.handle(error, 'notify', { attempt: 3 })).reason, 'max_retries');
+  });
+
+  it('lets a stage strategy override the Telegram defaults', async () => {
+    const eh = new ErrorHandler(makeLogger());
+    eh.registerRecoveryStrategy('moderate', 'skip');
+
+    const result = await eh.handle(new ChatNotFoundError('gone'), 'moderate', {});
+
+    assert.equal(result.action, 'skip');
+  });
+});
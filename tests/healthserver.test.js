@@ -0,0 +1,204 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { HealthServer } from '../src/observability/HealthServer.js';
+import { BotEngine } from '../src/core/BotEngine.js';
+import { BotManager } from '../src/core/BotManager.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { TelegramAdapter } from '../src/adapters/transports/TelegramAdapter.js';
+import { MTProtoAdapter } from '../src/adapters/transports/MTProtoAdapter.js';
+import { TransportAdapter } from '../src/adapters/transports/TransportAdapter.js';
+import { makeAdapter, makeDb, makeLogger } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function makeEngine(options = {}) {
+  const engine = new BotEngine(options.adapter || makeAdapter(), {
+    pipeline: new Pipeline([]),
+    logger: makeLogger(),
+    ...options,
+  });
+  engine.isRunning = options.running ?? true;
+  return engine;
+}
+
+function request(port, path, method = 'GET') {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, path, method }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: body ? JSON.parse(body) : null }));
+    });
+    req.on('error', reject);
+    req.end();
+  });
+}
+
+// ─── readiness ───────────────────────────────────────────────────────────────
+
+describe('HealthServer – readiness', () => {
+  it('is ready when the engine runs, the adapter is healthy, the DB answers and the queue is short', async () => {
+    const adapter = makeAdapter();
+    adapter.healthCheck = async () => ({ healthy: true, polling: true });
+    const health = new HealthServer({ engine: makeEngine({ adapter, db: makeDb() }) });
+
+    const readiness = await health.readiness();
+
+    assert.equal(readiness.ready, true);
+    const { checks } = readiness.bots.default;
+    assert.equal(checks.running.healthy, true);
+    assert.equal(checks.adapter.polling, true);
+    assert.equal(checks.db.healthy, true);
+    assert.deepEqual(checks.queue, { healthy: true, pending: 0, max: 1000 });
+  });
+
+  it('is not ready when the engine is stopped', async () => {
+    const health = new HealthServer({ engine: makeEngine({ running: false }) });
+
+    const readiness = await health.readiness();
+
+    assert.equal(readiness.ready, false);
+    assert.equal(readiness.bots.default.checks.running.healthy, false);
+  });
+
+  it('is not ready when the database ping fails or throws', async () => {
+    const db = makeDb();
+    db.ping = async () => false;
+    const health = new HealthServer({ engine: makeEngine({ db }) });
+
+    assert.equal((await health.readiness()).bots.default.checks.db.healthy, false);
+
+    db.ping = async () => { throw new Error('ECONNREFUSED'); };
+    const { checks } = (await health.readiness()).bots.default;
+    assert.equal(checks.db.healthy, false);
+    assert.equal(checks.db.error, 'ECONNREFUSED');
+  });
+
+  it('is not ready when the queue backlog reaches maxQueueDepth', async () => {
+    const engine = makeEngine();
+    engine.queue.pending = 5;
+    const health = new HealthServer({ engine, maxQueueDepth: 5 });
+
+    const { checks } = (await health.readiness()).bots.default;
+
+    assert.deepEqual(checks.queue, { healthy: false, pending: 5, max: 5, reason: 'queue backlog too deep' });
+  });
+
+  it('fails checks that run past the timeout', async () => {
+    const adapter = makeAdapter();
+    adapter.healthCheck = () => new Promise(() => {});
+    const health = new HealthServer({ engine: makeEngine({ adapter }), timeoutMs: 10 });
+
+    const { checks } = (await health.readiness()).bots.default;
+
+    assert.equal(checks.adapter.healthy, false);
+    assert.match(checks.adapter.error, /timed out after 10ms/);
+  });
+
+  it('runs custom checks, accepting booleans and detail objects', async () => {
+    const health = new HealthServer({ checks: { redis: async () => true } });
+    health.addCheck('disk', async () => ({ healthy: false, freeMb: 12 }));
+
+    let readiness = await health.readiness();
+    assert.equal(readiness.ready, false);
+    assert.equal(readiness.checks.redis.healthy, true);
+    assert.equal(readiness.checks.disk.freeMb, 12);
+
+    health.removeCheck('disk');
+    readiness = await health.readiness();
+    assert.equal(readiness.ready, true);
+  });
+
+  it('reports every BotManager bot by clientId', async () => {
+    const manager = new BotManager();
+    await manager.addBot('alpha', { pipeline: new Pipeline([]), logger: makeLogger() }, BotEngine, makeAdapter);
+    await manager.addBot('beta', { pipeline: new Pipeline([]), logger: makeLogger() }, BotEngine, makeAdapter);
+    manager.getBot('beta').isRunning = false;
+    const health = new HealthServer({ manager });
+
+    const readiness = await health.readiness();
+
+    assert.deepEqual(Object.keys(readiness.bots).sort(), ['alpha', 'beta']);
+    assert.equal(readiness.bots.alpha.ready, true);
+    assert.equal(readiness.bots.beta.ready, false);
+    assert.equal(readiness.ready, false);
+  });
+});
+
+// ─── adapter checks ──────────────────────────────────────────────────────────
+
+describe('HealthServer – adapter health checks', () => {
+  it('TelegramAdapter is healthy only while polling', async () => {
+    const adapter = new TelegramAdapter('token');
+    assert.deepEqual(await adapter.healthCheck(), { healthy: false, polling: false, reason: 'not initialized' });
+
+    let polling = true;
+    adapter.botInstance = { isPolling: () => polling };
+    assert.deepEqual(await adapter.healthCheck(), { healthy: true, polling: true });
+
+    polling = false;
+    assert.equal((await adapter.healthCheck()).healthy, false);
+  });
+
+  it('MTProtoAdapter is healthy while connected', async () => {
+    const adapter = new MTProtoAdapter({ apiId: 1, apiHash: 'x' });
+    assert.equal((await adapter.healthCheck()).healthy, false);
+
+    adapter.client = { connected: true };
+    adapter.isConnected = true;
+    assert.deepEqual(await adapter.healthCheck(), { healthy: true, connected: true });
+  });
+
+  it('TransportAdapter combines its adapters', async () => {
+    const up = { name: 'Up', healthCheck: async () => ({ healthy: true }) };
+    const down = { name: 'Down', healthCheck: async () => { throw new Error('socket closed'); } };
+    const plain = { name: 'Plain' };
+
+    assert.deepEqual(await new TransportAdapter([up, plain]).healthCheck(), {
+      healthy: true,
+      adapters: { Up: { healthy: true } },
+    });
+
+    const result = await new TransportAdapter([up, down]).healthCheck();
+    assert.equal(result.healthy, false);
+    assert.deepEqual(result.adapters.Down, { healthy: false, error: 'socket closed' });
+  });
+});
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+describe('HealthServer – HTTP endpoints', () => {
+  it('serves /healthz, /readyz, /status and 404s other paths', async () => {
+    const engine = makeEngine();
+    const health = new HealthServer({ engine });
+    const server = await health.listen(0, '127.0.0.1');
+    const { port } = server.address();
+
+    try {
+      const live = await request(port, '/healthz');
+      assert.equal(live.status, 200);
+      assert.equal(live.body.status, 'ok');
+      assert.equal(live.headers['content-type'], 'application/json; charset=utf-8');
+
+      const ready = await request(port, '/readyz');
+      assert.equal(ready.status, 200);
+      assert.equal(ready.body.ready, true);
+
+      engine.isRunning = false;
+      const notReady = await request(port, '/readyz');
+      assert.equal(notReady.status, 503);
+      assert.equal(notReady.body.bots.default.checks.running.healthy, false);
+
+      const status = await request(port, '/status');
+      assert.equal(status.status, 200);
+      assert.equal(status.body.bots.default.status, 'stopped');
+      assert.equal(status.body.bots.default.adapter, 'MockAdapter');
+      assert.equal(status.body.bots.default.queue.pending, 0);
+
+      assert.equal((await request(port, '/nope')).status, 404);
+      assert.equal((await request(port, '/healthz', 'POST')).status, 405);
+    } finally {
+      await health.close();
+    }
+  });
+});
@@ -2,6 +2,11 @@
  * Shared mock factories for tests
  */
 
+import { Instrumentation } from '../../src/core/Instrumentation.js';
+import { Pipeline } from '../../src/core/Pipeline.js';
+import { BotEngine } from '../../src/core/BotEngine.js';
+import { ActionHandler } from '../../src/core/ActionHandler.js';
+
 /**
  * Minimal logger mock that captures calls
  */
@@ -110,3 +115,51 @@ export function makeAdapter(name = 'MockAdapter') {
     emit(event, msg)       { handlers[event]?.(msg); },
   };
 }
+
+/**
+ * Adapter mock whose API calls run through instrument() wrappers, like the
+ * Telegram adapters; banChatMember fails with a NotEnoughRightsError
+ */
+export function makeCallingAdapter(name = 'FakeAdapter') {
+  const adapter = makeAdapter(name);
+  const instrumentation = new Instrumentation();
+  const call = (method) => instrumentation.run({ adapter, method }, async () => {
+    if (method === 'banChatMember') {
+      throw Object.assign(new Error('no rights'), { name: 'NotEnoughRightsError' });
+    }
+    return { ok: true };
+  });
+
+  adapter.instrument = (wrapper) => { instrumentation.add(wrapper); return adapter; };
+  adapter.sendMessage = (chatId, text) => call('sendMessage');
+  adapter.banMember = (chatId, userId) => call('banChatMember');
+  return adapter;
+}
+
+/**
+ * Stage function named the way Pipeline reports it
+ */
+export function makeStage(name, fn = async () => {}) {
+  Object.defineProperty(fn, 'name', { value: name });
+  return fn;
+}
+
+/**
+ * BotEngine over a mock adapter and logger. `stages` become its pipeline;
+ * `actions` ({ [type]: handler }) are registered on a new ActionHandler.
+ * Other options go to BotEngine as they are.
+ * @returns {Object} { engine, pipeline, actionHandler }
+ */
+export function makeEngine({ stages = [], actions, adapter = makeAdapter(), ...options } = {}) {
+  const pipeline = new Pipeline(stages);
+  let actionHandler = options.actionHandler;
+  if (actions) {
+    actionHandler = new ActionHandler(makeLogger());
+    for (const [type, handler] of Object.entries(actions)) {
+      actionHandler.register(type, handler);
+    }
+  }
+
+  const engine = new BotEngine(adapter, { pipeline, logger: makeLogger(), ...options, actionHandler });
+  return { engine, pipeline, actionHandler };
+}
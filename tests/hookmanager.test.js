@@ -1,6 +1,8 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
 import { HookManager } from '../src/core/HookManager.js';
+import { TimeoutError } from '../src/core/errors.js';
+import { makeLogger } from './helpers/mocks.js';
 
 describe('HookManager', () => {
   it('calls a registered listener when hook is emitted', async () => {
@@ -71,3 +73,228 @@ describe('HookManager', () => {
     assert.equal(returned, h);
   });
 });
+
+describe('HookManager – off and once', () => {
+  it('off() removes a single listener', async () => {
+    const h = new HookManager();
+    const calls = [];
+    const first = () => calls.push('first');
+    h.on('ev', first).on('ev', () => calls.push('second'));
+
+    h.off('ev', first);
+    await h.emit('ev');
+
+    assert.deepEqual(calls, ['second']);
+  });
+
+  it('off() without a callback removes every listener of the hook', async () => {
+    const h = new HookManager();
+    h.on('ev', () => {}).on('ev', () => {}).on('other', () => {});
+
+    h.off('ev');
+
+    assert.deepEqual(h.getStatus(), { other: 1 });
+  });
+
+  it('once() listeners run a single time', async () => {
+    const h = new HookManager();
+    let calls = 0;
+    h.once('ev', () => calls++);
+
+    await h.emit('ev');
+    await h.emit('ev');
+
+    assert.equal(calls, 1);
+    assert.deepEqual(h.getStatus(), {});
+  });
+
+  it('removing a once() listener keeps a regular listener with the same callback', async () => {
+    const h = new HookManager();
+    let calls = 0;
+    const listener = () => calls++;
+    h.on('ev', listener);
+    h.once('ev', listener);
+
+    await h.emit('ev');
+    await h.emit('ev');
+
+    assert.equal(calls, 3);
+    assert.deepEqual(h.getStatus(), { ev: 1 });
+  });
+});
+
+describe('HookManager – priorities and wildcards', () => {
+  it('runs higher priorities first, then registration order', async () => {
+    const h = new HookManager();
+    const order = [];
+    h.on('ev', () => order.push('default-1'));
+    h.on('ev', () => order.push('low'), { priority: -10 });
+    h.on('ev', () => order.push('high'), { priority: 10 });
+    h.on('ev', () => order.push('default-2'));
+
+    await h.emit('ev');
+
+    assert.deepEqual(order, ['high', 'default-1', 'default-2', 'low']);
+  });
+
+  it('matches wildcard segments', async () => {
+    const h = new HookManager();
+    const seen = [];
+    h.on('*:stage', (data, hookName) => seen.push(`stage ${hookName}`));
+    h.on('error:*', (data, hookName) => seen.push(`error ${hookName}`));
+
+    await h.emit('before:stage');
+    await h.emit('error:stage');
+    await h.emit('error:action');
+    await h.emit('after:pipeline');
+
+    assert.deepEqual(seen, [
+      'stage before:stage',
+      'stage error:stage',
+      'error error:stage',
+      'error error:action',
+    ]);
+  });
+
+  it('"*" matches every hook', async () => {
+    const h = new HookManager();
+    const seen = [];
+    h.on('*', (data, hookName) => seen.push(hookName));
+
+    await h.emit('before:pipeline');
+    await h.emit('circuit:open');
+
+    assert.deepEqual(seen, ['before:pipeline', 'circuit:open']);
+  });
+
+  it('orders wildcard and exact listeners together by priority', async () => {
+    const h = new HookManager();
+    const order = [];
+    h.on('before:stage', () => order.push('exact'));
+    h.on('*:stage', () => order.push('wildcard'), { priority: 1 });
+
+    await h.emit('before:stage');
+
+    assert.deepEqual(order, ['wildcard', 'exact']);
+  });
+});
+
+describe('HookManager – errors, timeouts and parallel listeners', () => {
+  it('emits hook:error and logs when a listener throws', async () => {
+    const logger = makeLogger();
+    const h = new HookManager({ logger });
+    const reported = [];
+    h.on('ev', function failing() { throw new Error('oops'); });
+    h.on('hook:error', ({ hookName, error, listener }) => reported.push([hookName, error.message, listener]));
+
+    await h.emit('ev');
+
+    assert.deepEqual(reported, [['ev', 'oops', 'failing']]);
+    assert.equal(logger.calls.error.length, 1);
+    assert.equal(logger.calls.error[0][0].hook, 'ev');
+  });
+
+  it('falls back to console.error without a logger', async (t) => {
+    const printed = t.mock.method(console, 'error', () => {});
+    const h = new HookManager();
+    h.on('ev', () => { throw new Error('oops'); });
+
+    await h.emit('ev');
+
+    assert.equal(printed.mock.callCount(), 1);
+    assert.equal(printed.mock.calls[0].arguments[0], "Error in hook 'ev':");
+    assert.equal(printed.mock.calls[0].arguments[1].message, 'oops');
+  });
+
+  it('does not loop when a hook:error listener throws', async () => {
+    const logger = makeLogger();
+    const h = new HookManager({ logger });
+    h.on('ev', () => { throw new Error('first'); });
+    h.on('hook:error', () => { throw new Error('second'); });
+
+    await h.emit('ev');
+
+    assert.equal(logger.calls.error.length, 2);
+  });
+
+  it('times out slow listeners and moves on', async () => {
+    const h = new HookManager();
+    const errors = [];
+    const order = [];
+    h.on('ev', () => new Promise(() => {}), { timeoutMs: 10 });
+    h.on('ev', () => order.push('next'));
+    h.on('hook:error', ({ error }) => errors.push(error));
+
+    await h.emit('ev');
+
+    assert.deepEqual(order, ['next']);
+    assert.ok(errors[0] instanceof TimeoutError);
+    assert.equal(errors[0].scope, 'hook');
+  });
+
+  it('applies the manager timeoutMs to every listener', async () => {
+    const h = new HookManager({ timeoutMs: 10 });
+    let timedOut = false;
+    h.on('ev', () => new Promise(() => {}));
+    h.on('hook:error', () => { timedOut = true; });
+
+    await h.emit('ev');
+
+    assert.equal(timedOut, true);
+  });
+
+  it('runs listeners concurrently with { parallel: true }', async () => {
+    const h = new HookManager({ parallel: true });
+    const log = [];
+    h.on('ev', async () => { log.push('start:a'); await new Promise(r => setTimeout(r, 20)); log.push('end:a'); });
+    h.on('ev', async () => { log.push('start:b'); log.push('end:b'); });
+
+    await h.emit('ev');
+
+    assert.deepEqual(log, ['start:a', 'start:b', 'end:b', 'end:a']);
+  });
+});
+
+describe('HookManager – intercept', () => {
+  it('returns null when no listener intervenes', async () => {
+    const h = new HookManager();
+    h.on('before:stage', () => {});
+    h.on('before:stage', () => 42);
+
+    assert.equal(await h.intercept('before:stage', {}), null);
+  });
+
+  it('returns the first skip or stop and stops calling listeners', async () => {
+    const h = new HookManager();
+    const called = [];
+    h.on('before:stage', () => { called.push('a'); return { stop: true, reason: 'maintenance' }; });
+    h.on('before:stage', () => { called.push('b'); return { skip: true }; });
+
+    const outcome = await h.intercept('before:stage', {});
+
+    assert.deepEqual(outcome, { stop: true, reason: 'maintenance' });
+    assert.deepEqual(called, ['a']);
+  });
+
+  it('passes a replacement message on to later listeners', async () => {
+    const h = new HookManager();
+    let seen = null;
+    h.on('before:stage', ({ message }) => ({ message: { ...message, text: 'redacted' } }), { priority: 1 });
+    h.on('before:stage', ({ message }) => { seen = message.text; });
+
+    const outcome = await h.intercept('before:stage', { message: { text: 'secret' } });
+
+    assert.equal(seen, 'redacted');
+    assert.deepEqual(outcome, { message: { text: 'redacted' } });
+  });
+
+  it('ignores interceptors that throw', async () => {
+    const h = new HookManager();
+    const errors = [];
+    h.on('before:stage', () => { throw new Error('toggle service down'); });
+    h.on('hook:error', ({ error }) => errors.push(error.message));
+
+    assert.equal(await h.intercept('before:stage', {}), null);
+    assert.deepEqual(errors, ['toggle service down']);
+  });
+});
@@ -0,0 +1,161 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { KeyedQueue } from '../src/core/KeyedQueue.js';
+import { QueueOverflowError } from '../src/core/errors.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * A task that only finishes when release() is called
+ */
+function deferredTask(log, label) {
+  let release;
+  const done = new Promise(r => { release = r; });
+  const task = async () => {
+    log.push(`start:${label}`);
+    await done;
+    log.push(`end:${label}`);
+    return label;
+  };
+  return { task, release };
+}
+
+const tick = () => new Promise(r => setImmediate(r));
+
+// ─── ordering ────────────────────────────────────────────────────────────────
+
+describe('KeyedQueue – ordering and concurrency', () => {
+  it('runs jobs with the same key strictly in order', async () => {
+    const q = new KeyedQueue({ concurrency: 5 });
+    const log = [];
+    const a = deferredTask(log, 'a1');
+    const b = deferredTask(log, 'a2');
+
+    const p1 = q.push('chatA', a.task);
+    const p2 = q.push('chatA', b.task);
+    await tick();
+
+    assert.deepEqual(log, ['start:a1'], 'second job waits for the first');
+
+    a.release();
+    assert.equal(await p1, 'a1');
+    await tick();
+    assert.deepEqual(log, ['start:a1', 'end:a1', 'start:a2']);
+
+    b.release();
+    assert.equal(await p2, 'a2');
+  });
+
+  it('runs jobs with different keys in parallel', async () => {
+    const q = new KeyedQueue({ concurrency: 5 });
+    const log = [];
+    const a = deferredTask(log, 'a');
+    const b = deferredTask(log, 'b');
+
+    const all = Promise.all([q.push('chatA', a.task), q.push('chatB', b.task)]);
+    await tick();
+
+    assert.deepEqual(log, ['start:a', 'start:b']);
+    a.release(); b.release();
+    await all;
+  });
+
+  it('never runs more than `concurrency` jobs at once', async () => {
+    const q = new KeyedQueue({ concurrency: 2 });
+    const log = [];
+    const jobs = ['a', 'b', 'c'].map(k => deferredTask(log, k));
+
+    const all = Promise.all(jobs.map((j, i) => q.push(`chat${i}`, j.task)));
+    await tick();
+
+    assert.deepEqual(log, ['start:a', 'start:b']);
+    assert.equal(q.getStats().active, 2);
+    assert.equal(q.getStats().pending, 1);
+
+    jobs[0].release();
+    await tick();
+    assert.ok(log.includes('start:c'));
+
+    jobs[1].release(); jobs[2].release();
+    await all;
+  });
+
+  it('rejects the job promise when the task throws and keeps going', async () => {
+    const q = new KeyedQueue();
+
+    await assert.rejects(() => q.push('k', async () => { throw new Error('boom'); }), /boom/);
+    assert.equal(await q.push('k', async () => 'next'), 'next');
+    assert.equal(q.getStats().failed, 1);
+    assert.equal(q.getStats().processed, 1);
+  });
+
+  it('drain() resolves once all jobs finished', async () => {
+    const q = new KeyedQueue();
+    const log = [];
+    const a = deferredTask(log, 'a');
+    q.push('k', a.task);
+
+    let drained = false;
+    const draining = q.drain().then(() => { drained = true; });
+    await tick();
+    assert.equal(drained, false);
+
+    a.release();
+    await draining;
+    assert.equal(drained, true);
+  });
+});
+
+// ─── overflow ────────────────────────────────────────────────────────────────
+
+describe('KeyedQueue – overflow policies', () => {
+  function fill(q, log) {
+    const blocker = deferredTask(log, 'blocker');
+    q.push('k', blocker.task); // running, not counted as backlog
+    const waiting = [q.push('k', async () => 'w1'), q.push('k', async () => 'w2')];
+    return { blocker, waiting };
+  }
+
+  it('reject: rejects new jobs with QueueOverflowError', async () => {
+    const q = new KeyedQueue({ concurrency: 1, maxBacklog: 2, overflow: 'reject' });
+    const { blocker, waiting } = fill(q, []);
+    await tick();
+
+    await assert.rejects(() => q.push('k', async () => 'late'), QueueOverflowError);
+    assert.equal(q.getStats().rejected, 1);
+
+    blocker.release();
+    assert.deepEqual(await Promise.all(waiting), ['w1', 'w2']);
+  });
+
+  it('drop_newest: discards the incoming job', async () => {
+    const q = new KeyedQueue({ concurrency: 1, maxBacklog: 2, overflow: 'drop_newest' });
+    const { blocker, waiting } = fill(q, []);
+    await tick();
+
+    let ran = false;
+    const late = q.push('k', async () => { ran = true; });
+    blocker.release();
+
+    assert.equal(await late, undefined);
+    assert.deepEqual(await Promise.all(waiting), ['w1', 'w2']);
+    assert.equal(ran, false);
+    assert.equal(q.getStats().dropped, 1);
+  });
+
+  it('drop_oldest: discards the oldest waiting job', async () => {
+    const q = new KeyedQueue({ concurrency: 1, maxBacklog: 2, overflow: 'drop_oldest' });
+    const { blocker, waiting } = fill(q, []);
+    await tick();
+
+    const late = q.push('k', async () => 'late');
+    blocker.release();
+
+    assert.deepEqual(await Promise.all([...waiting, late]), [undefined, 'w2', 'late']);
+    assert.equal(q.getStats().dropped, 1);
+  });
+
+  it('throws on an unknown overflow policy', () => {
+    assert.throws(() => new KeyedQueue({ overflow: 'explode' }), /Unknown overflow policy/);
+  });
+});
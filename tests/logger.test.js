@@ -0,0 +1,178 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { Writable } from 'node:stream';
+import winston from 'winston';
+import { createLogger } from '../src/core/logger.js';
+import { BotEngine } from '../src/core/BotEngine.js';
+import { BotManager } from '../src/core/BotManager.js';
+import { Tracer } from '../src/observability/Tracer.js';
+import { makeAdapter, makeEngine, makeLogger, makeMessage, makeStage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * JSON logger whose entries are collected in memory
+ */
+function makeJsonLogger(options = {}) {
+  const entries = [];
+  const stream = new Writable({
+    write(chunk, encoding, callback) {
+      entries.push(JSON.parse(chunk.toString()));
+      callback();
+    }
+  });
+  const logger = createLogger({ format: 'json', transports: [new winston.transports.Stream({ stream })], ...options });
+  return { logger, entries };
+}
+
+/**
+ * Entries are written asynchronously by the stream transport
+ */
+const settle = () => new Promise(resolve => setImmediate(resolve));
+
+// ─── createLogger ────────────────────────────────────────────────────────────
+
+describe('createLogger', () => {
+  it('writes fields-then-message calls as structured entries', async () => {
+    const { logger, entries } = makeJsonLogger();
+
+    logger.warn({ stage: 'spam', attempt: 2 }, 'Stage failed');
+    await settle();
+
+    assert.equal(entries[0].level, 'warn');
+    assert.equal(entries[0].message, 'Stage failed');
+    assert.equal(entries[0].stage, 'spam');
+    assert.equal(entries[0].attempt, 2);
+    assert.ok(entries[0].timestamp);
+  });
+
+  it('serializes errors with name, message, code and stack', async () => {
+    const { logger, entries } = makeJsonLogger();
+    const error = Object.assign(new Error('connection refused'), { code: 'ECONNREFUSED' });
+
+    logger.error({ err: error }, 'Query failed');
+    logger.error(error);
+    await settle();
+
+    assert.equal(entries[0].err.name, 'Error');
+    assert.equal(entries[0].err.message, 'connection refused');
+    assert.equal(entries[0].err.code, 'ECONNREFUSED');
+    assert.match(entries[0].err.stack, /connection refused/);
+    assert.equal(entries[1].message, 'connection refused');
+    assert.equal(entries[1].err.code, 'ECONNREFUSED');
+  });
+
+  it('keeps extra arguments of console-style calls as details', async () => {
+    const { logger, entries } = makeJsonLogger();
+
+    logger.info('BotEngine: Started');
+    logger.error('Failed to handle action "ban":', 'not enough rights');
+    await settle();
+
+    assert.equal(entries[0].message, 'BotEngine: Started');
+    assert.equal(entries[0].details, undefined);
+    assert.equal(entries[1].details, 'not enough rights');
+  });
+
+  it('drops entries below the configured level', async () => {
+    const { logger, entries } = makeJsonLogger({ level: 'warn' });
+
+    logger.info('hidden');
+    logger.debug('hidden');
+    logger.warn('shown');
+    await settle();
+
+    assert.deepEqual(entries.map(e => e.message), ['shown']);
+    assert.equal(logger.isLevelEnabled('debug'), false);
+
+    logger.level = 'debug';
+    assert.equal(logger.isLevelEnabled('debug'), true);
+  });
+
+  it('child loggers add their fields to every entry', async () => {
+    const { logger, entries } = makeJsonLogger({ defaultMeta: { service: 'bot' } });
+
+    const child = logger.child({ chatId: 100 }).child({ stage: 'spam' });
+    child.info({ score: 0.9 }, 'Flagged');
+    await settle();
+
+    assert.equal(entries[0].service, 'bot');
+    assert.equal(entries[0].chatId, 100);
+    assert.equal(entries[0].stage, 'spam');
+    assert.equal(entries[0].score, 0.9);
+  });
+
+  it('rejects unknown formats and transport types', () => {
+    assert.throws(() => createLogger({ format: 'xml' }), /Unknown log format "xml"/);
+    assert.throws(() => createLogger({ transports: [{ type: 'syslog' }] }), /Unknown log transport type "syslog"/);
+    assert.throws(() => createLogger({ transports: [{ type: 'file' }] }), /requires a filename/);
+  });
+});
+
+// ─── BotEngine ───────────────────────────────────────────────────────────────
+
+describe('BotEngine – per-message loggers', () => {
+  it('gives each message a child logger with its correlation fields', async () => {
+    const { logger, entries } = makeJsonLogger();
+    const stages = [makeStage('s1', async (message, context) => {
+      context.logger.info('Checking message');
+    })];
+    const { engine } = makeEngine({ stages, logger, clientId: 'acme' });
+
+    await engine._handleMessage(makeMessage({ id: 7, updateId: 1001, chatId: 100, from: { id: 42 }, type: 'text', source: 'TelegramAdapter' }));
+    await settle();
+
+    const entry = entries.find(e => e.message === 'Checking message');
+    assert.match(entry.correlationId, /^[0-9a-f]{32}$/);
+    assert.equal(entry.clientId, 'acme');
+    assert.equal(entry.updateId, 1001);
+    assert.equal(entry.messageId, 7);
+    assert.equal(entry.chatId, 100);
+    assert.equal(entry.userId, 42);
+    assert.equal(entry.source, 'TelegramAdapter');
+    assert.equal(entry.type, 'text');
+  });
+
+  it('uses a new correlation ID per message, also for pipeline log lines', async () => {
+    const { logger, entries } = makeJsonLogger();
+    const { engine } = makeEngine({ stages: [makeStage('broken', async () => { throw new Error('boom'); })], logger });
+
+    await engine._handleMessage(makeMessage());
+    await engine._handleMessage(makeMessage());
+    await settle();
+
+    const failures = entries.filter(e => e.message === 'Pipeline stage failed: broken');
+    assert.equal(failures.length, 2);
+    assert.ok(failures[0].correlationId);
+    assert.notEqual(failures[0].correlationId, failures[1].correlationId);
+    assert.equal(failures[0].err.message, 'boom');
+  });
+
+  it('passes loggers without child() through unchanged', async () => {
+    const logger = makeLogger();
+    let seen;
+    const { engine } = makeEngine({ stages: [makeStage('s1', async (message, context) => { seen = context.logger; })], logger });
+
+    await engine._handleMessage(makeMessage());
+
+    assert.equal(seen, logger);
+  });
+
+  it('uses the correlation ID as the trace ID', async () => {
+    const tracer = new Tracer();
+    let correlationId;
+    const { engine } = makeEngine({ stages: [makeStage('s1', async (message, context) => { correlationId = context.correlationId; })] });
+    tracer.instrumentEngine(engine);
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.equal(result.trace.traceId, correlationId);
+  });
+
+  it('BotManager tags each bot with its clientId', async () => {
+    const manager = new BotManager();
+    const bot = await manager.addBot('acme', { logger: makeLogger() }, BotEngine, makeAdapter);
+
+    assert.equal(bot.clientId, 'acme');
+  });
+});
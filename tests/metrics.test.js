@@ -0,0 +1,277 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { Metrics } from '../src/observability/Metrics.js';
+import { MetricsRegistry } from '../src/observability/MetricsRegistry.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { BotEngine } from '../src/core/BotEngine.js';
+import { BotManager } from '../src/core/BotManager.js';
+import { ErrorHandler } from '../src/core/ErrorHandler.js';
+import { DeadLetterQueue } from '../src/core/DeadLetterQueue.js';
+import { makeAdapter, makeCallingAdapter, makeEngine, makeLogger, makeMessage, makeStage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Value of one series in rendered output, or undefined
+ */
+function sample(text, series) {
+  const line = text.split('\n').find(l => l.startsWith(`${series} `));
+  return line === undefined ? undefined : Number(line.slice(series.length + 1));
+}
+
+function get(port, path) {
+  return new Promise((resolve, reject) => {
+    http.get({ host: '127.0.0.1', port, path }, (res) => {
+      let body = '';
+      res.on('data', chunk => { body += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body }));
+    }).on('error', reject);
+  });
+}
+
+// ─── registry ────────────────────────────────────────────────────────────────
+
+describe('MetricsRegistry', () => {
+  it('renders counters and gauges with HELP, TYPE and labels', async () => {
+    const registry = new MetricsRegistry();
+    registry.counter('jobs_total', 'Jobs run', ['queue']).inc({ queue: 'mail' }, 2);
+    registry.gauge('workers', 'Busy workers').set({}, 3);
+
+    const text = await registry.render();
+
+    assert.match(text, /# HELP jobs_total Jobs run\n# TYPE jobs_total counter\n/);
+    assert.equal(sample(text, 'jobs_total{queue="mail"}'), 2);
+    assert.equal(sample(text, 'workers'), 3);
+  });
+
+  it('renders cumulative histogram buckets, sum and count', async () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram('latency_seconds', 'Latency', [], [0.1, 1]);
+    histogram.observe({}, 0.05);
+    histogram.observe({}, 0.5);
+    histogram.observe({}, 3);
+
+    const text = await registry.render();
+
+    assert.equal(sample(text, 'latency_seconds_bucket{le="0.1"}'), 1);
+    assert.equal(sample(text, 'latency_seconds_bucket{le="1"}'), 2);
+    assert.equal(sample(text, 'latency_seconds_bucket{le="+Inf"}'), 3);
+    assert.equal(sample(text, 'latency_seconds_sum'), 3.55);
+    assert.equal(sample(text, 'latency_seconds_count'), 3);
+  });
+
+  it('escapes label values and ignores unknown labels', async () => {
+    const registry = new MetricsRegistry();
+    registry.counter('c_total', 'c', ['a']).inc({ a: 'say "hi"\n', b: 'dropped' });
+
+    const text = await registry.render();
+
+    assert.ok(text.includes('c_total{a="say \\"hi\\"\\n"} 1'));
+  });
+
+  it('returns the existing metric for a repeated name and rejects invalid names', () => {
+    const registry = new MetricsRegistry();
+    assert.equal(registry.counter('x_total', 'x'), registry.counter('x_total', 'x'));
+    assert.throws(() => registry.gauge('bad-name', 'x'), /Invalid metric name/);
+  });
+
+  it('runs collectors before rendering', async () => {
+    const registry = new MetricsRegistry();
+    const gauge = registry.gauge('depth', 'Depth');
+    let depth = 0;
+    registry.addCollector(() => gauge.set({}, ++depth));
+
+    await registry.render();
+    const text = await registry.render();
+
+    assert.equal(sample(text, 'depth'), 2);
+  });
+});
+
+// ─── pipeline and actions ────────────────────────────────────────────────────
+
+describe('Metrics – pipeline instrumentation', () => {
+  it('counts messages by outcome and times stages', async () => {
+    const metrics = new Metrics();
+    const pipeline = new Pipeline([
+      makeStage('check', async (message) => (message.text === 'spam' ? { stop: true } : undefined)),
+    ]);
+    metrics.instrumentPipeline(pipeline, { bot: 'b1' });
+
+    await pipeline.process(makeMessage(), {});
+    await pipeline.process(makeMessage({ text: 'spam' }), {});
+    const text = await metrics.render();
+
+    assert.equal(sample(text, 'taf_messages_total{bot="b1",outcome="ok"}'), 1);
+    assert.equal(sample(text, 'taf_messages_total{bot="b1",outcome="stopped"}'), 1);
+    assert.equal(sample(text, 'taf_stage_duration_seconds_count{bot="b1",stage="check",outcome="ok"}'), 2);
+    assert.equal(sample(text, 'taf_pipeline_duration_seconds_count{bot="b1"}'), 2);
+  });
+
+  it('counts stage errors by error type', async () => {
+    const metrics = new Metrics();
+    const pipeline = new Pipeline([makeStage('broken', async () => { throw new TypeError('boom'); })]);
+    pipeline.setErrorHandler(new ErrorHandler(makeLogger()));
+    metrics.instrumentPipeline(pipeline, { bot: 'b1' });
+
+    await pipeline.process(makeMessage(), {});
+    const text = await metrics.render();
+
+    assert.equal(sample(text, 'taf_stage_errors_total{bot="b1",stage="broken",error="TypeError"}'), 1);
+    assert.equal(sample(text, 'taf_stage_duration_seconds_count{bot="b1",stage="broken",outcome="error"}'), 1);
+  });
+
+  it('includes mounted sub-pipelines without counting their runs as messages', async () => {
+    const metrics = new Metrics();
+    const text = new Pipeline([makeStage('inner')]);
+    const pipeline = new Pipeline().route({ text });
+    metrics.instrumentPipeline(pipeline, { bot: 'b1' });
+
+    await pipeline.process(makeMessage({ type: 'text' }), {});
+    const out = await metrics.render();
+
+    assert.equal(sample(out, 'taf_stage_duration_seconds_count{bot="b1",stage="inner",outcome="ok"}'), 1);
+    assert.equal(sample(out, 'taf_messages_total{bot="b1",outcome="ok"}'), 1);
+  });
+
+  it('does not attach listeners twice', async () => {
+    const metrics = new Metrics();
+    const pipeline = new Pipeline([makeStage('s1')]);
+    metrics.instrumentPipeline(pipeline).instrumentPipeline(pipeline);
+
+    await pipeline.process(makeMessage(), {});
+
+    assert.equal(sample(await metrics.render(), 'taf_messages_total{bot="default",outcome="ok"}'), 1);
+  });
+
+  it('counts and times dispatched actions', async () => {
+    const metrics = new Metrics();
+    const { engine } = makeEngine({
+      stages: [
+        makeStage('s1', async () => ({ action: 'notify' })),
+        makeStage('s2', async () => ({ action: 'explode' })),
+        makeStage('s3', async () => ({ action: 'unknown' })),
+      ],
+      actions: {
+        notify: async () => {},
+        explode: async () => { throw new Error('no'); }
+      }
+    });
+    metrics.instrumentEngine(engine, { bot: 'b1' });
+
+    await engine._handleMessage(makeMessage());
+    const text = await metrics.render();
+
+    assert.equal(sample(text, 'taf_actions_total{bot="b1",action="notify",status="handled"}'), 1);
+    assert.equal(sample(text, 'taf_actions_total{bot="b1",action="explode",status="failed"}'), 1);
+    assert.equal(sample(text, 'taf_actions_total{bot="b1",action="unknown",status="unhandled"}'), 1);
+    assert.equal(sample(text, 'taf_action_duration_seconds_count{bot="b1",action="notify"}'), 1);
+  });
+});
+
+// ─── adapters ────────────────────────────────────────────────────────────────
+
+describe('Metrics – adapter instrumentation', () => {
+  it('counts calls, failures and latency per method', async () => {
+    const metrics = new Metrics();
+    const adapter = makeCallingAdapter();
+    metrics.instrumentAdapter(adapter, { bot: 'b1' });
+
+    assert.deepEqual(await adapter.sendMessage(1, 'hi'), { ok: true });
+    await assert.rejects(() => adapter.banMember(1, 2), /no rights/);
+    const text = await metrics.render();
+
+    const labels = 'bot="b1",adapter="FakeAdapter"';
+    assert.equal(sample(text, `taf_adapter_calls_total{${labels},method="sendMessage",status="ok"}`), 1);
+    assert.equal(sample(text, `taf_adapter_calls_total{${labels},method="banChatMember",status="error"}`), 1);
+    assert.equal(sample(text, `taf_adapter_errors_total{${labels},method="banChatMember",error="NotEnoughRightsError"}`), 1);
+    assert.equal(sample(text, `taf_adapter_call_duration_seconds_count{${labels},method="sendMessage"}`), 1);
+  });
+
+  it('instruments the children of a TransportAdapter', async () => {
+    const metrics = new Metrics();
+    const child = makeCallingAdapter();
+    metrics.instrumentAdapter({ name: 'TransportAdapter', adapters: [child] }, { bot: 'b1' });
+
+    await child.sendMessage(1, 'hi');
+
+    assert.equal(
+      sample(await metrics.render(), 'taf_adapter_calls_total{bot="b1",adapter="FakeAdapter",method="sendMessage",status="ok"}'),
+      1
+    );
+  });
+});
+
+// ─── engines and managers ────────────────────────────────────────────────────
+
+describe('Metrics – engines and managers', () => {
+  it('reports queue, circuit and dead-letter gauges on scrape', async () => {
+    const metrics = new Metrics();
+    const errorHandler = new ErrorHandler(makeLogger());
+    errorHandler.registerRecoveryStrategy('flaky', 'circuit', { failureThreshold: 1 });
+    const deadLetters = new DeadLetterQueue();
+    const { engine, pipeline } = makeEngine({
+      stages: [makeStage('flaky', async () => { throw new Error('down'); })],
+      deadLetters
+    });
+    pipeline.setErrorHandler(errorHandler);
+    metrics.instrumentEngine(engine, { bot: 'b1' });
+
+    await engine._handleMessage(makeMessage());
+    await deadLetters.add(makeMessage(), {}, { error: new Error('failed'), errorStage: 'flaky' });
+    const text = await metrics.render();
+
+    assert.equal(sample(text, 'taf_queue_pending{bot="b1"}'), 0);
+    assert.equal(sample(text, 'taf_circuit_state{bot="b1",stage="flaky"}'), 2);
+    assert.equal(sample(text, 'taf_dead_letters{bot="b1"}'), 1);
+  });
+
+  it('labels each BotManager bot with its clientId and drops gauges on removal', async () => {
+    const metrics = new Metrics();
+    const pipeline = new Pipeline([makeStage('s1')]);
+    const manager = new BotManager();
+    metrics.instrumentManager(manager);
+
+    const first = await manager.addBot('alpha', { pipeline, logger: makeLogger() }, BotEngine, makeAdapter);
+    const second = await manager.addBot('beta', { pipeline, logger: makeLogger() }, BotEngine, makeAdapter);
+    await first._handleMessage(makeMessage());
+    await second._handleMessage(makeMessage());
+    await second._handleMessage(makeMessage());
+    let text = await metrics.render();
+
+    assert.equal(sample(text, 'taf_messages_total{bot="alpha",outcome="ok"}'), 1);
+    assert.equal(sample(text, 'taf_messages_total{bot="beta",outcome="ok"}'), 2);
+    assert.equal(sample(text, 'taf_bots{status="running"}'), 2);
+
+    await manager.removeBot('beta');
+    text = await metrics.render();
+
+    assert.equal(sample(text, 'taf_bots{status="running"}'), 1);
+    assert.equal(sample(text, 'taf_queue_pending{bot="beta"}'), undefined);
+    assert.equal(sample(text, 'taf_queue_pending{bot="alpha"}'), 0);
+  });
+});
+
+// ─── HTTP ────────────────────────────────────────────────────────────────────
+
+describe('Metrics – HTTP endpoint', () => {
+  it('serves GET /metrics and 404s other paths', async () => {
+    const metrics = new Metrics();
+    metrics.registry.counter('hits_total', 'Hits').inc();
+    const server = await metrics.listen(0, '127.0.0.1');
+    const { port } = server.address();
+
+    try {
+      const ok = await get(port, '/metrics');
+      const missing = await get(port, '/other');
+
+      assert.equal(ok.status, 200);
+      assert.equal(ok.headers['content-type'], 'text/plain; version=0.0.4; charset=utf-8');
+      assert.equal(sample(ok.body, 'hits_total'), 1);
+      assert.equal(missing.status, 404);
+    } finally {
+      await metrics.close();
+    }
+  });
+});
@@ -3,6 +3,8 @@ import assert from 'node:assert/strict';
 import { Pipeline } from '../src/core/Pipeline.js';
 import { HookManager } from '../src/core/HookManager.js';
 import { ErrorHandler } from '../src/core/ErrorHandler.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { TimeoutError } from '../src/core/errors.js';
 import { makeMessage, makeContext } from './helpers/mocks.js';
 
 // ─── helpers ────────────────────────────────────────────────────────────────
@@ -216,3 +218,676 @@ describe('Pipeline – hooks', () => {
     assert.deepEqual(errors, ['boom']);
   });
 });
+
+// ─── routing ─────────────────────────────────────────────────────────────────
+
+describe('Pipeline – routing', () => {
+  it('route() runs only the sub-pipeline matching message.type', async () => {
+    const cb   = makeStage('cb');
+    const join = makeStage('join');
+    const p = new Pipeline().route({
+      callback_query:    new Pipeline().use(cb),
+      chat_join_request: new Pipeline().use(join),
+    });
+
+    await p.process(makeMessage({ type: 'callback_query' }), makeContext());
+
+    assert.equal(cb.calls, 1);
+    assert.equal(join.calls, 0);
+  });
+
+  it('route() falls through to the next stage when no route matches', async () => {
+    const cb    = makeStage('cb');
+    const after = makeStage('after');
+    const p = new Pipeline().route({ callback_query: new Pipeline().use(cb) }).use(after);
+
+    const result = await p.process(makeMessage({ type: 'text' }), makeContext());
+
+    assert.equal(cb.calls, 0);
+    assert.equal(after.calls, 1);
+    assert.equal(result.stop, false);
+  });
+
+  it('route() uses the * route for unmatched keys', async () => {
+    const other = makeStage('other');
+    const p = new Pipeline().route({
+      callback_query: new Pipeline().use(makeStage('cb')),
+      '*':            new Pipeline().use(other),
+    });
+
+    await p.process(makeMessage({ type: 'text' }), makeContext());
+
+    assert.equal(other.calls, 1);
+  });
+
+  it('route() can route by chat id', async () => {
+    const vip = makeStage('vip');
+    const p = new Pipeline().route({ 100: new Pipeline().use(vip) }, { by: 'chat' });
+
+    await p.process(makeMessage({ chatId: 100 }), makeContext());
+    await p.process(makeMessage({ chatId: 200 }), makeContext());
+
+    assert.equal(vip.calls, 1);
+  });
+
+  it('route() rejects an unknown route key', () => {
+    assert.throws(() => new Pipeline().route({}, { by: 'planet' }), /Unknown route key/);
+  });
+
+  it('when() mounts a sub-pipeline behind a predicate', async () => {
+    const inner = makeStage('inner');
+    const isAdmin = (message) => message.from.id === 1;
+    const p = new Pipeline().when(isAdmin, new Pipeline().use(inner));
+
+    await p.process(makeMessage({ from: { id: 1 } }), makeContext());
+    await p.process(makeMessage({ from: { id: 2 } }), makeContext());
+
+    assert.equal(inner.calls, 1);
+  });
+
+  it('merges sub-pipeline actions into the parent result', async () => {
+    const p = new Pipeline()
+      .use(makeStage('outer', { action: 'first' }))
+      .when(() => true, new Pipeline().use(makeStage('inner', { action: 'second' })));
+    const msg = makeMessage();
+
+    const result = await p.process(msg, makeContext());
+
+    assert.deepEqual(result.actions.map(a => [a.action, a.stage]), [['first', 'outer'], ['second', 'inner']]);
+    assert.equal(msg._actions.length, 2, 'actions should not be recorded twice on the message');
+  });
+
+  it('a stop inside a sub-pipeline halts the parent', async () => {
+    const after = makeStage('after');
+    const p = new Pipeline()
+      .when(() => true, new Pipeline().use(makeStage('blocker', { stop: true, reason: 'spam' })))
+      .use(after);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(result.stop, true);
+    assert.equal(result.metadata.reason, 'spam');
+    assert.equal(after.calls, 0);
+  });
+
+  it('propagateStop: false keeps the parent running after a sub-pipeline stop', async () => {
+    const after = makeStage('after');
+    const p = new Pipeline()
+      .when(() => true, new Pipeline().use(makeStage('blocker', { stop: true })), { propagateStop: false })
+      .use(after);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(result.stop, false);
+    assert.equal(after.calls, 1);
+  });
+
+  it('sub-pipelines use their own error handler and report the nested error stage', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('fragile', 'stop');
+    const fragile = async function fragile() { throw new Error('down'); };
+    const sub = new Pipeline().use(fragile).setErrorHandler(eh);
+    const p = new Pipeline().route({ text: sub });
+
+    const result = await p.process(makeMessage({ type: 'text' }), makeContext());
+
+    assert.equal(result.stop, true);
+    assert.equal(result.error.message, 'down');
+    assert.equal(result.errorStage, 'route:type/fragile');
+  });
+
+  it('sub-pipelines emit their own hooks', async () => {
+    const outerHooks = new HookManager();
+    const innerHooks = new HookManager();
+    const outer = [];
+    const inner = [];
+    outerHooks.on('before:stage', ({ stageName }) => outer.push(stageName));
+    innerHooks.on('before:stage', ({ stageName }) => inner.push(stageName));
+
+    const p = new Pipeline()
+      .setHooks(outerHooks)
+      .route({ text: new Pipeline().use(makeStage('inner')).setHooks(innerHooks) });
+
+    await p.process(makeMessage({ type: 'text' }), makeContext());
+
+    assert.deepEqual(outer, ['route:type']);
+    assert.deepEqual(inner, ['inner']);
+  });
+
+  it('inspect() describes nested pipelines', () => {
+    const p = new Pipeline()
+      .use(makeStage('first'))
+      .route({ callback_query: new Pipeline().use(makeStage('cb')) });
+
+    const info = p.inspect();
+
+    assert.equal(info.stageCount, 2);
+    assert.deepEqual(info.stages[0], { name: 'first' });
+    assert.equal(info.stages[1].type, 'route');
+    assert.equal(info.stages[1].by, 'type');
+    assert.deepEqual(info.stages[1].routes.callback_query.stages, [{ name: 'cb' }]);
+  });
+});
+
+// ─── timeouts ────────────────────────────────────────────────────────────────
+
+function makeHangingStage(name) {
+  const fn = async function (msg, ctx) {
+    fn.signal = ctx.signal;
+    return new Promise(() => {});
+  };
+  Object.defineProperty(fn, 'name', { value: name });
+  return fn;
+}
+
+describe('Pipeline – timeouts', () => {
+  it('exposes an AbortSignal on context while stages run', async () => {
+    let seen = null;
+    const p = new Pipeline().use(async function look(msg, ctx) { seen = ctx.signal; });
+    const ctx = makeContext();
+
+    await p.process(makeMessage(), ctx);
+
+    assert.ok(seen instanceof AbortSignal);
+    assert.equal(seen.aborted, false);
+    assert.equal(ctx.signal, undefined, 'signal is removed from context after processing');
+  });
+
+  it('restores the outer signal when processing throws', async () => {
+    const outer = new AbortController().signal;
+    const errorHandler = {
+      recoveryStrategies: {},
+      handle: async () => { throw new Error('handler broke'); }
+    };
+    const p = new Pipeline([async function boom() { throw new Error('stage broke'); }]).setErrorHandler(errorHandler);
+    const ctx = makeContext({ signal: outer });
+
+    await assert.rejects(() => p.process(makeMessage(), ctx), /handler broke/);
+
+    assert.equal(ctx.signal, outer);
+  });
+
+  it('times out a hung stage, aborts its signal and moves on', async () => {
+    const hung  = makeHangingStage('hung');
+    const after = makeStage('after');
+    const p = new Pipeline().use(hung).use(after).setTimeouts({ stageMs: 20 });
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(hung.signal.aborted, true);
+    assert.ok(hung.signal.reason instanceof TimeoutError);
+    assert.equal(after.calls, 1, 'default recovery skips the timed-out stage');
+    assert.equal(result.stop, false);
+  });
+
+  it('per-stage timeouts override the default', async () => {
+    const hooks = new HookManager();
+    const timeouts = [];
+    hooks.on('timeout:stage', ({ stageName, timeoutMs, scope }) => timeouts.push({ stageName, timeoutMs, scope }));
+    const p = new Pipeline()
+      .use(makeHangingStage('slowQuery'))
+      .setHooks(hooks)
+      .setTimeouts({ stageMs: 5000, stages: { slowQuery: 10 } });
+
+    await p.process(makeMessage(), makeContext());
+
+    assert.deepEqual(timeouts, [{ stageName: 'slowQuery', timeoutMs: 10, scope: 'stage' }]);
+  });
+
+  it('routes TimeoutError through the ErrorHandler', async () => {
+    const eh = new ErrorHandler();
+    let routed = null;
+    eh.registerErrorHandler('TimeoutError', async (error) => {
+      routed = error;
+      return { action: 'stop', reason: 'timeout' };
+    });
+    const after = makeStage('after');
+    const p = new Pipeline()
+      .use(makeHangingStage('hung'))
+      .use(after)
+      .setErrorHandler(eh)
+      .setTimeouts({ stageMs: 10 });
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.ok(routed instanceof TimeoutError);
+    assert.equal(routed.stageName, 'hung');
+    assert.equal(result.stop, true);
+    assert.equal(after.calls, 0);
+  });
+
+  it('stops the pipeline when the pipeline-wide deadline passes', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('hung', 'skip');
+    const after = makeStage('after');
+    const p = new Pipeline()
+      .use(makeHangingStage('hung'))
+      .use(after)
+      .setErrorHandler(eh)
+      .setTimeouts({ pipelineMs: 20 });
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(result.stop, true);
+    assert.ok(result.error instanceof TimeoutError);
+    assert.equal(result.error.scope, 'pipeline');
+    assert.equal(result.errorStage, 'hung');
+    assert.equal(after.calls, 0);
+  });
+
+  it('counts a stage cut off by the pipeline deadline as a circuit failure', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('hung', 'circuit', { failureThreshold: 1, cooldownMs: 0 });
+    const hung = makeHangingStage('hung');
+    const p = new Pipeline().use(hung).setErrorHandler(eh).setTimeouts({ pipelineMs: 20 });
+
+    await p.process(makeMessage(), makeContext());
+    assert.equal(eh.getCircuitState('hung').state, 'open');
+
+    await p.process(makeMessage(), makeContext());
+    assert.equal(eh.getCircuitState('hung').state, 'open', 'failed half-open trial re-opens the circuit');
+    assert.equal(eh.checkCircuit('hung'), null, 'and a later message gets a new trial');
+  });
+
+  it('aborts a mounted sub-pipeline stage when the parent stage times out', async () => {
+    const inner = makeHangingStage('inner');
+    const p = new Pipeline()
+      .when(() => true, new Pipeline().use(inner))
+      .setTimeouts({ stageMs: 20 });
+
+    await p.process(makeMessage(), makeContext());
+
+    assert.equal(inner.signal.aborted, true);
+  });
+});
+
+// ─── circuit breaker ─────────────────────────────────────────────────────────
+
+describe('Pipeline – circuit breaker', () => {
+  function makeFailingStage(name) {
+    const fn = async function () { fn.calls++; throw new Error('db down'); };
+    Object.defineProperty(fn, 'name', { value: name });
+    fn.calls = 0;
+    return fn;
+  }
+
+  it('stops running a stage once its circuit opens, but keeps the pipeline going', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('lookup', 'circuit', { failureThreshold: 2, cooldownMs: 60000 });
+    const lookup = makeFailingStage('lookup');
+    const after  = makeStage('after');
+    const p = new Pipeline().use(lookup).use(after).setErrorHandler(eh);
+
+    for (let i = 0; i < 4; i++) {
+      await p.process(makeMessage(), makeContext());
+    }
+
+    assert.equal(lookup.calls, 2, 'stage is short-circuited while open');
+    assert.equal(after.calls, 4);
+  });
+
+  it('closes the circuit after a successful half-open trial', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('lookup', 'circuit', { failureThreshold: 1, cooldownMs: 0 });
+    let healthy = false;
+    const lookup = async function lookup() { if (!healthy) throw new Error('down'); };
+    const p = new Pipeline().use(lookup).setErrorHandler(eh);
+
+    await p.process(makeMessage(), makeContext());
+    assert.equal(eh.getCircuitState('lookup').state, 'open');
+
+    healthy = true;
+    await p.process(makeMessage(), makeContext());
+
+    assert.equal(eh.getCircuitState('lookup').state, 'closed');
+  });
+
+  it('releases the half-open trial when a before:stage hook skips or stops the stage', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('lookup', 'circuit', { failureThreshold: 1, cooldownMs: 0 });
+    let healthy = false;
+    let intercept = null;
+    const lookup = async function lookup() { if (!healthy) throw new Error('down'); };
+    const hooks = new HookManager();
+    hooks.on('before:stage', () => intercept);
+    const p = new Pipeline().use(lookup).setHooks(hooks).setErrorHandler(eh);
+
+    await p.process(makeMessage(), makeContext());
+    assert.equal(eh.getCircuitState('lookup').state, 'open');
+
+    intercept = { skip: true };
+    await p.process(makeMessage(), makeContext());
+    intercept = { stop: true };
+    await p.process(makeMessage(), makeContext());
+    assert.equal(eh.getCircuitState('lookup').state, 'half_open');
+
+    intercept = null;
+    healthy = true;
+    await p.process(makeMessage(), makeContext());
+
+    assert.equal(eh.getCircuitState('lookup').state, 'closed');
+  });
+
+  it('inspect() reports circuit state per stage', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('lookup', 'circuit', { failureThreshold: 1 });
+    const p = new Pipeline().use(makeFailingStage('lookup')).use(makeStage('other')).setErrorHandler(eh);
+
+    await p.process(makeMessage(), makeContext());
+    const info = p.inspect();
+
+    assert.equal(info.stages[0].circuit.state, 'open');
+    assert.equal(info.stages[1].circuit, undefined);
+    assert.equal(info.errorStats.circuits.lookup.state, 'open');
+  });
+
+  it('shares the pipeline hooks with the error handler for circuit events', async () => {
+    const hooks = new HookManager();
+    const opened = [];
+    hooks.on('circuit:open', ({ stageName }) => opened.push(stageName));
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('lookup', 'circuit', { failureThreshold: 1 });
+    const p = new Pipeline().use(makeFailingStage('lookup')).setHooks(hooks).setErrorHandler(eh);
+
+    await p.process(makeMessage(), makeContext());
+
+    assert.deepEqual(opened, ['lookup']);
+  });
+});
+
+// ─── fallback ────────────────────────────────────────────────────────────────
+
+describe('Pipeline – fallback results', () => {
+  const failing = async function classify() { throw new Error('model offline'); };
+
+  it('treats a static fallback value as the stage result', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('classify', 'fallback', {
+      fallback: { action: 'flag_for_review', data: { reason: 'classifier_down' } },
+    });
+    const after = makeStage('after');
+    const p = new Pipeline().use(failing).use(after).setErrorHandler(eh);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.deepEqual(result.actions.map(a => [a.action, a.stage]), [['flag_for_review', 'classify']]);
+    assert.deepEqual(result.actions[0].data, { reason: 'classifier_down' });
+    assert.equal(after.calls, 1);
+  });
+
+  it('lets a fallback function populate context.state and stop the pipeline', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('classify', 'fallback', {
+      fallback: async (error, message, context) => {
+        context.state.verdict = 'unknown';
+        return { stop: true, reason: error.message };
+      },
+    });
+    const after = makeStage('after');
+    const p = new Pipeline().use(failing).use(after).setErrorHandler(eh);
+    const ctx = makeContext();
+
+    const result = await p.process(makeMessage(), ctx);
+
+    assert.equal(ctx.state.verdict, 'unknown');
+    assert.equal(result.stop, true);
+    assert.equal(result.metadata.reason, 'model offline');
+    assert.equal(result.error, undefined, 'fallback is a recovery, not a failure');
+    assert.equal(after.calls, 0);
+  });
+
+  it('uses the fallback while a circuit is open', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('classify', 'circuit', {
+      failureThreshold: 1,
+      whileOpen: 'fallback',
+      fallback: async (error) => ({ action: 'flag_for_review', data: { open: error === null } }),
+    });
+    const p = new Pipeline().use(failing).setErrorHandler(eh);
+
+    await p.process(makeMessage(), makeContext());
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(result.actions.length, 1);
+    assert.deepEqual(result.actions[0].data, { open: true });
+  });
+
+  it('validates fallback actions like stage results, also while a circuit is open', async () => {
+    const ah = new ActionHandler();
+    ah.register('flag_for_review', async () => {}, { schema: { messageId: 'id' } });
+    const fallback = { action: 'flag_for_review', data: { messageID: 1 }, stop: true, reason: 'unclassified' };
+    const recovering = new ErrorHandler();
+    recovering.registerRecoveryStrategy('classify', 'fallback', { fallback });
+    const breaking = new ErrorHandler();
+    breaking.registerRecoveryStrategy('classify', 'circuit', { failureThreshold: 1, whileOpen: 'fallback', fallback });
+    const tripped = new Pipeline().use(failing).setErrorHandler(breaking).setActionHandler(ah);
+    await tripped.process(makeMessage(), makeContext());
+
+    for (const p of [new Pipeline().use(failing).setErrorHandler(recovering).setActionHandler(ah), tripped]) {
+      const context = makeContext();
+      const result = await p.process(makeMessage(), context);
+
+      assert.equal(result.actions.length, 0);
+      assert.equal(result.metadata.reason, 'unclassified');
+      assert.match(context.logger.calls.error.at(-1)[1], /Dropping invalid action from stage classify/);
+    }
+  });
+});
+
+// ─── retry budget ────────────────────────────────────────────────────────────
+
+describe('Pipeline – retry budget', () => {
+  function makeFlakeyStage(name) {
+    const fn = async function () { fn.calls++; throw new Error('flake'); };
+    Object.defineProperty(fn, 'name', { value: name });
+    fn.calls = 0;
+    return fn;
+  }
+
+  it('stops retrying once the pipeline budget is spent', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('flakey', 'retry', { maxRetries: 5, backoffMs: 0 });
+    const flakey = makeFlakeyStage('flakey');
+    const p = new Pipeline().use(flakey).setErrorHandler(eh).setRetryBudget({ maxRetries: 3, windowMs: 60000 });
+
+    const first = await p.process(makeMessage(), makeContext());
+    const second = await p.process(makeMessage(), makeContext());
+
+    assert.equal(first.stop, true);
+    assert.equal(first.errorAttempts, 4, 'three retries fit the budget');
+    assert.equal(second.errorAttempts, 1, 'no retries left for the next message');
+    assert.equal(flakey.calls, 5);
+    assert.equal(p.inspect().retryBudget.exhausted, 2);
+  });
+
+  it('passes the previous delay to decorrelated backoff', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('flakey', 'retry', { maxRetries: 3, backoff: 'decorrelated', backoffMs: 1 });
+    const seen = [];
+    const handle = eh.handle.bind(eh);
+    eh.handle = async (error, stageName, ctx) => {
+      seen.push(ctx.previousDelayMs);
+      return handle(error, stageName, ctx);
+    };
+    const p = new Pipeline().use(makeFlakeyStage('flakey')).setErrorHandler(eh);
+
+    await p.process(makeMessage(), makeContext());
+
+    assert.equal(seen[0], 0);
+    assert.ok(seen[1] >= 1 && seen[1] <= 3);
+  });
+});
+
+// ─── intercepting hooks ──────────────────────────────────────────────────────
+
+describe('Pipeline – intercepting hooks', () => {
+  it('skips a stage when before:stage returns { skip: true }', async () => {
+    const hooks = new HookManager();
+    hooks.on('before:stage', ({ stageName }) => (stageName === 'optional' ? { skip: true } : undefined));
+    const optional = makeStage('optional', { action: 'never' });
+    const after = makeStage('after');
+    const p = new Pipeline().use(optional).use(after).setHooks(hooks);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(optional.calls, 0);
+    assert.equal(after.calls, 1);
+    assert.equal(result.stop, false);
+    assert.equal(result.actions.length, 0);
+  });
+
+  it('halts the pipeline when before:stage returns { stop: true }', async () => {
+    const hooks = new HookManager();
+    hooks.on('before:stage', ({ message, context, stageName }) => {
+      if (stageName === 'moderate' && context.config.disabledChats.includes(message.chatId)) {
+        return { stop: true, reason: 'feature_disabled' };
+      }
+    });
+    const moderate = makeStage('moderate');
+    const p = new Pipeline().use(makeStage('log')).use(moderate).setHooks(hooks);
+
+    const result = await p.process(makeMessage({ chatId: 7 }), makeContext({ config: { disabledChats: [7] } }));
+
+    assert.equal(moderate.calls, 0);
+    assert.equal(result.stop, true);
+    assert.equal(result.metadata.reason, 'feature_disabled');
+    assert.equal(result.error, undefined);
+  });
+
+  it('runs the stage with a replacement message from before:stage', async () => {
+    const hooks = new HookManager();
+    hooks.on('before:stage', ({ message, stageName }) => (
+      stageName === 'classify' ? { message: { ...message, text: message.text.toLowerCase() } } : undefined
+    ));
+    const seen = [];
+    const classify = async function classify(message) { seen.push(message.text); };
+    const after = async function after(message) { seen.push(message.text); };
+    const p = new Pipeline().use(classify).use(after).setHooks(hooks);
+
+    await p.process(makeMessage({ text: 'HELLO' }), makeContext());
+
+    assert.deepEqual(seen, ['hello', 'HELLO'], 'the replacement only applies to that stage');
+  });
+
+  it('stops every message in maintenance mode via before:pipeline', async () => {
+    const hooks = new HookManager();
+    const maintenance = { on: true };
+    hooks.on('before:pipeline', () => (maintenance.on ? { stop: true, reason: 'maintenance' } : undefined));
+    const s1 = makeStage('s1');
+    const p = new Pipeline().use(s1).setHooks(hooks);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(s1.calls, 0);
+    assert.equal(result.stop, true);
+    assert.equal(result.metadata.reason, 'maintenance');
+  });
+
+  it('runs no stages but does not stop when before:pipeline returns { skip: true }', async () => {
+    const hooks = new HookManager();
+    const fired = [];
+    hooks.on('before:pipeline', () => ({ skip: true }));
+    hooks.on('after:pipeline', () => fired.push('after'));
+    const s1 = makeStage('s1');
+    const p = new Pipeline().use(s1).setHooks(hooks);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(s1.calls, 0);
+    assert.equal(result.stop, false);
+    assert.deepEqual(fired, ['after']);
+  });
+
+  it('runs every stage with a message replaced by before:pipeline', async () => {
+    const hooks = new HookManager();
+    hooks.on('before:pipeline', ({ message }) => ({ message: { ...message, sampled: true } }));
+    const seen = [];
+    const p = new Pipeline()
+      .use(async function a(message) { seen.push(message.sampled); })
+      .use(async function b(message) { seen.push(message.sampled); return { action: 'x' }; })
+      .setHooks(hooks);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.deepEqual(seen, [true, true]);
+    assert.equal(result.actions.length, 1);
+  });
+});
+
+// ─── action validation ──────────────────────────────────────────────────────
+
+describe('Pipeline – action validation', () => {
+  function makeActionHandler() {
+    const ah = new ActionHandler();
+    ah.register('ban_user', async () => {}, { schema: { chatId: 'id', userId: 'id' } });
+    return ah;
+  }
+
+  it('drops and logs an invalid action without treating the stage as failed', async () => {
+    const eh = new ErrorHandler();
+    eh.registerRecoveryStrategy('typo', 'circuit', { failureThreshold: 1 });
+    const p = new Pipeline().setErrorHandler(eh).setActionHandler(makeActionHandler());
+    const typo = makeStage('typo', { action: 'ban_user', data: { chatId: 1, userID: 2 } });
+    const next = makeStage('next');
+    p.use(typo).use(next);
+
+    const errors = [];
+    const hooks = new HookManager();
+    hooks.on('error:stage', ({ error }) => errors.push(error));
+    p.setHooks(hooks);
+
+    const context = makeContext();
+    const result = await p.process(makeMessage(), context);
+
+    assert.equal(result.actions.length, 0);
+    assert.equal(result.error, undefined);
+    assert.equal(errors.length, 0);
+    assert.equal(typo.calls, 1);
+    assert.equal(next.calls, 1);
+    assert.equal(eh.getCircuitState('typo').failures, 0);
+    const [logged, msg] = context.logger.calls.error[0];
+    assert.equal(logged.err.name, 'ValidationError');
+    assert.equal(logged.field, 'userId');
+    assert.match(msg, /Dropping invalid action from stage typo/);
+  });
+
+  it('keeps the stop signal of a stage whose action is invalid', async () => {
+    const p = new Pipeline().setActionHandler(makeActionHandler());
+    const next = makeStage('next');
+    p.use(makeStage('typo', { action: 'ban_user', data: {}, stop: true, reason: 'spam' })).use(next);
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(result.stop, true);
+    assert.equal(result.metadata.reason, 'spam');
+    assert.equal(result.actions.length, 0);
+    assert.equal(next.calls, 0);
+  });
+
+  it('shares the ActionHandler with mounted sub-pipelines', async () => {
+    const sub = new Pipeline().use(makeStage('inner', { action: 'ban_user', data: {} }));
+    const p = new Pipeline().route({ text: sub }).setActionHandler(makeActionHandler());
+
+    const result = await p.process(makeMessage(), makeContext());
+
+    assert.equal(sub.actionHandler, p.actionHandler);
+    assert.equal(result.actions.length, 0);
+  });
+
+  it('dev checks warn once about unknown keys, unregistered actions and unlisted fields', async () => {
+    const p = new Pipeline().setActionHandler(makeActionHandler(), { devChecks: true });
+    p.use(makeStage('delayed', { action: 'ban_user', data: { chatId: 1, userId: 2, reson: 'spam' }, dalay: 1000 }));
+    p.use(makeStage('unknown', { action: 'kick_user' }));
+    p.use(makeStage('stopper', { stop: true, reason: 'spam' }));
+
+    const context = makeContext();
+    await p.process(makeMessage(), context);
+    await p.process(makeMessage(), context);
+
+    const warnings = context.logger.calls.warn.map(([, msg]) => msg);
+    assert.equal(warnings.length, 3);
+    assert.match(warnings[0], /stage delayed returned unknown keys: dalay/);
+    assert.match(warnings[1], /"ban_user" with fields its schema does not list: reson/);
+    assert.match(warnings[2], /stage unknown returned unregistered action "kick_user"/);
+  });
+});
@@ -0,0 +1,268 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { RateLimiter, createRateLimiter, TELEGRAM_RATE_LIMITS } from '../src/adapters/transports/RateLimiter.js';
+import { RateLimitError } from '../src/adapters/transports/TelegramErrors.js';
+import { TelegramAdapter } from '../src/adapters/transports/TelegramAdapter.js';
+import { MTProtoAdapter } from '../src/adapters/transports/MTProtoAdapter.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { TimeoutError } from '../src/core/errors.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Schedule named calls, recording the order they start in
+ */
+function recorder(limiter) {
+  const started = [];
+  const call = (name, options) => limiter.schedule(async () => { started.push(name); return name; }, options);
+  return { started, call };
+}
+
+const send = chatId => ({ method: 'sendMessage', chatId });
+
+// ─── buckets ────────────────────────────────────────────────────────────────
+
+describe('RateLimiter – buckets', () => {
+  it('starts calls while global tokens last, then one per refill', async () => {
+    const limiter = new RateLimiter({ global: { limit: 2, intervalMs: 100 }, privateChat: false, groupChat: false });
+    const { started, call } = recorder(limiter);
+    const begin = Date.now();
+
+    const calls = [call('a', send(1)), call('b', send(2)), call('c', send(3)), call('d', send(4))];
+    assert.deepEqual(started, ['a', 'b']);
+    assert.equal(limiter.getStats().queued, 2);
+
+    assert.deepEqual(await Promise.all(calls), ['a', 'b', 'c', 'd']);
+    assert.ok(Date.now() - begin >= 90, 'the fourth call waited for two refills');
+    assert.equal(limiter.getStats().delayed, 2);
+  });
+
+  it('limits messages per chat without holding up other chats or moderation calls', async () => {
+    const limiter = new RateLimiter({ global: false, privateChat: { limit: 1, intervalMs: 60 }, groupChat: { limit: 2, intervalMs: 60 } });
+    const { started, call } = recorder(limiter);
+
+    const calls = [
+      call('user-1', send(1)),
+      call('user-2', send(1)),
+      call('other-user', send(2)),
+      call('group-1', send(-100)),
+      call('group-2', send(-100)),
+      call('group-3', send(-100)),
+      call('ban', { method: 'banChatMember', chatId: 1 })
+    ];
+    assert.deepEqual(started, ['user-1', 'other-user', 'group-1', 'group-2', 'ban']);
+
+    await Promise.all(calls);
+    assert.deepEqual(started.slice(5).sort(), ['group-3', 'user-2']);
+  });
+
+  it('starts moderation calls before chatter waiting for the same token', async () => {
+    const limiter = new RateLimiter({ global: { limit: 1, intervalMs: 20 }, privateChat: false, groupChat: false });
+    const { started, call } = recorder(limiter);
+
+    await Promise.all([
+      call('reply-1', send(1)),
+      call('reply-2', send(1)),
+      call('reply-3', send(1)),
+      call('delete', { method: 'deleteMessage', chatId: 1 }),
+      call('ban', { method: 'banChatMember', chatId: 1 }),
+      call('urgent', { method: 'sendMessage', chatId: 1, priority: 20 })
+    ]);
+
+    assert.deepEqual(started, ['reply-1', 'urgent', 'delete', 'ban', 'reply-2', 'reply-3']);
+  });
+
+  it('forgets idle chat buckets beyond maxIdleBuckets', async () => {
+    const limiter = new RateLimiter({ global: false, maxIdleBuckets: 2, privateChat: { limit: 1, intervalMs: 10 } });
+    const { call } = recorder(limiter);
+
+    await Promise.all([1, 2, 3, 4, 5].map(chatId => call(chatId, send(chatId))));
+    assert.equal(limiter.getStats().chats, 5);
+
+    await new Promise(resolve => setTimeout(resolve, 20));
+    await call(6, send(6));
+    assert.equal(limiter.getStats().chats, 1);
+  });
+
+  it('rejects malformed limits', () => {
+    assert.throws(() => new RateLimiter({ global: { limit: 0, intervalMs: 1000 } }), /Rate limit "global" must be/);
+    assert.throws(() => new RateLimiter({ groupChat: { limit: 20 } }), /Rate limit "groupChat" must be/);
+    assert.deepEqual(new RateLimiter().limits, TELEGRAM_RATE_LIMITS);
+  });
+});
+
+// ─── retry_after ────────────────────────────────────────────────────────────
+
+describe('RateLimiter – retry_after', () => {
+  it('pauses the chat for retry_after and runs the call again', async () => {
+    const limiter = new RateLimiter({ global: false, groupChat: { limit: 100, intervalMs: 1000 } });
+    const started = [];
+    let attempts = 0;
+
+    const flooded = limiter.schedule(async () => {
+      started.push(`flooded-${++attempts}`);
+      if (attempts === 1) throw new RateLimitError('Too Many Requests', { retryAfter: 0.05 });
+      return 'sent';
+    }, send(-100));
+    await new Promise(resolve => setImmediate(resolve));
+
+    const sameChat = limiter.schedule(async () => started.push('same-chat'), send(-100));
+    const otherChat = limiter.schedule(async () => started.push('other-chat'), send(-200));
+    await otherChat;
+    assert.deepEqual(started, ['flooded-1', 'other-chat']);
+
+    assert.equal(await flooded, 'sent');
+    await sameChat;
+    assert.deepEqual(started, ['flooded-1', 'other-chat', 'flooded-2', 'same-chat']);
+    assert.equal(limiter.getStats().retried, 1);
+  });
+
+  it('pauses every call when the rate-limited call has no chat bucket', async () => {
+    const limiter = new RateLimiter({ global: false });
+    let attempts = 0;
+
+    const ban = limiter.schedule(async () => {
+      if (++attempts === 1) throw new RateLimitError('Too Many Requests', { retryAfter: 0.03 });
+    }, { method: 'banChatMember', chatId: -100 });
+    await new Promise(resolve => setImmediate(resolve));
+
+    assert.equal(limiter.getStats().paused, true);
+    await ban;
+    assert.equal(attempts, 2);
+  });
+
+  it('gives up after maxRetries and passes other errors straight through', async () => {
+    const limiter = new RateLimiter({ maxRetries: 1 });
+    let attempts = 0;
+
+    await assert.rejects(
+      () => limiter.schedule(async () => {
+        attempts++;
+        throw new RateLimitError('Too Many Requests', { retryAfter: 0.01 });
+      }, { method: 'getChat' }),
+      (error) => error instanceof RateLimitError && error.limiterRetries === 1
+    );
+    assert.equal(attempts, 2);
+    await assert.rejects(() => limiter.schedule(async () => { throw new Error('boom'); }, send(1)), /boom/);
+    assert.equal(limiter.getStats().rateLimited, 2);
+  });
+
+  it('gives up at once when retry_after exceeds maxRetryAfterMs, still pausing the chat', async () => {
+    const limiter = new RateLimiter({ global: false, maxRetryAfterMs: 1000 });
+    let attempts = 0;
+    const begin = Date.now();
+
+    await assert.rejects(
+      () => limiter.schedule(async () => {
+        attempts++;
+        throw new RateLimitError('Too Many Requests', { retryAfter: 120 });
+      }, send(-100)),
+      (error) => error instanceof RateLimitError && error.limiterRetries === 0
+    );
+
+    assert.equal(attempts, 1);
+    assert.ok(Date.now() - begin < 1000, 'did not wait out retry_after');
+    assert.equal(limiter.getStats().retried, 0);
+    assert.ok(limiter.chats.get(-100).pausedUntil > Date.now() + 100000);
+    assert.equal(new RateLimiter().maxRetryAfterMs, 60000);
+  });
+});
+
+// ─── abort ──────────────────────────────────────────────────────────────────
+
+describe('RateLimiter – abort', () => {
+  it('takes a queued call out of the queue when its signal aborts', async () => {
+    const limiter = new RateLimiter({ global: { limit: 1, intervalMs: 60000 }, privateChat: false, groupChat: false });
+    const { started, call } = recorder(limiter);
+    const controller = new AbortController();
+
+    await call('first', send(1));
+    const queued = call('queued', { ...send(1), signal: controller.signal });
+    assert.equal(limiter.getStats().queued, 1);
+
+    controller.abort(new Error('stage timed out'));
+
+    await assert.rejects(queued, /stage timed out/);
+    assert.deepEqual(started, ['first']);
+    assert.equal(limiter.getStats().queued, 0);
+    assert.equal(limiter.getStats().aborted, 1);
+    assert.equal(limiter.timer, null, 'nothing left to wait for');
+  });
+
+  it('rejects at once with an aborted signal and ignores aborts after the call started', async () => {
+    const limiter = new RateLimiter({ global: false });
+    const { started, call } = recorder(limiter);
+
+    await assert.rejects(call('late', { ...send(1), signal: AbortSignal.abort(new Error('gone')) }), /gone/);
+
+    const controller = new AbortController();
+    const running = call('running', { ...send(1), signal: controller.signal });
+    controller.abort();
+
+    assert.equal(await running, 'running');
+    assert.deepEqual(started, ['running']);
+  });
+});
+
+// ─── adapters ───────────────────────────────────────────────────────────────
+
+describe('RateLimiter – adapters', () => {
+  it('createRateLimiter() builds, shares or disables a limiter', () => {
+    const shared = new RateLimiter();
+    assert.equal(createRateLimiter(shared), shared);
+    assert.equal(createRateLimiter(false), null);
+    assert.equal(createRateLimiter({ maxRetries: 0 }).maxRetries, 0);
+  });
+
+  it('TelegramAdapter retries a 429 after retry_after', async () => {
+    const adapter = new TelegramAdapter('token');
+    let attempts = 0;
+    adapter.botInstance = {
+      sendMessage: async (chatId, text) => {
+        if (++attempts === 1) {
+          const error = new Error('ETELEGRAM: 429 Too Many Requests: retry after 0.02');
+          error.code = 'ETELEGRAM';
+          error.response = { body: { error_code: 429, description: 'Too Many Requests: retry after 0.02', parameters: { retry_after: 0.02 } } };
+          throw error;
+        }
+        return { chatId, text };
+      }
+    };
+
+    assert.deepEqual(await adapter.sendMessage(-100, 'hi'), { chatId: -100, text: 'hi' });
+    assert.equal(attempts, 2);
+    assert.equal(adapter.rateLimiter.getStats().retried, 1);
+  });
+
+  it('TelegramAdapter drops calls still queued when their stage times out', async () => {
+    const adapter = new TelegramAdapter('token', { rateLimit: { global: { limit: 1, intervalMs: 60000 } } });
+    const sent = [];
+    adapter.botInstance = { sendMessage: async (chatId, text) => sent.push(text) };
+    let second;
+    const pipeline = new Pipeline().setTimeouts({ stageMs: 20 }).use(async function reply() {
+      await adapter.sendMessage(-100, 'first');
+      second = adapter.sendMessage(-100, 'second');
+      await second;
+    });
+
+    await pipeline.process({ id: 1 }, {});
+
+    await assert.rejects(second, TimeoutError);
+    assert.deepEqual(sent, ['first']);
+    assert.equal(adapter.rateLimiter.getStats().queued, 0);
+  });
+
+  it('adapters call straight through with rateLimit: false', async () => {
+    const telegram = new TelegramAdapter('token', { rateLimit: false });
+    telegram.botInstance = { getChat: async (chatId) => ({ id: chatId }) };
+    assert.equal(telegram.rateLimiter, null);
+    assert.deepEqual(await telegram.getChat(1), { id: 1 });
+
+    const shared = new RateLimiter();
+    const mtproto = new MTProtoAdapter({ apiId: 1, apiHash: 'x', rateLimit: shared });
+    mtproto.isConnected = true;
+    mtproto.client = { getEntity: async (id) => ({ id }), deleteMessages: async () => {} };
+    await mtproto.deleteMessage(1, 2);
+    assert.equal(shared.getStats().scheduled, 1);
+  });
+});
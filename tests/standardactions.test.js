@@ -0,0 +1,267 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { registerStandardActions, PERMISSION_PRESETS, parseDuration } from '../src/actions/standardActions.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { ValidationError } from '../src/core/errors.js';
+import { TelegramAdapter } from '../src/adapters/transports/TelegramAdapter.js';
+import { MTProtoAdapter } from '../src/adapters/transports/MTProtoAdapter.js';
+import { makeContext, makeLogger } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Adapter that records every moderation call as [method, ...args]
+ */
+function makeRecordingAdapter(name = 'MockAdapter', methods = [
+  'banMember', 'unbanMember', 'restrictMember', 'deleteMessage', 'sendMessage',
+  'approveChatJoinRequest', 'declineChatJoinRequest'
+]) {
+  const calls = [];
+  const adapter = { name, calls };
+  for (const method of methods) {
+    adapter[method] = async (...args) => { calls.push([method, ...args]); return true; };
+  }
+  return adapter;
+}
+
+function setup(options = {}) {
+  const ah = new ActionHandler(makeLogger());
+  const bot = makeRecordingAdapter();
+  registerStandardActions(ah, options);
+  return { ah, bot, context: makeContext({ bot, config: { adminChatId: -100999 } }) };
+}
+
+// ─── registration ────────────────────────────────────────────────────────────
+
+describe('registerStandardActions – registration', () => {
+  it('registers every standard action', () => {
+    const ah = new ActionHandler();
+    const names = registerStandardActions(ah);
+
+    assert.deepEqual(names.sort(), [
+      'approve_join', 'ban_user', 'decline_join', 'delete_message', 'mute_user',
+      'notify_admin', 'unban_user', 'unmute_user', 'warn_user'
+    ]);
+    assert.deepEqual(ah.getRegistered().sort(), names);
+  });
+
+  it('honors only, except, and keeps existing handlers unless overwrite is set', () => {
+    const custom = async () => {};
+    const ah = new ActionHandler();
+    ah.register('ban_user', custom);
+
+    assert.deepEqual(registerStandardActions(ah, { only: ['ban_user', 'mute_user', 'warn_user'], except: ['warn_user'] }), ['mute_user']);
+    assert.equal(ah.handlers.ban_user, custom);
+
+    registerStandardActions(ah, { only: ['ban_user'], overwrite: true });
+    assert.notEqual(ah.handlers.ban_user, custom);
+  });
+
+  it('registers bans and mutes with their inverses', () => {
+    const ah = new ActionHandler();
+    registerStandardActions(ah);
+
+    assert.deepEqual(ah.getInverse('ban_user', { chatId: 1, userId: 2, duration: '1d' }), { action: 'unban_user', data: { chatId: 1, userId: 2 } });
+    assert.equal(ah.getInverse('unban_user', { chatId: 1, userId: 2 }).action, 'ban_user');
+    assert.deepEqual(ah.getInverse('mute_user', { chatId: 1, userId: 2, permissions: 'textOnly' }), { action: 'unmute_user', data: { chatId: 1, userId: 2 } });
+    assert.equal(ah.getInverse('unmute_user', { chatId: 1, userId: 2 }).action, 'mute_user');
+    assert.equal(ah.getInverse('delete_message', { chatId: 1, messageId: 2 }), null);
+  });
+
+  it('rejects unknown action names and permission presets', () => {
+    assert.throws(() => registerStandardActions(new ActionHandler(), { only: ['nuke_chat'] }), /Unknown standard action "nuke_chat"/);
+    assert.throws(() => registerStandardActions(new ActionHandler(), { mutePermissions: 'silent' }), /Unknown permission preset "silent"/);
+  });
+});
+
+// ─── actions ─────────────────────────────────────────────────────────────────
+
+describe('registerStandardActions – actions', () => {
+  it('ban_user bans for a duration, as Unix seconds', async () => {
+    const { ah, bot, context } = setup();
+    const before = Math.floor(Date.now() / 1000);
+
+    await ah.handle('ban_user', { chatId: 1, userId: 2, duration: '1d', revokeMessages: true }, context);
+    await ah.handle('ban_user', { chatId: 1, userId: 3 }, context);
+
+    const [, chatId, userId, options] = bot.calls[0];
+    assert.deepEqual([chatId, userId], [1, 2]);
+    assert.ok(options.untilDate >= before + 86400 && options.untilDate <= before + 86401);
+    assert.equal(options.revokeMessages, true);
+    assert.deepEqual(bot.calls[1], ['banMember', 1, 3, {}]);
+  });
+
+  it('mute_user applies the muted preset by default, or the given one, until a time', async () => {
+    const { ah, bot, context } = setup();
+    const until = new Date(Date.now() + 3600 * 1000);
+
+    await ah.handle('mute_user', { chatId: 1, userId: 2, until }, context);
+    await ah.handle('mute_user', { chatId: 1, userId: 2, permissions: 'textOnly', duration: 600000 }, context);
+
+    assert.deepEqual(bot.calls[0], ['restrictMember', 1, 2, PERMISSION_PRESETS.muted, { untilDate: Math.floor(until.getTime() / 1000) }]);
+    assert.equal(bot.calls[1][3].can_send_messages, true);
+    assert.equal(bot.calls[1][3].can_send_photos, false);
+  });
+
+  it('unmute_user restores full permissions', async () => {
+    const { ah, bot, context } = setup();
+
+    await ah.handle('unmute_user', { chatId: 1, userId: 2 }, context);
+
+    assert.deepEqual(bot.calls[0], ['restrictMember', 1, 2, PERMISSION_PRESETS.full]);
+  });
+
+  it('delete_message, unban_user, approve_join and decline_join map to adapter methods', async () => {
+    const { ah, bot, context } = setup();
+
+    await ah.handle('delete_message', { chatId: 1, messageId: 5 }, context);
+    await ah.handle('unban_user', { chatId: 1, userId: 2 }, context);
+    await ah.handle('approve_join', { chatId: 1, userId: 3 }, context);
+    await ah.handle('decline_join', { chatId: 1, userId: 4 }, context);
+
+    assert.deepEqual(bot.calls, [
+      ['deleteMessage', 1, 5],
+      ['unbanMember', 1, 2],
+      ['approveChatJoinRequest', 1, 3],
+      ['declineChatJoinRequest', 1, 4]
+    ]);
+  });
+
+  it('warn_user replies with an escaped default text, or a custom one', async () => {
+    const { ah, bot, context } = setup();
+
+    await ah.handle('warn_user', { chatId: 1, userId: 2, messageId: 9, userName: 'Bob', reason: 'no <links>' }, context);
+    assert.deepEqual(bot.calls[0], ['sendMessage', 1, '⚠️ Bob, this is a warning: no &lt;links&gt;', { reply_to_message_id: 9 }]);
+
+    const custom = setup({ warnText: (data) => `Strike for ${data.userId}` });
+    await custom.ah.handle('warn_user', { chatId: 1, userId: 2 }, custom.context);
+    assert.deepEqual(custom.bot.calls[0], ['sendMessage', 1, 'Strike for 2', {}]);
+  });
+
+  it('notify_admin sends to the payload chat, options.adminChatId or config.adminChatId', async () => {
+    const { ah, bot, context } = setup();
+    await ah.handle('notify_admin', { text: 'Spam wave' }, context);
+    await ah.handle('notify_admin', { text: 'Spam wave', chatId: 7 }, context);
+    assert.deepEqual(bot.calls.map(c => c[1]), [-100999, 7]);
+
+    const withOption = setup({ adminChatId: -100111 });
+    await withOption.ah.handle('notify_admin', { text: 'x' }, withOption.context);
+    assert.equal(withOption.bot.calls[0][1], -100111);
+
+    const unconfigured = setup();
+    await assert.rejects(
+      () => unconfigured.ah.handle('notify_admin', { text: 'x' }, makeContext({ bot: unconfigured.bot })),
+      ValidationError
+    );
+  });
+
+  it('notify_admin escapes HTML in the text', async () => {
+    const { ah, bot, context } = setup();
+    await ah.handle('notify_admin', { text: 'Flagged <b>ann</b> & co: "1 < 2"' }, context);
+    assert.equal(bot.calls[0][2], 'Flagged &lt;b&gt;ann&lt;/b&gt; &amp; co: "1 &lt; 2"');
+  });
+});
+
+// ─── validation and transport ────────────────────────────────────────────────
+
+describe('registerStandardActions – validation and transport selection', () => {
+  it('fails invalid payloads with a ValidationError before calling the adapter', async () => {
+    const { ah, bot, context } = setup();
+
+    const { results: outcomes } = await ah.handleAll([
+      { action: 'ban_user', data: { chatId: 1 } },
+      { action: 'mute_user', data: { chatId: 1, userId: 2, duration: 'soon' } },
+      { action: 'mute_user', data: { chatId: 1, userId: 2, permissions: 'toString' } },
+      { action: 'delete_message', data: { chatId: 1, messageId: true } }
+    ], context);
+
+    assert.deepEqual(outcomes.map(o => o.status), ['failed', 'failed', 'failed', 'failed']);
+    assert.equal(outcomes[0].error.name, 'ValidationError');
+    assert.equal(outcomes[0].error.field, 'userId');
+    assert.match(outcomes[1].error.message, /invalid duration in field "duration"/);
+    assert.equal(outcomes[2].error.field, 'permissions');
+    assert.equal(outcomes[3].error.field, 'messageId');
+    assert.equal(bot.calls.length, 0);
+  });
+
+  it('uses context.sourceAdapter when it has the method, context.bot otherwise', async () => {
+    const { ah, bot } = setup();
+    const mtproto = makeRecordingAdapter('MTProtoAdapter', ['banMember', 'deleteMessage']);
+    const context = makeContext({ bot, sourceAdapter: mtproto });
+
+    await ah.handle('ban_user', { chatId: 1, userId: 2 }, context);
+    await ah.handle('approve_join', { chatId: 1, userId: 2 }, context);
+
+    assert.equal(mtproto.calls[0][0], 'banMember');
+    assert.equal(bot.calls[0][0], 'approveChatJoinRequest');
+    await assert.rejects(() => ah.handle('unban_user', { chatId: 1, userId: 2 }, makeContext({ bot: {} })), /no adapter with unbanMember/);
+  });
+
+  it('parseDuration accepts milliseconds and unit strings', () => {
+    assert.equal(parseDuration(45000), 45000);
+    assert.equal(parseDuration('30s'), 30000);
+    assert.equal(parseDuration('10m'), 600000);
+    assert.equal(parseDuration('24h'), 86400000);
+    assert.equal(parseDuration('2w'), 14 * 86400000);
+    assert.throws(() => parseDuration('-5m'), /Invalid duration/);
+    assert.throws(() => parseDuration(0), /Invalid duration/);
+  });
+
+  it('parseDuration rejects durations Telegram would treat as permanent', () => {
+    assert.throws(() => parseDuration('0s'), /under 30 seconds/);
+    assert.throws(() => parseDuration('10s'), /under 30 seconds/);
+    assert.throws(() => parseDuration(1500), /under 30 seconds/);
+    assert.equal(parseDuration('0.5m'), 30000);
+    assert.throws(() => parseDuration('367d'), /over 366 days/);
+    assert.throws(() => parseDuration('53w'), /over 366 days/);
+    assert.equal(parseDuration('366d'), 366 * 24 * 60 * 60 * 1000);
+  });
+});
+
+// ─── adapters ────────────────────────────────────────────────────────────────
+
+describe('TelegramAdapter – ban and restrict options', () => {
+  it('passes until_date, JSON-serialized permissions and only_if_banned to the Bot API', async () => {
+    const adapter = new TelegramAdapter('token');
+    const calls = [];
+    adapter.botInstance = {
+      banChatMember: async (...args) => calls.push(['banChatMember', ...args]),
+      restrictChatMember: async (...args) => calls.push(['restrictChatMember', ...args]),
+      unbanChatMember: async (...args) => calls.push(['unbanChatMember', ...args])
+    };
+
+    await adapter.banMember(1, 2, { untilDate: 1700000000, revokeMessages: false });
+    await adapter.restrictMember(1, 2, { can_send_messages: false }, { untilDate: 1700000000 });
+    await adapter.unbanMember(1, 2);
+
+    assert.deepEqual(calls[0], ['banChatMember', 1, 2, { until_date: 1700000000, revoke_messages: false }]);
+    assert.deepEqual(calls[1], ['restrictChatMember', 1, 2, { permissions: '{"can_send_messages":false}', until_date: 1700000000 }]);
+    assert.deepEqual(calls[2], ['unbanChatMember', 1, 2, { only_if_banned: true }]);
+  });
+});
+
+describe('MTProtoAdapter – restrict permissions', () => {
+  it('sends permission presets as banned rights', async () => {
+    const adapter = new MTProtoAdapter({ apiId: 1, apiHash: 'x', rateLimit: false });
+    adapter.isConnected = true;
+    const calls = [];
+    adapter.client = {
+      getEntity: async (id) => ({ id }),
+      editBanned: async (entity, userId, rights) => { calls.push(rights); }
+    };
+
+    await adapter.restrictMember(1, 2, PERMISSION_PRESETS.muted, { untilDate: 1700000000 });
+    await adapter.restrictMember(1, 2, PERMISSION_PRESETS.textOnly);
+    await adapter.restrictMember(1, 2, PERMISSION_PRESETS.full);
+
+    const [muted, textOnly, full] = calls;
+    assert.equal(muted.send_messages, true, 'a muted member is banned from sending');
+    assert.equal(muted.send_stickers, true);
+    assert.equal(muted.until_date, 1700000000);
+    assert.equal(textOnly.send_messages, false);
+    assert.equal(textOnly.send_photos, true);
+    assert.equal(textOnly.embed_links, true);
+    assert.ok(Object.values(full).every(banned => banned === false), 'full bans nothing');
+    assert.equal(muted.can_send_messages, undefined, 'no Bot API keys reach MTProto');
+  });
+});
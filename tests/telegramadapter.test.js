@@ -0,0 +1,215 @@
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { TelegramAdapter } from '../src/adapters/transports/TelegramAdapter.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+const SECRET = 'test-secret_123';
+
+const FIXTURES = {
+  message: {
+    update_id: 1001,
+    message: {
+      message_id: 7,
+      date: 1700000000,
+      chat: { id: -100123, type: 'supergroup', title: 'Test group' },
+      from: { id: 42, first_name: 'Ann', username: 'ann' },
+      text: 'hello'
+    }
+  },
+  callbackQuery: {
+    update_id: 1002,
+    callback_query: {
+      id: 'cb-1',
+      from: { id: 42, first_name: 'Ann' },
+      data: 'approve:42',
+      message: { message_id: 8, date: 1700000000, chat: { id: -100123, type: 'supergroup' } }
+    }
+  },
+  joinRequest: {
+    update_id: 1003,
+    chat_join_request: {
+      chat: { id: -100123, type: 'supergroup', title: 'Test group' },
+      from: { id: 43, first_name: 'Bob' },
+      date: 1700000000
+    }
+  }
+};
+
+const started = [];
+
+/**
+ * Webhook adapter on a free local port, with setWebHook/deleteWebHook stubbed out
+ */
+async function startWebhookAdapter(webhook = {}, options = {}) {
+  const adapter = new TelegramAdapter('123:token', {
+    rateLimit: false,
+    ...options,
+    webhook: { url: 'https://bot.example.com/telegram/hook', secretToken: SECRET, port: 0, host: '127.0.0.1', ...webhook }
+  });
+  await adapter.initialize();
+
+  const apiCalls = [];
+  adapter.botInstance.setWebHook = async (...args) => { apiCalls.push(['setWebHook', ...args]); return true; };
+  adapter.botInstance.deleteWebHook = async (...args) => { apiCalls.push(['deleteWebHook', ...args]); return true; };
+
+  const received = [];
+  for (const event of ['message', 'callback_query', 'chat_join_request']) {
+    adapter.on(event, async (update) => { received.push(update); });
+  }
+
+  await adapter.start();
+  started.push(adapter);
+  return { adapter, apiCalls, received, port: adapter.server?.address().port };
+}
+
+function post(port, path, body, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const payload = typeof body === 'string' ? body : JSON.stringify(body);
+    const req = http.request({
+      host: '127.0.0.1',
+      port,
+      path,
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', 'X-Telegram-Bot-Api-Secret-Token': SECRET, ...headers }
+    }, (res) => {
+      let text = '';
+      res.on('data', chunk => { text += chunk; });
+      res.on('end', () => resolve({ status: res.statusCode, body: text ? JSON.parse(text) : null }));
+    });
+    req.on('error', reject);
+    req.end(payload);
+  });
+}
+
+const tick = () => new Promise(resolve => setImmediate(resolve));
+
+afterEach(async () => {
+  while (started.length) {
+    await started.pop().shutdown();
+  }
+});
+
+// ─── lifecycle ──────────────────────────────────────────────────────────────
+
+describe('TelegramAdapter – webhook lifecycle', () => {
+  it('registers the webhook with secret token and allowed_updates on start, deletes it on shutdown', async () => {
+    const { adapter, apiCalls } = await startWebhookAdapter({ dropPendingUpdates: true, maxConnections: 10 });
+
+    assert.deepEqual(apiCalls[0], ['setWebHook', 'https://bot.example.com/telegram/hook', {
+      allowed_updates: '["message","edited_message","callback_query","chat_join_request"]',
+      secret_token: SECRET,
+      max_connections: 10,
+      drop_pending_updates: true
+    }]);
+    assert.deepEqual(await adapter.healthCheck(), { healthy: true, webhook: true });
+
+    await adapter.shutdown();
+    assert.equal(apiCalls[1][0], 'deleteWebHook');
+    assert.equal(adapter.server, null);
+    assert.equal((await adapter.healthCheck()).healthy, false);
+  });
+
+  it('keeps the webhook on shutdown with deleteOnShutdown: false, and passes custom allowed_updates', async () => {
+    const { adapter, apiCalls } = await startWebhookAdapter({ deleteOnShutdown: false }, { allowedUpdates: ['message'] });
+
+    assert.equal(apiCalls[0][2].allowed_updates, '["message"]');
+    await adapter.shutdown();
+    assert.equal(apiCalls.length, 1);
+  });
+
+  it('rejects webhook options without a url or secret token', () => {
+    assert.throws(() => new TelegramAdapter('t', { webhook: { secretToken: SECRET } }), /webhook.url is required/);
+    assert.throws(() => new TelegramAdapter('t', { webhook: { url: 'https://x.example/hook' } }), /webhook.secretToken is required/);
+    assert.throws(() => new TelegramAdapter('t', { webhook: { url: 'https://x.example/hook', secretToken: 'has spaces' } }), /must be 1-256 characters/);
+    assert.equal(new TelegramAdapter('t', { webhook: { url: 'https://x.example/hook', secretToken: false } }).webhook.secretToken, null);
+  });
+});
+
+// ─── requests ───────────────────────────────────────────────────────────────
+
+describe('TelegramAdapter – webhook requests', () => {
+  it('dispatches fixture updates to the registered handlers, normalized', async () => {
+    const { port, received } = await startWebhookAdapter();
+
+    for (const update of Object.values(FIXTURES)) {
+      assert.equal((await post(port, '/telegram/hook', update)).status, 200);
+    }
+    await tick();
+
+    assert.equal(received.length, 3);
+    assert.equal(received[0].chatId, -100123);
+    assert.equal(received[0].updateId, 1001);
+    assert.equal(received[0].text, 'hello');
+    assert.equal(received[0].from.username, 'ann');
+    assert.equal(received[1].type, 'callback_query');
+    assert.equal(received[1].data, 'approve:42');
+    assert.equal(received[1].updateId, 1002);
+    assert.equal(received[2].type, 'chat_join_request');
+    assert.equal(received[2].updateId, 1003);
+    assert.equal(received[2].user.id, 43);
+  });
+
+  it('refuses requests with a missing or wrong secret token', async () => {
+    const { port, received } = await startWebhookAdapter();
+
+    assert.equal((await post(port, '/telegram/hook', FIXTURES.message, { 'X-Telegram-Bot-Api-Secret-Token': 'wrong' })).status, 401);
+    assert.equal((await post(port, '/telegram/hook', FIXTURES.message, { 'X-Telegram-Bot-Api-Secret-Token': `${SECRET}x` })).status, 401);
+    assert.equal((await post(port, '/telegram/hook', FIXTURES.message, { 'X-Telegram-Bot-Api-Secret-Token': '' })).status, 401);
+    await tick();
+    assert.equal(received.length, 0);
+  });
+
+  it('answers 404 off the path, 405 for other methods, 400 for bad bodies and 413 for huge ones', async () => {
+    const { port, received } = await startWebhookAdapter({ maxBodyBytes: 512 });
+
+    assert.equal((await post(port, '/other', FIXTURES.message)).status, 404);
+    assert.equal((await post(port, '/telegram/hook', '{not json')).status, 400);
+    assert.equal((await post(port, '/telegram/hook', { hello: 'world' })).status, 400);
+    assert.equal((await post(port, '/telegram/hook', { update_id: 1, message: { text: 'x'.repeat(1000) } })).status, 413);
+
+    const get = await new Promise((resolve, reject) => {
+      http.get({ host: '127.0.0.1', port, path: '/telegram/hook' }, resolve).on('error', reject);
+    });
+    get.resume();
+    assert.equal(get.statusCode, 405);
+
+    await tick();
+    assert.equal(received.length, 0);
+  });
+
+  it('serves through webhookHandler on an existing server with listen: false', async () => {
+    const { adapter, received, apiCalls } = await startWebhookAdapter({ listen: false, path: '/hooks/telegram' });
+    assert.equal(adapter.server, null);
+    assert.equal(apiCalls[0][0], 'setWebHook');
+
+    const server = http.createServer(adapter.webhookHandler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    try {
+      const { port } = server.address();
+      assert.equal((await post(port, '/hooks/telegram', FIXTURES.message)).status, 200);
+      assert.equal((await post(port, '/telegram/hook', FIXTURES.message)).status, 404);
+      await tick();
+      assert.equal(received.length, 1);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('accepts a body a framework already parsed', async () => {
+    const { adapter, received } = await startWebhookAdapter({ listen: false });
+    const res = { writeHead(status) { this.status = status; }, end() {} };
+
+    await adapter.webhookHandler({
+      method: 'POST',
+      url: '/telegram/hook',
+      headers: { 'x-telegram-bot-api-secret-token': SECRET },
+      body: FIXTURES.message
+    }, res);
+    await tick();
+
+    assert.equal(res.status, 200);
+    assert.equal(received.length, 1);
+  });
+});
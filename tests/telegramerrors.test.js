@@ -0,0 +1,174 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  TelegramError,
+  RateLimitError,
+  ForbiddenError,
+  BotKickedError,
+  ChatNotFoundError,
+  UserNotFoundError,
+  NotEnoughRightsError,
+  MessageNotModifiedError,
+  NetworkError,
+  AuthError,
+  mapBotApiError,
+  mapMTProtoError,
+} from '../src/adapters/transports/TelegramErrors.js';
+import { TelegramAdapter } from '../src/adapters/transports/TelegramAdapter.js';
+import { MTProtoAdapter } from '../src/adapters/transports/MTProtoAdapter.js';
+import { getRetryAfterMs } from '../src/core/backoff.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+/**
+ * Error shaped like node-telegram-bot-api's ETELEGRAM errors
+ */
+function botApiError(errorCode, description, parameters) {
+  const error = new Error(`ETELEGRAM: ${errorCode} ${description}`);
+  error.code = 'ETELEGRAM';
+  error.response = { statusCode: errorCode, body: { ok: false, error_code: errorCode, description, parameters } };
+  return error;
+}
+
+/**
+ * Error shaped like a GramJS RPCError
+ */
+function rpcError(errorMessage, code = 400) {
+  const error = new Error(`${code}: ${errorMessage} (caused by channels.EditBanned)`);
+  error.errorMessage = errorMessage;
+  error.code = code;
+  return error;
+}
+
+// ─── Bot API ─────────────────────────────────────────────────────────────────
+
+describe('mapBotApiError', () => {
+  const cases = [
+    [botApiError(429, 'Too Many Requests: retry after 7', { retry_after: 7 }), RateLimitError],
+    [botApiError(403, 'Forbidden: bot was blocked by the user'), ForbiddenError],
+    [botApiError(403, 'Forbidden: bot was kicked from the supergroup chat'), BotKickedError],
+    [botApiError(400, 'Bad Request: chat not found'), ChatNotFoundError],
+    [botApiError(400, 'Bad Request: user not found'), UserNotFoundError],
+    [botApiError(400, 'Bad Request: not enough rights to restrict/unrestrict chat member'), NotEnoughRightsError],
+    [botApiError(400, 'Bad Request: message is not modified: specified new message content is the same'), MessageNotModifiedError],
+    [botApiError(401, 'Unauthorized'), AuthError],
+    [botApiError(400, 'Bad Request: message text is empty'), TelegramError],
+  ];
+
+  for (const [error, ErrorClass] of cases) {
+    it(`maps "${error.response.body.description}" to ${ErrorClass.name}`, () => {
+      const mapped = mapBotApiError(error, 'someMethod');
+      assert.equal(mapped.constructor, ErrorClass);
+      assert.equal(mapped.name, ErrorClass.name);
+    });
+  }
+
+  it('maps request failures without a response to NetworkError', () => {
+    const error = Object.assign(new Error('EFATAL: Error: socket hang up'), { code: 'EFATAL' });
+    assert.ok(mapBotApiError(error, 'sendMessage') instanceof NetworkError);
+  });
+
+  it('keeps the original error, method and Telegram details', () => {
+    const original = botApiError(429, 'Too Many Requests: retry after 7', { retry_after: 7 });
+
+    const mapped = mapBotApiError(original, 'sendMessage');
+
+    assert.equal(mapped.cause, original);
+    assert.equal(mapped.method, 'sendMessage');
+    assert.equal(mapped.code, 429);
+    assert.equal(mapped.retryAfter, 7);
+    assert.equal(mapped.message, original.message);
+    assert.equal(getRetryAfterMs(mapped), 7000);
+  });
+
+  it('returns errors that are already mapped unchanged', () => {
+    const mapped = new ChatNotFoundError('gone');
+    assert.equal(mapBotApiError(mapped, 'getChat'), mapped);
+  });
+});
+
+// ─── MTProto ─────────────────────────────────────────────────────────────────
+
+describe('mapMTProtoError', () => {
+  it('maps RPC error messages to error classes', () => {
+    assert.ok(mapMTProtoError(rpcError('CHAT_ADMIN_REQUIRED'), 'banMember') instanceof NotEnoughRightsError);
+    assert.ok(mapMTProtoError(rpcError('PEER_ID_INVALID'), 'banMember') instanceof ChatNotFoundError);
+    assert.ok(mapMTProtoError(rpcError('CHANNEL_PRIVATE'), 'banMember') instanceof BotKickedError);
+    assert.equal(mapMTProtoError(rpcError('USER_NOT_PARTICIPANT'), 'banMember').constructor, UserNotFoundError);
+    assert.ok(mapMTProtoError(rpcError('USER_IS_BLOCKED', 403), 'sendMessage') instanceof ForbiddenError);
+    assert.ok(mapMTProtoError(rpcError('MESSAGE_NOT_MODIFIED'), 'editMessage') instanceof MessageNotModifiedError);
+    assert.ok(mapMTProtoError(rpcError('AUTH_KEY_UNREGISTERED', 401), 'sendMessage') instanceof AuthError);
+  });
+
+  it('maps FloodWaitError to RateLimitError with its wait', () => {
+    class FloodWaitError extends Error {
+      constructor(seconds) { super(`A wait of ${seconds} seconds is required`); this.code = 420; this.seconds = seconds; }
+    }
+
+    const mapped = mapMTProtoError(new FloodWaitError(30), 'sendMessage');
+
+    assert.ok(mapped instanceof RateLimitError);
+    assert.equal(mapped.retryAfter, 30);
+  });
+
+  it('maps connection failures to NetworkError', () => {
+    assert.ok(mapMTProtoError(new Error('Request timeout'), 'getEntity') instanceof NetworkError);
+  });
+
+  it('prefixes the message with the summary and keeps the cause', () => {
+    const original = rpcError('CHAT_ADMIN_REQUIRED');
+
+    const mapped = mapMTProtoError(original, 'banMember', 'Failed to ban member');
+
+    assert.equal(mapped.message, `Failed to ban member: ${original.message}`);
+    assert.equal(mapped.code, 'CHAT_ADMIN_REQUIRED');
+    assert.equal(mapped.cause, original);
+  });
+
+  it('falls back to TelegramError for unknown errors', () => {
+    const mapped = mapMTProtoError(rpcError('SOMETHING_NEW'), 'sendMessage');
+    assert.equal(mapped.constructor, TelegramError);
+  });
+});
+
+// ─── adapters ────────────────────────────────────────────────────────────────
+
+describe('Telegram errors – adapters', () => {
+  it('TelegramAdapter throws mapped errors from Bot API calls', async () => {
+    const adapter = new TelegramAdapter('token');
+    adapter.botInstance = {
+      banChatMember: async () => { throw botApiError(400, 'Bad Request: not enough rights to restrict/unrestrict chat member'); },
+    };
+
+    await assert.rejects(() => adapter.banMember(1, 2), (error) => {
+      assert.ok(error instanceof NotEnoughRightsError);
+      assert.equal(error.method, 'banChatMember');
+      return true;
+    });
+  });
+
+  it('TelegramAdapter still reports an uninitialized bot', async () => {
+    const adapter = new TelegramAdapter('token');
+    await assert.rejects(() => adapter.getChat(1), /not initialized or getChat not available/);
+  });
+
+  it('MTProtoAdapter throws mapped errors from client calls', async () => {
+    const adapter = new MTProtoAdapter({ apiId: 1, apiHash: 'x' });
+    adapter.isConnected = true;
+    adapter.client = {
+      getEntity: async (id) => ({ id }),
+      editBanned: async () => { throw rpcError('CHAT_ADMIN_REQUIRED'); },
+    };
+
+    await assert.rejects(() => adapter.banMember(1, 2), (error) => {
+      assert.ok(error instanceof NotEnoughRightsError);
+      assert.match(error.message, /^Failed to ban member: /);
+      return true;
+    });
+  });
+
+  it('MTProtoAdapter still reports a disconnected client', async () => {
+    const adapter = new MTProtoAdapter({ apiId: 1, apiHash: 'x' });
+    await assert.rejects(() => adapter.sendMessage(1, 'hi'), /MT Proto client not connected/);
+  });
+});
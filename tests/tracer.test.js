@@ -0,0 +1,322 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'node:http';
+import { mkdtemp, readFile, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { Tracer } from '../src/observability/Tracer.js';
+import { JsonlFileExporter, OtlpJsonExporter, toOtlpJson } from '../src/observability/exporters.js';
+import { Pipeline } from '../src/core/Pipeline.js';
+import { ActionHandler } from '../src/core/ActionHandler.js';
+import { ErrorHandler } from '../src/core/ErrorHandler.js';
+import { makeCallingAdapter, makeEngine, makeLogger, makeMessage, makeStage } from './helpers/mocks.js';
+
+// ─── helpers ────────────────────────────────────────────────────────────────
+
+function spanNamed(trace, name) {
+  return trace.spans.find(span => span.name === name);
+}
+
+function childrenOf(trace, span) {
+  return trace.spans.filter(s => s.parentSpanId === span.spanId).map(s => s.name);
+}
+
+// ─── pipeline spans ──────────────────────────────────────────────────────────
+
+describe('Tracer – pipeline', () => {
+  it('attaches a trace with a span per stage to result.trace', async () => {
+    const tracer = new Tracer();
+    const pipeline = new Pipeline([makeStage('a'), makeStage('b', async () => ({ action: 'notify' }))]);
+    tracer.instrumentPipeline(pipeline);
+
+    const result = await pipeline.process(makeMessage(), {});
+
+    assert.match(result.trace.traceId, /^[0-9a-f]{32}$/);
+    const root = spanNamed(result.trace, 'pipeline');
+    assert.equal(root.parentSpanId, null);
+    assert.equal(root.attributes['message.id'], 'msg-1');
+    assert.deepEqual(childrenOf(result.trace, root), ['stage a', 'stage b']);
+    assert.equal(spanNamed(result.trace, 'stage b').attributes['stage.action'], 'notify');
+    for (const span of result.trace.spans) {
+      assert.equal(span.traceId, result.trace.traceId);
+      assert.equal(span.status.code, 'ok');
+      assert.ok(span.durationMs >= 0);
+    }
+  });
+
+  it('records one span per retry attempt with the error', async () => {
+    const tracer = new Tracer();
+    let calls = 0;
+    const pipeline = new Pipeline([makeStage('flaky', async () => {
+      if (++calls < 3) throw new TypeError(`attempt ${calls}`);
+    })]);
+    const errorHandler = new ErrorHandler(makeLogger());
+    errorHandler.registerRecoveryStrategy('flaky', 'retry', { maxRetries: 3, backoffMs: 0 });
+    pipeline.setErrorHandler(errorHandler);
+    tracer.instrumentPipeline(pipeline);
+
+    const result = await pipeline.process(makeMessage(), {});
+
+    const attempts = result.trace.spans.filter(span => span.name === 'stage flaky');
+    assert.deepEqual(attempts.map(span => span.attributes['stage.attempt']), [1, 2, 3]);
+    assert.deepEqual(attempts.map(span => span.status.code), ['error', 'error', 'ok']);
+    assert.equal(attempts[0].status.message, 'attempt 1');
+    assert.equal(attempts[0].attributes['error.type'], 'TypeError');
+    assert.equal(attempts[0].events[0].name, 'exception');
+  });
+
+  it('marks the trace failed when the pipeline stops with an error', async () => {
+    const tracer = new Tracer();
+    const errorHandler = new ErrorHandler(makeLogger());
+    errorHandler.registerRecoveryStrategy('broken', 'stop');
+    const pipeline = new Pipeline([makeStage('broken', async () => { throw new Error('down'); })]);
+    pipeline.setErrorHandler(errorHandler);
+    tracer.instrumentPipeline(pipeline);
+
+    const result = await pipeline.process(makeMessage(), {});
+
+    const root = spanNamed(result.trace, 'pipeline');
+    assert.equal(root.status.code, 'error');
+    assert.equal(root.attributes['pipeline.stopped'], true);
+  });
+
+  it('nests mounted sub-pipeline stages under the mount stage', async () => {
+    const tracer = new Tracer();
+    const sub = new Pipeline([makeStage('inner')]);
+    const pipeline = new Pipeline().route({ text: sub });
+    tracer.instrumentPipeline(pipeline);
+
+    const result = await pipeline.process(makeMessage({ type: 'text' }), {});
+
+    const mount = spanNamed(result.trace, 'stage route:type');
+    const subPipeline = result.trace.spans.find(span => span.name === 'pipeline' && span.parentSpanId === mount.spanId);
+    assert.ok(subPipeline);
+    assert.deepEqual(childrenOf(result.trace, subPipeline), ['stage inner']);
+  });
+
+  it('gives concurrent messages separate traces', async () => {
+    const tracer = new Tracer();
+    const pipeline = new Pipeline([makeStage('slow', () => new Promise(resolve => setTimeout(resolve, 5)))]);
+    tracer.instrumentPipeline(pipeline);
+
+    const [first, second] = await Promise.all([
+      pipeline.process(makeMessage({ id: 1 }), {}),
+      pipeline.process(makeMessage({ id: 2 }), {}),
+    ]);
+
+    assert.notEqual(first.trace.traceId, second.trace.traceId);
+    assert.equal(first.trace.spans.length, 2);
+    assert.equal(second.trace.spans.length, 2);
+  });
+});
+
+// ─── engine ──────────────────────────────────────────────────────────────────
+
+describe('Tracer – engine', () => {
+  it('traces stages, actions and adapter calls under one message span', async () => {
+    const tracer = new Tracer();
+    const { engine } = makeEngine({
+      stages: [
+        makeStage('greet', async (message, context) => { await context.bot.sendMessage(1, 'hi'); }),
+        makeStage('judge', async () => ({ action: 'ban' })),
+      ],
+      actions: { ban: async (data, context) => context.bot.banMember(1, 2) },
+      adapter: makeCallingAdapter()
+    });
+    tracer.instrumentEngine(engine);
+
+    const result = await engine._handleMessage(makeMessage());
+    const trace = result.trace;
+
+    const root = spanNamed(trace, 'message');
+    assert.equal(root.parentSpanId, null);
+    assert.deepEqual(childrenOf(trace, root), ['pipeline', 'action ban']);
+
+    const send = spanNamed(trace, 'adapter sendMessage');
+    assert.equal(send.parentSpanId, spanNamed(trace, 'stage greet').spanId);
+    assert.equal(send.kind, 'client');
+    assert.equal(send.attributes['adapter.name'], 'FakeAdapter');
+
+    const ban = spanNamed(trace, 'adapter banChatMember');
+    assert.equal(ban.parentSpanId, spanNamed(trace, 'action ban').spanId);
+    assert.equal(ban.status.code, 'error');
+    assert.equal(spanNamed(trace, 'action ban').status.code, 'error');
+    assert.equal(spanNamed(trace, 'action ban').attributes['action.stage'], 'judge');
+  });
+
+  it('keeps actions running side by side apart, each with its own adapter calls', async () => {
+    const tracer = new Tracer();
+    const actionHandler = new ActionHandler(makeLogger(), { concurrency: 2 });
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+    actionHandler.register('slow', async (data, context) => {
+      await delay(20);
+      await context.bot.sendMessage(1, 'slow');
+    });
+    actionHandler.register('fast', async (data, context) => {
+      await context.bot.sendMessage(1, 'fast');
+      await delay(5);
+      await context.bot.sendMessage(1, 'fast again');
+    });
+    const { engine } = makeEngine({
+      stages: [
+        makeStage('first', async () => ({ action: 'slow' })),
+        makeStage('second', async () => ({ action: 'fast' })),
+      ],
+      actionHandler,
+      adapter: makeCallingAdapter()
+    });
+    tracer.instrumentEngine(engine);
+
+    const { trace } = await engine._handleMessage(makeMessage());
+
+    const root = spanNamed(trace, 'message');
+    const slow = spanNamed(trace, 'action slow');
+    const fast = spanNamed(trace, 'action fast');
+    assert.deepEqual(childrenOf(trace, root), ['pipeline', 'action slow', 'action fast']);
+    assert.deepEqual(childrenOf(trace, slow), ['adapter sendMessage']);
+    assert.deepEqual(childrenOf(trace, fast), ['adapter sendMessage', 'adapter sendMessage']);
+
+    const slowSend = trace.spans.find(span => span.parentSpanId === slow.spanId);
+    assert.ok(slow.endTime >= slowSend.endTime, 'the slow action is not ended by the fast one');
+    assert.ok(fast.endTime < slow.endTime);
+    assert.equal(slow.status.code, 'ok');
+  });
+
+  it('exposes the trace ID on the context', async () => {
+    const tracer = new Tracer();
+    let seen;
+    const { engine } = makeEngine({ stages: [makeStage('s1', async (message, context) => { seen = context.traceId; })] });
+    tracer.instrumentEngine(engine);
+
+    const result = await engine._handleMessage(makeMessage());
+
+    assert.equal(seen, result.trace.traceId);
+  });
+
+  it('does not trace adapter calls made outside a message', async () => {
+    const tracer = new Tracer();
+    const adapter = makeCallingAdapter();
+    tracer.instrumentAdapter(adapter);
+
+    assert.deepEqual(await adapter.sendMessage(1, 'hi'), { ok: true });
+  });
+});
+
+// ─── exporters ───────────────────────────────────────────────────────────────
+
+describe('Tracer – exporters', () => {
+  it('hands every finished trace to the exporters', async () => {
+    const exported = [];
+    const tracer = new Tracer({ exporters: [{ export: async (trace) => exported.push(trace) }] });
+    const pipeline = new Pipeline([makeStage('s1')]);
+    tracer.instrumentPipeline(pipeline);
+
+    const result = await pipeline.process(makeMessage(), {});
+    await tracer.flush();
+
+    assert.equal(exported.length, 1);
+    assert.equal(exported[0].traceId, result.trace.traceId);
+  });
+
+  it('logs exporter failures without failing the message', async () => {
+    const logger = makeLogger();
+    const tracer = new Tracer({ logger, exporters: [{ export: async () => { throw new Error('disk full'); } }] });
+    const pipeline = new Pipeline([makeStage('s1')]);
+    tracer.instrumentPipeline(pipeline);
+
+    const result = await pipeline.process(makeMessage(), {});
+    await tracer.flush();
+
+    assert.equal(result.stop, false);
+    assert.equal(logger.calls.error.length, 1);
+  });
+
+  it('JsonlFileExporter appends one JSON line per trace', async () => {
+    const dir = await mkdtemp(join(tmpdir(), 'taf-traces-'));
+    try {
+      const path = join(dir, 'traces.jsonl');
+      const tracer = new Tracer({ exporters: [new JsonlFileExporter({ path })] });
+      const pipeline = new Pipeline([makeStage('s1')]);
+      tracer.instrumentPipeline(pipeline);
+
+      const first = await pipeline.process(makeMessage(), {});
+      const second = await pipeline.process(makeMessage(), {});
+      await tracer.flush();
+
+      const lines = (await readFile(path, 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+      assert.deepEqual(lines.map(trace => trace.traceId), [first.trace.traceId, second.trace.traceId]);
+    } finally {
+      await rm(dir, { recursive: true, force: true });
+    }
+  });
+
+  it('toOtlpJson produces OTLP/JSON spans', async () => {
+    const tracer = new Tracer();
+    const pipeline = new Pipeline([makeStage('s1', async () => { throw new Error('bad'); })]);
+    tracer.instrumentPipeline(pipeline);
+    const result = await pipeline.process(makeMessage(), {});
+
+    const request = toOtlpJson([result.trace], { serviceName: 'test-bot' });
+
+    const resource = request.resourceSpans[0].resource;
+    assert.deepEqual(resource.attributes, [{ key: 'service.name', value: { stringValue: 'test-bot' } }]);
+    const spans = request.resourceSpans[0].scopeSpans[0].spans;
+    const root = spans.find(span => span.name === 'pipeline');
+    const stage = spans.find(span => span.name === 'stage s1');
+    assert.equal(root.parentSpanId, undefined);
+    assert.equal(root.kind, 2);
+    assert.equal(stage.parentSpanId, root.spanId);
+    assert.equal(stage.status.code, 2);
+    assert.match(stage.startTimeUnixNano, /^\d{19}$/);
+    assert.ok(BigInt(stage.endTimeUnixNano) >= BigInt(stage.startTimeUnixNano));
+    assert.deepEqual(root.attributes.find(a => a.key === 'chat.id'), { key: 'chat.id', value: { intValue: '100' } });
+  });
+
+  it('OtlpJsonExporter posts traces to the collector', async () => {
+    const received = [];
+    const server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ url: req.url, type: req.headers['content-type'], auth: req.headers.authorization, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end('{}');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const { port } = server.address();
+      const exporter = new OtlpJsonExporter({ url: `http://127.0.0.1:${port}/v1/traces`, headers: { Authorization: 'Bearer t' } });
+      const tracer = new Tracer({ exporters: [exporter] });
+      const pipeline = new Pipeline([makeStage('s1')]);
+      tracer.instrumentPipeline(pipeline);
+
+      await pipeline.process(makeMessage(), {});
+      await tracer.flush();
+
+      assert.equal(received.length, 1);
+      assert.equal(received[0].url, '/v1/traces');
+      assert.equal(received[0].type, 'application/json');
+      assert.equal(received[0].auth, 'Bearer t');
+      assert.equal(received[0].body.resourceSpans[0].scopeSpans[0].spans.length, 2);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+
+  it('OtlpJsonExporter rejects on a non-2xx response', async () => {
+    const server = http.createServer((req, res) => {
+      req.resume();
+      req.on('end', () => { res.writeHead(503); res.end('busy'); });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+
+    try {
+      const exporter = new OtlpJsonExporter({ url: `http://127.0.0.1:${server.address().port}/v1/traces` });
+      await assert.rejects(() => exporter.export({ traceId: 'x', spans: [] }), /responded 503: busy/);
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+  });
+});